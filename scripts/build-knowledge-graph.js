@@ -3,25 +3,32 @@
  * 
  * ナレッジグラフ構築スクリプト
  * Phase 1: employees.json から機械的にノード・エッジを抽出
+ *          (Slack での実際のやり取り data/interactions.json からも社員間のエッジを作る)
  * Phase 2: カスタムチューニングモデルでAI拡張分析
+ *          (プロンプトは prompts/pair-relationship/ のテンプレート。AI推論エッジには prompt_id / prompt_version を残す)
+ *          AI分析に同意していない社員のプロフィールは送らず、送った社員は監査ログ (data/ai-audit.jsonl) に mode: "graph" で記録する
  * 
- * 実行: node scripts/build-knowledge-graph.js [--skip-ai]
+ * 実行: node scripts/saiteki.js graph build [--skip-ai]
  */
 
 const fs = require('fs');
 const path = require('path');
-require('dotenv').config();
-
-const DATA_FILE = path.join(__dirname, '../data/employees.json');
-const OUTPUT_FILE = path.join(__dirname, '../data/knowledge-graph.json');
-
-const PROJECT_ID = process.env.GCP_PROJECT_ID;
-const LOCATION = process.env.GCP_LOCATION || 'us-central1';
-const API_KEY = process.env.GEMINI_API_KEY;
-const ENDPOINT_ID = process.env.GCP_ENDPOINT_ID;
-
-const args = process.argv.slice(2);
-const SKIP_AI = args.includes('--skip-ai');
+const { DATA_FILE, loadEmployees } = require('./lib/employee-store');
+const { validateEmployees, formatErrors } = require('./lib/employee-schema');
+const { findEmployeeByName } = require('./lib/employee-identity');
+const { createAIClient } = require('./lib/ai-client');
+const { loadPrompt } = require('./lib/prompt-templates');
+const { privacyOptions, consentOf, canShareProfile } = require('./lib/privacy');
+const { appendAudit } = require('./lib/ai-audit');
+const { loadInteractions, aggregateInteractions } = require('./lib/interactions');
+const { isStale } = require('./lib/analysis-basis');
+const { GRAPH_FILE: OUTPUT_FILE } = require('./lib/paths');
+const { runMain } = require('./lib/cli');
+
+const ai = createAIClient();
+
+// バッチ間の待機時間 (レート制限対策)
+const AI_BATCH_DELAY_MS = Number(process.env.AI_BATCH_DELAY_MS ?? 1200);
 
 // ============================================================
 // 同義語マッピング: 表記揺れを統一ラベルに正規化
@@ -70,7 +77,7 @@ function normalizeForId(label) {
 // ============================================================
 // Phase 1: 機械的グラフ構築
 // ============================================================
-function buildMechanicalGraph(employees) {
+function buildMechanicalGraph(employees, interactions = { messages: {} }) {
     console.log('--- Phase 1: 機械的グラフ構築 ---');
 
     const nodes = [];
@@ -109,7 +116,7 @@ function buildMechanicalGraph(employees) {
     // 1. Personノード生成
     const activeEmployees = employees.filter(e => e.isActive !== false);
     activeEmployees.forEach(emp => {
-        const personId = `person:${emp.name}`;
+        const personId = `person:${emp.id}`;
         const personality = emp.personality_traits || {};
         nodes.push({
             id: personId,
@@ -124,6 +131,23 @@ function buildMechanicalGraph(employees) {
                 A: personality.agreeableness?.score || 0,
                 N: personality.neuroticism?.score || 0,
             },
+            // 信頼区間 [下限, 上限] (平滑化前のデータにはない)
+            personalityRange: Object.fromEntries(
+                [['O', 'openness'], ['C', 'conscientiousness'], ['E', 'extraversion'], ['A', 'agreeableness'], ['N', 'neuroticism']]
+                    .filter(([, trait]) => Array.isArray(personality[trait]?.range))
+                    .map(([key, trait]) => [key, personality[trait].range])
+            ),
+            // 分析の根拠 (ビューアーのバッジ。stale はグラフを構築した時点で判定する)
+            basis: emp.analysis_basis ? {
+                messages: emp.analysis_basis.messages,
+                characters: emp.analysis_basis.characters,
+                from: emp.analysis_basis.from,
+                to: emp.analysis_basis.to,
+                workspaces: emp.analysis_basis.workspaces,
+                channels: (emp.analysis_basis.channels || []).length,
+                model: emp.analysis_basis.model,
+                stale: isStale(emp.analysis_basis),
+            } : null,
         });
         nodeMap.set(personId, true);
     });
@@ -163,17 +187,17 @@ function buildMechanicalGraph(employees) {
                     if (!attrNode.categories.includes(type)) {
                         attrNode.categories.push(type);
                     }
-                    if (!attrNode.connectedPeople.includes(emp.name)) {
-                        attrNode.connectedPeople.push(emp.name);
+                    if (!attrNode.connectedPeople.includes(emp.id)) {
+                        attrNode.connectedPeople.push(emp.id);
                     }
                 }
 
                 // エッジ生成（重複防止）
-                const edgeKey = `${emp.name}->${nodeId}`;
+                const edgeKey = `${emp.id}->${nodeId}`;
                 if (!edgeKeys.has(edgeKey)) {
                     edgeKeys.add(edgeKey);
                     edges.push({
-                        source: `person:${emp.name}`,
+                        source: `person:${emp.id}`,
                         target: nodeId,
                         type: cfg.edgeType,
                         weight: 1,
@@ -213,8 +237,8 @@ function buildMechanicalGraph(employees) {
 
             if (totalShared > 0) {
                 edges.push({
-                    source: `person:${a.name}`,
-                    target: `person:${b.name}`,
+                    source: `person:${a.id}`,
+                    target: `person:${b.id}`,
                     type: 'SHARES',
                     weight: totalShared,
                     shared: {
@@ -228,6 +252,19 @@ function buildMechanicalGraph(employees) {
         }
     }
     console.log(`  共通項目エッジ: ${sharedEdgeCount}件`);
+
+    // 4. Slack での実際のやり取り (返信・メンション・リアクション) の有向エッジ
+    const interactionEdges = aggregateInteractions(interactions, new Set(activeEmployees.map(e => e.id)));
+    interactionEdges.forEach(e => {
+        edges.push({
+            source: `person:${e.source}`,
+            target: `person:${e.target}`,
+            type: e.type,
+            weight: e.weight,
+            last_at: e.last_at,
+        });
+    });
+    console.log(`  やり取りエッジ: ${interactionEdges.length}件`);
     console.log(`  合計: ノード${nodes.length}件, エッジ${edges.length}件`);
 
     return { nodes, edges };
@@ -236,30 +273,47 @@ function buildMechanicalGraph(employees) {
 // ============================================================
 // Phase 2: AI拡張分析
 // ============================================================
-async function enhanceWithAI(graph, employees) {
-    if (SKIP_AI) {
+// ペアのテンプレート (prompts/pair-relationship/<バージョン>/pair.md) に渡す、社員1人分の変数
+function pairVariables(prefix, e) {
+    const score = (trait) => e.personality_traits?.[trait]?.score || '?';
+    return {
+        [`${prefix}_name`]: e.name,
+        [`${prefix}_job`]: e.job,
+        [`${prefix}_summary`]: e.overall_summary || '情報なし',
+        [`${prefix}_traits`]: `O=${score('openness')}, C=${score('conscientiousness')}, E=${score('extraversion')}, A=${score('agreeableness')}, N=${score('neuroticism')}`,
+        [`${prefix}_strengths`]: e.work_styles_and_strengths?.dominant_strengths?.join(', ') || '不明',
+        [`${prefix}_values`]: e.values_and_motivators?.core_values?.join(', ') || '不明',
+    };
+}
+
+async function enhanceWithAI(graph, employees, { skipAi = false } = {}) {
+    if (skipAi) {
         console.log('--- Phase 2: スキップ（--skip-ai フラグ） ---');
         return graph;
     }
 
-    if (!API_KEY || !PROJECT_ID) {
+    if (!ai.isConfigured()) {
         console.log('--- Phase 2: スキップ（API設定なし） ---');
         return graph;
     }
 
     console.log('--- Phase 2: AI拡張分析 ---');
-
-    let url = '';
-    if (ENDPOINT_ID) {
-        url = `https://${LOCATION}-aiplatform.googleapis.com/v1beta1/projects/${PROJECT_ID}/locations/${LOCATION}/endpoints/${ENDPOINT_ID}:streamGenerateContent?key=${API_KEY}`;
-        console.log('  カスタムチューニングモデルを使用');
-    } else {
-        url = `https://${LOCATION}-aiplatform.googleapis.com/v1/projects/${PROJECT_ID}/locations/${LOCATION}/publishers/google/models/gemini-1.5-pro-002:streamGenerateContent?key=${API_KEY}`;
-        console.log('  Gemini 1.5 Pro にフォールバック');
+    console.log(`  使用モデル: ${ai.describe()}`);
+    const prompt = loadPrompt('pair-relationship');
+    console.log(`  プロンプト: ${prompt.ref}`);
+
+    // 同意していない社員 (ai_consent: none、幹部用ワークスペースの分析を含むおそれのある primary-only) のプロフィールは送らない
+    const privacy = privacyOptions();
+    const activeEmployees = employees
+        .filter(e => e.isActive !== false)
+        .filter(e => canShareProfile(e, consentOf(e, privacy)));
+    const excludedCount = employees.filter(e => e.isActive !== false).length - activeEmployees.length;
+    if (excludedCount > 0) {
+        console.log(`  AI分析の同意がないため除外: ${excludedCount}名`);
     }
-
-    const activeEmployees = employees.filter(e => e.isActive !== false);
     const aiEdges = [];
+    // 監査ログ用: 社員ごとに送ったペアの数と、失敗したバッチに含まれたか
+    const sentPairs = new Map(activeEmployees.map(e => [e.id, { pairs: 0, failed: false }]));
 
     // 全ペアの組み合わせをバッチ処理
     const pairs = [];
@@ -274,103 +328,56 @@ async function enhanceWithAI(graph, employees) {
     const BATCH_SIZE = 5;
     for (let batchStart = 0; batchStart < pairs.length; batchStart += BATCH_SIZE) {
         const batch = pairs.slice(batchStart, batchStart + BATCH_SIZE);
-        const pairDescriptions = batch.map(([a, b]) => {
-            return `
-【ペア: ${a.name} × ${b.name}】
-${a.name}（${a.job}）: ${a.overall_summary || '情報なし'}
-性格: O=${a.personality_traits?.openness?.score || '?'}, C=${a.personality_traits?.conscientiousness?.score || '?'}, E=${a.personality_traits?.extraversion?.score || '?'}, A=${a.personality_traits?.agreeableness?.score || '?'}, N=${a.personality_traits?.neuroticism?.score || '?'}
-強み: ${a.work_styles_and_strengths?.dominant_strengths?.join(', ') || '不明'}
-価値観: ${a.values_and_motivators?.core_values?.join(', ') || '不明'}
-
-${b.name}（${b.job}）: ${b.overall_summary || '情報なし'}
-性格: O=${b.personality_traits?.openness?.score || '?'}, C=${b.personality_traits?.conscientiousness?.score || '?'}, E=${b.personality_traits?.extraversion?.score || '?'}, A=${b.personality_traits?.agreeableness?.score || '?'}, N=${b.personality_traits?.neuroticism?.score || '?'}
-強み: ${b.work_styles_and_strengths?.dominant_strengths?.join(', ') || '不明'}
-価値観: ${b.values_and_motivators?.core_values?.join(', ') || '不明'}
-`;
-        }).join('\n---\n');
-
-        const prompt = `
-あなたは組織開発の専門家です。以下の社員ペアについて、チーム編成やメンタリングに役立つ関係性を分析してください。
-
-${pairDescriptions}
-
-各ペアについて以下を判定してください:
-1. COMPLEMENTS（補完関係）: 互いの弱みを補い合える関係か。スコア0-10
-2. MENTORING_FIT（メンタリング適性）: 一方が他方を指導できる関係か。スコア0-10。方向も示す
-3. TEAM_SYNERGY（チーム相乗効果）: 同じチームで働いた場合の相乗効果。スコア0-10
-
-JSONの配列で出力してください。Markdownブロックは不要です。
-[
-  {
-    "person_a": "名前A",
-    "person_b": "名前B",
-    "complements": { "score": 0-10, "reason": "理由" },
-    "mentoring_fit": { "score": 0-10, "direction": "A→B" | "B→A" | "mutual", "reason": "理由" },
-    "team_synergy": { "score": 0-10, "reason": "理由" }
-  }
-]
-
-注意:
-- スコア5未満の関係は出力しない
-- 根拠は具体的に50文字以内で
-`;
+        const pairDescriptions = batch.map(([a, b]) => prompt.render('pair', { ...pairVariables('a', a), ...pairVariables('b', b) })).join('\n---\n');
+        const text = prompt.render('prompt', { pairs: pairDescriptions });
+        batch.flat().forEach(e => sentPairs.get(e.id).pairs++);
 
         try {
-            const response = await fetch(url, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    contents: [{ role: 'user', parts: [{ text: prompt }] }],
-                    generation_config: {
-                        response_mime_type: 'application/json',
-                    },
-                }),
-            });
-
-            if (!response.ok) {
-                console.error(`  API Error: ${response.status}`);
-                continue;
-            }
-
-            const resDataArr = await response.json();
-            let text = '';
-            if (Array.isArray(resDataArr)) {
-                text = resDataArr.map(chunk => chunk?.candidates?.[0]?.content?.parts?.[0]?.text || '').join('');
-            } else {
-                text = resDataArr?.candidates?.[0]?.content?.parts?.[0]?.text || '';
-            }
-
-            const results = JSON.parse(text);
+            const results = await ai.generateJSON(text, { label: `batch ${Math.floor(batchStart / BATCH_SIZE) + 1}` });
+            const batchEmployees = batch.flat();
             results.forEach(r => {
+                // AIは名前で返すので、バッチ内の社員に照合して id に変換する
+                const personA = findEmployeeByName(batchEmployees, r.person_a);
+                const personB = findEmployeeByName(batchEmployees, r.person_b);
+                if (!personA || !personB) {
+                    console.warn(`  不明なペアをスキップ: ${r.person_a} × ${r.person_b}`);
+                    return;
+                }
                 if (r.complements?.score >= 5) {
                     aiEdges.push({
-                        source: `person:${r.person_a}`,
-                        target: `person:${r.person_b}`,
+                        source: `person:${personA.id}`,
+                        target: `person:${personB.id}`,
                         type: 'COMPLEMENTS',
                         weight: r.complements.score,
                         reason: r.complements.reason,
                         ai_generated: true,
+                        prompt_id: prompt.id,
+                        prompt_version: prompt.version,
                     });
                 }
                 if (r.mentoring_fit?.score >= 5) {
                     aiEdges.push({
-                        source: `person:${r.person_a}`,
-                        target: `person:${r.person_b}`,
+                        source: `person:${personA.id}`,
+                        target: `person:${personB.id}`,
                         type: 'MENTORING_FIT',
                         weight: r.mentoring_fit.score,
                         direction: r.mentoring_fit.direction,
                         reason: r.mentoring_fit.reason,
                         ai_generated: true,
+                        prompt_id: prompt.id,
+                        prompt_version: prompt.version,
                     });
                 }
                 if (r.team_synergy?.score >= 5) {
                     aiEdges.push({
-                        source: `person:${r.person_a}`,
-                        target: `person:${r.person_b}`,
+                        source: `person:${personA.id}`,
+                        target: `person:${personB.id}`,
                         type: 'TEAM_SYNERGY',
                         weight: r.team_synergy.score,
                         reason: r.team_synergy.reason,
                         ai_generated: true,
+                        prompt_id: prompt.id,
+                        prompt_version: prompt.version,
                     });
                 }
             });
@@ -378,12 +385,24 @@ JSONの配列で出力してください。Markdownブロックは不要です
             console.log(`  バッチ ${Math.floor(batchStart / BATCH_SIZE) + 1}/${Math.ceil(pairs.length / BATCH_SIZE)}: ${results.length}ペア分析完了`);
         } catch (error) {
             console.error(`  バッチ処理エラー:`, error.message);
+            batch.flat().forEach(e => { sentPairs.get(e.id).failed = true; });
         }
 
         // レート制限対策
-        await new Promise(r => setTimeout(r, 1200));
+        await new Promise(r => setTimeout(r, AI_BATCH_DELAY_MS));
     }
 
+    activeEmployees.filter(e => sentPairs.get(e.id).pairs > 0).forEach(e => appendAudit({
+        employee_id: e.id,
+        mode: 'graph',
+        consent: consentOf(e, privacy),
+        fields: Object.keys(pairVariables('', e)).map(key => key.slice(1)),
+        pairs: sentPairs.get(e.id).pairs,
+        provider: ai.provider,
+        prompt: prompt.ref,
+        status: sentPairs.get(e.id).failed ? 'failed' : 'ok',
+    }));
+
     console.log(`  AI推論エッジ: ${aiEdges.length}件追加`);
     graph.edges.push(...aiEdges);
     return graph;
@@ -392,22 +411,30 @@ JSONの配列で出力してください。Markdownブロックは不要です
 // ============================================================
 // メイン処理
 // ============================================================
-async function main() {
+/**
+ * @param {boolean} [options.skipAi] Phase 2 (AI拡張分析) を行わない
+ */
+async function run({ skipAi = false } = {}) {
     console.log('=== ナレッジグラフ構築開始 ===\n');
 
     if (!fs.existsSync(DATA_FILE)) {
-        console.error(`データファイルが見つかりません: ${DATA_FILE}`);
-        process.exit(1);
+        throw new Error(`データファイルが見つかりません: ${DATA_FILE}`);
     }
 
-    const employees = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
-    console.log(`社員データ読み込み: ${employees.length}件\n`);
+    const loaded = loadEmployees();
+    console.log(`社員データ読み込み: ${loaded.length}件\n`);
+
+    // スキーマ違反のレコードはグラフに含めない
+    const problems = validateEmployees(loaded);
+    problems.forEach(p => console.warn(`スキーマ違反のためスキップ: ${p.name}\n${formatErrors(p.errors)}`));
+    const invalidIndexes = new Set(problems.map(p => p.index));
+    const employees = loaded.filter((_, i) => !invalidIndexes.has(i));
 
     // Phase 1: 機械的グラフ構築
-    let graph = buildMechanicalGraph(employees);
+    let graph = buildMechanicalGraph(employees, loadInteractions());
 
     // Phase 2: AI拡張分析
-    graph = await enhanceWithAI(graph, employees);
+    graph = await enhanceWithAI(graph, employees, { skipAi });
 
     // メタデータ追加
     const output = {
@@ -417,7 +444,7 @@ async function main() {
             employee_count: employees.filter(e => e.isActive !== false).length,
             node_count: graph.nodes.length,
             edge_count: graph.edges.length,
-            ai_enhanced: !SKIP_AI && !!API_KEY && !!PROJECT_ID,
+            ai_enhanced: !skipAi && ai.isConfigured(),
         },
         nodes: graph.nodes,
         edges: graph.edges,
@@ -436,4 +463,10 @@ async function main() {
     console.log(`  AI拡張: ${output.metadata.ai_enhanced ? 'あり' : 'なし'}`);
 }
 
-main().catch(console.error);
+if (require.main === module) {
+    runMain(() => run({ skipAi: process.argv.includes('--skip-ai') }));
+}
+
+module.exports = {
+    run,
+};
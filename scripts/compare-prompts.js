@@ -0,0 +1,146 @@
+/**
+ * compare-prompts.js
+ *
+ * プロンプトのテンプレート (prompts/) の一覧と、2つのバージョンの比較
+ * 比較では同じ入力を2つのバージョンのプロンプトでAIに渡し、出力 (JSON) を左右に並べた差分で表示する。社員データは書き換えない
+ *   profile     アーカイブ (data/archive/) にあるその社員の発言。sync と同じく同意 (ai_consent) と伏せ字を適用し、
+ *               監査ログに mode "compare" で残す。既存の分析結果は渡さない (プロンプトの違いだけを比べるため)
+ *   extraction  社員レコードに保存済みの自己紹介 (self_intro)
+ *
+ * 実行:
+ *   node scripts/saiteki.js prompts list
+ *   node scripts/saiteki.js prompts compare <プロンプトID> <バージョンA> <バージョンB> --employee <name|id> [--channel <id>] [--since <date>]
+ */
+
+const { loadEmployees } = require('./lib/employee-store');
+const { findEmployee } = require('./lib/employee-identity');
+const { createAIClient } = require('./lib/ai-client');
+const { listPrompts, versionsOf, loadPrompt } = require('./lib/prompt-templates');
+const { analysisOptions, createProfileAnalyzer } = require('./lib/profile-analysis');
+const { stripCitations } = require('./lib/citations');
+const { privacyOptions, consentOf } = require('./lib/privacy');
+const { appendAudit, describeSent } = require('./lib/ai-audit');
+const { renderSideBySide } = require('./lib/side-by-side');
+const { PROMPTS_DIR } = require('./lib/paths');
+const { UsageError, runMain } = require('./lib/cli');
+
+const COMPARABLE = ['profile', 'extraction'];
+
+function list() {
+    const prompts = listPrompts();
+    if (prompts.length === 0) {
+        console.log(`No prompt templates found in ${PROMPTS_DIR}.`);
+        return;
+    }
+    prompts.forEach(({ id, versions, active }) => {
+        console.log(`${id}\t${versions.map(v => (v === active ? `${v} (active)` : v)).join(', ')}`);
+    });
+}
+
+/**
+ * アーカイブの発言で、バージョンごとに人物プロファイルを作る
+ */
+async function runProfile(ai, prompts, employee, employees, { channel, since }) {
+    // sync-slack.js は読み込み時にAIクライアントと使用中のバージョンのテンプレートを用意するので、profile の比較のときだけ読み込む
+    const { dateToTs, readAll, normalizeAll, messagesFor } = require('./sync-slack');
+    const privacy = privacyOptions();
+    const consent = consentOf(employee, privacy);
+    if (consent === 'none') {
+        throw new Error(`${employee.name} has not consented to AI analysis (ai_consent: ${employee.ai_consent || 'unset'}).`);
+    }
+
+    const normalized = normalizeAll(readAll({ channel, since: since ? dateToTs(since, 'since') : null }), employees);
+    const { messages, redactions } = messagesFor(employee, employees, normalized, consent, privacy);
+    if (messages.length === 0) {
+        throw new Error(`No archived messages from ${employee.name}${channel ? ` in ${channel}` : ''}.`);
+    }
+    console.log(`Input: ${messages.length} archived message(s) from ${employee.name}.`);
+
+    const sent = describeSent(messages);
+    const options = analysisOptions();
+    const results = [];
+    for (const prompt of prompts) {
+        const profile = await createProfileAnalyzer(ai, { ...options, prompt }).analyze(employee.name, messages, null);
+        appendAudit({
+            employee_id: employee.id,
+            mode: 'compare',
+            consent,
+            ...sent,
+            redactions,
+            provider: ai.provider,
+            prompt: prompt.ref,
+            status: profile.ai_error ? 'failed' : 'ok',
+        });
+        if (profile.ai_error) throw new Error(`AI analysis with ${prompt.ref} failed for ${employee.name}.`);
+        // 引用元は発言の場所だけなので、比較では根拠の文章だけを並べる
+        results.push(stripCitations(profile));
+    }
+    return results;
+}
+
+/**
+ * 保存済みの自己紹介から、バージョンごとに項目を抽出する
+ */
+async function runExtraction(ai, prompts, employee) {
+    if (!employee.self_intro) {
+        throw new Error(`${employee.name} has no self introduction (self_intro) to extract from.`);
+    }
+    const results = [];
+    for (const prompt of prompts) {
+        results.push(await ai.generateJSON(prompt.render('prompt', { self_intro: employee.self_intro }), { label: `${employee.name} (${prompt.ref})` }));
+    }
+    return results;
+}
+
+/**
+ * @param {string} options.id プロンプトID (profile / extraction)
+ * @param {string} options.versionA 左に表示するバージョン
+ * @param {string} options.versionB 右に表示するバージョン
+ * @param {string} options.employee 入力にする社員 (名前または ID)
+ * @param {string} [options.channel] profile: このチャンネルの発言だけを使う
+ * @param {string} [options.since] profile: この日付 (YYYY-MM-DD) 以降の発言だけを使う
+ * @param {number} [options.width] 差分の表示幅 (既定は端末の幅)
+ */
+async function compare({ id, versionA, versionB, employee: query, channel, since, width = process.stdout.columns || 160 }) {
+    if (!COMPARABLE.includes(id)) {
+        throw new UsageError(`Prompt ${id} cannot be compared (supported: ${COMPARABLE.join(', ')})`);
+    }
+    const versions = versionsOf(id);
+    [versionA, versionB].forEach(version => {
+        if (!versions.includes(version)) {
+            throw new UsageError(`Unknown version of prompt ${id}: ${version} (available: ${versions.join(', ') || 'none'})`);
+        }
+    });
+    if (!query) throw new UsageError('--employee is required for prompts compare');
+    if (id !== 'profile' && (channel || since)) {
+        throw new UsageError('--channel and --since can only be used when comparing profile');
+    }
+
+    const employees = loadEmployees();
+    const employee = /^emp-/.test(query) ? findEmployee(employees, { id: query }) : findEmployee(employees, { name: query });
+    if (!employee) throw new UsageError(`Employee not found: ${query}`);
+
+    const ai = createAIClient();
+    if (!ai.isConfigured()) {
+        throw new Error(`AI provider ${ai.provider} is not configured`);
+    }
+    const prompts = [loadPrompt(id, versionA), loadPrompt(id, versionB)];
+    console.log(`Comparing ${prompts[0].ref} (left) with ${prompts[1].ref} (right) for ${employee.name} (${employee.id}) using ${ai.describe()}`);
+
+    const [left, right] = id === 'profile'
+        ? await runProfile(ai, prompts, employee, employees, { channel, since })
+        : await runExtraction(ai, prompts, employee);
+
+    const { text, changes } = renderSideBySide(JSON.stringify(left, null, 2), JSON.stringify(right, null, 2), { width });
+    console.log(`\n${text}\n`);
+    console.log(changes === 0 ? 'No differences.' : `${changes} line(s) differ.`);
+}
+
+if (require.main === module) {
+    runMain(list);
+}
+
+module.exports = {
+    list,
+    compare,
+};
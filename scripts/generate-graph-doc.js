@@ -5,24 +5,31 @@
  * 入力: data/knowledge-graph.json
  * 出力: docs/KNOWLEDGE_GRAPH.md
  * 
- * 実行: node scripts/generate-graph-doc.js
+ * 実行: node scripts/saiteki.js docs
  */
 
 const fs = require('fs');
 const path = require('path');
+const { GRAPH_FILE: INPUT_FILE, DOCS_DIR } = require('./lib/paths');
+const { runMain } = require('./lib/cli');
 
-const INPUT_FILE = path.join(__dirname, '../data/knowledge-graph.json');
-const OUTPUT_FILE = path.join(__dirname, '../docs/KNOWLEDGE_GRAPH.md');
+const OUTPUT_FILE = path.join(DOCS_DIR, 'KNOWLEDGE_GRAPH.md');
 
-const HTML_OUTPUT_FILE = path.join(__dirname, '../docs/index.html');
+const HTML_OUTPUT_FILE = path.join(DOCS_DIR, 'index.html');
 const JS_TEMPLATE_FILE = path.join(__dirname, 'graph-template.js');
 
-function main() {
+// Slack での実際のやり取りのエッジ
+const INTERACTION_LABELS = {
+  REPLIED_TO: '返信',
+  MENTIONED: 'メンション',
+  REACTED_TO: 'リアクション',
+};
+
+function run() {
   console.log('=== ナレッジグラフ ドキュメント生成 ===\n');
 
   if (!fs.existsSync(INPUT_FILE)) {
-    console.error(`入力ファイルが見つかりません: ${INPUT_FILE}`);
-    process.exit(1);
+    throw new Error(`入力ファイルが見つかりません: ${INPUT_FILE}`);
   }
 
   const graph = JSON.parse(fs.readFileSync(INPUT_FILE, 'utf8'));
@@ -33,6 +40,13 @@ function main() {
   const sharedEdges = edges.filter(e => e.type === 'SHARES');
   const aiEdges = edges.filter(e => e.ai_generated);
 
+  // person:<社員ID> → TEAM.md のアンカー付きリンク
+  const personLabels = new Map(personNodes.map(n => [n.id.replace('person:', ''), n.label]));
+  const personLink = (idOrNodeId) => {
+    const id = idOrNodeId.replace('person:', '');
+    return `[${personLabels.get(id) || id}](./TEAM.md#${id})`;
+  };
+
   let md = '';
 
   // ヘッダー
@@ -49,7 +63,7 @@ function main() {
   md += '| スキル | 保有者数 | 社員 |\n| --- | --- | --- |\n';
   skillNodes.forEach(node => {
     const people = node.connectedPeople || [];
-    const linkedPeople = people.map(p => `[${p}](./TEAM.md#${encodeURIComponent(p)})`);
+    const linkedPeople = people.map(personLink);
     md += `| ${node.label} | ${people.length} | ${linkedPeople.join(', ')} |\n`;
   });
   md += '\n';
@@ -62,7 +76,7 @@ function main() {
   md += '| 価値観 | 共有者数 | 社員 |\n| --- | --- | --- |\n';
   valueNodes.forEach(node => {
     const people = node.connectedPeople || [];
-    const linkedPeople = people.map(p => `[${p}](./TEAM.md#${encodeURIComponent(p)})`);
+    const linkedPeople = people.map(personLink);
     md += `| ${node.label} | ${people.length} | ${linkedPeople.join(', ')} |\n`;
   });
   md += '\n';
@@ -75,7 +89,7 @@ function main() {
   md += '| 関心事 | 関心者数 | 社員 |\n| --- | --- | --- |\n';
   interestNodes.forEach(node => {
     const people = node.connectedPeople || [];
-    const linkedPeople = people.map(p => `[${p}](./TEAM.md#${encodeURIComponent(p)})`);
+    const linkedPeople = people.map(personLink);
     md += `| ${node.label} | ${people.length} | ${linkedPeople.join(', ')} |\n`;
   });
   md += '\n';
@@ -90,9 +104,7 @@ function main() {
 
   md += '| 順位 | 社員ペア | 共通数 | 共通スキル | 共通価値観 | 共通関心事 |\n| --- | --- | --- | --- | --- | --- |\n';
   topShared.forEach((edge, i) => {
-    const nameA = edge.source.replace('person:', '');
-    const nameB = edge.target.replace('person:', '');
-    const linkedPair = `[${nameA}](./TEAM.md#${encodeURIComponent(nameA)}) × [${nameB}](./TEAM.md#${encodeURIComponent(nameB)})`;
+    const linkedPair = `${personLink(edge.source)} × ${personLink(edge.target)}`;
     const s = edge.shared || {};
     md += `| ${i + 1} | ${linkedPair} | ${edge.weight} | ${(s.skills || []).join(', ') || '-'} | ${(s.values || []).join(', ') || '-'} | ${(s.interests || []).join(', ') || '-'} |\n`;
   });
@@ -111,9 +123,7 @@ function main() {
       md += '### 補完関係\n\n';
       md += '| 社員ペア | スコア | 理由 |\n| --- | --- | --- |\n';
       complementEdges.forEach(e => {
-        const a = e.source.replace('person:', '');
-        const b = e.target.replace('person:', '');
-        const linkedPair = `[${a}](./TEAM.md#${encodeURIComponent(a)}) × [${b}](./TEAM.md#${encodeURIComponent(b)})`;
+        const linkedPair = `${personLink(e.source)} × ${personLink(e.target)}`;
         md += `| ${linkedPair} | ${e.weight}/10 | ${e.reason || '-'} |\n`;
       });
       md += '\n';
@@ -123,10 +133,8 @@ function main() {
       md += '### メンタリング適性\n\n';
       md += '| メンター → メンティー | スコア | 理由 |\n| --- | --- | --- |\n';
       mentoringEdges.forEach(e => {
-        const a = e.source.replace('person:', '');
-        const b = e.target.replace('person:', '');
-        const linkedA = `[${a}](./TEAM.md#${encodeURIComponent(a)})`;
-        const linkedB = `[${b}](./TEAM.md#${encodeURIComponent(b)})`;
+        const linkedA = personLink(e.source);
+        const linkedB = personLink(e.target);
         const dir = e.direction === 'B→A' ? `${linkedB} → ${linkedA}` : e.direction === 'mutual' ? `${linkedA} ↔ ${linkedB}` : `${linkedA} → ${linkedB}`;
         md += `| ${dir} | ${e.weight}/10 | ${e.reason || '-'} |\n`;
       });
@@ -137,15 +145,43 @@ function main() {
       md += '### チーム相乗効果\n\n';
       md += '| 社員ペア | スコア | 理由 |\n| --- | --- | --- |\n';
       synergyEdges.forEach(e => {
-        const a = e.source.replace('person:', '');
-        const b = e.target.replace('person:', '');
-        const linkedPair = `[${a}](./TEAM.md#${encodeURIComponent(a)}) × [${b}](./TEAM.md#${encodeURIComponent(b)})`;
+        const linkedPair = `${personLink(e.source)} × ${personLink(e.target)}`;
         md += `| ${linkedPair} | ${e.weight}/10 | ${e.reason || '-'} |\n`;
       });
       md += '\n';
     }
   }
 
+  // Slack での実際のやり取り (AI推論の相乗効果と比較できるよう並べる)
+  const interactionEdges = edges.filter(e => INTERACTION_LABELS[e.type]);
+  if (interactionEdges.length > 0) {
+    md += '## Slackでのやり取り\n\n';
+    md += 'Slackでの返信・メンション・リアクションの回数（双方向の合計）です。AIが推論したチーム相乗効果と比べて、実際に協働している組み合わせを確認できます。\n\n';
+
+    const pairKey = (e) => [e.source, e.target].sort().join('|');
+    const pairs = new Map();
+    interactionEdges.forEach(e => {
+      const key = pairKey(e);
+      const pair = pairs.get(key) || { source: e.source, target: e.target, counts: {}, total: 0 };
+      pair.counts[e.type] = (pair.counts[e.type] || 0) + e.weight;
+      pair.total += e.weight;
+      pairs.set(key, pair);
+    });
+    const synergy = new Map(aiEdges.filter(e => e.type === 'TEAM_SYNERGY').map(e => [pairKey(e), e.weight]));
+
+    const types = Object.keys(INTERACTION_LABELS);
+    md += `| 社員ペア | ${types.map(t => INTERACTION_LABELS[t]).join(' | ')} | 合計 | AI推論の相乗効果 |\n`;
+    md += `| --- | ${types.map(() => '---').join(' | ')} | --- | --- |\n`;
+    [...pairs.entries()]
+      .sort(([, a], [, b]) => b.total - a.total)
+      .slice(0, 20)
+      .forEach(([key, pair]) => {
+        const score = synergy.has(key) ? `${synergy.get(key)}/10` : '-';
+        md += `| ${personLink(pair.source)} × ${personLink(pair.target)} | ${types.map(t => pair.counts[t] || 0).join(' | ')} | ${pair.total} | ${score} |\n`;
+      });
+    md += '\n';
+  }
+
   // 統計サマリー
   md += '## 統計サマリー\n\n';
 
@@ -316,6 +352,20 @@ function generateHTML(graph) {
     color: #60a5fa;
     margin-bottom: 8px;
   }
+  .detail-card .basis-badge {
+    display: inline-block;
+    font-size: 10px;
+    color: #cbd5e1;
+    background: #1e293b;
+    border: 1px solid #334155;
+    border-radius: 4px;
+    padding: 2px 6px;
+    margin-bottom: 8px;
+  }
+  .detail-card .basis-badge.stale {
+    color: #fbbf24;
+    border-color: #fbbf2480;
+  }
   .detail-card .summary {
     font-size: 12px;
     color: #94a3b8;
@@ -338,8 +388,9 @@ function generateHTML(graph) {
   .personality-section { margin-top: 12px; }
   .p-bar { display: flex; align-items: center; gap: 8px; margin-bottom: 6px; font-size: 11px; }
   .p-bar .p-label { width: 48px; color: #94a3b8; flex-shrink: 0; }
-  .p-bar .p-track { flex: 1; height: 6px; background: #1e293b; border-radius: 3px; overflow: hidden; }
+  .p-bar .p-track { position: relative; flex: 1; height: 6px; background: #1e293b; border-radius: 3px; overflow: hidden; }
   .p-bar .p-fill { height: 100%; border-radius: 3px; transition: width 0.4s; }
+  .p-bar .p-range { position: absolute; top: 0; height: 100%; box-sizing: border-box; border: 1px solid; border-radius: 3px; background: rgba(255, 255, 255, 0.15); }
   .p-bar .p-score { width: 28px; text-align: right; color: #cbd5e1; font-weight: 600; }
   .connections-list { margin-top: 12px; }
   .connections-list h4 {
@@ -378,6 +429,9 @@ function generateHTML(graph) {
   .conn-type.MENTORING_FIT { background: #f59e0b20; color: #fbbf24; }
   .conn-type.TEAM_SYNERGY { background: #10b98120; color: #34d399; }
   .conn-type.SHARES { background: #3b82f620; color: #60a5fa; }
+  .conn-type.REPLIED_TO { background: #22d3ee20; color: #22d3ee; }
+  .conn-type.MENTIONED { background: #f8717120; color: #f87171; }
+  .conn-type.REACTED_TO { background: #e879f920; color: #e879f9; }
   #graph-container { flex: 1; position: relative; }
   svg { width: 100%; height: 100%; }
   .tooltip {
@@ -452,6 +506,10 @@ function generateHTML(graph) {
         <label class="toggle-row"><input type="checkbox" id="toggle-complements"> 補完関係</label>
         <label class="toggle-row"><input type="checkbox" id="toggle-mentoring"> メンタリング適性</label>
         <label class="toggle-row"><input type="checkbox" id="toggle-synergy"> チーム相乗効果</label>
+        <label style="margin:12px 0 8px">Slackでのやり取り（実績）</label>
+        <label class="toggle-row"><input type="checkbox" id="toggle-replied"> 返信</label>
+        <label class="toggle-row"><input type="checkbox" id="toggle-mentioned"> メンション</label>
+        <label class="toggle-row"><input type="checkbox" id="toggle-reacted"> リアクション</label>
       </div>
     </div>
     <div id="detail-panel">
@@ -473,6 +531,11 @@ function generateHTML(graph) {
       <div class="legend-item"><div class="legend-line" style="background:#a78bfa"></div>補完関係</div>
       <div class="legend-item"><div class="legend-line" style="background:#fbbf24"></div>メンター相性</div>
       <div class="legend-item"><div class="legend-line" style="background:#34d399"></div>チーム相乗効果</div>
+      <div class="legend-divider"></div>
+      <h5>Slackでのやり取り</h5>
+      <div class="legend-item"><div class="legend-line" style="background:#22d3ee"></div>返信</div>
+      <div class="legend-item"><div class="legend-line" style="background:#f87171"></div>メンション</div>
+      <div class="legend-item"><div class="legend-line" style="background:#e879f9"></div>リアクション</div>
     </div>
   </div>
 </div>
@@ -486,5 +549,11 @@ ${jsTemplate.replace('__GRAPH_DATA_PLACEHOLDER__', graphJSON)}
   console.log(`HTML可視化生成完了: ${HTML_OUTPUT_FILE}`);
 }
 
-main();
+if (require.main === module) {
+  runMain(run);
+}
+
+module.exports = {
+  run,
+};
 
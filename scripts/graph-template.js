@@ -20,14 +20,24 @@ const edgeColorMap = {
     COMPLEMENTS: '#a78bfa80',
     MENTORING_FIT: '#fbbf2480',
     TEAM_SYNERGY: '#34d39980',
+    REPLIED_TO: '#22d3ee80',
+    MENTIONED: '#f8717180',
+    REACTED_TO: '#e879f980',
 };
 
 const aiEdgeTypes = ['SHARES', 'COMPLEMENTS', 'MENTORING_FIT', 'TEAM_SYNERGY'];
+// Actual Slack interactions (directed, weight = count)
+const interactionEdgeTypes = ['REPLIED_TO', 'MENTIONED', 'REACTED_TO'];
+// Person-to-person edges, hidden until their toggle is checked
+const relationEdgeTypes = [...aiEdgeTypes, ...interactionEdgeTypes];
 const edgeTypeLabels = {
     'SHARES': '共通事項',
     'COMPLEMENTS': '補完関係',
     'MENTORING_FIT': 'メンター相性',
     'TEAM_SYNERGY': 'チーム相乗効果',
+    'REPLIED_TO': '返信',
+    'MENTIONED': 'メンション',
+    'REACTED_TO': 'リアクション',
     'HAS_SKILL': 'スキル',
     'VALUES': '価値観',
     'INTERESTED_IN': '関心事',
@@ -38,6 +48,9 @@ const edgeTypeColors = {
     'COMPLEMENTS': '#a78bfa',
     'MENTORING_FIT': '#fbbf24',
     'TEAM_SYNERGY': '#34d399',
+    'REPLIED_TO': '#22d3ee',
+    'MENTIONED': '#f87171',
+    'REACTED_TO': '#e879f9',
     'HAS_SKILL': '#60a5fa',
     'VALUES': '#34d399',
     'INTERESTED_IN': '#fb923c',
@@ -97,8 +110,8 @@ class DataProcessor {
         let edges = allEdges.filter(e => {
             // Both ends must be in filtered nodes
             if (!nodeIds.has(e.source?.id || e.source) || !nodeIds.has(e.target?.id || e.target)) return false;
-            // Filter by AI edge types if applicable
-            if ((aiEdgeTypes.includes(e.type) && !visibleEdgeTypes.has(e.type))) return false;
+            // Filter by relation edge types if applicable
+            if ((relationEdgeTypes.includes(e.type) && !visibleEdgeTypes.has(e.type))) return false;
             return true;
         });
 
@@ -159,6 +172,20 @@ class GraphRenderer {
             .append('path')
             .attr('d', 'M0,-5L10,0L0,5')
             .attr('fill', edgeTypeColors['MENTORING_FIT']);
+
+        interactionEdgeTypes.forEach(type => {
+            this.defs.append('marker')
+                .attr('id', 'arrow-' + type)
+                .attr('viewBox', '0 -5 10 10')
+                .attr('refX', 20)
+                .attr('refY', 0)
+                .attr('markerWidth', 5)
+                .attr('markerHeight', 5)
+                .attr('orient', 'auto')
+                .append('path')
+                .attr('d', 'M0,-5L10,0L0,5')
+                .attr('fill', edgeTypeColors[type]);
+        });
     }
 
     initZoom() {
@@ -242,9 +269,9 @@ class GraphRenderer {
         // Setup Simulation
         this.simulation = d3.forceSimulation(data.nodes)
             .force('link', d3.forceLink(data.edges).id(d => d.id).distance(d => {
-                if (d.type === 'SHARES' || aiEdgeTypes.includes(d.type)) return 160;
+                if (relationEdgeTypes.includes(d.type)) return 160;
                 return 100;
-            }).strength(d => aiEdgeTypes.includes(d.type) ? 0.3 : 0.2))
+            }).strength(d => relationEdgeTypes.includes(d.type) ? 0.3 : 0.2))
             .force('charge', d3.forceManyBody().strength(d => d.type === 'person' ? -500 : -120))
             .force('center', d3.forceCenter(this.width / 2, this.height / 2))
             .force('collision', d3.forceCollide().radius(d => d.type === 'person' ? 45 : 20).strength(0.8))
@@ -425,6 +452,10 @@ class GraphRenderer {
             case 'COMPLEMENTS': return { dasharray: '8,4', width: 2, marker: '' };
             case 'MENTORING_FIT': return { dasharray: '2,3', width: 2, marker: 'url(#arrow-mentoring)' };
             case 'TEAM_SYNERGY': return { dasharray: 'none', width: 2.5, marker: '' };
+            case 'REPLIED_TO':
+            case 'MENTIONED':
+            case 'REACTED_TO':
+                return { dasharray: d.type === 'REACTED_TO' ? '1,3' : 'none', width: 1 + Math.log2(d.weight), marker: `url(#arrow-${d.type})` };
             default: return { dasharray: 'none', width: 0.5, marker: '' };
         }
     }
@@ -583,7 +614,10 @@ class UIManager {
             'toggle-shares': 'SHARES',
             'toggle-complements': 'COMPLEMENTS',
             'toggle-mentoring': 'MENTORING_FIT',
-            'toggle-synergy': 'TEAM_SYNERGY'
+            'toggle-synergy': 'TEAM_SYNERGY',
+            'toggle-replied': 'REPLIED_TO',
+            'toggle-mentioned': 'MENTIONED',
+            'toggle-reacted': 'REACTED_TO'
         };
 
         Object.entries(toggleMap).forEach(([id, type]) => {
@@ -639,16 +673,22 @@ class UIManager {
         });
 
         // Chart
+        // Confidence ranges (stability is the inverse of neuroticism, so its range is flipped too)
+        const r = node.personalityRange || {};
         const traits = [
-            { label: '開放性', score: p.O || 0, color: '#60a5fa' },
-            { label: '誠実性', score: p.C || 0, color: '#34d399' },
-            { label: '外向性', score: p.E || 0, color: '#fb923c' },
-            { label: '協調性', score: p.A || 0, color: '#a78bfa' },
-            { label: '安定性', score: 10 - (p.N || 0), color: '#f472b6' },
+            { label: '開放性', score: p.O || 0, range: r.O, color: '#60a5fa' },
+            { label: '誠実性', score: p.C || 0, range: r.C, color: '#34d399' },
+            { label: '外向性', score: p.E || 0, range: r.E, color: '#fb923c' },
+            { label: '協調性', score: p.A || 0, range: r.A, color: '#a78bfa' },
+            { label: '安定性', score: 10 - (p.N || 0), range: r.N && [10 - r.N[1], 10 - r.N[0]], color: '#f472b6' },
         ];
-        const personalityHTML = traits.map(t =>
-            `<div class="p-bar"><span class="p-label">${t.label}</span><div class="p-track"><div class="p-fill" style="width:${t.score * 10}%;background:${t.color}"></div></div><span class="p-score">${t.score}</span></div>`
-        ).join('');
+        const personalityHTML = traits.map(t => {
+            const range = t.range
+                ? `<div class="p-range" style="left:${t.range[0] * 10}%;width:${(t.range[1] - t.range[0]) * 10}%;border-color:${t.color}"></div>`
+                : '';
+            const title = t.range ? ` title="${t.range[0]}–${t.range[1]}"` : '';
+            return `<div class="p-bar"${title}><span class="p-label">${t.label}</span><div class="p-track"><div class="p-fill" style="width:${t.score * 10}%;background:${t.color}"></div>${range}</div><span class="p-score">${t.score}</span></div>`;
+        }).join('');
 
         // Connections List (Improvement D)
         let connHTML = '';
@@ -680,11 +720,42 @@ class UIManager {
             connHTML += '</div>';
         }
 
+        // Actual Slack interactions with each colleague (both directions)
+        const partners = new Map();
+        GRAPH_DATA.edges.forEach(e => {
+            const src = e.source?.id || e.source;
+            const tgt = e.target?.id || e.target;
+            if (!interactionEdgeTypes.includes(e.type) || (src !== node.id && tgt !== node.id)) return;
+            const otherId = src === node.id ? tgt : src;
+            const partner = partners.get(otherId) || { sent: 0, received: 0 };
+            if (src === node.id) partner.sent += e.weight;
+            else partner.received += e.weight;
+            partners.set(otherId, partner);
+        });
+        let interactionHTML = '';
+        if (partners.size > 0) {
+            interactionHTML = '<div class="connections-list"><h4>💬 Slackでよくやり取りする社員</h4>';
+            [...partners.entries()]
+                .sort(([, a], [, b]) => (b.sent + b.received) - (a.sent + a.received))
+                .slice(0, 8)
+                .forEach(([otherId, p]) => {
+                    const otherNode = GRAPH_DATA.nodes.find(n => n.id === otherId);
+                    interactionHTML += `<div class="conn-card" style="cursor:pointer" onclick="window.app.navigateTo('${otherId}')">
+                  <div class="conn-card-header">
+                    <span class="conn-card-name">${otherNode ? otherNode.label : otherId}</span>
+                    <span class="conn-card-badge" style="background:#22d3ee20;color:#22d3ee">${p.sent + p.received}回</span>
+                  </div>
+                  <div class="conn-card-reason">送った: ${p.sent}回 / 受けた: ${p.received}回</div>
+                </div>`;
+                });
+            interactionHTML += '</div>';
+        }
+
         // Attribute Tags (Skills, Values, Interests)
         // Need to find edges that link this person to attributes
         const attrEdges = GRAPH_DATA.edges.filter(e => {
             const src = e.source?.id || e.source;
-            return src === node.id && !aiEdgeTypes.includes(e.type);
+            return src === node.id && !relationEdgeTypes.includes(e.type);
         });
         const attrNodes = attrEdges.map(e => {
             const tgtId = e.target?.id || e.target;
@@ -701,23 +772,40 @@ class UIManager {
         if (interests.length > 0) tagsHTML += '<h4 style="margin:12px 0 6px;font-size:12px;color:#94a3b8">🎯 関心事</h4><div class="conn-card-tags">' + interests.map(i => '<span class="tag tag-interest">' + i.label + '</span>').join('') + '</div>';
 
 
+        // Basis badge: how much data the profile rests on, and whether it is stale
+        let basisHTML = '';
+        if (node.basis) {
+            const b = node.basis;
+            const workspaces = (b.workspaces || []).map(w => (w === 'secondary' ? '幹部用' : 'メイン')).join(' + ');
+            const period = `${(b.from || '?').slice(0, 10)}〜${(b.to || '?').slice(0, 10)}`;
+            basisHTML = `<div class="basis-badge${b.stale ? ' stale' : ''}" title="${period} / ${workspaces} / ${b.channels}チャンネル / ${b.model || ''}">
+              📊 発言 ${b.messages.toLocaleString()}件・${(b.characters || 0).toLocaleString()}文字 (${workspaces})${b.stale ? ' ⚠️ 古い分析' : ''}
+            </div>`;
+        }
+
         this.detailPanel.innerHTML = `
           <div class="detail-card">
             <h3>${node.label}</h3>
             <div class="job">${node.job}</div>
+            ${basisHTML}
             <div class="summary">${node.summary}</div>
             <div class="personality-section">
               <h4 style="font-size:12px;color:#94a3b8;margin-bottom:8px">🧠 性格特性</h4>
               ${personalityHTML}
             </div>
             ${connHTML}
+            ${interactionHTML}
             ${tagsHTML}
           </div>
         `;
     }
 
     renderCategoryDetail(node) {
-        const people = node.connectedPeople || [];
+        // connectedPeople は社員IDの配列なので表示名に変換する
+        const people = (node.connectedPeople || []).map(id => {
+            const personNode = GRAPH_DATA.nodes.find(n => n.id === 'person:' + id);
+            return personNode ? personNode.label : id;
+        });
         this.detailPanel.innerHTML = `
           <div class="detail-card">
             <h3>${node.label}</h3>
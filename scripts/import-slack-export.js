@@ -0,0 +1,112 @@
+/**
+ * import-slack-export.js
+ *
+ * Slack のワークスペースのエクスポート (ディレクトリまたは ZIP) を取り込む
+ * - users.json を社員データと照合し、未登録の Slack ID とメールアドレスを補完する (照合は users import と同じ)
+ * - 公開・プライベートチャンネルのメッセージ (スレッドの返信を含む) を発言のアーカイブ (data/archive/) に追加し、
+ *   社員間のやり取り (data/interactions.json) も記録する
+ * 分析は sync --from-archive と同じ経路で行う (--analyze を付けると取り込みに続けて、取り込んだチャンネル・期間の発言だけで実行する)
+ * ボットが参加する前の発言など、conversations.history では取得できない過去の履歴を分析に使うためのもの
+ *
+ * 実行: node scripts/saiteki.js sync import <dir|zip> [--workspace primary|secondary] [--channel <id|name>] [--dry-run] [--verified-only] [--analyze]
+ */
+
+const { DATA_FILE, loadEmployees, saveEmployees } = require('./lib/employee-store');
+const { readSlackExport } = require('./lib/slack-export');
+const { ARCHIVE_DIR, archiveMessages } = require('./lib/message-archive');
+const { compareTs } = require('./lib/slack-sync-state');
+const { describeUser, matchSlackUsers, splitNameMatches } = require('./lib/slack-directory');
+const { applyMatches } = require('./import-slack-users');
+const { run: syncFromArchive, recordInteractions } = require('./sync-slack');
+const { UsageError, runMain, appendStepSummary } = require('./lib/cli');
+
+const WORKSPACE_FIELDS = { primary: 'slack_id', secondary: 'slack_id_2' };
+
+function printList(title, lines) {
+    if (lines.length === 0) return;
+    console.log(`${title}:`);
+    lines.forEach(line => console.log(`  ${line}`));
+}
+
+/**
+ * @param {string} options.source エクスポートのディレクトリまたは ZIP ファイル
+ * @param {string} [options.workspace] エクスポート元のワークスペース (primary / secondary)
+ * @param {string} [options.channel] このチャンネル (ID または名前) だけを取り込む
+ * @param {boolean} [options.dryRun] 読み込んだ内容を表示するだけで保存しない
+ * @param {boolean} [options.verifiedOnly] Slack ID かメールアドレスで照合した社員だけを更新し、名前だけの照合は一覧に出すだけにする
+ * @param {boolean} [options.analyze] 取り込んだチャンネルの発言で、続けて社員プロフィールを分析する
+ */
+async function run({ source, workspace = 'primary', channel, dryRun = false, verifiedOnly = false, analyze = false } = {}) {
+    const field = WORKSPACE_FIELDS[workspace];
+    if (!field) throw new UsageError(`Unknown workspace: ${workspace} (expected primary or secondary)`);
+    if (dryRun && analyze) throw new UsageError('--analyze cannot be combined with --dry-run');
+
+    const exported = readSlackExport(source, { channel });
+    console.log(`Read ${exported.messages.length} messages from ${exported.channels.length} channel(s) and ${exported.users.length} users in ${source}.`);
+    exported.channels.forEach(c => console.log(`  ${c.id} (#${c.name}): ${c.messages} messages over ${c.days} day(s)`));
+
+    // メッセージは Slack ID で社員に結び付けるので、先に未登録の ID を補完する
+    const employees = loadEmployees();
+    const result = matchSlackUsers(employees.filter(e => e.isActive !== false), exported.users, field);
+    const { verified, nameOnly } = splitNameMatches(result.matches);
+    // 役職などはエクスポート時点のものなので、まだ Slack のプロフィールがない社員だけに入れる
+    const changes = applyMatches(verifiedOnly ? verified : result.matches, field, employee => !employee.slack_profile);
+    console.log(`${result.matches.length} employee(s) matched to Slack users in the export.`);
+    printList('Updated', changes);
+    if (verifiedOnly) {
+        printList('Matched by name only (not applied; check and set the Slack ID with an employee-edit issue)', nameOnly.map(m => `${m.employee.name}: ${describeUser(m.user)}`));
+    }
+    printList('Ambiguous (set the Slack ID with an employee-edit issue)', result.ambiguous.map(a => `${a.employee.name}: ${a.users.map(describeUser).join(' / ')} [by ${a.by}]`));
+    printList('Conflicts (left unchanged)', result.conflicts.map(c => `${c.employee.name}: ${c.reason}`));
+
+    appendStepSummary([
+        '### Slack export import',
+        '',
+        '| Channel | Messages | Days |',
+        '| --- | --- | --- |',
+        ...exported.channels.map(c => `| ${c.id} (#${c.name}) | ${c.messages} | ${c.days} |`),
+        '',
+        `${result.matches.length} employee(s) matched${verifiedOnly ? ` (${nameOnly.length} by name only, not applied)` : ''}, ${result.ambiguous.length} ambiguous, ${result.conflicts.length} conflict(s).`,
+    ].join('\n'));
+
+    if (dryRun) {
+        console.log(`Dry run: ${changes.length} employee update(s) and ${exported.messages.length} message(s) were not saved.`);
+        return;
+    }
+
+    if (changes.length > 0) {
+        const saved = saveEmployees(employees, { source: { type: 'slack-export' } });
+        console.log(`Saved ${changes.length} employee update(s) to ${DATA_FILE}.`);
+        if (saved.quarantined.length > 0) {
+            console.error(`${saved.quarantined.length} record(s) were rejected by schema validation and kept at their previous version.`);
+            process.exitCode = 1;
+        }
+    }
+
+    const { added, updated } = archiveMessages(workspace, exported.messages);
+    console.log(`Archived ${workspace} messages: ${added} new, ${updated} updated (${ARCHIVE_DIR}).`);
+    recordInteractions(employees, { [workspace]: exported.messages });
+
+    if (analyze && exported.messages.length === 0) {
+        console.log('No messages to analyze.');
+    } else if (analyze) {
+        // アーカイブの他のチャンネル・期間 (同期済みの発言) まで分析し直さないよう、取り込んだ範囲に絞る
+        const tss = exported.messages.map(m => m.ts).sort(compareTs);
+        console.log('--- Analysis from the archive ---');
+        await syncFromArchive({
+            fromArchive: true,
+            scope: { workspace, channels: [...new Set(exported.messages.map(m => m.channel))], from: tss[0], to: tss[tss.length - 1] },
+        });
+    } else {
+        console.log('Run `node scripts/saiteki.js sync --from-archive` to analyze the imported messages.');
+    }
+}
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    runMain(() => run({ source: args.find(a => !a.startsWith('--')), dryRun: args.includes('--dry-run'), verifiedOnly: args.includes('--verified-only'), analyze: args.includes('--analyze') }));
+}
+
+module.exports = {
+    run,
+};
@@ -0,0 +1,153 @@
+/**
+ * import-slack-users.js
+ *
+ * Slack のユーザー一覧 (users.list) を両ワークスペースから取得し、社員データと照合する
+ * - 未登録の Slack ID (slack_id / slack_id_2) とメールアドレスを補完する
+ * - 役職・タイムゾーン・アイコンURLを slack_profile に保存する
+ * - 照合できなかった社員・Slack ユーザー、候補が複数ある社員、登録済みの ID と食い違う社員を一覧にする
+ *   (自動では直さないので、確認して社員情報の修正 Issue で反映する)
+ *
+ * 実行: node scripts/saiteki.js users import [--dry-run] [--verified-only]
+ * 必要なスコープ: users:read (メールアドレスでの照合には users:read.email)
+ */
+
+const { DATA_FILE, loadEmployees, saveEmployees } = require('./lib/employee-store');
+const { createSlackClient } = require('./lib/slack-client');
+const { describeUser, profileOf, matchSlackUsers, splitNameMatches, isHuman } = require('./lib/slack-directory');
+const { runMain, appendStepSummary } = require('./lib/cli');
+
+const WORKSPACES = [
+    { name: 'primary', field: 'slack_id', tokenEnv: ['SLACK_BOT_TOKEN', 'SLACK_APP_TOKEN'] },
+    { name: 'secondary', field: 'slack_id_2', tokenEnv: ['SLACK_BOT_TOKEN_2'] },
+];
+
+function tokenOf(workspace, env = process.env) {
+    return workspace.tokenEnv.map(name => env[name]).find(Boolean);
+}
+
+// undefined の項目を落として比較できる形にする
+function compact(obj) {
+    return Object.fromEntries(Object.entries(obj).filter(([, v]) => v !== undefined));
+}
+
+/**
+ * 照合結果を社員データに反映する
+ * @returns {string[]} 変更内容 (ログ用)
+ */
+function applyMatches(matches, field, updateProfile) {
+    const changes = [];
+    matches.forEach(({ employee, user, by }) => {
+        const changed = [];
+        if (!employee[field]) {
+            employee[field] = user.id;
+            changed.push(`${field}=${user.id}`);
+        }
+        if (!employee.email && user.profile?.email) {
+            employee.email = user.profile.email;
+            changed.push(`email=${user.profile.email}`);
+        }
+        if (updateProfile(employee)) {
+            const profile = compact(profileOf(user));
+            if (JSON.stringify(profile) !== JSON.stringify(employee.slack_profile || {})) {
+                employee.slack_profile = profile;
+                changed.push('slack_profile');
+            }
+        }
+        if (changed.length > 0) {
+            employee.updatedAt = new Date().toISOString();
+            changes.push(`${employee.name}: ${changed.join(', ')} (matched by ${by})`);
+        }
+    });
+    return changes;
+}
+
+function printList(title, lines) {
+    if (lines.length === 0) return;
+    console.log(`${title}:`);
+    lines.forEach(line => console.log(`  ${line}`));
+}
+
+/**
+ * @param {boolean} [options.dryRun] 照合結果を表示するだけで保存しない
+ * @param {boolean} [options.verifiedOnly] Slack ID かメールアドレスで照合した社員だけを更新し、名前だけの照合は一覧に出すだけにする
+ */
+async function run({ dryRun = false, verifiedOnly = false } = {}) {
+    const workspaces = WORKSPACES.filter(w => tokenOf(w));
+    if (!workspaces.some(w => w.name === 'primary')) {
+        throw new Error('Missing required environment variable: SLACK_BOT_TOKEN');
+    }
+
+    const employees = loadEmployees();
+    const active = employees.filter(e => e.isActive !== false);
+    const summary = [];
+    const profiled = new Set();
+    let changeCount = 0;
+
+    for (const workspace of workspaces) {
+        console.log(`--- ${workspace.name} workspace ---`);
+        let users;
+        try {
+            users = await createSlackClient({ token: tokenOf(workspace) }).paginate('users.list', { limit: 200 }, 'members');
+        } catch (e) {
+            console.error(`Failed to fetch users from the ${workspace.name} workspace: ${e.message}`);
+            summary.push(`| ${workspace.name} | failed: ${e.code || e.message} | | | | | |`);
+            process.exitCode = 1;
+            continue;
+        }
+
+        const result = matchSlackUsers(active, users, workspace.field);
+        const { verified, nameOnly } = splitNameMatches(result.matches);
+        const applied = verifiedOnly ? verified : result.matches;
+        // 役職などは主ワークスペースを優先し、主ワークスペースで照合できなかった社員だけ2つ目から取る
+        const changes = applyMatches(applied, workspace.field, employee => !profiled.has(employee.id));
+        applied.forEach(m => profiled.add(m.employee.id));
+        changeCount += changes.length;
+
+        console.log(`${users.filter(isHuman).length} people in Slack, ${result.matches.length} matched to employees.`);
+        printList('Updated', changes);
+        if (verifiedOnly) {
+            printList('Matched by name only (not applied; check and set the Slack ID with an employee-edit issue)', nameOnly.map(m => `${m.employee.name}: ${describeUser(m.user)}`));
+        }
+        printList('Ambiguous (set the Slack ID with an employee-edit issue)', result.ambiguous.map(a => `${a.employee.name}: ${a.users.map(describeUser).join(' / ')} [by ${a.by}]`));
+        printList('Conflicts (left unchanged)', result.conflicts.map(c => `${c.employee.name}: ${c.reason}`));
+        // 2つ目のワークスペース (幹部用) には一部の社員しかいないので、未照合の社員は主ワークスペースだけ表示する
+        if (workspace.name === 'primary') {
+            printList('Employees not found in Slack', result.unmatchedEmployees.map(e => e.name));
+        }
+        printList('Slack members without an employee record', result.unmatchedUsers.map(describeUser));
+
+        summary.push(`| ${workspace.name} | ${applied.length} | ${verifiedOnly ? nameOnly.length : '-'} | ${result.ambiguous.length} | ${result.conflicts.length} | ${workspace.name === 'primary' ? result.unmatchedEmployees.length : '-'} | ${result.unmatchedUsers.length} |`);
+    }
+
+    appendStepSummary([
+        '### Slack user import',
+        '',
+        '| Workspace | Matched | Name only (not applied) | Ambiguous | Conflicts | Employees not in Slack | Slack members not registered |',
+        '| --- | --- | --- | --- | --- | --- | --- |',
+        ...summary,
+    ].join('\n'));
+
+    if (changeCount === 0) {
+        console.log('No updates performed.');
+        return;
+    }
+    if (dryRun) {
+        console.log(`Dry run: ${changeCount} employee update(s) were not saved.`);
+        return;
+    }
+    const result = saveEmployees(employees, { source: { type: 'slack-users' } });
+    console.log(`Saved ${changeCount} employee update(s) to ${DATA_FILE}.`);
+    if (result.quarantined.length > 0) {
+        console.error(`${result.quarantined.length} record(s) were rejected by schema validation and kept at their previous version.`);
+        process.exitCode = 1;
+    }
+}
+
+if (require.main === module) {
+    runMain(() => run({ dryRun: process.argv.includes('--dry-run'), verifiedOnly: process.argv.includes('--verified-only') }));
+}
+
+module.exports = {
+    run,
+    applyMatches,
+};
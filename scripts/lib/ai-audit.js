@@ -0,0 +1,56 @@
+/**
+ * ai-audit.js
+ *
+ * AI分析に何を送ったかの監査ログ (data/ai-audit.jsonl)
+ * 1行1分析の追記専用ファイル。発言の本文は記録せず、チャンネル・期間・件数・文字数・伏せ字の件数だけを残す
+ * 分析に失敗した回も、送信した事実は残るので記録する
+ *
+ * {"at":"...","employee_id":"emp-...","mode":"sync","consent":"all","workspaces":["primary"],"channels":["primary:C0123"],
+ *  "from":"...","to":"...","messages":12,"characters":3456,"redactions":{"emails":1},"provider":"vertex-publisher","prompt":"profile@v1",
+ *  "existing_profile":true,"status":"ok"}
+ * ナレッジグラフのペア分析 (mode: "graph") は発言ではなくプロフィールを送るので、送った項目 (fields) とペアの数 (pairs) を記録する
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./paths');
+
+const AUDIT_FILE = path.join(DATA_DIR, 'ai-audit.jsonl');
+
+/**
+ * 1人分の分析で送るメッセージから監査ログの項目を作る
+ * @param {object[]} messages 送るメッセージ (workspace / channel / ts / text を持つ)
+ */
+function describeSent(messages) {
+    const timestamps = messages.map(m => Number(m.ts)).sort((a, b) => a - b);
+    const toIso = (ts) => new Date(ts * 1000).toISOString();
+    return {
+        workspaces: [...new Set(messages.map(m => m.workspace))].sort(),
+        channels: [...new Set(messages.map(m => `${m.workspace}:${m.channel}`))].sort(),
+        from: timestamps.length > 0 ? toIso(timestamps[0]) : null,
+        to: timestamps.length > 0 ? toIso(timestamps[timestamps.length - 1]) : null,
+        messages: messages.length,
+        characters: messages.reduce((sum, m) => sum + m.text.length, 0),
+    };
+}
+
+function appendAudit(entry, file = AUDIT_FILE) {
+    const dir = path.dirname(file);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    fs.appendFileSync(file, JSON.stringify({ at: new Date().toISOString(), ...entry }) + '\n');
+}
+
+function readAudit(file = AUDIT_FILE) {
+    if (!fs.existsSync(file)) return [];
+    return fs.readFileSync(file, 'utf8')
+        .split('\n')
+        .filter(line => line.trim() !== '')
+        .map(line => JSON.parse(line));
+}
+
+module.exports = {
+    AUDIT_FILE,
+    describeSent,
+    appendAudit,
+    readAudit,
+};
@@ -0,0 +1,273 @@
+/**
+ * ai-client.js
+ *
+ * 全スクリプト共通のAIクライアント
+ * - プロバイダ切り替え: Vertex AI カスタムエンドポイント / Vertex AI パブリッシャーモデル / OpenAI互換サーバー
+ * - 429・5xx・タイムアウト時の指数バックオフによるリトライ
+ * - ストリーミングレスポンス (streamGenerateContent) のチャンク結合と JSON 抽出
+ *
+ * 環境変数:
+ *   AI_PROVIDER       vertex-endpoint | vertex-publisher | openai-compatible (省略時は自動判定)
+ *   GEMINI_API_KEY, GCP_PROJECT_ID, GCP_LOCATION, GCP_ENDPOINT_ID, GCP_MODEL_ID   (Vertex AI)
+ *   AI_BASE_URL, AI_MODEL, AI_API_KEY                                            (OpenAI互換)
+ *   VERTEX_API_BASE_URL  Vertex AI のベースURL (既定 https://<GCP_LOCATION>-aiplatform.googleapis.com)
+ *   AI_TIMEOUT_MS (既定 120000), AI_MAX_RETRIES (既定 4)
+ */
+
+const { loadConfig } = require('./config');
+
+const DEFAULT_MODEL = 'gemini-2.5-flash';
+const DEFAULT_TIMEOUT_MS = 120000;
+const DEFAULT_MAX_RETRIES = 4;
+const BASE_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 60000;
+
+class AIError extends Error {
+    constructor(message, { status, retryable = false } = {}) {
+        super(message);
+        this.name = 'AIError';
+        this.status = status;
+        this.retryable = retryable;
+    }
+}
+
+// ============================================================
+// プロバイダ
+// ============================================================
+function vertexRequest(url, prompt, { json }) {
+    return {
+        url,
+        body: {
+            contents: [{ role: 'user', parts: [{ text: prompt }] }],
+            ...(json ? { generation_config: { response_mime_type: 'application/json' } } : {}),
+        },
+    };
+}
+
+const providers = {
+    'vertex-endpoint': {
+        requiredEnv: ['apiKey', 'projectId', 'endpointId'],
+        describe: (cfg) => `Vertex AI endpoint ${cfg.endpointId} (v1beta1)`,
+        buildRequest: (cfg, prompt, opts) => vertexRequest(
+            `${vertexBaseUrl(cfg)}/v1beta1/projects/${cfg.projectId}/locations/${cfg.location}/endpoints/${cfg.endpointId}:streamGenerateContent?key=${cfg.apiKey}`,
+            prompt, opts),
+        parseResponse: parseVertexStream,
+    },
+    'vertex-publisher': {
+        requiredEnv: ['apiKey', 'projectId'],
+        describe: (cfg) => `Vertex AI model ${modelPath(cfg.model)} (v1)`,
+        buildRequest: (cfg, prompt, opts) => vertexRequest(
+            `${vertexBaseUrl(cfg)}/v1/projects/${cfg.projectId}/locations/${cfg.location}/${modelPath(cfg.model)}:streamGenerateContent?key=${cfg.apiKey}`,
+            prompt, opts),
+        parseResponse: parseVertexStream,
+    },
+    'openai-compatible': {
+        requiredEnv: ['baseUrl', 'model'],
+        describe: (cfg) => `OpenAI-compatible server ${cfg.baseUrl} (${cfg.model})`,
+        buildRequest: (cfg, prompt, { json }) => ({
+            url: `${cfg.baseUrl.replace(/\/$/, '')}/chat/completions`,
+            headers: cfg.apiKey ? { Authorization: `Bearer ${cfg.apiKey}` } : {},
+            body: {
+                model: cfg.model,
+                messages: [{ role: 'user', content: prompt }],
+                ...(json ? { response_format: { type: 'json_object' } } : {}),
+            },
+        }),
+        parseResponse: (data) => data?.choices?.[0]?.message?.content || '',
+    },
+};
+
+function vertexBaseUrl(cfg) {
+    return (cfg.vertexBaseUrl || `https://${cfg.location}-aiplatform.googleapis.com`).replace(/\/$/, '');
+}
+
+function modelPath(model) {
+    return model.startsWith('gemini-') ? `publishers/google/models/${model}` : `models/${model}`;
+}
+
+/**
+ * streamGenerateContent のレスポンス (チャンク配列 or 単一オブジェクト) からテキストを結合する
+ */
+function parseVertexStream(data) {
+    const chunks = Array.isArray(data) ? data : [data];
+    const text = chunks
+        .map(chunk => (chunk?.candidates?.[0]?.content?.parts || []).map(part => part.text || '').join(''))
+        .join('');
+
+    if (!text) {
+        const blockReason = chunks.find(c => c?.promptFeedback?.blockReason)?.promptFeedback.blockReason;
+        const finishReason = chunks.map(c => c?.candidates?.[0]?.finishReason).filter(Boolean).pop();
+        throw new AIError(`Empty response from model${blockReason ? ` (blocked: ${blockReason})` : ''}${finishReason ? ` (finishReason: ${finishReason})` : ''}`);
+    }
+    return text;
+}
+
+// ============================================================
+// JSON 抽出
+// ============================================================
+/**
+ * モデル出力から JSON を取り出す
+ * Markdown のコードブロックや前後の説明文、末尾カンマが混じっていても読めるようにする
+ */
+function parseJSON(text) {
+    const trimmed = text.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+    try {
+        return JSON.parse(trimmed);
+    } catch (e) {
+        // 最初の { / [ から最後の } / ] までを取り出して再試行
+    }
+
+    const start = trimmed.search(/[{[]/);
+    const end = Math.max(trimmed.lastIndexOf('}'), trimmed.lastIndexOf(']'));
+    if (start === -1 || end === -1 || end < start) {
+        throw new AIError(`AI JSON parse failed: no JSON found\nContent snippet: ${trimmed.substring(0, 100)}`);
+    }
+
+    let jsonPart = trimmed.substring(start, end + 1);
+    // 文字列内のリテラル改行・タブをスペースに置換
+    jsonPart = jsonPart.replace(/[\r\n\t]+/g, ' ');
+    // 末尾カンマ・連続カンマの削除
+    jsonPart = jsonPart.replace(/,(\s*[\]}])/g, '$1').replace(/,\s*,/g, ',');
+
+    try {
+        return JSON.parse(jsonPart);
+    } catch (e) {
+        throw new AIError(`AI JSON parse failed: ${e.message}\nContent snippet: ${jsonPart.substring(0, 100)}`);
+    }
+}
+
+// ============================================================
+// クライアント
+// ============================================================
+function configFromEnv(env = process.env) {
+    loadConfig();
+    return {
+        provider: env.AI_PROVIDER,
+        apiKey: env.GEMINI_API_KEY,
+        projectId: env.GCP_PROJECT_ID,
+        location: env.GCP_LOCATION || 'us-central1',
+        endpointId: env.GCP_ENDPOINT_ID,
+        model: env.AI_PROVIDER === 'openai-compatible' ? env.AI_MODEL : (env.GCP_MODEL_ID || DEFAULT_MODEL),
+        baseUrl: env.AI_BASE_URL,
+        vertexBaseUrl: env.VERTEX_API_BASE_URL,
+        timeoutMs: Number(env.AI_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS,
+        maxRetries: env.AI_MAX_RETRIES !== undefined ? Number(env.AI_MAX_RETRIES) : DEFAULT_MAX_RETRIES,
+    };
+}
+
+function resolveProvider(cfg) {
+    if (cfg.provider) return cfg.provider;
+    if (cfg.endpointId) return 'vertex-endpoint';
+    return 'vertex-publisher';
+}
+
+function sleep(ms) {
+    return new Promise(r => setTimeout(r, ms));
+}
+
+function backoffDelay(attempt, retryAfterHeader) {
+    const retryAfter = Number(retryAfterHeader);
+    if (retryAfter > 0) return Math.min(retryAfter * 1000, MAX_BACKOFF_MS);
+    const exp = Math.min(BASE_BACKOFF_MS * 2 ** attempt, MAX_BACKOFF_MS);
+    return exp / 2 + Math.random() * exp / 2;
+}
+
+function isRetryableStatus(status) {
+    return status === 429 || status >= 500;
+}
+
+/**
+ * AIクライアントを生成する
+ * @param {object} [overrides] configFromEnv() の値を上書きする設定
+ */
+function createAIClient(overrides = {}) {
+    const cfg = { ...configFromEnv(), ...overrides };
+    cfg.provider = resolveProvider(cfg);
+    const provider = providers[cfg.provider];
+    if (!provider) {
+        throw new AIError(`Unknown AI_PROVIDER: ${cfg.provider} (expected one of: ${Object.keys(providers).join(', ')})`);
+    }
+
+    const missing = provider.requiredEnv.filter(key => !cfg[key]);
+
+    async function requestOnce(prompt, opts) {
+        const { url, headers = {}, body } = provider.buildRequest(cfg, prompt, opts);
+        const controller = new AbortController();
+        // 本文の受信が途中で止まっても打ち切れるよう、タイマーは本文を読み終えるまで止めない
+        const timer = setTimeout(() => controller.abort(), cfg.timeoutMs);
+        let data;
+        try {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...headers },
+                body: JSON.stringify(body),
+                signal: controller.signal,
+            });
+
+            if (!response.ok) {
+                const errorText = await response.text().catch(() => '');
+                const error = new AIError(`AI API ${response.status}: ${errorText.substring(0, 500)}`, {
+                    status: response.status,
+                    retryable: isRetryableStatus(response.status),
+                });
+                error.retryAfter = response.headers.get('retry-after');
+                throw error;
+            }
+
+            data = await response.json();
+        } catch (e) {
+            if (e instanceof AIError || e instanceof SyntaxError) throw e;
+            const message = e.name === 'AbortError' ? `Request timed out after ${cfg.timeoutMs}ms` : `Network error: ${e.message}`;
+            throw new AIError(message, { retryable: true });
+        } finally {
+            clearTimeout(timer);
+        }
+
+        return provider.parseResponse(data);
+    }
+
+    /**
+     * プロンプトを送信してテキストを返す (リトライ付き)
+     * @param {object} [opts.json] JSON出力を要求する
+     * @param {string} [opts.label] ログ用のラベル
+     */
+    async function generate(prompt, { json = false, label = '' } = {}) {
+        if (missing.length > 0) {
+            throw new AIError(`AI provider ${cfg.provider} is not configured (missing: ${missing.join(', ')})`);
+        }
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await requestOnce(prompt, { json });
+            } catch (e) {
+                if (!e.retryable || attempt >= cfg.maxRetries) throw e;
+                const delay = backoffDelay(attempt, e.retryAfter);
+                console.warn(`  AI request${label ? ` (${label})` : ''} failed: ${e.message.split('\n')[0]}. Retrying in ${Math.round(delay)}ms (${attempt + 1}/${cfg.maxRetries})`);
+                await sleep(delay);
+            }
+        }
+    }
+
+    async function generateJSON(prompt, opts = {}) {
+        const text = await generate(prompt, { ...opts, json: true });
+        return parseJSON(text);
+    }
+
+    return {
+        provider: cfg.provider,
+        // 分析の根拠として記録するモデル (カスタムエンドポイントはエンドポイントID)
+        model: cfg.provider === 'vertex-endpoint' ? `endpoints/${cfg.endpointId}` : cfg.model,
+        isConfigured: () => missing.length === 0,
+        describe: () => provider.describe(cfg),
+        generate,
+        generateJSON,
+    };
+}
+
+module.exports = {
+    DEFAULT_MODEL,
+    AIError,
+    createAIClient,
+    parseVertexStream,
+    parseJSON,
+};
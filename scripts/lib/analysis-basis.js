@@ -0,0 +1,66 @@
+/**
+ * analysis-basis.js
+ *
+ * プロフィールの分析の根拠になったデータ量 (社員レコードの analysis_basis)
+ * どれだけの発言から分析したのか、幹部用ワークスペースの発言を含むのか、どのモデルで分析したのかを残す
+ *
+ * 差分の同期では新しい発言だけを分析して既存の分析結果と統合するので、件数・文字数・期間・チャンネルは分析のたびに積み上げる
+ * 以前の期間をすべて含む再分析 (--full やアーカイブからの再分析) は積み上げず置き換える
+ *
+ * {"messages":2000,"characters":120000,"from":"...","to":"...","workspaces":["primary","secondary"],
+ *  "channels":["primary:C0123"],"runs":12,"last_run":{"messages":40,"characters":2400,"from":"...","to":"..."},
+ *  "provider":"vertex-publisher","model":"gemini-2.5-flash"}
+ *
+ * 最後の発言から PROFILE_STALE_WEEKS 週 (既定 8週) 以上新しい発言がないプロフィールは古いものとして表示する
+ */
+
+const { loadConfig } = require('./config');
+
+const DEFAULT_STALE_WEEKS = 8;
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+const union = (a = [], b = []) => [...new Set([...a, ...b])].sort();
+
+/**
+ * 今回の分析の根拠を、保存済みの根拠に積み上げる
+ * @param {object|undefined} previous 保存済みの analysis_basis
+ * @param {object} sent 今回AIに送った発言 (ai-audit.js の describeSent() の値)
+ * @param {{ provider: string, model: string }} ai 分析に使ったAIクライアント
+ */
+function updateBasis(previous, sent, ai) {
+    const lastRun = { messages: sent.messages, characters: sent.characters, from: sent.from, to: sent.to };
+    const covers = previous?.from && sent.from && sent.to && sent.from <= previous.from && sent.to >= previous.to;
+    const base = previous && !covers ? previous : { messages: 0, characters: 0, runs: 0 };
+    return {
+        messages: base.messages + sent.messages,
+        characters: base.characters + sent.characters,
+        from: [base.from, sent.from].filter(Boolean).sort()[0],
+        to: [base.to, sent.to].filter(Boolean).sort().pop(),
+        workspaces: union(base.workspaces, sent.workspaces),
+        channels: union(base.channels, sent.channels),
+        runs: base.runs + 1,
+        last_run: lastRun,
+        provider: ai.provider,
+        model: ai.model,
+    };
+}
+
+function staleWeeks(env = process.env) {
+    loadConfig();
+    return Number(env.PROFILE_STALE_WEEKS) || DEFAULT_STALE_WEEKS;
+}
+
+/**
+ * 最後の発言から weeks 週以上経っているか (根拠の記録がないプロフィールは判定しない)
+ */
+function isStale(basis, { weeks = staleWeeks(), now = Date.now() } = {}) {
+    if (!basis?.to) return false;
+    return now - Date.parse(basis.to) >= weeks * WEEK_MS;
+}
+
+module.exports = {
+    DEFAULT_STALE_WEEKS,
+    updateBasis,
+    staleWeeks,
+    isStale,
+};
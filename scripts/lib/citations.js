@@ -0,0 +1,118 @@
+/**
+ * citations.js
+ *
+ * プロファイルの根拠 (evidence / evidence_episodes) と元の Slack の発言との対応付け
+ * プロンプトでは発言ごとに短い参照ID ([m12] など) を付け、AI には根拠ごとに参照IDを refs で挙げさせる
+ * 応答の refs は発言の場所 (workspace / channel / ts) に置き換えて citations として保存する
+ *
+ *   "openness": { "score": 7, "evidence": "...", "citations": [{ "workspace": "primary", "channel": "C0123", "ts": "1680490000.000100" }] }
+ *   "evidence_episodes": ["引用のないエピソード", { "text": "...", "citations": [...] }]
+ *
+ * TEAM.md では citations を Slack のパーマリンクにする。ワークスペースのURLは設定ファイルの
+ * slack.workspaceUrl / slack.secondaryWorkspaceUrl (環境変数 SLACK_WORKSPACE_URL / SLACK_WORKSPACE_URL_2) で指定する
+ */
+
+const { loadConfig } = require('./config');
+
+const TRAITS = ['openness', 'conscientiousness', 'extraversion', 'agreeableness', 'neuroticism'];
+const EPISODE_SECTIONS = ['work_styles_and_strengths', 'values_and_motivators'];
+
+/**
+ * 発言を古い順に並べて参照ID (m1, m2, ...) を付ける
+ * @param {object[]} messages workspace / channel / ts を持つメッセージ
+ * @returns {{ messages: object[], refs: Map<string, { workspace: string, channel: string, ts: string }> }}
+ */
+function assignRefs(messages) {
+    const refs = new Map();
+    const sorted = [...messages]
+        .sort((a, b) => Number(a.ts) - Number(b.ts))
+        .map((message, index) => {
+            const ref = `m${index + 1}`;
+            refs.set(ref, { workspace: message.workspace, channel: message.channel, ts: message.ts });
+            return { ...message, ref };
+        });
+    return { messages: sorted, refs };
+}
+
+/**
+ * 参照IDの配列を citations にする (プロンプトにない参照IDは捨てる)
+ */
+function toCitations(ids, refs) {
+    const seen = new Set();
+    return (Array.isArray(ids) ? ids : [])
+        .map(id => String(id).replace(/^\[|\]$/g, '').trim())
+        .filter(id => refs.has(id) && !seen.has(id) && seen.add(id))
+        .map(id => ({ ...refs.get(id) }));
+}
+
+/**
+ * AI の応答の refs を citations に置き換える
+ * 引用のないエピソードは従来どおり文字列のまま残す
+ */
+function resolveCitations(profile, refs) {
+    if (!profile || profile.ai_error) return profile;
+    const resolved = JSON.parse(JSON.stringify(profile));
+
+    const traits = resolved.personality_traits || {};
+    TRAITS.forEach(trait => {
+        const data = traits[trait];
+        if (!data || typeof data !== 'object') return;
+        const citations = toCitations(data.refs, refs);
+        delete data.refs;
+        if (citations.length > 0) data.citations = citations;
+    });
+
+    EPISODE_SECTIONS.forEach(key => {
+        const section = resolved[key];
+        if (!section || !Array.isArray(section.evidence_episodes)) return;
+        section.evidence_episodes = section.evidence_episodes.map(episode => {
+            if (!episode || typeof episode !== 'object') return episode;
+            const citations = toCitations(episode.refs, refs);
+            return citations.length > 0 ? { text: episode.text, citations } : episode.text;
+        });
+    });
+    return resolved;
+}
+
+/**
+ * 既存の分析結果から citations を除く (過去の発言の場所はプロンプトでは参照できない)
+ */
+function stripCitations(profile) {
+    return JSON.parse(JSON.stringify(profile), (key, value) => {
+        if (key === 'citations') return undefined;
+        // 引用付きのエピソードは文字列に戻す
+        if (value && typeof value === 'object' && !Array.isArray(value) && typeof value.text === 'string' && Object.keys(value).length === 1) {
+            return value.text;
+        }
+        return value;
+    });
+}
+
+/**
+ * ワークスペースごとのURL (https://example.slack.com)
+ */
+function workspaceUrls(env = process.env) {
+    loadConfig();
+    const trim = (url) => (url ? url.replace(/\/+$/, '') : null);
+    return {
+        primary: trim(env.SLACK_WORKSPACE_URL),
+        secondary: trim(env.SLACK_WORKSPACE_URL_2),
+    };
+}
+
+/**
+ * 発言の Slack のパーマリンク (ワークスペースのURLが未設定なら null)
+ */
+function permalink({ workspace, channel, ts }, urls) {
+    const base = urls[workspace];
+    if (!base || !channel || !ts) return null;
+    return `${base}/archives/${channel}/p${String(ts).replace('.', '')}`;
+}
+
+module.exports = {
+    assignRefs,
+    resolveCitations,
+    stripCitations,
+    workspaceUrls,
+    permalink,
+};
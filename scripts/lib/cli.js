@@ -0,0 +1,82 @@
+/**
+ * cli.js
+ *
+ * コマンドラインの共通処理 (引数の解析・エラー時の終了コード)
+ *
+ * 終了コード:
+ *   0  成功
+ *   1  実行時エラー (データ不正・API失敗・スキーマ検証で退避されたレコードがある場合など)
+ *   2  使い方の誤り (不明なコマンド・引数不足)
+ */
+
+const fs = require('fs');
+
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+/**
+ * `--flag` / `--key value` / `--key=value` と位置引数に分ける
+ * @param {string[]} argv
+ * @param {string[]} [valueOptions] 値を取るオプション名 (`--` なし)
+ */
+function parseArgs(argv, valueOptions = []) {
+    const positional = [];
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            positional.push(arg);
+            continue;
+        }
+        const [key, inlineValue] = arg.slice(2).split(/=(.*)/s);
+        if (inlineValue !== undefined) {
+            options[key] = inlineValue;
+        } else if (valueOptions.includes(key)) {
+            if (i + 1 >= argv.length) throw new UsageError(`Option --${key} requires a value`);
+            options[key] = argv[++i];
+        } else {
+            options[key] = true;
+        }
+    }
+    return { positional, options };
+}
+
+/**
+ * スクリプトのエントリーポイントを実行し、例外を終了コードに変換する
+ */
+function runMain(fn) {
+    Promise.resolve()
+        .then(fn)
+        .catch(error => {
+            console.error(`Error: ${error.message}`);
+            process.exit(error instanceof UsageError ? 2 : 1);
+        });
+}
+
+/**
+ * GitHub Actions のステップ出力 (GITHUB_OUTPUT) に値を書き出す (Actions の外では何もしない)
+ */
+function setOutput(name, value) {
+    if (!process.env.GITHUB_OUTPUT) return;
+    fs.appendFileSync(process.env.GITHUB_OUTPUT, `${name}=${value}\n`);
+}
+
+/**
+ * GitHub Actions のジョブサマリー (GITHUB_STEP_SUMMARY) に Markdown を追記する (Actions の外では何もしない)
+ */
+function appendStepSummary(markdown) {
+    if (!process.env.GITHUB_STEP_SUMMARY) return;
+    fs.appendFileSync(process.env.GITHUB_STEP_SUMMARY, `${markdown}\n`);
+}
+
+module.exports = {
+    UsageError,
+    parseArgs,
+    runMain,
+    setOutput,
+    appendStepSummary,
+};
@@ -0,0 +1,100 @@
+/**
+ * config.js
+ *
+ * 設定ファイル (saiteki.config.json) の読み込み
+ * 設定ファイルの値は、対応する環境変数が未設定のときだけ環境変数に反映する
+ * 優先順: 環境変数 (.env を含む) → 設定ファイル → 各モジュールの既定値
+ *
+ * .env もここで読み込む。設定ファイルの場所は SAITEKI_CONFIG で変更できる (既定はリポジトリ直下の saiteki.config.json)
+ * トークンやAPIキーなどの秘密情報は設定ファイルに書かず、環境変数で渡すこと
+ */
+
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config({ quiet: true });
+
+const DEFAULT_CONFIG_FILE = path.join(__dirname, '../../saiteki.config.json');
+
+// 設定ファイルのキー → 環境変数
+const ENV_MAPPING = {
+    'slack.apiBaseUrl': 'SLACK_API_BASE_URL',
+    'slack.channels': 'SLACK_CHANNEL_ID',
+    'slack.secondaryChannels': 'SLACK_CHANNEL_ID_2',
+    'slack.requestDelayMs': 'SLACK_REQUEST_DELAY_MS',
+    'slack.maxRetries': 'SLACK_MAX_RETRIES',
+    'slack.timeoutMs': 'SLACK_TIMEOUT_MS',
+    'slack.threadFollowDays': 'SLACK_THREAD_FOLLOW_DAYS',
+    'slack.workspaceUrl': 'SLACK_WORKSPACE_URL',
+    'slack.secondaryWorkspaceUrl': 'SLACK_WORKSPACE_URL_2',
+    'ai.provider': 'AI_PROVIDER',
+    'ai.projectId': 'GCP_PROJECT_ID',
+    'ai.location': 'GCP_LOCATION',
+    'ai.endpointId': 'GCP_ENDPOINT_ID',
+    'ai.model': ['GCP_MODEL_ID', 'AI_MODEL'],
+    'ai.baseUrl': 'AI_BASE_URL',
+    'ai.vertexBaseUrl': 'VERTEX_API_BASE_URL',
+    'ai.timeoutMs': 'AI_TIMEOUT_MS',
+    'ai.maxRetries': 'AI_MAX_RETRIES',
+    'ai.batchDelayMs': 'AI_BATCH_DELAY_MS',
+    'ai.concurrency': 'AI_CONCURRENCY',
+    'ai.chunkTokens': 'AI_CHUNK_TOKENS',
+    'ai.chunkWindowDays': 'AI_CHUNK_WINDOW_DAYS',
+    'profile.staleWeeks': 'PROFILE_STALE_WEEKS',
+    'paths.dataDir': 'SAITEKI_DATA_DIR',
+    'paths.docsDir': 'SAITEKI_DOCS_DIR',
+    'paths.templateDir': 'SAITEKI_TEMPLATE_DIR',
+    'paths.promptsDir': 'SAITEKI_PROMPTS_DIR',
+};
+
+// パスは設定ファイルのあるディレクトリからの相対パスとして解決する
+const PATH_KEYS = ['paths.dataDir', 'paths.docsDir', 'paths.templateDir', 'paths.promptsDir'];
+
+let loaded = null;
+
+function getByPath(obj, keyPath) {
+    return keyPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj);
+}
+
+function toEnvValue(value) {
+    return Array.isArray(value) ? value.join(',') : String(value);
+}
+
+/**
+ * 設定ファイルを読み込み、未設定の環境変数に反映する (2回目以降はキャッシュを返す)
+ * @returns {{ file: string|null, config: object }}
+ */
+function loadConfig() {
+    if (loaded) return loaded;
+
+    const file = process.env.SAITEKI_CONFIG ? path.resolve(process.env.SAITEKI_CONFIG) : DEFAULT_CONFIG_FILE;
+    if (!fs.existsSync(file)) {
+        if (process.env.SAITEKI_CONFIG) throw new Error(`Config file not found: ${file}`);
+        loaded = { file: null, config: {} };
+        return loaded;
+    }
+
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+        throw new Error(`Error parsing config file ${file}: ${e.message}`);
+    }
+
+    Object.entries(ENV_MAPPING).forEach(([keyPath, envNames]) => {
+        let value = getByPath(config, keyPath);
+        if (value === undefined || value === null) return;
+        if (PATH_KEYS.includes(keyPath)) value = path.resolve(path.dirname(file), value);
+        [].concat(envNames).forEach(name => {
+            if (process.env[name] === undefined) process.env[name] = toEnvValue(value);
+        });
+    });
+
+    loaded = { file, config };
+    return loaded;
+}
+
+module.exports = {
+    DEFAULT_CONFIG_FILE,
+    ENV_MAPPING,
+    loadConfig,
+};
@@ -0,0 +1,88 @@
+/**
+ * employee-identity.js
+ *
+ * 社員の不変ID (`id`) の採番と、名前・別名 (`aliases`) による照合
+ * 名前は改名や表記揺れ (「開米 敦則」/「開米敦則」など) があるため、
+ * レコードの特定・グラフのノードID・ドキュメントのアンカーはすべて `id` を使う
+ */
+
+const crypto = require('crypto');
+
+const EMPLOYEE_ID_PATTERN = /^emp-[0-9a-f]{8}$/;
+
+function generateEmployeeId(employees = []) {
+    const used = new Set(employees.map(e => e.id));
+    let id;
+    do {
+        id = `emp-${crypto.randomBytes(4).toString('hex')}`;
+    } while (used.has(id));
+    return id;
+}
+
+// 全角/半角・空白の違いを吸収して比較用のキーにする
+function normalizeName(name) {
+    return String(name || '').normalize('NFKC').replace(/\s+/g, '').toLowerCase();
+}
+
+function namesOf(employee) {
+    return [employee.name, ...(employee.aliases || [])].filter(Boolean);
+}
+
+/**
+ * 名前 (または別名) で社員を探す
+ * 正規化後の一致で判定するため、空白の有無などの表記揺れは同一人物として扱う
+ */
+function findEmployeeByName(employees, name) {
+    const key = normalizeName(name);
+    if (!key) return undefined;
+    return employees.find(e => namesOf(e).some(n => normalizeName(n) === key));
+}
+
+/**
+ * Issue などの入力データから既存の社員を特定する
+ * 優先順: id → 名前/別名 → Slack ID
+ */
+function findEmployee(employees, { id, name, slack_id, slack_id_2 } = {}) {
+    if (id) return employees.find(e => e.id === id);
+    const byName = findEmployeeByName(employees, name);
+    if (byName) return byName;
+    const slackIds = [slack_id, slack_id_2].filter(Boolean);
+    if (slackIds.length === 0) return undefined;
+    return employees.find(e => slackIds.includes(e.slack_id) || slackIds.includes(e.slack_id_2));
+}
+
+/**
+ * 入力された名前が現在の名前・別名のどれとも異なる場合、別名として記録する
+ * (空白の有無だけの違いは normalizeName で吸収できるので記録しない)
+ */
+function addAlias(employee, name) {
+    if (!name) return;
+    const key = normalizeName(name);
+    if (namesOf(employee).some(n => normalizeName(n) === key)) return;
+    employee.aliases = [...(employee.aliases || []), name];
+}
+
+/**
+ * id を持たないレコードに id を採番する (既存の id は変更しない)
+ * @returns {number} 採番した件数
+ */
+function ensureEmployeeIds(employees) {
+    let assigned = 0;
+    employees.forEach(e => {
+        if (!e.id) {
+            e.id = generateEmployeeId(employees);
+            assigned++;
+        }
+    });
+    return assigned;
+}
+
+module.exports = {
+    EMPLOYEE_ID_PATTERN,
+    generateEmployeeId,
+    normalizeName,
+    findEmployeeByName,
+    findEmployee,
+    addAlias,
+    ensureEmployeeIds,
+};
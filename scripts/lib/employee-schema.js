@@ -0,0 +1,330 @@
+/**
+ * employee-schema.js
+ *
+ * data/employees.json の1レコード分のスキーマ定義とバリデータ
+ * 保存前のチェック (employee-store.js) と `validate` コマンドの両方から使う
+ */
+
+const { EMPLOYEE_ID_PATTERN, normalizeName } = require('./employee-identity');
+
+const JOBS = ['Engineer', 'Designer', 'Sales', 'PM', 'Corporate', 'EM', 'QA', 'HR', '経営', 'Executive', 'Other'];
+
+// AI分析への本人の同意 (privacy.js)
+const AI_CONSENT_VALUES = ['all', 'primary-only', 'none'];
+
+const SLACK_ID_PATTERN = /^[UW][A-Z0-9]{6,}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+$/;
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+
+// ============================================================
+// スキーマ定義
+// ============================================================
+const str = (extra = {}) => ({ type: 'string', ...extra });
+const strArray = () => ({ type: 'array', items: str() });
+const isoDate = () => str({ pattern: ISO_DATE_PATTERN, patternLabel: 'ISO 8601 (UTC)' });
+
+// 根拠になった Slack の発言の場所 (citations.js)
+const citationsSchema = {
+    type: 'array',
+    items: {
+        type: 'object',
+        required: ['workspace', 'channel', 'ts'],
+        properties: {
+            workspace: str({ enum: ['primary', 'secondary'] }),
+            channel: str({ minLength: 1 }),
+            ts: str({ pattern: /^\d+\.\d+$/, patternLabel: 'Slack message ts' }),
+        },
+    },
+};
+
+const traitSchema = {
+    type: 'object',
+    required: ['score'],
+    properties: {
+        score: { type: 'integer', min: 1, max: 10 },
+        evidence: str(),
+        citations: citationsSchema,
+        // 平滑化したスコアの信頼区間 [下限, 上限] と、分析ごとのスコア (trait-smoothing.js)
+        range: { type: 'array', items: { type: 'number', min: 1, max: 10 } },
+        observations: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['score', 'messages'],
+                properties: {
+                    score: { type: 'number', min: 1, max: 10 },
+                    messages: { type: 'integer', min: 0 },
+                    from: isoDate(),
+                    to: isoDate(),
+                },
+            },
+        },
+    },
+};
+
+// 引用のないエピソードは文字列、引用付きは { text, citations }
+const episodesSchema = {
+    type: 'array',
+    items: {
+        type: ['string', 'object'],
+        required: ['text'],
+        properties: {
+            text: str(),
+            citations: citationsSchema,
+        },
+    },
+};
+
+const employeeSchema = {
+    type: 'object',
+    required: ['id', 'name', 'job'],
+    // AI呼び出しの失敗フラグがそのまま保存されるのを防ぐ
+    forbidden: ['ai_error', 'ai_error_msg'],
+    properties: {
+        id: str({ pattern: EMPLOYEE_ID_PATTERN, patternLabel: 'employee ID (emp-xxxxxxxx)' }),
+        name: str({ minLength: 1 }),
+        aliases: strArray(),
+        job: str({ enum: JOBS }),
+        isActive: { type: 'boolean' },
+        createdAt: isoDate(),
+        updatedAt: isoDate(),
+        last_updated: isoDate(),
+        slack_synced_at: isoDate(),
+        archivedAt: isoDate(),
+        archivedReason: str(),
+        slack_id: str({ pattern: SLACK_ID_PATTERN, patternLabel: 'Slack member ID (U...)' }),
+        slack_id_2: str({ pattern: SLACK_ID_PATTERN, patternLabel: 'Slack member ID (U...)' }),
+        ai_consent: str({ enum: AI_CONSENT_VALUES }),
+        email: str({ pattern: EMAIL_PATTERN, patternLabel: 'email address' }),
+
+        // Slack のユーザー一覧 (users import) 由来のフィールド
+        slack_profile: {
+            type: 'object',
+            properties: {
+                title: str(),
+                timezone: str(),
+                avatar_url: str({ pattern: /^https:\/\//, patternLabel: 'https URL' }),
+            },
+        },
+
+        // Issue (自己紹介) 由来のフィールド
+        self_intro: str(),
+        skills: strArray(),
+        interests: strArray(),
+        goal: str(),
+        personality: { type: ['array', 'string'], items: str() },
+        job_guess: str(),
+        career_updated_at: isoDate(),
+
+        // Slack分析由来のフィールド
+        overall_summary: str(),
+        personality_traits: {
+            type: 'object',
+            required: ['summary'],
+            properties: {
+                summary: str({ minLength: 1 }),
+                openness: traitSchema,
+                conscientiousness: traitSchema,
+                extraversion: traitSchema,
+                agreeableness: traitSchema,
+                neuroticism: traitSchema,
+            },
+        },
+        work_styles_and_strengths: {
+            type: 'object',
+            required: ['summary'],
+            properties: {
+                summary: str(),
+                problem_solving_style: str(),
+                dominant_strengths: strArray(),
+                evidence_episodes: episodesSchema,
+            },
+        },
+        communication_patterns: {
+            type: 'object',
+            required: ['summary'],
+            properties: {
+                summary: str(),
+                communication_style: str(),
+            },
+        },
+        values_and_motivators: {
+            type: 'object',
+            required: ['summary'],
+            properties: {
+                summary: str(),
+                core_values: strArray(),
+                motivation_triggers: strArray(),
+                evidence_episodes: episodesSchema,
+            },
+        },
+        // 分析の根拠になったデータ量 (analysis-basis.js)
+        analysis_basis: {
+            type: 'object',
+            required: ['messages', 'runs'],
+            properties: {
+                messages: { type: 'integer', min: 0 },
+                characters: { type: 'integer', min: 0 },
+                from: isoDate(),
+                to: isoDate(),
+                workspaces: strArray(),
+                channels: strArray(),
+                runs: { type: 'integer', min: 1 },
+                last_run: {
+                    type: 'object',
+                    properties: {
+                        messages: { type: 'integer', min: 0 },
+                        characters: { type: 'integer', min: 0 },
+                        from: isoDate(),
+                        to: isoDate(),
+                    },
+                },
+                provider: str(),
+                model: str(),
+            },
+        },
+        // AIの出力に使ったプロンプトのバージョン (プロンプトID → バージョン。prompt-templates.js)
+        ai_prompts: {
+            type: 'object',
+            properties: {
+                profile: str({ minLength: 1 }),
+                extraction: str({ minLength: 1 }),
+            },
+        },
+        current_state: {
+            type: 'object',
+            required: ['summary'],
+            properties: {
+                summary: str(),
+                sentiment_level: str({ enum: ['positive', 'neutral', 'negative'] }),
+                workload_status: str(),
+                recent_topics_of_interest: strArray(),
+            },
+        },
+    },
+};
+
+// ============================================================
+// バリデータ
+// ============================================================
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    if (type === 'number') return actual === 'number' || actual === 'integer';
+    return actual === type;
+}
+
+function checkValue(value, spec, path, errors) {
+    const types = Array.isArray(spec.type) ? spec.type : [spec.type];
+    if (!types.some(type => matchesType(value, type))) {
+        errors.push({ path, message: `expected ${types.join(' | ')}, got ${typeOf(value)} (${JSON.stringify(value)})` });
+        return;
+    }
+
+    if (typeof value === 'string') {
+        if (spec.minLength && value.trim().length < spec.minLength) {
+            errors.push({ path, message: 'must not be empty' });
+        }
+        if (spec.enum && !spec.enum.includes(value)) {
+            errors.push({ path, message: `must be one of: ${spec.enum.join(', ')} (got "${value}")` });
+        }
+        if (spec.pattern && !spec.pattern.test(value)) {
+            errors.push({ path, message: `must be ${spec.patternLabel || spec.pattern} (got "${value}")` });
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (spec.min !== undefined && value < spec.min) errors.push({ path, message: `must be >= ${spec.min} (got ${value})` });
+        if (spec.max !== undefined && value > spec.max) errors.push({ path, message: `must be <= ${spec.max} (got ${value})` });
+    }
+
+    if (Array.isArray(value) && spec.items) {
+        value.forEach((item, i) => checkValue(item, spec.items, `${path}[${i}]`, errors));
+    }
+
+    if (typeOf(value) === 'object') {
+        (spec.required || []).forEach(key => {
+            if (value[key] === undefined || value[key] === null) {
+                errors.push({ path: path ? `${path}.${key}` : key, message: 'is required' });
+            }
+        });
+        (spec.forbidden || []).forEach(key => {
+            if (key in value) {
+                errors.push({ path: path ? `${path}.${key}` : key, message: 'must not be saved' });
+            }
+        });
+        // 未定義のキーは許容する (将来のフィールド追加に備える)
+        Object.entries(spec.properties || {}).forEach(([key, propSpec]) => {
+            if (value[key] === undefined) return;
+            checkValue(value[key], propSpec, path ? `${path}.${key}` : key, errors);
+        });
+    }
+}
+
+/**
+ * 社員1件を検証する
+ * @returns {{ path: string, message: string }[]} フィールド単位のエラー (空なら有効)
+ */
+function validateEmployee(employee) {
+    const errors = [];
+    checkValue(employee, employeeSchema, '', errors);
+    return errors;
+}
+
+/**
+ * 社員リスト全体を検証する (id・名前/別名の重複もチェック)
+ * @returns {{ index: number, name: string, errors: object[] }[]} 問題のあるレコードのみ
+ */
+function validateEmployees(employees) {
+    if (!Array.isArray(employees)) {
+        return [{ index: -1, name: '(root)', errors: [{ path: '', message: 'employees.json must be an array' }] }];
+    }
+
+    const seenIds = new Map();
+    const seenNames = new Map();
+    const results = [];
+    employees.forEach((employee, index) => {
+        const errors = validateEmployee(employee);
+        const name = employee && typeof employee.name === 'string' ? employee.name : `#${index}`;
+
+        if (employee?.id) {
+            if (seenIds.has(employee.id)) {
+                errors.push({ path: 'id', message: `duplicate of record #${seenIds.get(employee.id)}` });
+            } else {
+                seenIds.set(employee.id, index);
+            }
+        }
+
+        const keys = new Set([employee?.name, ...(employee?.aliases || [])].filter(n => typeof n === 'string').map(normalizeName));
+        keys.forEach(key => {
+            if (seenNames.has(key)) {
+                errors.push({ path: 'name', message: `"${key}" is also used by record #${seenNames.get(key)}` });
+            } else {
+                seenNames.set(key, index);
+            }
+        });
+
+        if (errors.length > 0) results.push({ index, name, errors });
+    });
+    return results;
+}
+
+function formatErrors(errors) {
+    return errors.map(e => `    - ${e.path || '(record)'}: ${e.message}`).join('\n');
+}
+
+module.exports = {
+    JOBS,
+    AI_CONSENT_VALUES,
+    SLACK_ID_PATTERN,
+    employeeSchema,
+    validateEmployee,
+    validateEmployees,
+    formatErrors,
+};
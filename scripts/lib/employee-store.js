@@ -0,0 +1,110 @@
+/**
+ * employee-store.js
+ *
+ * data/employees.json の読み書きを一箇所にまとめる
+ * 保存前に必ずスキーマ検証を行い、不正なレコードは quarantine に退避する
+ * 保存のたびに変更のあったレコードを profile-history.jsonl に記録する
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { validateEmployee, validateEmployees, formatErrors } = require('./employee-schema');
+const { HISTORY_FILE, recordRevisions } = require('./profile-history');
+const { DATA_DIR } = require('./paths');
+
+const DATA_FILE = path.join(DATA_DIR, 'employees.json');
+const QUARANTINE_DIR = path.join(DATA_DIR, 'quarantine');
+
+function loadEmployees(file = DATA_FILE) {
+    if (!fs.existsSync(file)) return [];
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function writeJSONAtomic(file, data) {
+    const dir = path.dirname(file);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    const tmpFile = `${file}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(data, null, 2));
+    fs.renameSync(tmpFile, file);
+}
+
+function quarantine(problems, employees, quarantineDir) {
+    const now = new Date().toISOString();
+    const file = path.join(quarantineDir, `employees-${now.replace(/[:.]/g, '-')}.json`);
+    const entries = problems.map(p => ({
+        quarantinedAt: now,
+        name: p.name,
+        errors: p.errors,
+        record: employees[p.index],
+    }));
+    writeJSONAtomic(file, entries);
+    return file;
+}
+
+/**
+ * 社員データを検証してから保存する
+ * 不正なレコードは保存せず quarantine ファイルに退避し、
+ * 既存ファイルに同じ id の有効なレコードがあればそちらを残す
+ * 保存した内容は変更履歴 (profile-history.jsonl) にも記録する
+ *
+ * @param {object} [options.source] 変更元 (例: { type: 'issue', issue: 12 } / { type: 'slack-sync' })
+ * @returns {{ saved: number, quarantined: { id: string, name: string, errors: object[] }[], quarantineFile: string|null, revisions: number }}
+ */
+function saveEmployees(employees, {
+    file = DATA_FILE,
+    quarantineDir = QUARANTINE_DIR,
+    historyFile = HISTORY_FILE,
+    source = { type: 'manual' },
+} = {}) {
+    const problems = validateEmployees(employees);
+    if (problems.some(p => p.index === -1)) {
+        throw new Error(`Refusing to save employees: ${problems[0].errors[0].message}`);
+    }
+
+    let previous = [];
+    try {
+        previous = loadEmployees(file);
+    } catch (e) {
+        console.warn(`Could not read previous ${path.basename(file)}: ${e.message}`);
+    }
+
+    let toSave = employees;
+    let quarantineFile = null;
+    if (problems.length > 0) {
+        const badIndexes = new Set(problems.map(p => p.index));
+        toSave = [];
+        employees.forEach((employee, index) => {
+            if (!badIndexes.has(index)) {
+                toSave.push(employee);
+                return;
+            }
+            // 直前の有効なバージョンを残す
+            const prev = employee?.id && previous.find(p => p.id === employee.id);
+            if (prev && validateEmployee(prev).length === 0 && !toSave.some(e => e.id === prev.id)) {
+                toSave.push(prev);
+            }
+        });
+
+        quarantineFile = quarantine(problems, employees, quarantineDir);
+        console.error(`Schema validation failed for ${problems.length} record(s). Quarantined to ${quarantineFile}`);
+        problems.forEach(p => console.error(`  ${p.name}:\n${formatErrors(p.errors)}`));
+    }
+
+    writeJSONAtomic(file, toSave);
+    const revisions = historyFile ? recordRevisions(previous, toSave, source, { file: historyFile }) : 0;
+
+    return {
+        saved: toSave.length,
+        quarantined: problems.map(p => ({ id: employees[p.index]?.id, name: p.name, errors: p.errors })),
+        quarantineFile,
+        revisions,
+    };
+}
+
+module.exports = {
+    DATA_FILE,
+    QUARANTINE_DIR,
+    loadEmployees,
+    saveEmployees,
+    writeJSONAtomic,
+};
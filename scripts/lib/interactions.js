@@ -0,0 +1,130 @@
+/**
+ * interactions.js
+ *
+ * Slack のメッセージから社員間の実際のやり取り (返信・メンション・リアクション) を抽出し、
+ * data/interactions.json に保存する。ナレッジグラフの REPLIED_TO / MENTIONED / REACTED_TO エッジの元データ
+ *
+ * 差分同期では毎回新しいメッセージしか取得しないので、やり取りはメッセージ単位で蓄積する
+ * キーはワークスペース・チャンネル・ts なので、同じメッセージを取り直しても二重に数えない (リアクションは最新の状態で上書き)
+ *
+ * 形式:
+ * {"version":1,"messages":{"primary:C0123:1712345678.000100":{"at":"...","author":"emp-...","replied_to":"emp-...","mentioned":["emp-..."],"reacted_by":["emp-..."]}}}
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./paths');
+
+const INTERACTIONS_FILE = path.join(DATA_DIR, 'interactions.json');
+const INTERACTIONS_VERSION = 1;
+
+// エッジの種類 → メッセージのレコードのどのフィールドから、どちら向きに作るか
+// from: やり取りをした側 (返信・メンション・リアクションをした人) / to: 受けた側
+const INTERACTION_TYPES = {
+    REPLIED_TO: record => (record.replied_to ? [[record.author, record.replied_to]] : []),
+    MENTIONED: record => (record.mentioned || []).map(id => [record.author, id]),
+    REACTED_TO: record => (record.reacted_by || []).map(id => [id, record.author]),
+};
+
+function loadInteractions(file = INTERACTIONS_FILE) {
+    if (!fs.existsSync(file)) return { version: INTERACTIONS_VERSION, messages: {} };
+    let store;
+    try {
+        store = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+        throw new Error(`Error parsing ${file}: ${e.message}`);
+    }
+    if (store.version !== INTERACTIONS_VERSION || typeof store.messages !== 'object') {
+        throw new Error(`Unsupported interactions format in ${file}`);
+    }
+    return store;
+}
+
+function saveInteractions(store, file = INTERACTIONS_FILE) {
+    const dir = path.dirname(file);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    const sorted = Object.fromEntries(Object.entries(store.messages).sort(([a], [b]) => a.localeCompare(b)));
+    fs.writeFileSync(file, JSON.stringify({ version: INTERACTIONS_VERSION, messages: sorted }, null, 2) + '\n');
+}
+
+const unique = (ids) => [...new Set(ids)];
+
+/**
+ * メッセージからやり取りを抽出する (社員同士のやり取りだけ。自分自身へのものは除く)
+ * @param {object[]} messages 整形前の Slack メッセージ (channel 付き)
+ * @param {string} workspace
+ * @param {Map<string, string>} employeeIds このワークスペースの Slack ID → 社員ID
+ * @returns {Object<string, object>} メッセージのキー → レコード
+ */
+function extractInteractions(messages, workspace, employeeIds) {
+    const authors = new Map(messages.map(m => [`${m.channel}:${m.ts}`, m.user]));
+    const records = {};
+
+    messages.forEach(m => {
+        const author = employeeIds.get(m.user);
+        if (!author || !m.ts) return;
+        const others = (ids) => unique(ids.map(id => employeeIds.get(id)).filter(id => id && id !== author));
+
+        const isReply = m.thread_ts && m.thread_ts !== m.ts;
+        const parentUser = isReply ? (m.parent_user_id || authors.get(`${m.channel}:${m.thread_ts}`)) : null;
+        const [repliedTo] = others(parentUser ? [parentUser] : []);
+        const mentioned = others([...String(m.text || '').matchAll(/<@([UW][A-Z0-9]+)(?:\|[^>]*)?>/g)].map(match => match[1]));
+        const reactedBy = others((m.reactions || []).flatMap(r => r.users || []));
+
+        if (!repliedTo && mentioned.length === 0 && reactedBy.length === 0) return;
+        records[`${workspace}:${m.channel}:${m.ts}`] = {
+            at: new Date(Number(m.ts) * 1000).toISOString(),
+            author,
+            ...(repliedTo && { replied_to: repliedTo }),
+            ...(mentioned.length > 0 && { mentioned }),
+            ...(reactedBy.length > 0 && { reacted_by: reactedBy }),
+        };
+    });
+    return records;
+}
+
+/**
+ * 抽出したやり取りを蓄積に反映する
+ * @returns {number} 追加・更新したメッセージの数
+ */
+function mergeInteractions(store, records) {
+    let changed = 0;
+    Object.entries(records).forEach(([key, record]) => {
+        if (JSON.stringify(store.messages[key]) === JSON.stringify(record)) return;
+        store.messages[key] = record;
+        changed++;
+    });
+    return changed;
+}
+
+/**
+ * 蓄積したやり取りを、社員ペア・種類ごとの有向エッジに集計する
+ * @param {Set<string>} [employeeIds] 含める社員ID (省略時はすべて)
+ * @returns {{ source: string, target: string, type: string, weight: number, last_at: string }[]} source / target は社員ID
+ */
+function aggregateInteractions(store, employeeIds = null) {
+    const edges = new Map();
+    Object.values(store.messages).forEach(record => {
+        Object.entries(INTERACTION_TYPES).forEach(([type, pairsOf]) => {
+            pairsOf(record).forEach(([from, to]) => {
+                if (employeeIds && (!employeeIds.has(from) || !employeeIds.has(to))) return;
+                const key = `${type}:${from}:${to}`;
+                const edge = edges.get(key) || { source: from, target: to, type, weight: 0, last_at: record.at };
+                edge.weight++;
+                if (record.at > edge.last_at) edge.last_at = record.at;
+                edges.set(key, edge);
+            });
+        });
+    });
+    return [...edges.values()].sort((a, b) => a.type.localeCompare(b.type) || b.weight - a.weight || a.source.localeCompare(b.source) || a.target.localeCompare(b.target));
+}
+
+module.exports = {
+    INTERACTIONS_FILE,
+    INTERACTION_TYPES: Object.keys(INTERACTION_TYPES),
+    loadInteractions,
+    saveInteractions,
+    extractInteractions,
+    mergeInteractions,
+    aggregateInteractions,
+};
@@ -0,0 +1,129 @@
+/**
+ * issue-report.js
+ *
+ * Issue 処理結果のレポート (ワークフローが元の Issue にコメントとして投稿する Markdown)
+ * Issue から読み取った項目・AIが抽出した項目・レコードの変更前後・警告とエラーをまとめる
+ * エラーが1件でもあれば失敗扱いとし、ワークフローは Issue を閉じない
+ */
+
+const { diffSnapshots } = require('./profile-history');
+
+const ACTION_LABELS = {
+    update: '新規登録・更新 (employee-update)',
+    career: 'キャリア・目標登録 (employee-career)',
+    edit: '社員情報の修正 (employee-edit)',
+    delete: '削除・アーカイブ (employee-delete)',
+};
+
+const FIELD_LABELS = {
+    name: 'お名前',
+    new_name: '新しいお名前',
+    job: '職種',
+    job_guess: '職種 (推定)',
+    slack_id: 'Slack ID',
+    slack_id_2: 'Slack ID (幹部用ワークスペース)',
+    self_intro: '自己紹介',
+    goal: 'キャリア目標',
+    skills: 'スキル',
+    interests: '興味・関心',
+    personality: '人柄キーワード',
+    action_type: '処理種別',
+    reason: '理由',
+};
+
+/**
+ * @param {{ number?: number, author?: string }} issue
+ */
+function createReport(issue = {}) {
+    return {
+        issue: issue.number,
+        author: issue.author,
+        action: null,
+        parsed: {},
+        extracted: null,
+        before: null,
+        after: null,
+        warnings: [],
+        errors: [],
+    };
+}
+
+function isSuccess(report) {
+    return report.errors.length === 0;
+}
+
+function formatValue(value) {
+    if (value === undefined || value === null) return '—';
+    let text;
+    if (Array.isArray(value)) text = value.length > 0 ? value.join(', ') : '(なし)';
+    else if (typeof value === 'object') text = JSON.stringify(value);
+    else text = String(value);
+    return text.replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+}
+
+function fieldTable(data) {
+    const rows = Object.entries(data).filter(([key]) => !key.startsWith('ai_error'));
+    if (rows.length === 0) return '(なし)\n';
+    let md = '| 項目 | 値 |\n| --- | --- |\n';
+    rows.forEach(([key, value]) => {
+        md += `| ${FIELD_LABELS[key] || key} | ${formatValue(value)} |\n`;
+    });
+    return md;
+}
+
+function diffSection(before, after) {
+    if (!before && !after) return '変更はありません。\n';
+    if (before && !after) return `レコード \`${before.id}\` を削除しました。\n`;
+
+    const changes = diffSnapshots(before || {}, after);
+    if (changes.length === 0) return '変更はありません。\n';
+    let md = before ? '' : `新しいレコード \`${after.id}\` を作成しました。\n\n`;
+    md += '| フィールド | 変更前 | 変更後 |\n| --- | --- | --- |\n';
+    changes.forEach(({ path, before: from, after: to }) => {
+        md += `| \`${path}\` | ${formatValue(from)} | ${formatValue(to)} |\n`;
+    });
+    return md;
+}
+
+/**
+ * @returns {string} Markdown
+ */
+function formatReport(report) {
+    const success = isSuccess(report);
+    let md = success ? '## ✅ 社員データを更新しました\n\n' : '## ❌ 社員データを更新できませんでした\n\n';
+    if (report.action) md += `**処理**: ${ACTION_LABELS[report.action]}\n\n`;
+    if (report.author) md += `**申請者**: @${report.author}\n\n`;
+
+    if (report.errors.length > 0) {
+        md += '### エラー\n\n';
+        report.errors.forEach(message => md += `- ${message}\n`);
+        md += '\n';
+    }
+    if (report.warnings.length > 0) {
+        md += '### 警告\n\n';
+        report.warnings.forEach(message => md += `- ${message}\n`);
+        md += '\n';
+    }
+
+    if (report.action) {
+        md += '### Issueから読み取った項目\n\n' + fieldTable(report.parsed) + '\n';
+        if (report.extracted) {
+            md += '### AIが抽出した項目\n\n';
+            md += report.extracted.ai_error
+                ? `AIによる抽出に失敗しました: ${report.extracted.ai_error_msg || '不明なエラー'}\n\n`
+                : fieldTable(report.extracted) + '\n';
+        }
+        md += '### 変更内容\n\n' + diffSection(report.before, report.after) + '\n';
+    }
+
+    md += success
+        ? '変更内容は `docs/TEAM.md` に反映されます。\n'
+        : 'この Issue はオープンのままにしています。内容を修正して Issue を編集すると、もう一度処理されます。\n';
+    return md;
+}
+
+module.exports = {
+    createReport,
+    isSuccess,
+    formatReport,
+};
@@ -0,0 +1,134 @@
+/**
+ * message-archive.js
+ *
+ * Slack から取得したメッセージ (スレッドの返信を含む、整形前のもの) をローカルに保存する
+ * プロンプトを変えたときや1人だけ分析し直すときに、Slack API を呼ばずにアーカイブから再分析できる
+ *
+ * 保存先: data/archive/<workspace>/<channel>/<YYYY-MM>.jsonl (1行1メッセージ、ts 順。月は UTC)
+ * 同じチャンネル・ts のメッセージは1件だけ残す (取り直したときは新しく編集された版で置き換える)
+ *
+ * 発言の本文を含むのでリポジトリにはコミットしない (.gitignore。GitHub Actions ではキャッシュで次回に引き継ぎ、artifact にもバックアップする)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./paths');
+
+const ARCHIVE_DIR = path.join(DATA_DIR, 'archive');
+const MONTH_FILE_PATTERN = /^\d{4}-\d{2}\.jsonl$/;
+
+function monthOf(ts) {
+    return new Date(Number(ts) * 1000).toISOString().slice(0, 7);
+}
+
+function readJsonl(file) {
+    if (!fs.existsSync(file)) return [];
+    return fs.readFileSync(file, 'utf8').split('\n').filter(line => line.trim()).map((line, index) => {
+        try {
+            return JSON.parse(line);
+        } catch (e) {
+            throw new Error(`Error parsing ${file} line ${index + 1}: ${e.message}`);
+        }
+    });
+}
+
+function editedAt(message) {
+    return Number(message.edited?.ts || message.ts);
+}
+
+/**
+ * 取得したメッセージをアーカイブに追加する
+ * @param {string} workspace
+ * @param {object[]} messages channel 付きのメッセージ
+ * @returns {{ added: number, updated: number }}
+ */
+function archiveMessages(workspace, messages, { dir = ARCHIVE_DIR } = {}) {
+    const groups = new Map();
+    messages.filter(m => m.ts && m.channel).forEach(m => {
+        const file = path.join(dir, workspace, m.channel, `${monthOf(m.ts)}.jsonl`);
+        if (!groups.has(file)) groups.set(file, []);
+        groups.get(file).push(m);
+    });
+
+    let added = 0;
+    let updated = 0;
+    groups.forEach((incoming, file) => {
+        const byTs = new Map(readJsonl(file).map(m => [m.ts, m]));
+        let changed = false;
+        incoming.forEach(message => {
+            const current = byTs.get(message.ts);
+            if (!current) {
+                added++;
+            } else if (editedAt(message) < editedAt(current) || JSON.stringify(current) === JSON.stringify(message)) {
+                return;
+            } else {
+                updated++;
+            }
+            byTs.set(message.ts, message);
+            changed = true;
+        });
+        if (!changed) return;
+
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        const sorted = [...byTs.values()].sort((a, b) => Number(a.ts) - Number(b.ts));
+        fs.writeFileSync(file, sorted.map(m => JSON.stringify(m)).join('\n') + '\n');
+    });
+    return { added, updated };
+}
+
+function subdirectories(dir) {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir, { withFileTypes: true }).filter(d => d.isDirectory()).map(d => d.name).sort();
+}
+
+function monthFiles(dir) {
+    return fs.readdirSync(dir).filter(name => MONTH_FILE_PATTERN.test(name)).sort();
+}
+
+/**
+ * アーカイブされているチャンネルの一覧
+ * @returns {{ workspace: string, channel: string, months: string[], messages: number }[]}
+ */
+function listArchive({ dir = ARCHIVE_DIR } = {}) {
+    return subdirectories(dir).flatMap(workspace => subdirectories(path.join(dir, workspace)).map(channel => {
+        const channelDir = path.join(dir, workspace, channel);
+        const files = monthFiles(channelDir);
+        return {
+            workspace,
+            channel,
+            months: files.map(name => name.replace('.jsonl', '')),
+            messages: files.reduce((sum, name) => sum + readJsonl(path.join(channelDir, name)).length, 0),
+        };
+    }));
+}
+
+/**
+ * アーカイブからメッセージを読み込む (ts 順)
+ * @param {string} workspace
+ * @param {object} [filter]
+ * @param {string[]} [filter.channels] 読み込むチャンネル (省略時はすべて)
+ * @param {string} [filter.oldest] この ts より新しいメッセージだけを読む
+ * @returns {object[]} channel 付きのメッセージ
+ */
+function readArchive(workspace, { channels = null, oldest = null, dir = ARCHIVE_DIR } = {}) {
+    const oldestMonth = oldest ? monthOf(oldest) : null;
+    const messages = subdirectories(path.join(dir, workspace))
+        .filter(channel => !channels || channels.includes(channel))
+        .flatMap(channel => {
+            const channelDir = path.join(dir, workspace, channel);
+            return monthFiles(channelDir)
+                .filter(name => !oldestMonth || name.replace('.jsonl', '') >= oldestMonth)
+                .flatMap(name => readJsonl(path.join(channelDir, name)))
+                .map(m => ({ ...m, channel }));
+        });
+    return messages
+        .filter(m => !oldest || Number(m.ts) > Number(oldest))
+        .sort((a, b) => Number(a.ts) - Number(b.ts));
+}
+
+module.exports = {
+    ARCHIVE_DIR,
+    archiveMessages,
+    listArchive,
+    readArchive,
+};
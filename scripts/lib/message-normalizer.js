@@ -0,0 +1,197 @@
+/**
+ * message-normalizer.js
+ *
+ * Slack のメッセージをAI分析に渡す前に整形する
+ * 各ステップは設定ファイルの slack.normalize で個別に無効化・調整できる
+ *
+ * メッセージ単位のステップ (この順に適用):
+ *   dropSubtypes   参加・退出・トピック変更などのシステムメッセージを除外する
+ *   dropBots       ボットの投稿 (bot_id / bot_message) を除外する
+ *   dedupeEdits    同じメッセージの重複 (編集イベント・スレッドへのブロードキャスト・取得範囲の重なり) を最新の版だけにする
+ *
+ * 本文のステップ (この順に適用):
+ *   collapseCode     長いコードブロックを [code: N lines] に置き換える
+ *   collapseLogs     ログ・スタックトレースの貼り付けを [log: N lines] に置き換える
+ *   resolveMentions  <@U...> を社員名に、<#C...|name> を #name に、<!here> を @here に置き換える
+ *   unwrapLinks      <https://...|ラベル> をラベル (ラベルがなければURL) に置き換える
+ *   decodeEntities   Slack がエスケープした &amp; &lt; &gt; を元に戻す
+ *
+ * 設定例 (saiteki.config.json):
+ * {"slack":{"normalize":{"dropBots":false,"collapseCode":{"maxLines":20},"collapseLogs":false}}}
+ */
+
+const { loadConfig } = require('./config');
+
+const DEFAULT_OPTIONS = {
+    dropSubtypes: [
+        'channel_join', 'channel_leave', 'group_join', 'group_leave',
+        'channel_topic', 'channel_purpose', 'channel_name', 'channel_archive', 'channel_unarchive',
+        'pinned_item', 'unpinned_item', 'reminder_add', 'bot_add', 'bot_remove',
+        'message_deleted', 'tombstone',
+    ],
+    dropBots: true,
+    dedupeEdits: true,
+    // これより長いコードブロックを省略する (行数)
+    collapseCode: { maxLines: 5 },
+    // ログらしい行がこれ以上続いたら省略する (行数)
+    collapseLogs: { minLines: 4 },
+    resolveMentions: true,
+    unwrapLinks: true,
+    decodeEntities: true,
+};
+
+// ログ・スタックトレースらしい行
+const LOG_LINE_PATTERN = /^\s*(at\s+\S+|\d{4}[-/]\d{2}[-/]\d{2}[ T]\d{2}:\d{2}|\d{2}:\d{2}:\d{2}[.,\s]|\[?(TRACE|DEBUG|INFO|WARN|WARNING|ERROR|FATAL)\]?[\s:]|Traceback \(most recent call last\)|File ".+", line \d+|\S+(Error|Exception)(:|$)|#\d+\s+0x[0-9a-f]+)/i;
+
+/**
+ * 既定値に設定ファイルの slack.normalize を重ねた設定を返す
+ * ステップに false を指定すると無効、オブジェクトを指定すると既定値に重ねる
+ */
+function normalizeOptions(overrides = loadConfig().config.slack?.normalize || {}) {
+    const options = { ...DEFAULT_OPTIONS };
+    Object.entries(overrides).forEach(([key, value]) => {
+        const base = DEFAULT_OPTIONS[key];
+        options[key] = value && typeof value === 'object' && !Array.isArray(value) && base && typeof base === 'object'
+            ? { ...base, ...value }
+            : value;
+    });
+    return options;
+}
+
+// ============================================================
+// メッセージ単位のステップ
+// ============================================================
+function dropSubtypes(messages, subtypes) {
+    return messages.filter(m => !subtypes.includes(m.subtype));
+}
+
+function dropBots(messages) {
+    return messages.filter(m => !m.bot_id && m.subtype !== 'bot_message');
+}
+
+function editedAt(message) {
+    return Number(message.edited?.ts || message.ts);
+}
+
+/**
+ * 同じメッセージ (チャンネル + ts) が複数あれば、最後に編集された版だけを残す
+ * message_changed イベントは中の message を編集後の版として扱う。順序は最初に現れた位置を保つ
+ */
+function dedupeEdits(messages) {
+    const latest = new Map();
+    messages.forEach(raw => {
+        const message = raw.subtype === 'message_changed' && raw.message
+            ? { ...raw.message, channel: raw.channel ?? raw.message.channel }
+            : raw;
+        const key = `${message.channel || ''}:${message.ts}`;
+        const current = latest.get(key);
+        if (!current || editedAt(message) >= editedAt(current)) latest.set(key, message);
+    });
+    return [...latest.values()];
+}
+
+// ============================================================
+// 本文のステップ
+// ============================================================
+function collapseCode(text, { maxLines }) {
+    return text.replace(/```([\s\S]*?)```/g, (block, body) => {
+        const lines = body.replace(/^\n|\n$/g, '').split('\n').length;
+        return lines > maxLines ? `[code: ${lines} lines]` : block;
+    });
+}
+
+function collapseLogs(text, { minLines }) {
+    const out = [];
+    let run = [];
+    const flush = () => {
+        if (run.length >= minLines) out.push(`[log: ${run.length} lines]`);
+        else out.push(...run);
+        run = [];
+    };
+    text.split('\n').forEach(line => {
+        if (LOG_LINE_PATTERN.test(line)) {
+            run.push(line);
+        } else {
+            flush();
+            out.push(line);
+        }
+    });
+    flush();
+    return out.join('\n');
+}
+
+/**
+ * @param {Map<string, string>} names Slack ID → 社員名
+ */
+function resolveMentions(text, names) {
+    return text
+        .replace(/<@([UW][A-Z0-9]+)(?:\|([^>]*))?>/g, (match, id, label) => `@${names.get(id) || label || 'unknown'}`)
+        .replace(/<#(C[A-Z0-9]+)(?:\|([^>]*))?>/g, (match, id, name) => `#${name || id}`)
+        .replace(/<!subteam\^[A-Z0-9]+(?:\|([^>]*))?>/g, (match, label) => label || '@group')
+        .replace(/<!(here|channel|everyone)(?:\|[^>]*)?>/g, '@$1');
+}
+
+function unwrapLinks(text) {
+    return text.replace(/<((?:https?|mailto|tel):[^|>]+)(?:\|([^>]*))?>/g, (match, url, label) => label || url.replace(/^(mailto|tel):/, ''));
+}
+
+function decodeEntities(text) {
+    return text.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+}
+
+/**
+ * メッセージの本文を整形する
+ */
+function normalizeText(text, { names = new Map(), options = DEFAULT_OPTIONS } = {}) {
+    let result = String(text || '');
+    if (options.collapseCode) result = collapseCode(result, options.collapseCode);
+    if (options.collapseLogs) result = collapseLogs(result, options.collapseLogs);
+    if (options.resolveMentions) result = resolveMentions(result, names);
+    if (options.unwrapLinks) result = unwrapLinks(result);
+    if (options.decodeEntities) result = decodeEntities(result);
+    return result.trim();
+}
+
+/**
+ * メッセージの一覧を整形する (本文が空になったメッセージは除外する)
+ * @param {object[]} messages Slack のメッセージ
+ * @param {object} [context]
+ * @param {Map<string, string>} [context.names] Slack ID → 社員名 (employeeNames() で作る)
+ * @param {object} [context.options] normalizeOptions() の値
+ */
+function normalizeMessages(messages, { names = new Map(), options = DEFAULT_OPTIONS } = {}) {
+    let result = messages;
+    if (options.dropSubtypes) result = dropSubtypes(result, options.dropSubtypes);
+    if (options.dropBots) result = dropBots(result);
+    if (options.dedupeEdits) result = dedupeEdits(result);
+    return result
+        .map(m => ({ ...m, text: normalizeText(m.text, { names, options }) }))
+        .filter(m => m.text);
+}
+
+/**
+ * 社員の Slack ID (両ワークスペース) → 名前の対応表
+ */
+function employeeNames(employees) {
+    const names = new Map();
+    employees.forEach(e => {
+        [e.slack_id, e.slack_id_2].filter(Boolean).forEach(id => names.set(id, e.name));
+    });
+    return names;
+}
+
+module.exports = {
+    DEFAULT_OPTIONS,
+    normalizeOptions,
+    dropSubtypes,
+    dropBots,
+    dedupeEdits,
+    collapseCode,
+    collapseLogs,
+    resolveMentions,
+    unwrapLinks,
+    decodeEntities,
+    normalizeText,
+    normalizeMessages,
+    employeeNames,
+};
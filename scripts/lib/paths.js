@@ -0,0 +1,39 @@
+/**
+ * paths.js
+ *
+ * データ・ドキュメントの出力先
+ * 既定はリポジトリ内の data/ と docs/ で、環境変数で別のディレクトリに向けられる
+ * (テストではコピーした作業ディレクトリに向けて、リポジトリのファイルを書き換えないようにする)
+ *
+ *   SAITEKI_DATA_DIR      data/ の代わりに使うディレクトリ
+ *   SAITEKI_DOCS_DIR      docs/ の代わりに使うディレクトリ
+ *   SAITEKI_TEMPLATE_DIR  .github/ISSUE_TEMPLATE/ の代わりに使うディレクトリ
+ *   SAITEKI_PROMPTS_DIR   prompts/ (AIのプロンプトのテンプレート) の代わりに使うディレクトリ
+ *
+ * いずれも設定ファイル (saiteki.config.json) の paths.dataDir / paths.docsDir / paths.templateDir / paths.promptsDir でも指定できる
+ */
+
+const path = require('path');
+const { loadConfig } = require('./config');
+
+loadConfig();
+
+const ROOT_DIR = path.join(__dirname, '../..');
+
+function dirFromEnv(name, fallback) {
+    return process.env[name] ? path.resolve(process.env[name]) : fallback;
+}
+
+const DATA_DIR = dirFromEnv('SAITEKI_DATA_DIR', path.join(ROOT_DIR, 'data'));
+const DOCS_DIR = dirFromEnv('SAITEKI_DOCS_DIR', path.join(ROOT_DIR, 'docs'));
+const TEMPLATE_DIR = dirFromEnv('SAITEKI_TEMPLATE_DIR', path.join(ROOT_DIR, '.github/ISSUE_TEMPLATE'));
+const PROMPTS_DIR = dirFromEnv('SAITEKI_PROMPTS_DIR', path.join(ROOT_DIR, 'prompts'));
+
+module.exports = {
+    ROOT_DIR,
+    DATA_DIR,
+    DOCS_DIR,
+    TEMPLATE_DIR,
+    PROMPTS_DIR,
+    GRAPH_FILE: path.join(DATA_DIR, 'knowledge-graph.json'),
+};
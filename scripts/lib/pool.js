@@ -0,0 +1,29 @@
+/**
+ * pool.js
+ *
+ * 同時実行数を制限した非同期処理 (AI の呼び出しを社員ごとに並列に行う)
+ */
+
+/**
+ * items を最大 limit 件ずつ並列に処理する (空いた枠から次の要素を始める)
+ * @param {any[]} items
+ * @param {number} limit 同時に実行する数 (1 なら順番に処理する)
+ * @param {(item: any, index: number) => Promise<any>} worker
+ * @returns {Promise<any[]>} items と同じ順の結果
+ */
+async function runPool(items, limit, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+    const lanes = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await worker(items[index], index);
+        }
+    });
+    await Promise.all(lanes);
+    return results;
+}
+
+module.exports = {
+    runPool,
+};
@@ -0,0 +1,141 @@
+/**
+ * privacy.js
+ *
+ * AI分析に渡す発言についての本人の同意と、個人情報の伏せ字
+ *
+ * 同意 (社員ごとの ai_consent。社員情報の修正 Issue で変更する):
+ *   all           両方のワークスペースの発言を分析する (未設定時。ただし privacy.requireConsent が true なら分析しない)
+ *   primary-only  2つ目のワークスペース (幹部用) の発言は分析に使わない
+ *   none          分析しない (オプトアウト)
+ * 同意していない社員の保存済みのプロフィールも、ほかの分析 (ナレッジグラフのペア分析、次回の同期) でAIに渡さない
+ *
+ * 伏せ字 (設定ファイルの privacy.redact。false で無効):
+ *   emails      メールアドレス → [email]
+ *   phones      電話番号 → [phone]
+ *   tokenUrls   トークン・署名などを含むURL → [url with token]
+ *   otherNames  分析対象以外の社員の名前・別名 → [person] (既定では無効)
+ *
+ * 設定例 (saiteki.config.json):
+ * {"privacy":{"requireConsent":true,"redact":{"otherNames":true}}}
+ */
+
+const { loadConfig } = require('./config');
+const { AI_CONSENT_VALUES } = require('./employee-schema');
+
+const DEFAULT_REDACT = {
+    emails: true,
+    phones: true,
+    tokenUrls: true,
+    otherNames: false,
+};
+
+const EMAIL_PATTERN = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g;
+// 国内の固定電話・携帯 (03-1234-5678 / 090-1234-5678 / 0120-123-456) と +81 形式、区切りのない携帯番号
+// 日付や金額に当たらないよう、それ以外は区切りを必須にする
+const PHONE_PATTERN = /(?<![\d-])(?:(?:\+81[-\s]?\d{1,4}|0\d{1,4})[-\s(]\d{1,4}[-\s)]\d{3,4}|0[789]0\d{8})(?![\d-])/g;
+const URL_PATTERN = /https?:\/\/[^\s<>"')\]]+/g;
+// クエリにあると秘密情報とみなすパラメーター
+const SECRET_PARAM_PATTERN = /[?&#](?:[\w.-]*token|key|api_?key|sig|signature|x-amz-signature|x-goog-signature|password|passwd|secret|auth|code|session|sid)=/i;
+// パスに埋め込まれた秘密情報 (Webhook URL など): 数字と英字が混ざった24文字以上の区間
+const SECRET_SEGMENT_PATTERN = /\/(?=[A-Za-z0-9_-]*\d)(?=[A-Za-z0-9_-]*[A-Za-z])[A-Za-z0-9_-]{24,}(?:\/|$)/;
+
+/**
+ * 既定値に設定ファイルの privacy を重ねた設定を返す
+ */
+function privacyOptions(overrides = loadConfig().config.privacy || {}) {
+    const redact = overrides.redact === false
+        ? Object.fromEntries(Object.keys(DEFAULT_REDACT).map(key => [key, false]))
+        : { ...DEFAULT_REDACT, ...(overrides.redact || {}) };
+    return { requireConsent: overrides.requireConsent === true, redact };
+}
+
+/**
+ * 社員の同意の状態 (未設定は requireConsent に従う。不明な値は分析しない側に倒す)
+ * @returns {'all'|'primary-only'|'none'}
+ */
+function consentOf(employee, { requireConsent = false } = {}) {
+    if (employee.ai_consent) return AI_CONSENT_VALUES.includes(employee.ai_consent) ? employee.ai_consent : 'none';
+    return requireConsent ? 'none' : 'all';
+}
+
+/**
+ * 保存済みのプロフィールに、2つ目のワークスペース (幹部用) の発言の分析が含まれているおそれがあるか
+ * primary-only に変える前の分析や、分析の根拠 (analysis_basis) を記録する前の分析はそのおそれがある
+ */
+function profileIncludesSecondary(employee) {
+    if (!employee.slack_id_2 || !employee.overall_summary) return false;
+    const workspaces = employee.analysis_basis?.workspaces;
+    return !workspaces || workspaces.includes('secondary');
+}
+
+/**
+ * 保存済みのプロフィールを、同意の範囲でAIに渡せるか
+ * (none は渡さない。primary-only は2つ目のワークスペースの発言の分析が含まれているおそれがあれば渡さない)
+ */
+function canShareProfile(employee, consent) {
+    if (consent === 'none') return false;
+    return consent !== 'primary-only' || !profileIncludesSecondary(employee);
+}
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * 分析対象以外の社員の名前・別名 (長いものから順に置き換える)
+ */
+function otherNames(employees, target) {
+    const names = employees
+        .filter(e => e !== target)
+        .flatMap(e => [e.name, ...(e.aliases || [])])
+        .filter(Boolean);
+    // 空白の有無の表記揺れも伏せる (「山田 太郎」と「山田太郎」)
+    return [...new Set(names.flatMap(name => [name, name.replace(/\s+/g, '')]))].sort((a, b) => b.length - a.length);
+}
+
+/**
+ * テキストの個人情報を伏せる
+ * @param {object} [context]
+ * @param {object} [context.redact] privacyOptions().redact
+ * @param {string[]} [context.names] 伏せる名前 (otherNames() の値)
+ * @param {Object<string, number>} [context.counts] 伏せた件数を種類ごとに加算する
+ */
+function redactText(text, { redact = DEFAULT_REDACT, names = [], counts = {} } = {}) {
+    const replace = (value, pattern, kind, replacement) => value.replace(pattern, (match) => {
+        const result = typeof replacement === 'function' ? replacement(match) : replacement;
+        if (result !== match) counts[kind] = (counts[kind] || 0) + 1;
+        return result;
+    });
+
+    let result = String(text || '');
+    if (redact.tokenUrls) {
+        result = replace(result, URL_PATTERN, 'tokenUrls', url => (SECRET_PARAM_PATTERN.test(url) || SECRET_SEGMENT_PATTERN.test(url) ? '[url with token]' : url));
+    }
+    if (redact.emails) result = replace(result, EMAIL_PATTERN, 'emails', '[email]');
+    if (redact.phones) result = replace(result, PHONE_PATTERN, 'phones', '[phone]');
+    if (redact.otherNames && names.length > 0) {
+        result = replace(result, new RegExp(names.map(escapeRegExp).join('|'), 'g'), 'otherNames', '[person]');
+    }
+    return result;
+}
+
+/**
+ * メッセージの本文の個人情報を伏せる
+ * @returns {{ messages: object[], counts: Object<string, number> }} counts は伏せた件数 (種類ごと)
+ */
+function redactMessages(messages, { redact = DEFAULT_REDACT, names = [] } = {}) {
+    const counts = {};
+    const redacted = messages.map(m => ({ ...m, text: redactText(m.text, { redact, names, counts }) }));
+    return { messages: redacted, counts };
+}
+
+module.exports = {
+    DEFAULT_REDACT,
+    privacyOptions,
+    consentOf,
+    profileIncludesSecondary,
+    canShareProfile,
+    otherNames,
+    redactText,
+    redactMessages,
+};
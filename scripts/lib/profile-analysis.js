@@ -0,0 +1,293 @@
+/**
+ * profile-analysis.js
+ *
+ * Slack の発言から人物プロファイルを作る (AI分析)
+ * 発言がプロンプトの上限 (AI_CHUNK_TOKENS) に収まれば1回で分析し、収まらなければ map-reduce で分析する
+ *   map:    発言を期間 (AI_CHUNK_WINDOW_DAYS 日ごと) で区切ってチャンクにまとめ、チャンクごとに中間プロファイルを作る
+ *   reduce: 中間プロファイルと既存の分析結果を統合して最終プロファイルを作る
+ *           (中間プロファイルが多くて上限を超える場合は、収まるまで古い順にまとめて統合を繰り返す)
+ * 発言を途中で切り捨てないので、長い履歴の古い発言も新しい発言も分析に入る
+ * current_state は最新のチャンクを優先するよう reduce のプロンプトで指示する
+ * 発言には参照ID ([m12] など) を付けてプロンプトに入れ、根拠の refs を元の発言の citations に置き換えて返す (citations.js)
+ * プロンプトはテンプレート prompts/profile/<バージョン>/ の single (1回で分析) / chunk (map) / merge (reduce) を使う (prompt-templates.js)
+ *
+ * トークン数は文字数からの概算 (日本語は1文字 ≒ 1トークン、英数字は4文字 ≒ 1トークン)
+ *
+ * 環境変数:
+ *   AI_CHUNK_TOKENS       1回のプロンプトに入れる発言・中間プロファイルの上限 (既定 30000)
+ *   AI_CHUNK_WINDOW_DAYS  チャンクを区切る期間の単位 (既定 7日)
+ */
+
+const { loadConfig } = require('./config');
+const { assignRefs, resolveCitations, stripCitations } = require('./citations');
+const { loadPrompt } = require('./prompt-templates');
+
+const DEFAULT_CHUNK_TOKENS = 30000;
+const DEFAULT_WINDOW_DAYS = 7;
+
+// 日本語 (かな・漢字・全角記号)
+const CJK_PATTERN = /[\u3000-\u30ff\u3400-\u9fff\uf900-\ufaff\uff00-\uffef]/g;
+
+/**
+ * テキストのトークン数を概算する
+ */
+function estimateTokens(text) {
+    const value = String(text || '');
+    const cjk = (value.match(CJK_PATTERN) || []).length;
+    return cjk + Math.ceil((value.length - cjk) / 4);
+}
+
+function toIso(ts) {
+    return new Date(Number(ts) * 1000).toISOString();
+}
+
+/**
+ * プロンプトに入れる1行 (assignRefs() で参照IDを付けたメッセージは先頭に参照IDが付く)
+ */
+function formatMessage(message) {
+    const ref = message.ref ? `[${message.ref}] ` : '';
+    return `${ref}[${toIso(message.ts)}] ${message.text}`;
+}
+
+/**
+ * 発言を期間ごとのチャンクに分ける (古い順)
+ * 期間 (windowDays 日、月曜日始まり) の単位で区切り、上限に収まる限り隣り合う期間を1つのチャンクにまとめる
+ * 1つの期間だけで上限を超える場合は、その期間を発言の途中で分ける
+ * @param {object[]} messages text と ts を持つメッセージ
+ * @returns {{ from: string, to: string, count: number, tokens: number, log: string }[]} from / to は ISO 8601
+ */
+function chunkMessages(messages, { maxTokens = DEFAULT_CHUNK_TOKENS, windowDays = DEFAULT_WINDOW_DAYS } = {}) {
+    const windowSeconds = windowDays * 24 * 60 * 60;
+    // 1970-01-01 は木曜日なので、3日ずらして期間を月曜日始まりにそろえる
+    const offset = 3 * 24 * 60 * 60;
+    const sorted = [...messages].sort((a, b) => Number(a.ts) - Number(b.ts));
+
+    const windows = [];
+    sorted.forEach(message => {
+        const key = Math.floor((Number(message.ts) + offset) / windowSeconds);
+        const line = formatMessage(message);
+        const last = windows[windows.length - 1];
+        const entry = { ts: message.ts, line, tokens: estimateTokens(line) + 1 };
+        if (last && last.key === key) last.entries.push(entry);
+        else windows.push({ key, entries: [entry] });
+    });
+
+    const chunks = [];
+    let current = [];
+    let currentTokens = 0;
+    const flush = () => {
+        if (current.length === 0) return;
+        chunks.push({
+            from: toIso(current[0].ts),
+            to: toIso(current[current.length - 1].ts),
+            count: current.length,
+            tokens: currentTokens,
+            log: current.map(e => e.line).join('\n'),
+        });
+        current = [];
+        currentTokens = 0;
+    };
+
+    windows.forEach(({ entries }) => {
+        const windowTokens = entries.reduce((sum, e) => sum + e.tokens, 0);
+        if (currentTokens + windowTokens > maxTokens) flush();
+        entries.forEach(entry => {
+            if (current.length > 0 && currentTokens + entry.tokens > maxTokens) flush();
+            current.push(entry);
+            currentTokens += entry.tokens;
+        });
+    });
+    flush();
+    return chunks;
+}
+
+/**
+ * 既存の分析結果をプロンプトに入れる形にする
+ * 上限を超える場合は根拠 (evidence / evidence_episodes) を省き、それでも超える場合は各項目の要約だけにする
+ * (途中で切ると壊れた JSON になるので、文字数では切らない)
+ */
+function compactProfile(profile, maxTokens) {
+    const render = (value) => JSON.stringify(value, null, 2);
+    // 引用元と Big Five の観測の記録はプロンプトでは使わない
+    const full = render(JSON.parse(JSON.stringify(stripCitations(profile)), (key, value) => (key === 'observations' ? undefined : value)));
+    if (estimateTokens(full) <= maxTokens) return full;
+
+    const withoutEvidence = JSON.parse(full, (key, value) => (key === 'evidence' || key === 'evidence_episodes' ? undefined : value));
+    const compact = render(withoutEvidence);
+    if (estimateTokens(compact) <= maxTokens) return compact;
+
+    return render(Object.fromEntries(Object.entries(profile).map(([key, value]) => [
+        key,
+        value && typeof value === 'object' ? value.summary : value,
+    ])));
+}
+
+// ============================================================
+// プロンプト (テンプレートは prompts/profile/<バージョン>/)
+// ============================================================
+function existingProfileSection(prompt, existingProfile, maxTokens) {
+    if (!existingProfile) return '';
+    return prompt.render('existing-profile', { profile: compactProfile(existingProfile, maxTokens) });
+}
+
+/**
+ * 発言がすべて1回に収まるときのプロンプト
+ */
+function buildProfilePrompt(name, log, existingProfile, { maxTokens = DEFAULT_CHUNK_TOKENS, prompt = loadPrompt('profile') } = {}) {
+    return prompt.render('single', {
+        name,
+        log,
+        existing_profile: existingProfileSection(prompt, existingProfile, maxTokens),
+    });
+}
+
+/**
+ * map: 1チャンク分の発言から中間プロファイルを作るプロンプト
+ */
+function buildChunkPrompt(name, chunk, index, total, { prompt = loadPrompt('profile') } = {}) {
+    return prompt.render('chunk', {
+        name,
+        index: index + 1,
+        total,
+        from: chunk.from,
+        to: chunk.to,
+        count: chunk.count,
+        log: chunk.log,
+    });
+}
+
+/**
+ * reduce: 期間ごとの中間プロファイルを統合するプロンプト
+ * @param {object[]} partials 古い順の中間プロファイル ({ from, to, count, profile })
+ * @param {object|null} existingProfile 既存の分析結果 (最終的な統合のときだけ渡す)
+ */
+function buildMergePrompt(name, partials, existingProfile, { maxTokens = DEFAULT_CHUNK_TOKENS, prompt = loadPrompt('profile') } = {}) {
+    const sections = partials.map((partial, index) => prompt.render('partial', {
+        index: index + 1,
+        from: partial.from,
+        to: partial.to,
+        count: partial.count,
+        latest: index === partials.length - 1 ? ' 【最新】' : '',
+        profile: JSON.stringify(partial.profile, null, 2),
+    }));
+    return prompt.render('merge', {
+        name,
+        from: partials[0].from,
+        to: partials[partials.length - 1].to,
+        count: partials.reduce((sum, p) => sum + p.count, 0),
+        partials: sections.join('').replace(/\n$/, ''),
+        existing_profile: existingProfileSection(prompt, existingProfile, maxTokens),
+    });
+}
+
+// ============================================================
+// 分析
+// ============================================================
+function analysisOptions(env = process.env) {
+    loadConfig();
+    return {
+        chunkTokens: Number(env.AI_CHUNK_TOKENS) || DEFAULT_CHUNK_TOKENS,
+        windowDays: Number(env.AI_CHUNK_WINDOW_DAYS) || DEFAULT_WINDOW_DAYS,
+    };
+}
+
+/**
+ * 中間プロファイルを上限に収まるグループに分ける (古い順)
+ */
+function groupPartials(partials, maxTokens) {
+    const groups = [];
+    let current = [];
+    let currentTokens = 0;
+    partials.forEach(partial => {
+        const tokens = estimateTokens(JSON.stringify(partial.profile, null, 2));
+        if (current.length > 0 && currentTokens + tokens > maxTokens) {
+            groups.push(current);
+            current = [];
+            currentTokens = 0;
+        }
+        current.push(partial);
+        currentTokens += tokens;
+    });
+    if (current.length > 0) groups.push(current);
+    return groups;
+}
+
+/**
+ * @param {object} ai createAIClient() の値
+ * @param {object} [options] analysisOptions() の値 (prompt を省略すると prompts.json のバージョンのテンプレートを使う)
+ * @returns {{ prompt: object, analyze: Function }} prompt は分析に使うテンプレート (loadPrompt() の値)
+ */
+function createProfileAnalyzer(ai, { chunkTokens, windowDays, prompt = loadPrompt('profile') } = analysisOptions(), log = console) {
+    const generate = (text, label) => ai.generateJSON(text, { label });
+
+    async function mergePartials(name, partials, existingProfile) {
+        let level = partials;
+        // 統合後の中間プロファイルも上限を超える場合は、2つ以上ずつまとめて段階的に統合する
+        while (level.length > 1) {
+            const groups = groupPartials(level, chunkTokens);
+            if (groups.length === 1) break;
+            log.log(`    Merging ${level.length} partial profiles in ${groups.length} groups...`);
+            const merged = [];
+            for (const group of groups) {
+                if (group.length === 1) {
+                    merged.push(group[0]);
+                    continue;
+                }
+                merged.push({
+                    from: group[0].from,
+                    to: group[group.length - 1].to,
+                    count: group.reduce((sum, p) => sum + p.count, 0),
+                    profile: await generate(buildMergePrompt(name, group, null, { maxTokens: chunkTokens, prompt }), `${name} (merge ${group[0].from.slice(0, 10)}〜)`),
+                });
+            }
+            // どのグループも1件ずつしかない (1件で上限を超える) 場合はこれ以上まとめられない
+            if (merged.length === level.length) break;
+            level = merged;
+        }
+        return generate(buildMergePrompt(name, level, existingProfile, { maxTokens: chunkTokens, prompt }), `${name} (merge)`);
+    }
+
+    /**
+     * @param {string} name 社員名
+     * @param {object[]} messages この社員の発言 (text / ts と、引用に使う workspace / channel を持つ)
+     * @param {object|null} existingProfile 既存の分析結果
+     * @returns {Promise<object>} プロファイル (根拠の refs は citations に置き換え済み)。失敗した場合は { ai_error: true }
+     */
+    async function analyze(name, messages, existingProfile = null) {
+        const { messages: referenced, refs } = assignRefs(messages);
+        const chunks = chunkMessages(referenced, { maxTokens: chunkTokens, windowDays });
+        try {
+            if (chunks.length <= 1) {
+                const profile = await generate(buildProfilePrompt(name, chunks[0]?.log || '', existingProfile, { maxTokens: chunkTokens, prompt }), name);
+                return resolveCitations(profile, refs);
+            }
+
+            log.log(`    ${messages.length} messages exceed ${chunkTokens} tokens; analyzing ${chunks.length} periods separately...`);
+            const partials = [];
+            for (const [index, chunk] of chunks.entries()) {
+                const profile = await generate(buildChunkPrompt(name, chunk, index, chunks.length, { prompt }), `${name} (${index + 1}/${chunks.length})`);
+                partials.push({ from: chunk.from, to: chunk.to, count: chunk.count, profile });
+            }
+            return resolveCitations(await mergePartials(name, partials, existingProfile), refs);
+        } catch (error) {
+            log.error(`AI analysis failed for ${name}:`, error.message);
+            return { ai_error: true };
+        }
+    }
+
+    return { prompt, analyze };
+}
+
+module.exports = {
+    DEFAULT_CHUNK_TOKENS,
+    DEFAULT_WINDOW_DAYS,
+    estimateTokens,
+    formatMessage,
+    chunkMessages,
+    compactProfile,
+    buildProfilePrompt,
+    buildChunkPrompt,
+    buildMergePrompt,
+    analysisOptions,
+    createProfileAnalyzer,
+};
@@ -0,0 +1,168 @@
+/**
+ * profile-history.js
+ *
+ * 社員プロフィールの変更履歴 (data/profile-history.jsonl)
+ * 1行1リビジョンの追記専用ファイルで、各行は変更されたフィールドの新しい値だけを持つ
+ * 任意のリビジョン時点のプロフィールは、先頭から変更を積み上げて復元する
+ *
+ * {"employee_id":"emp-...","revision":2,"at":"...","source":{"type":"issue","issue":12},"changes":{...},"removed":[...]}
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./paths');
+
+const HISTORY_FILE = path.join(DATA_DIR, 'profile-history.jsonl');
+
+// 毎回更新されるだけの管理用フィールドは変更として扱わない
+const IGNORED_FIELDS = ['updatedAt', 'last_updated', 'slack_synced_at'];
+
+function readHistory(file = HISTORY_FILE) {
+    if (!fs.existsSync(file)) return [];
+    return fs.readFileSync(file, 'utf8')
+        .split('\n')
+        .filter(line => line.trim() !== '')
+        .map(line => JSON.parse(line));
+}
+
+function isEqual(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * 2つのレコードのトップレベルフィールドを比較する
+ * @returns {{ changes: object, removed: string[] }}
+ */
+function diffRecords(before = {}, after = {}) {
+    const changes = {};
+    const removed = [];
+    Object.keys(after).forEach(key => {
+        if (IGNORED_FIELDS.includes(key)) return;
+        if (!isEqual(before[key], after[key])) changes[key] = after[key];
+    });
+    Object.keys(before).forEach(key => {
+        if (IGNORED_FIELDS.includes(key)) return;
+        if (!(key in after)) removed.push(key);
+    });
+    return { changes, removed };
+}
+
+function formatSource(source = {}) {
+    switch (source.type) {
+        case 'issue': {
+            const label = source.issue ? `Issue #${source.issue}` : 'Issue';
+            return source.author ? `${label} by @${source.author}` : label;
+        }
+        case 'slack-sync': return 'Slack sync';
+        case 'slack-users': return 'Slack user import';
+        case 'slack-export': return 'Slack export import';
+        case 'baseline': return 'baseline';
+        default: return source.type || 'unknown';
+    }
+}
+
+/**
+ * 保存前後の社員リストを比較し、変更のあったレコードをリビジョンとして追記する
+ * 履歴のない社員は、変更前の状態を baseline リビジョンとして先に記録する
+ *
+ * @returns {number} 追記したリビジョン数
+ */
+function recordRevisions(previous, next, source = {}, { file = HISTORY_FILE, at = new Date().toISOString() } = {}) {
+    const history = readHistory(file);
+    const lastRevision = new Map();
+    history.forEach(entry => lastRevision.set(entry.employee_id, entry.revision));
+
+    const lines = [];
+    const append = (employeeId, entry, entryAt = at) => {
+        const revision = (lastRevision.get(employeeId) || 0) + 1;
+        lastRevision.set(employeeId, revision);
+        lines.push(JSON.stringify({ employee_id: employeeId, revision, at: entryAt, ...entry }));
+    };
+    // baseline は変更前のレコードが最後に更新された時点のものとして記録する
+    const appendBaseline = (before) => {
+        append(before.id, { source: { type: 'baseline' }, changes: diffRecords({}, before).changes, removed: [] }, before.updatedAt || at);
+    };
+
+    const previousById = new Map(previous.filter(e => e.id).map(e => [e.id, e]));
+    const nextIds = new Set();
+
+    next.forEach(employee => {
+        if (!employee.id) return;
+        nextIds.add(employee.id);
+        const before = previousById.get(employee.id);
+
+        if (before && !lastRevision.has(employee.id)) appendBaseline(before);
+
+        const { changes, removed } = diffRecords(before || {}, employee);
+        if (Object.keys(changes).length === 0 && removed.length === 0) return;
+        append(employee.id, { source, changes, removed });
+    });
+
+    previousById.forEach((before, id) => {
+        if (nextIds.has(id)) return;
+        if (!lastRevision.has(id)) appendBaseline(before);
+        append(id, { source, changes: {}, removed: [], deleted: true });
+    });
+
+    if (lines.length > 0) {
+        const dir = path.dirname(file);
+        if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+        fs.appendFileSync(file, lines.join('\n') + '\n');
+    }
+    return lines.length;
+}
+
+function revisionsOf(history, employeeId) {
+    return history.filter(entry => entry.employee_id === employeeId).sort((a, b) => a.revision - b.revision);
+}
+
+/**
+ * 指定リビジョン時点のプロフィールを復元する
+ */
+function snapshotAt(history, employeeId, revision) {
+    const snapshot = {};
+    revisionsOf(history, employeeId)
+        .filter(entry => entry.revision <= revision)
+        .forEach(entry => {
+            Object.assign(snapshot, entry.changes);
+            (entry.removed || []).forEach(key => delete snapshot[key]);
+        });
+    return snapshot;
+}
+
+// ネストしたオブジェクトを `a.b[0]` 形式のパスに展開する
+function flatten(value, prefix = '', out = {}) {
+    if (Array.isArray(value)) {
+        if (value.length === 0) out[prefix] = [];
+        value.forEach((item, i) => flatten(item, `${prefix}[${i}]`, out));
+    } else if (value && typeof value === 'object') {
+        Object.entries(value).forEach(([key, child]) => flatten(child, prefix ? `${prefix}.${key}` : key, out));
+    } else {
+        out[prefix] = value;
+    }
+    return out;
+}
+
+/**
+ * 2つのスナップショットの差分をパス単位で返す
+ * @returns {{ path: string, before: any, after: any }[]}
+ */
+function diffSnapshots(a, b) {
+    const flatA = flatten(a);
+    const flatB = flatten(b);
+    const paths = [...new Set([...Object.keys(flatA), ...Object.keys(flatB)])].sort();
+    return paths
+        .filter(p => !isEqual(flatA[p], flatB[p]))
+        .map(p => ({ path: p, before: flatA[p], after: flatB[p] }));
+}
+
+module.exports = {
+    HISTORY_FILE,
+    readHistory,
+    diffRecords,
+    recordRevisions,
+    revisionsOf,
+    snapshotAt,
+    diffSnapshots,
+    formatSource,
+};
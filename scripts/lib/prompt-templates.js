@@ -0,0 +1,140 @@
+/**
+ * prompt-templates.js
+ *
+ * AIのプロンプトのテンプレート (prompts/<プロンプトID>/<バージョン>/*.md)
+ * 文言の変更はコードではなくテンプレートの新しいバージョンとして追加し、どのプロンプトで作った結果かを記録する
+ *
+ *   prompts/prompts.json              各プロンプトで使うバージョン ({"profile": "v1", ...})
+ *   prompts/profile/v1/single.md      プロンプトID profile のバージョン v1 のテンプレート single
+ *
+ * 使うバージョンは設定ファイルの prompts.<プロンプトID> で上書きできる (prompts.json より優先)
+ * テンプレートの書式:
+ *   {{name}}       変数 (渡されていない変数はエラー。値の中の {{...}} は展開しない)
+ *   {{> format}}   同じバージョンのテンプレート format.md をそのまま埋め込む
+ *
+ * AIの出力には、社員レコードでは ai_prompts ({"profile": "v1"})、グラフのエッジでは prompt_id / prompt_version として使ったバージョンを残す
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadConfig } = require('./config');
+const { PROMPTS_DIR } = require('./paths');
+
+const MANIFEST_FILE = path.join(PROMPTS_DIR, 'prompts.json');
+
+const VARIABLE_PATTERN = /\{\{\s*([\w-]+)\s*\}\}/g;
+const INCLUDE_PATTERN = /\{\{>\s*([\w-]+)\s*\}\}/g;
+
+function isDirectory(file) {
+    return fs.existsSync(file) && fs.statSync(file).isDirectory();
+}
+
+function readManifest() {
+    if (!fs.existsSync(MANIFEST_FILE)) return {};
+    try {
+        return JSON.parse(fs.readFileSync(MANIFEST_FILE, 'utf8'));
+    } catch (e) {
+        throw new Error(`Error parsing ${MANIFEST_FILE}: ${e.message}`);
+    }
+}
+
+/**
+ * プロンプトのバージョン (v1, v2, ..., v10 の順)
+ */
+function versionsOf(id) {
+    const dir = path.join(PROMPTS_DIR, id);
+    if (!isDirectory(dir)) return [];
+    return fs.readdirSync(dir)
+        .filter(name => isDirectory(path.join(dir, name)))
+        .sort((a, b) => a.localeCompare(b, 'en', { numeric: true }));
+}
+
+/**
+ * 使うバージョン (設定ファイルの prompts.<ID> → prompts.json → 最新のバージョン)
+ */
+function activeVersion(id) {
+    const configured = loadConfig().config.prompts?.[id] || readManifest()[id];
+    return configured || versionsOf(id).pop();
+}
+
+/**
+ * プロンプトの一覧
+ * @returns {{ id: string, versions: string[], active: string }[]}
+ */
+function listPrompts() {
+    if (!isDirectory(PROMPTS_DIR)) return [];
+    return fs.readdirSync(PROMPTS_DIR)
+        .filter(id => isDirectory(path.join(PROMPTS_DIR, id)))
+        .sort()
+        .map(id => ({ id, versions: versionsOf(id), active: activeVersion(id) }));
+}
+
+/**
+ * テンプレートに変数を埋め込む
+ * @param {string} text テンプレート
+ * @param {Object<string, string|number>} variables
+ * @param {string} source エラーメッセージに出すテンプレートの名前
+ */
+function renderTemplate(text, variables, source) {
+    return text.replace(VARIABLE_PATTERN, (match, name) => {
+        if (!Object.prototype.hasOwnProperty.call(variables, name) || variables[name] === undefined || variables[name] === null) {
+            throw new Error(`Prompt template ${source}: variable "${name}" is not given`);
+        }
+        return String(variables[name]);
+    });
+}
+
+/**
+ * プロンプトの1バージョンを読み込む
+ * @param {string} id プロンプトID (profile / extraction / pair-relationship)
+ * @param {string} [version] 省略時は activeVersion(id)
+ * @returns {{ id: string, version: string, ref: string, render: (name: string, variables?: object) => string }}
+ *   ref は "profile@v1" の形の表示用の名前
+ */
+function loadPrompt(id, version = activeVersion(id)) {
+    const dir = path.join(PROMPTS_DIR, id, version || '');
+    if (!version || !isDirectory(dir)) {
+        const versions = versionsOf(id);
+        throw new Error(versions.length === 0
+            ? `Unknown prompt: ${id} (${PROMPTS_DIR})`
+            : `Unknown version of prompt ${id}: ${version} (available: ${versions.join(', ')})`);
+    }
+
+    const ref = `${id}@${version}`;
+    const cache = new Map();
+    const read = (name, stack = []) => {
+        if (stack.includes(name)) throw new Error(`Prompt template ${ref}/${name}: circular include (${[...stack, name].join(' > ')})`);
+        if (cache.has(name)) return cache.get(name);
+        const file = path.join(dir, `${name}.md`);
+        if (!fs.existsSync(file)) throw new Error(`Prompt template not found: ${ref}/${name} (${file})`);
+        // 埋め込むテンプレートは末尾の改行を除いてから埋め込む
+        const text = fs.readFileSync(file, 'utf8')
+            .replace(INCLUDE_PATTERN, (match, include) => read(include, [...stack, name]).replace(/\n$/, ''));
+        cache.set(name, text);
+        return text;
+    };
+
+    return {
+        id,
+        version,
+        ref,
+        render: (name, variables = {}) => renderTemplate(read(name), variables, `${ref}/${name}`),
+    };
+}
+
+/**
+ * 社員レコードに、AIの出力に使ったプロンプトのバージョンを記録する (ai_prompts.<プロンプトID>)
+ */
+function recordPrompt(employee, prompt) {
+    employee.ai_prompts = { ...employee.ai_prompts, [prompt.id]: prompt.version };
+}
+
+module.exports = {
+    MANIFEST_FILE,
+    versionsOf,
+    activeVersion,
+    listPrompts,
+    renderTemplate,
+    loadPrompt,
+    recordPrompt,
+};
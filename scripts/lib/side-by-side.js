@@ -0,0 +1,114 @@
+/**
+ * side-by-side.js
+ *
+ * 2つのテキストの行単位の差分を左右に並べて表示する (prompts compare)
+ * 行の対応は最長共通部分列で取り、左右で異なる行は | 、左だけの行は < 、右だけの行は > を付ける
+ * 表示幅は全角文字を2桁として数え、列に収まらない行は列の中で折り返す
+ */
+
+// 全角 (East Asian Wide / Fullwidth) の文字
+const WIDE_PATTERN = /[ᄀ-ᅟ⺀-〾ぁ-㏿㐀-䶿一-鿿ꀀ-꓏가-힣豈-﫿︰-﹏＀-｠￠-￦]|[\u{1f300}-\u{1faff}]/u;
+
+function charWidth(char) {
+    return WIDE_PATTERN.test(char) ? 2 : 1;
+}
+
+function displayWidth(text) {
+    return [...text].reduce((sum, char) => sum + charWidth(char), 0);
+}
+
+/**
+ * 表示幅 width ごとに折り返す (空行は空文字1つ)
+ */
+function wrap(text, width) {
+    const lines = [];
+    let current = '';
+    let currentWidth = 0;
+    [...text].forEach(char => {
+        const w = charWidth(char);
+        if (currentWidth + w > width && current) {
+            lines.push(current);
+            current = '';
+            currentWidth = 0;
+        }
+        current += char;
+        currentWidth += w;
+    });
+    lines.push(current);
+    return lines;
+}
+
+/**
+ * 行単位の差分
+ * @returns {{ type: 'same'|'changed'|'removed'|'added', left?: string, right?: string }[]}
+ *   連続して削除・追加された行は、上から順に changed として対にする
+ */
+function diffLines(left, right) {
+    const n = left.length;
+    const m = right.length;
+    // lcs[i][j] = left[i..] と right[j..] の最長共通部分列の長さ
+    const lcs = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+    for (let i = n - 1; i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+            lcs[i][j] = left[i] === right[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const rows = [];
+    let removed = [];
+    let added = [];
+    const flush = () => {
+        const paired = Math.min(removed.length, added.length);
+        for (let k = 0; k < paired; k++) rows.push({ type: 'changed', left: removed[k], right: added[k] });
+        removed.slice(paired).forEach(line => rows.push({ type: 'removed', left: line }));
+        added.slice(paired).forEach(line => rows.push({ type: 'added', right: line }));
+        removed = [];
+        added = [];
+    };
+
+    let i = 0;
+    let j = 0;
+    while (i < n || j < m) {
+        if (i < n && j < m && left[i] === right[j]) {
+            flush();
+            rows.push({ type: 'same', left: left[i], right: right[j] });
+            i++;
+            j++;
+        } else if (j >= m || (i < n && lcs[i + 1][j] >= lcs[i][j + 1])) {
+            removed.push(left[i++]);
+        } else {
+            added.push(right[j++]);
+        }
+    }
+    flush();
+    return rows;
+}
+
+const MARKERS = { same: ' ', changed: '|', removed: '<', added: '>' };
+
+/**
+ * 2つのテキストを左右に並べた差分
+ * @param {{ width?: number }} [options] 全体の表示幅 (既定 160桁)
+ * @returns {{ text: string, changes: number }} changes は左右で異なる行の数
+ */
+function renderSideBySide(leftText, rightText, { width = 160 } = {}) {
+    const column = Math.max(10, Math.floor((width - 3) / 2));
+    const rows = diffLines(leftText.split('\n'), rightText.split('\n'));
+    const lines = [];
+    rows.forEach(row => {
+        const left = row.left === undefined ? [''] : wrap(row.left, column);
+        const right = row.right === undefined ? [''] : wrap(row.right, column);
+        for (let k = 0; k < Math.max(left.length, right.length); k++) {
+            const cell = left[k] || '';
+            const marker = k === 0 ? MARKERS[row.type] : ' ';
+            lines.push(`${cell}${' '.repeat(column - displayWidth(cell))} ${marker} ${right[k] || ''}`.trimEnd());
+        }
+    });
+    return { text: lines.join('\n'), changes: rows.filter(row => row.type !== 'same').length };
+}
+
+module.exports = {
+    displayWidth,
+    diffLines,
+    renderSideBySide,
+};
@@ -0,0 +1,112 @@
+/**
+ * slack-channels.js
+ *
+ * 同期対象チャンネルの決定
+ * - 設定ファイルの slack.discovery / slack.secondaryDiscovery があれば、ボットが参加しているチャンネルを
+ *   users.conversations で取得し、チャンネル名の include / exclude パターンで絞り込む
+ * - アーカイブ済みのチャンネルは除外する
+ * - SLACK_CHANNEL_ID / SLACK_CHANNEL_ID_2 で明示したチャンネルは、パターンに関係なく常に対象にする
+ *
+ * 設定例 (saiteki.config.json):
+ * {"slack":{"discovery":{"include":["dev-*","general"],"exclude":["*-private"],"types":["public_channel"]}}}
+ *
+ * パターンはチャンネル名 (先頭の # は不要) に対するワイルドカード (* と ?) で、大文字小文字は区別しない
+ * include を省略するとすべてのチャンネルが対象になり、exclude は include より優先する
+ */
+
+const { loadConfig } = require('./config');
+
+const DEFAULT_TYPES = ['public_channel'];
+
+// ワークスペース → 設定ファイルのキー (slack.channels / slack.secondaryChannels と同じ並び)
+const DISCOVERY_KEYS = {
+    primary: 'discovery',
+    secondary: 'secondaryDiscovery',
+};
+
+/**
+ * ワークスペースのチャンネル自動検出の設定を返す (無効なら null)
+ * @param {'primary'|'secondary'} workspace
+ * @returns {{ include: string[], exclude: string[], types: string[] }|null}
+ */
+function discoveryConfig(workspace, config = loadConfig().config) {
+    const discovery = config.slack?.[DISCOVERY_KEYS[workspace]];
+    if (!discovery || discovery.enabled === false) return null;
+    return {
+        include: [].concat(discovery.include || []),
+        exclude: [].concat(discovery.exclude || []),
+        types: [].concat(discovery.types || DEFAULT_TYPES),
+    };
+}
+
+function patternToRegExp(pattern) {
+    const source = pattern.replace(/^#/, '')
+        .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '.*')
+        .replace(/\?/g, '.');
+    return new RegExp(`^${source}$`, 'i');
+}
+
+function findPattern(name, patterns) {
+    return patterns.find(pattern => patternToRegExp(pattern).test(name)) || null;
+}
+
+/**
+ * 検出したチャンネルを絞り込む
+ * @param {{ id: string, name: string, is_archived?: boolean }[]} channels
+ * @returns {{ selected: object[], skipped: { channel: object, reason: string }[] }}
+ */
+function filterChannels(channels, { include = [], exclude = [] } = {}) {
+    const selected = [];
+    const skipped = [];
+    channels.forEach(channel => {
+        if (channel.is_archived) {
+            skipped.push({ channel, reason: 'archived' });
+            return;
+        }
+        const excludedBy = findPattern(channel.name, exclude);
+        if (excludedBy) {
+            skipped.push({ channel, reason: `excluded by "${excludedBy}"` });
+            return;
+        }
+        if (include.length > 0 && !findPattern(channel.name, include)) {
+            skipped.push({ channel, reason: 'not matched by include' });
+            return;
+        }
+        selected.push(channel);
+    });
+    return { selected, skipped };
+}
+
+/**
+ * 同期対象のチャンネルを決める
+ * @param {object} slack createSlackClient() のクライアント
+ * @param {string[]} channelIds 明示したチャンネルID
+ * @param {object|null} discovery discoveryConfig() の値
+ * @returns {Promise<{ channels: { id: string, name: string|null, source: 'config'|'discovered' }[], skipped: { channel: object, reason: string }[] }>}
+ *   検出のAPI呼び出しに失敗したときは SlackError を投げる
+ */
+async function resolveChannels(slack, channelIds, discovery) {
+    const channels = channelIds.map(id => ({ id, name: null, source: 'config' }));
+    if (!discovery) return { channels, skipped: [] };
+
+    const joined = await slack.paginate('users.conversations', {
+        types: discovery.types.join(','),
+        limit: 200,
+    }, 'channels');
+    const { selected, skipped } = filterChannels(joined, discovery);
+
+    selected.forEach(({ id, name }) => {
+        const explicit = channels.find(c => c.id === id);
+        if (explicit) explicit.name = name;
+        else channels.push({ id, name, source: 'discovered' });
+    });
+    // 明示したチャンネルはパターンで除外されても対象に残す
+    return { channels, skipped: skipped.filter(({ channel }) => !channelIds.includes(channel.id)) };
+}
+
+module.exports = {
+    discoveryConfig,
+    filterChannels,
+    resolveChannels,
+};
@@ -0,0 +1,195 @@
+/**
+ * slack-client.js
+ *
+ * Slack Web API の共通クライアント
+ * - メソッドごとのレート制限 Tier に合わせた呼び出し間隔の調整
+ * - HTTP 429 の Retry-After に従った待機と、5xx・ネットワークエラー・一時的なエラーのリトライ
+ * - エラーの分類: リトライ可能 / チャンネル単位で致命的 (not_in_channel など) / ワークスペース単位で致命的 (invalid_auth など)
+ *
+ * 環境変数:
+ *   SLACK_API_BASE_URL      Slack API のベースURL (既定 https://slack.com/api)
+ *   SLACK_REQUEST_DELAY_MS  呼び出し間隔 (ms)。指定すると Tier ごとの間隔より優先する (テスト用)
+ *   SLACK_MAX_RETRIES       リトライ回数 (既定 5)
+ *   SLACK_TIMEOUT_MS        1リクエストのタイムアウト (既定 30000)
+ */
+
+const { loadConfig } = require('./config');
+
+const DEFAULT_BASE_URL = 'https://slack.com/api';
+const DEFAULT_MAX_RETRIES = 5;
+const DEFAULT_TIMEOUT_MS = 30000;
+const BASE_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 60000;
+// Retry-After がない 429 の待ち時間
+const DEFAULT_RETRY_AFTER_S = 30;
+
+// https://api.slack.com/apis/rate-limits (Tier 1: 1回/分 〜 Tier 4: 100回/分)
+const TIER_INTERVAL_MS = { 1: 60000, 2: 3000, 3: 1200, 4: 600 };
+const METHOD_TIERS = {
+    'auth.test': 4,
+    'conversations.history': 3,
+    'conversations.replies': 3,
+    'conversations.list': 2,
+    'conversations.info': 3,
+    'users.conversations': 3,
+    'users.list': 2,
+    'users.info': 4,
+    'users.profile.get': 4,
+};
+
+// ok: false で返るエラーコードの分類
+const RETRYABLE_ERRORS = ['ratelimited', 'internal_error', 'fatal_error', 'service_unavailable', 'request_timeout'];
+const WORKSPACE_FATAL_ERRORS = ['invalid_auth', 'not_authed', 'account_inactive', 'token_revoked', 'token_expired', 'no_permission', 'team_access_not_granted'];
+const CHANNEL_FATAL_ERRORS = ['not_in_channel', 'channel_not_found', 'missing_scope', 'is_archived', 'access_denied'];
+
+class SlackError extends Error {
+    /**
+     * @param {string} message
+     * @param {object} [info]
+     * @param {string} [info.code] Slack のエラーコード (invalid_auth など)
+     * @param {number} [info.status] HTTP ステータス
+     * @param {boolean} [info.retryable]
+     * @param {'channel'|'workspace'|null} [info.scope] 致命的なエラーの影響範囲
+     */
+    constructor(message, { code, status, retryable = false, scope = null } = {}) {
+        super(message);
+        this.name = 'SlackError';
+        this.code = code;
+        this.status = status;
+        this.retryable = retryable;
+        this.scope = scope;
+    }
+}
+
+function classifyError(code) {
+    if (RETRYABLE_ERRORS.includes(code)) return { retryable: true, scope: null };
+    if (WORKSPACE_FATAL_ERRORS.includes(code)) return { retryable: false, scope: 'workspace' };
+    if (CHANNEL_FATAL_ERRORS.includes(code)) return { retryable: false, scope: 'channel' };
+    return { retryable: false, scope: null };
+}
+
+function configFromEnv(env = process.env) {
+    loadConfig();
+    return {
+        baseUrl: (env.SLACK_API_BASE_URL || DEFAULT_BASE_URL).replace(/\/$/, ''),
+        requestDelayMs: env.SLACK_REQUEST_DELAY_MS !== undefined ? Number(env.SLACK_REQUEST_DELAY_MS) : null,
+        maxRetries: Number(env.SLACK_MAX_RETRIES ?? DEFAULT_MAX_RETRIES),
+        timeoutMs: Number(env.SLACK_TIMEOUT_MS ?? DEFAULT_TIMEOUT_MS),
+    };
+}
+
+function sleep(ms) {
+    return new Promise(r => setTimeout(r, ms));
+}
+
+function backoffDelay(attempt) {
+    const exp = Math.min(BASE_BACKOFF_MS * 2 ** attempt, MAX_BACKOFF_MS);
+    return exp / 2 + Math.random() * exp / 2;
+}
+
+/**
+ * Slack クライアントを生成する (ワークスペースのトークンごとに1つ)
+ * @param {object} options
+ * @param {string} options.token ボットトークン
+ * 残りのキー (baseUrl / requestDelayMs / maxRetries / timeoutMs) は configFromEnv() の値を上書きする
+ */
+function createSlackClient({ token, ...overrides }) {
+    const cfg = { ...configFromEnv(), ...overrides };
+    const nextSlot = new Map();
+    const stats = { calls: 0, retries: 0, rateLimited: 0 };
+
+    // 同じメソッドの呼び出しが Tier の間隔より詰まらないように待つ
+    // (枠を先に予約するので、並行して呼び出しても間隔は守られる)
+    function throttle(method) {
+        const interval = cfg.requestDelayMs ?? TIER_INTERVAL_MS[METHOD_TIERS[method] || 3];
+        const slot = Math.max(Date.now(), nextSlot.get(method) || 0);
+        nextSlot.set(method, slot + interval);
+        return sleep(slot - Date.now());
+    }
+
+    async function requestOnce(method, params) {
+        await throttle(method);
+        stats.calls++;
+
+        const query = new URLSearchParams(Object.entries(params).filter(([, v]) => v !== undefined && v !== null && v !== ''));
+        const controller = new AbortController();
+        // 本文の受信が途中で止まっても打ち切れるよう、タイマーは本文を読み終えるまで止めない
+        const timer = setTimeout(() => controller.abort(), cfg.timeoutMs);
+        let response;
+        let data;
+        try {
+            response = await fetch(`${cfg.baseUrl}/${method}?${query}`, {
+                headers: { 'Authorization': `Bearer ${token}` },
+                signal: controller.signal,
+            });
+
+            if (response.status === 429) {
+                stats.rateLimited++;
+                const error = new SlackError(`${method}: rate limited (HTTP 429)`, { code: 'ratelimited', status: 429, retryable: true });
+                const retryAfter = Number(response.headers.get('retry-after') ?? NaN);
+                error.retryAfterMs = (Number.isFinite(retryAfter) ? retryAfter : DEFAULT_RETRY_AFTER_S) * 1000;
+                throw error;
+            }
+            if (!response.ok) {
+                throw new SlackError(`${method}: HTTP ${response.status}`, { status: response.status, retryable: response.status >= 500 });
+            }
+
+            data = await response.json();
+        } catch (e) {
+            if (e instanceof SlackError || e instanceof SyntaxError) throw e;
+            const message = e.name === 'AbortError' ? `request timed out after ${cfg.timeoutMs}ms` : `network error: ${e.message}`;
+            throw new SlackError(`${method}: ${message}`, { retryable: true });
+        } finally {
+            clearTimeout(timer);
+        }
+
+        if (!data.ok) {
+            throw new SlackError(`${method}: ${data.error}`, { code: data.error, status: response.status, ...classifyError(data.error) });
+        }
+        return data;
+    }
+
+    /**
+     * API メソッドを呼び出す (リトライ付き)。ok: false はすべて SlackError として投げる
+     */
+    async function call(method, params = {}) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await requestOnce(method, params);
+            } catch (e) {
+                if (!e.retryable || attempt >= cfg.maxRetries) throw e;
+                const delay = e.retryAfterMs ?? backoffDelay(attempt);
+                stats.retries++;
+                console.warn(`    Slack ${e.message}. Retrying in ${Math.round(delay)}ms (${attempt + 1}/${cfg.maxRetries})`);
+                await sleep(delay);
+            }
+        }
+    }
+
+    /**
+     * カーソルでページングしながら全件を取得する
+     * @param {string} key 結果の配列のキー (messages / channels / members など)
+     */
+    async function paginate(method, params, key) {
+        const items = [];
+        let cursor;
+        do {
+            const data = await call(method, { ...params, cursor });
+            items.push(...(data[key] || []));
+            cursor = data.response_metadata?.next_cursor;
+        } while (cursor);
+        return items;
+    }
+
+    return {
+        call,
+        paginate,
+        stats,
+    };
+}
+
+module.exports = {
+    SlackError,
+    createSlackClient,
+    classifyError,
+};
@@ -0,0 +1,134 @@
+/**
+ * slack-directory.js
+ *
+ * Slack のユーザー一覧 (users.list) と社員データの照合
+ * 照合の優先順: 登録済みの Slack ID → メールアドレス → 名前 (real_name / display_name と社員の名前・別名)
+ * 名前は normalizeName で正規化して比較するので、空白の有無などの表記揺れは同一人物として扱う
+ *
+ * 1人の社員に複数の Slack ユーザーが該当する場合や、1人の Slack ユーザーが複数の社員に該当する場合は
+ * どちらにも割り当てず ambiguous として返す (人が確認して Issue で修正する)
+ */
+
+const { normalizeName } = require('./employee-identity');
+
+// 照合の対象外にするユーザー (ボット・削除済み・Slackbot)
+function isHuman(user) {
+    return !user.deleted && !user.is_bot && !user.is_app_user && user.id !== 'USLACKBOT';
+}
+
+function normalizeEmail(email) {
+    return String(email || '').trim().toLowerCase();
+}
+
+function userNames(user) {
+    const profile = user.profile || {};
+    return [user.real_name, profile.real_name, profile.display_name, user.name]
+        .filter(Boolean)
+        .map(normalizeName);
+}
+
+function employeeNames(employee) {
+    return [employee.name, ...(employee.aliases || [])].filter(Boolean).map(normalizeName);
+}
+
+function describeUser(user) {
+    const profile = user.profile || {};
+    const name = profile.real_name || user.real_name || profile.display_name || user.name;
+    return profile.email ? `${user.id} (${name}, ${profile.email})` : `${user.id} (${name})`;
+}
+
+/**
+ * Slack ユーザーから保存するプロフィール項目
+ */
+function profileOf(user) {
+    const profile = user.profile || {};
+    return {
+        title: profile.title || undefined,
+        timezone: user.tz || undefined,
+        avatar_url: profile.image_192 || profile.image_72 || undefined,
+    };
+}
+
+/**
+ * 照合結果から、名前だけで照合したものを分ける
+ * 同姓同名の別人を取り違えうるので、人が確認しない実行 (定期同期) では名前だけの照合を反映しない
+ * @returns {{ verified: object[], nameOnly: object[] }} verified は登録済みの Slack ID かメールアドレスで照合したもの
+ */
+function splitNameMatches(matches) {
+    return {
+        verified: matches.filter(m => m.by !== 'name'),
+        nameOnly: matches.filter(m => m.by === 'name'),
+    };
+}
+
+/**
+ * 社員と Slack ユーザーを照合する
+ * @param {object[]} employees 在籍中の社員
+ * @param {object[]} users users.list の members
+ * @param {'slack_id'|'slack_id_2'} field このワークスペースの Slack ID を保存するフィールド
+ * @returns {{
+ *   matches: { employee: object, user: object, by: 'id'|'email'|'name' }[],
+ *   ambiguous: { employee: object, users: object[], by: string }[],
+ *   conflicts: { employee: object, user: object, reason: string }[],
+ *   unmatchedEmployees: object[],
+ *   unmatchedUsers: object[],
+ * }}
+ */
+function matchSlackUsers(employees, users, field) {
+    const humans = users.filter(isHuman);
+    const result = { matches: [], ambiguous: [], conflicts: [], unmatchedEmployees: [], unmatchedUsers: [] };
+    const owners = new Map(employees.filter(e => e[field]).map(e => [e[field], e]));
+
+    const candidates = employees.map(employee => {
+        const linked = employee[field] && humans.find(u => u.id === employee[field]);
+        if (linked) return { employee, users: [linked], by: 'id' };
+
+        const email = normalizeEmail(employee.email);
+        const byEmail = email ? humans.filter(u => normalizeEmail(u.profile?.email) === email) : [];
+        if (byEmail.length > 0) return { employee, users: byEmail, by: 'email' };
+
+        const names = employeeNames(employee);
+        const byName = humans.filter(u => userNames(u).some(n => names.includes(n)));
+        return { employee, users: byName, by: 'name' };
+    });
+
+    // 同じ Slack ユーザーが複数の社員の候補になっていないか
+    const claims = new Map();
+    candidates.filter(c => c.users.length === 1).forEach(c => {
+        const id = c.users[0].id;
+        claims.set(id, [...(claims.get(id) || []), c.employee]);
+    });
+
+    candidates.forEach(({ employee, users: found, by }) => {
+        if (found.length === 0) {
+            result.unmatchedEmployees.push(employee);
+        } else if (found.length > 1) {
+            result.ambiguous.push({ employee, users: found, by });
+        } else if (claims.get(found[0].id).length > 1) {
+            result.ambiguous.push({ employee, users: found, by: `${by} (also matches ${claims.get(found[0].id).filter(e => e !== employee).map(e => e.name).join(', ')})` });
+        } else if (employee[field] && employee[field] !== found[0].id) {
+            result.conflicts.push({ employee, user: found[0], reason: `registered ${field} ${employee[field]} differs from ${found[0].id} matched by ${by}` });
+        } else if (owners.has(found[0].id) && owners.get(found[0].id) !== employee) {
+            result.conflicts.push({ employee, user: found[0], reason: `${found[0].id} is already registered to ${owners.get(found[0].id).name}` });
+        } else {
+            result.matches.push({ employee, user: found[0], by });
+        }
+    });
+
+    const matchedIds = new Set([
+        ...result.matches.map(m => m.user.id),
+        ...result.ambiguous.flatMap(a => a.users.map(u => u.id)),
+        ...result.conflicts.map(c => c.user.id),
+        ...owners.keys(),
+    ]);
+    result.unmatchedUsers = humans.filter(u => !matchedIds.has(u.id));
+    return result;
+}
+
+module.exports = {
+    isHuman,
+    describeUser,
+    profileOf,
+    matchSlackUsers,
+    splitNameMatches,
+};
@@ -0,0 +1,103 @@
+/**
+ * slack-export.js
+ *
+ * Slack のワークスペースのエクスポート (管理者がダウンロードするもの) の読み込み
+ * 展開したディレクトリと ZIP ファイルのどちらでも読める
+ *
+ * エクスポートの構成:
+ *   channels.json / groups.json    公開・プライベートチャンネルの一覧 (id, name)
+ *   users.json                     ユーザー一覧 (users.list の members と同じ形式)
+ *   <チャンネル名>/YYYY-MM-DD.json    その日のメッセージ (スレッドの返信も同じファイルに入っている)
+ * DM・グループDM (dms.json / mpims.json) は分析の対象外なので読まない
+ *
+ * メッセージには channel がないので、チャンネル一覧の ID を付けて conversations.history で取得したものと同じ形にする
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { openZip } = require('./zip-reader');
+
+const CHANNEL_LISTS = ['channels.json', 'groups.json'];
+const DAY_FILE_PATTERN = /^\d{4}-\d{2}-\d{2}\.json$/;
+
+/**
+ * ディレクトリ・ZIP の違いを吸収して、エクスポートのルートからの相対パスでファイルを読む
+ */
+function openSource(source) {
+    if (!fs.existsSync(source)) throw new Error(`Slack export not found: ${source}`);
+
+    if (fs.statSync(source).isDirectory()) {
+        const list = (dir) => {
+            const full = path.join(source, dir);
+            return fs.existsSync(full) ? fs.readdirSync(full) : [];
+        };
+        return {
+            has: (name) => fs.existsSync(path.join(source, name)),
+            list,
+            read: (name) => fs.readFileSync(path.join(source, name), 'utf8'),
+        };
+    }
+
+    const zip = openZip(source);
+    // ZIP によってはすべてのファイルが1つのフォルダの下に入っている
+    const usersEntry = zip.names.find(name => path.posix.basename(name) === 'users.json');
+    if (!usersEntry) throw new Error(`users.json not found in ${source} (is this a Slack export?)`);
+    const root = path.posix.dirname(usersEntry) === '.' ? '' : `${path.posix.dirname(usersEntry)}/`;
+    const names = new Set(zip.names);
+    return {
+        has: (name) => names.has(root + name),
+        list: (dir) => zip.names
+            .filter(name => name.startsWith(`${root}${dir}/`))
+            .map(name => name.slice(`${root}${dir}/`.length))
+            .filter(name => !name.includes('/')),
+        read: (name) => zip.read(root + name).toString('utf8'),
+    };
+}
+
+function parse(source, name, text) {
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        throw new Error(`Error parsing ${name} in ${source}: ${e.message}`);
+    }
+}
+
+/**
+ * エクスポートを読み込む
+ * @param {string} source エクスポートのディレクトリまたは ZIP ファイル
+ * @param {object} [options]
+ * @param {string} [options.channel] このチャンネル (ID または名前) だけを読む
+ * @returns {{
+ *   channels: { id: string, name: string, messages: number, days: number }[],
+ *   users: object[],
+ *   messages: object[],
+ * }} messages は channel 付き
+ */
+function readSlackExport(source, { channel } = {}) {
+    const files = openSource(source);
+    if (!files.has('users.json')) throw new Error(`users.json not found in ${source} (is this a Slack export?)`);
+    const users = parse(source, 'users.json', files.read('users.json'));
+
+    const channels = CHANNEL_LISTS
+        .filter(name => files.has(name))
+        .flatMap(name => parse(source, name, files.read(name)))
+        .filter(c => !channel || c.id === channel || c.name === channel)
+        .map(c => ({ id: c.id, name: c.name, messages: 0, days: 0 }));
+    if (channel && channels.length === 0) throw new Error(`Channel ${channel} not found in ${source}`);
+
+    const messages = [];
+    channels.forEach(c => {
+        const days = files.list(c.name).filter(name => DAY_FILE_PATTERN.test(name)).sort();
+        days.forEach(day => {
+            const dayMessages = parse(source, `${c.name}/${day}`, files.read(`${c.name}/${day}`));
+            dayMessages.filter(m => m.ts).forEach(m => messages.push({ ...m, channel: c.id }));
+            c.messages += dayMessages.length;
+        });
+        c.days = days.length;
+    });
+    return { channels, users, messages };
+}
+
+module.exports = {
+    readSlackExport,
+};
@@ -0,0 +1,153 @@
+/**
+ * slack-sync-state.js
+ *
+ * Slack 同期の進捗 (ワークスペース/チャンネルごとの取得済み位置) を data/slack-sync-state.json に保存する
+ * 差分同期では、前回取得した最新メッセージの ts より新しいものだけを取得する
+ * 分析に失敗した社員は retry に残し、次回の同期でその時点からの発言をアーカイブから読んで分析し直す
+ * (取得位置は分析の成否に関係なく進める)
+ * 取得位置より古い親メッセージのスレッドに付いた返信は history には現れないので、最近返信のあったスレッドを
+ * threads に残し (スレッドの ts → 最後の返信の ts)、次回の同期で返信を取り直す
+ *
+ * 形式:
+ * {"version":1,"channels":{"primary:C0123":{"workspace":"primary","channel":"C0123","last_ts":"1712345678.000100","synced_at":"..."}},
+ *  "retry":{"emp-...":{"since":"1712000000.000000","failed_at":"..."}},
+ *  "threads":{"primary:C0123":{"1712000000.000100":"1712345000.000200"}}}
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./paths');
+
+const STATE_FILE = path.join(DATA_DIR, 'slack-sync-state.json');
+const STATE_VERSION = 1;
+
+function channelKey(workspace, channel) {
+    return `${workspace}:${channel}`;
+}
+
+function loadSyncState(file = STATE_FILE) {
+    if (!fs.existsSync(file)) return { version: STATE_VERSION, channels: {}, retry: {}, threads: {} };
+    let state;
+    try {
+        state = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+        throw new Error(`Error parsing ${file}: ${e.message}`);
+    }
+    if (state.version !== STATE_VERSION || typeof state.channels !== 'object') {
+        throw new Error(`Unsupported sync state format in ${file}`);
+    }
+    return { ...state, retry: state.retry || {}, threads: state.threads || {} };
+}
+
+function sortedByKey(object) {
+    return Object.fromEntries(Object.entries(object).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+function saveSyncState(state, file = STATE_FILE) {
+    const dir = path.dirname(file);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    const saved = { version: STATE_VERSION, channels: sortedByKey(state.channels) };
+    if (Object.keys(state.retry || {}).length > 0) saved.retry = sortedByKey(state.retry);
+    const threads = Object.entries(state.threads || {}).filter(([, entries]) => Object.keys(entries).length > 0);
+    if (threads.length > 0) saved.threads = Object.fromEntries(threads.sort(([a], [b]) => a.localeCompare(b)).map(([key, entries]) => [key, sortedByKey(entries)]));
+    fs.writeFileSync(file, JSON.stringify(saved, null, 2) + '\n');
+}
+
+function getCursor(state, workspace, channel) {
+    return state.channels[channelKey(workspace, channel)]?.last_ts || null;
+}
+
+// Slack の ts ("秒.連番") は桁数が揃っているとは限らないので数値として比較する
+function compareTs(a, b) {
+    return Number(a) - Number(b);
+}
+
+/**
+ * 取得済み位置を進める (過去に戻すことはない。巻き戻しは resetCursor を使う)
+ */
+function advanceCursor(state, workspace, channel, latestTs, at = new Date().toISOString()) {
+    const key = channelKey(workspace, channel);
+    const current = state.channels[key];
+    if (!latestTs || (current?.last_ts && compareTs(latestTs, current.last_ts) <= 0)) {
+        if (current) current.synced_at = at;
+        return;
+    }
+    state.channels[key] = { workspace, channel, last_ts: latestTs, synced_at: at };
+}
+
+/**
+ * チャンネルの取得済み位置を巻き戻す
+ * toTs を省略すると記録を削除し、次回は初回と同じ範囲から取得する
+ * @returns {{ workspace: string, channel: string, before: string|null, after: string|null }[]} 変更したエントリ
+ */
+function resetCursor(state, channel, toTs = null) {
+    return Object.entries(state.channels)
+        .filter(([, entry]) => entry.channel === channel)
+        .map(([key, entry]) => {
+            const before = entry.last_ts;
+            if (toTs) {
+                entry.last_ts = toTs;
+            } else {
+                delete state.channels[key];
+            }
+            return { workspace: entry.workspace, channel, before, after: toTs };
+        });
+}
+
+/**
+ * 返信を取り直すスレッド (スレッドの ts → 最後の返信の ts)
+ */
+function getThreads(state, workspace, channel) {
+    return state.threads[channelKey(workspace, channel)] || {};
+}
+
+/**
+ * 今回の取得で見つかった返信のあるスレッドを記録し、最後の返信が cutoffTs より古いスレッドは取り直す対象から外す
+ * @param {Object<string, string>} activity スレッドの ts → 最後の返信の ts
+ */
+function followThreads(state, workspace, channel, activity, cutoffTs) {
+    const key = channelKey(workspace, channel);
+    const threads = { ...state.threads[key] };
+    Object.entries(activity).forEach(([threadTs, latestReply]) => {
+        if (!threads[threadTs] || compareTs(latestReply, threads[threadTs]) > 0) threads[threadTs] = latestReply;
+    });
+    Object.entries(threads).forEach(([threadTs, latestReply]) => {
+        if (compareTs(latestReply, cutoffTs) < 0) delete threads[threadTs];
+    });
+    state.threads[key] = threads;
+}
+
+/**
+ * 分析に失敗した社員を、次回の同期で分析し直す対象にする
+ * 前回も失敗していれば、古いほうの開始位置を残す
+ * @param {string|null} sinceTs この ts より新しい発言から分析し直す (null のときは前回の開始位置のまま)
+ */
+function markForRetry(state, employeeId, sinceTs, at = new Date().toISOString()) {
+    const current = state.retry[employeeId];
+    const since = current && (!sinceTs || compareTs(current.since, sinceTs) < 0) ? current.since : sinceTs;
+    if (!since) return;
+    state.retry[employeeId] = { since, failed_at: at };
+}
+
+function getRetrySince(state, employeeId) {
+    return state.retry[employeeId]?.since || null;
+}
+
+function clearRetry(state, employeeId) {
+    delete state.retry[employeeId];
+}
+
+module.exports = {
+    STATE_FILE,
+    loadSyncState,
+    saveSyncState,
+    getCursor,
+    advanceCursor,
+    resetCursor,
+    compareTs,
+    getThreads,
+    followThreads,
+    markForRetry,
+    getRetrySince,
+    clearRetry,
+};
@@ -0,0 +1,81 @@
+/**
+ * sync-checkpoint.js
+ *
+ * Slack 同期の分析の途中経過 (data/sync-checkpoint.json)
+ * 社員1人の分析が終わるたびに、その社員に反映する内容を書き出す
+ * ジョブが途中で止まっても、同じ条件で `sync --resume` を実行すれば分析済みの社員を飛ばして続きから分析できる
+ * 実行が最後まで終わったら削除する。ただし --from-archive で失敗した社員がいる場合は、--resume で失敗した社員だけを
+ * 分析し直せるよう残す (Slack からの同期で失敗した社員は、同期の状態 (slack-sync-state.json) の retry で次回の同期が分析し直す)
+ *
+ * until は Slack から取得する範囲の終わり (実行を始めた時刻の ts)。再開した実行も同じ範囲だけを取得し、
+ * 中断のあとに投稿された発言は次回の同期に回す (分析済みの社員がその発言を取りこぼさないように)
+ *
+ * {"version":1,"run":{"mode":"sync","full":false,...},"started_at":"...","until":"1712345678.000000","done":{"emp-...":{"at":"...","updates":{...}}}}
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./paths');
+
+const CHECKPOINT_FILE = path.join(DATA_DIR, 'sync-checkpoint.json');
+const CHECKPOINT_VERSION = 1;
+
+function loadCheckpoint(file = CHECKPOINT_FILE) {
+    if (!fs.existsSync(file)) return null;
+    let checkpoint;
+    try {
+        checkpoint = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+        throw new Error(`Error parsing ${file}: ${e.message}`);
+    }
+    if (checkpoint.version !== CHECKPOINT_VERSION || typeof checkpoint.done !== 'object') {
+        throw new Error(`Unsupported sync checkpoint format in ${file}`);
+    }
+    return checkpoint;
+}
+
+// 書きかけのファイルが残らないよう、一時ファイルに書いてから置き換える
+function writeCheckpoint(checkpoint, file = CHECKPOINT_FILE) {
+    const dir = path.dirname(file);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    const temp = `${file}.tmp`;
+    fs.writeFileSync(temp, JSON.stringify(checkpoint, null, 2) + '\n');
+    fs.renameSync(temp, file);
+}
+
+/**
+ * 新しい実行のチェックポイントを作る
+ * @param {object} run 実行の条件 (再開するときに同じ条件かを確かめる)
+ * @param {string} [options.until] Slack から取得する範囲の終わりの ts
+ */
+function createCheckpoint(run, { file = CHECKPOINT_FILE, at = new Date().toISOString(), until = null } = {}) {
+    const checkpoint = { version: CHECKPOINT_VERSION, run, started_at: at, until, done: {} };
+    writeCheckpoint(checkpoint, file);
+    return checkpoint;
+}
+
+function isSameRun(checkpoint, run) {
+    return JSON.stringify(checkpoint.run) === JSON.stringify(run);
+}
+
+/**
+ * 分析が終わった社員を記録する
+ * @param {object} updates その社員のレコードに反映する内容
+ */
+function markDone(checkpoint, employeeId, updates, { file = CHECKPOINT_FILE, at = new Date().toISOString() } = {}) {
+    checkpoint.done[employeeId] = { at, updates };
+    writeCheckpoint(checkpoint, file);
+}
+
+function clearCheckpoint(file = CHECKPOINT_FILE) {
+    if (fs.existsSync(file)) fs.unlinkSync(file);
+}
+
+module.exports = {
+    CHECKPOINT_FILE,
+    loadCheckpoint,
+    createCheckpoint,
+    isSameRun,
+    markDone,
+    clearCheckpoint,
+};
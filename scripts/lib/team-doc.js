@@ -0,0 +1,347 @@
+/**
+ * team-doc.js
+ *
+ * 社員プロフィール図鑑 (docs/TEAM.md / docs/TEAM_en.md) の生成
+ * ページ構成は PROFILE_SECTIONS に宣言し、見出しやラベルは LOCALES の辞書から引く
+ * プロフィール本文 (AI分析結果・本人申告) は日本語のまま出力し、英語版ではその旨を明記する
+ * 根拠の citations は Slack のパーマリンク ([1] [2] ...) にする (ワークスペースのURLが未設定ならチャンネルと日付)
+ * 分析の根拠 (analysis_basis) は各プロフィールの冒頭に表示し、新しい発言のない古いプロフィールには印を付ける
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DOCS_DIR } = require('./paths');
+const { workspaceUrls, permalink } = require('./citations');
+const { staleWeeks, isStale } = require('./analysis-basis');
+
+const GRAPH_URL = 'https://saitekiinc-com.github.io/saiteki-employee-management/';
+
+const MERMAID_INIT = "%%{init: {'theme': 'base', 'themeVariables': {'primaryColor': '#F2EBE3', 'primaryTextColor': '#5D574F', 'primaryBorderColor': '#D9CFC1', 'lineColor': '#BEB3A5', 'secondaryColor': '#FAF9F6', 'tertiaryColor': '#FDFCFB', 'nodeBorder': '1px'}}}%%";
+
+// 組織マップでまとめて表示する職種
+const JOB_GROUPS = { EM: 'Engineer', Executive: '経営' };
+
+const TRAITS = ['openness', 'conscientiousness', 'extraversion', 'agreeableness', 'neuroticism'];
+
+const LOCALES = {
+    ja: {
+        file: 'TEAM.md',
+        title: 'チーム構成図',
+        intro: '自動生成された組織図です。IssueおよびSlack連携による高度なAI分析結果が反映されます。',
+        otherLanguage: '[English version](./TEAM_en.md)',
+        resources: '📊 関連リソース',
+        graphLink: '🌐 インタラクティブ・ナレッジグラフ (Web版)',
+        reportLink: '📝 ナレッジグラフ分析レポート (Markdown)',
+        orgMap: '組織マップ',
+        company: '株式会社Saiteki',
+        summaryTable: '社員一覧サマリー',
+        summaryColumns: ['名前', '職種', '性格傾向 (概略)', '現在の状態'],
+        details: '詳細プロフィール',
+        detailsIntro: '各社員の詳細な分析結果です。クリックして展開できます。',
+        overallSummary: '総合サマリー',
+        basis: (b, workspaces) => `📊 **分析の根拠**: 発言 ${b.messages.toLocaleString('en-US')}件・${(b.characters || 0).toLocaleString('en-US')}文字（${b.from?.slice(0, 10) || '?'}〜${b.to?.slice(0, 10) || '?'}、${workspaces}・${(b.channels || []).length}チャンネル、分析 ${b.runs}回）/ ${[b.provider, b.model].filter(Boolean).join(' ')}`,
+        stale: (weeks, b) => `⚠️ ${weeks}週間以上新しい発言がありません（最後の発言: ${b.to.slice(0, 10)}）`,
+        staleMark: '⚠️ 古い分析',
+        workspaces: { primary: 'メイン', secondary: '幹部用' },
+        summary: '要約',
+        noData: 'データなし',
+        traitColumns: ['項目', 'スコア', '根拠・エピソード'],
+        traits: {
+            openness: '開放性',
+            conscientiousness: '誠実性',
+            extraversion: '外向性',
+            agreeableness: '協調性',
+            neuroticism: '神経症的傾向',
+        },
+        sections: {
+            personality_traits: '🛠 性格傾向',
+            work_styles_and_strengths: '💪 仕事スタイルと強み',
+            values_and_motivators: '💎 価値観とモチベーター',
+            career: '🎯 キャリア・目標 (本人申告)',
+            current_state: '📈 現在の状態',
+        },
+        fields: {
+            problem_solving_style: '問題解決スタイル',
+            dominant_strengths: '主要な強み',
+            evidence_episodes: '証拠エピソード',
+            core_values: 'コアバリュー',
+            motivation_triggers: 'モチベーショントリガー',
+            self_intro: '自己紹介',
+            goal: 'キャリア目標',
+            skills: 'スキル',
+            interests: '興味・関心',
+            sentiment_level: '感情レベル',
+            workload_status: '業務負荷状況',
+            recent_topics_of_interest: '最近の関心トピック',
+        },
+        alumni: 'Alumni (OB/OG)',
+        alumniColumns: ['名前', '在籍時の職種', '理由'],
+        jobs: {},
+    },
+    en: {
+        file: 'TEAM_en.md',
+        title: 'Team Overview',
+        intro: 'This page is generated automatically from Issue submissions and AI analysis of Slack activity.',
+        contentNote: 'Profile text (AI analysis and self-declared entries) is written in Japanese.',
+        otherLanguage: '[日本語版](./TEAM.md)',
+        resources: '📊 Resources',
+        graphLink: '🌐 Interactive knowledge graph (web)',
+        reportLink: '📝 Knowledge graph report (Markdown, Japanese)',
+        orgMap: 'Organization map',
+        company: 'Saiteki Inc.',
+        summaryTable: 'Team summary',
+        summaryColumns: ['Name', 'Role', 'Personality (overview)', 'Current state'],
+        details: 'Detailed profiles',
+        detailsIntro: 'Detailed analysis for each member. Click a section to expand it.',
+        overallSummary: 'Overall summary',
+        basis: (b, workspaces) => `📊 **Basis**: ${b.messages.toLocaleString('en-US')} messages, ${(b.characters || 0).toLocaleString('en-US')} characters (${b.from?.slice(0, 10) || '?'} – ${b.to?.slice(0, 10) || '?'}, ${workspaces}, ${(b.channels || []).length} channel(s), ${b.runs} run(s)) / ${[b.provider, b.model].filter(Boolean).join(' ')}`,
+        stale: (weeks, b) => `⚠️ No new messages for ${weeks}+ weeks (last message: ${b.to.slice(0, 10)})`,
+        staleMark: '⚠️ stale',
+        workspaces: { primary: 'primary', secondary: 'executive' },
+        summary: 'Summary',
+        noData: 'No data',
+        traitColumns: ['Trait', 'Score', 'Evidence'],
+        traits: {
+            openness: 'Openness',
+            conscientiousness: 'Conscientiousness',
+            extraversion: 'Extraversion',
+            agreeableness: 'Agreeableness',
+            neuroticism: 'Neuroticism',
+        },
+        sections: {
+            personality_traits: '🛠 Personality traits',
+            work_styles_and_strengths: '💪 Work style & strengths',
+            values_and_motivators: '💎 Values & motivators',
+            career: '🎯 Career & goals (self-declared)',
+            current_state: '📈 Current state',
+        },
+        fields: {
+            problem_solving_style: 'Problem-solving style',
+            dominant_strengths: 'Key strengths',
+            evidence_episodes: 'Evidence',
+            core_values: 'Core values',
+            motivation_triggers: 'Motivation triggers',
+            self_intro: 'Self-introduction',
+            goal: 'Career goal',
+            skills: 'Skills',
+            interests: 'Interests',
+            sentiment_level: 'Sentiment',
+            workload_status: 'Workload',
+            recent_topics_of_interest: 'Recent topics',
+        },
+        alumni: 'Alumni',
+        alumniColumns: ['Name', 'Former role', 'Reason'],
+        jobs: { '経営': 'Executive' },
+    },
+};
+
+/**
+ * 詳細プロフィールの構成
+ * - source: 社員レコードのキー (省略時は社員レコードそのもの)
+ * - fields: [キー, 表示形式] 表示形式は text (段落) / inline (カンマ区切り) / list (箇条書き) / bullet (箇条書き1行)
+ * - optional: データがない場合はセクションごと出力しない
+ */
+const PROFILE_SECTIONS = [
+    {
+        key: 'personality_traits',
+        summary: true,
+        traits: true,
+    },
+    {
+        key: 'work_styles_and_strengths',
+        summary: true,
+        fields: [['problem_solving_style', 'text'], ['dominant_strengths', 'inline'], ['evidence_episodes', 'list']],
+    },
+    {
+        key: 'values_and_motivators',
+        summary: true,
+        fields: [['core_values', 'inline'], ['motivation_triggers', 'inline'], ['evidence_episodes', 'list']],
+    },
+    {
+        key: 'career',
+        source: null,
+        optional: (e) => !(e.self_intro || e.goal || e.skills?.length || e.interests?.length),
+        fields: [['self_intro', 'text'], ['goal', 'text'], ['skills', 'inline'], ['interests', 'inline']],
+    },
+    {
+        key: 'current_state',
+        summary: true,
+        fields: [['sentiment_level', 'bullet'], ['workload_status', 'bullet'], ['recent_topics_of_interest', 'bullet']],
+    },
+];
+
+function cell(value) {
+    return String(value ?? '-').replace(/\|/g, '\\|').replace(/\n/g, '<br>');
+}
+
+function renderCitations(citations, urls) {
+    if (!Array.isArray(citations) || citations.length === 0) return '';
+    return ' ' + citations.map((citation, index) => {
+        const url = permalink(citation, urls);
+        if (url) return `[[${index + 1}]](${url})`;
+        const date = new Date(Number(citation.ts) * 1000).toISOString().slice(0, 10);
+        return `[${index + 1}: ${citation.channel} ${date}]`;
+    }).join(' ');
+}
+
+// 引用付きのエピソード ({ text, citations }) は本文の後に引用を付ける
+function renderEpisode(episode, urls) {
+    if (episode && typeof episode === 'object') return `${episode.text}${renderCitations(episode.citations, urls)}`;
+    return episode;
+}
+
+function joinList(value) {
+    if (Array.isArray(value)) return value.length > 0 ? value.join(', ') : '-';
+    return value || '-';
+}
+
+function renderField(label, value, format, urls) {
+    switch (format) {
+        case 'inline':
+            return `**${label}**: ${joinList(value)}\n\n`;
+        case 'bullet':
+            return `- **${label}**: ${joinList(value)}\n`;
+        case 'list':
+            return `**${label}**:\n${(Array.isArray(value) ? value : []).map(item => `- ${renderEpisode(item, urls)}\n`).join('')}`;
+        default:
+            return `**${label}**: ${value || '-'}\n\n`;
+    }
+}
+
+function renderTraits(traits, t, urls) {
+    let md = `| ${t.traitColumns.join(' | ')} |\n| --- | --- | --- |\n`;
+    TRAITS.forEach(trait => {
+        const data = traits[trait];
+        // 平滑化したスコアには信頼区間を添える
+        const range = Array.isArray(data?.range) ? ` (${data.range[0]}–${data.range[1]})` : '';
+        if (data) md += `| ${t.traits[trait]} | ${data.score}/10${range} | ${cell(data.evidence || '')}${cell(renderCitations(data.citations, urls))} |\n`;
+    });
+    return md;
+}
+
+function renderSection(employee, section, t, urls) {
+    if (section.optional && section.optional(employee)) return '';
+    const data = section.source === null ? employee : employee[section.source || section.key];
+
+    let md = `<details>\n<summary><b>${t.sections[section.key]}</b></summary>\n\n`;
+    if (!data) {
+        md += `${t.noData}\n`;
+    } else {
+        if (section.summary) md += `**${t.summary}**: ${data.summary}\n\n`;
+        if (section.traits) md += renderTraits(data, t, urls);
+        const fields = (section.fields || []).map(([key, format]) => renderField(t.fields[key], data[key], format, urls)).join('');
+        // 箇条書きの後は空行を入れずに閉じる (既存の TEAM.md と同じ体裁)
+        md += fields.replace(/\n\n$/, '\n');
+    }
+    md += '\n</details>\n\n';
+    return md;
+}
+
+function renderHeader(t) {
+    let md = `# ${t.title}\n\n${t.intro}\n`;
+    if (t.contentNote) md += `${t.contentNote}\n`;
+    md += `\n${t.otherLanguage}\n\n`;
+    md += `### ${t.resources}\n`;
+    md += `- [${t.graphLink}](${GRAPH_URL})\n`;
+    md += `- [${t.reportLink}](./KNOWLEDGE_GRAPH.md)\n\n`;
+    return md;
+}
+
+function renderOrgMap(activeEmployees, t) {
+    const jobs = [...new Set(activeEmployees.map(e => e.job))];
+    let md = `### ${t.orgMap}\n`;
+    md += `\`\`\`mermaid\n${MERMAID_INIT}\nmindmap\n  root((${t.company}))\n`;
+    jobs.forEach(job => {
+        const group = JOB_GROUPS[job] || job || 'Other';
+        md += `    ${t.jobs[group] || group}\n`;
+        activeEmployees.filter(e => e.job === job).forEach(m => {
+            md += `      ${m.name.replace(/[()"']/g, '')}\n`;
+        });
+    });
+    md += '```\n\n';
+    return md;
+}
+
+function renderSummaryTable(activeEmployees, t, staleness) {
+    let md = `## ${t.summaryTable}\n\n| ${t.summaryColumns.join(' | ')} |\n| --- | --- | --- | --- |\n`;
+    activeEmployees.forEach(e => {
+        const job = t.jobs[e.job] || e.job;
+        const stale = isStale(e.analysis_basis, staleness) ? ` ${t.staleMark}` : '';
+        md += `| [${e.name}](#${e.id})${stale} | ${job} | ${cell(e.personality_traits?.summary)} | ${cell(e.current_state?.summary)} |\n`;
+    });
+    return md;
+}
+
+function renderBasis(basis, t, staleness) {
+    if (!basis) return '';
+    const workspaces = (basis.workspaces || []).map(w => t.workspaces[w] || w).join(' + ');
+    let md = `> ${t.basis(basis, workspaces)}\n`;
+    if (isStale(basis, staleness)) md += `>\n> ${t.stale(staleness.weeks, basis)}\n`;
+    return `${md}\n`;
+}
+
+function renderProfile(e, t, urls, staleness) {
+    let md = `<div id="${e.id}"></div>\n\n`;
+    md += `### ${e.name} (${t.jobs[e.job] || e.job})\n\n`;
+    md += renderBasis(e.analysis_basis, t, staleness);
+    md += `> **${t.overallSummary}**: ${e.overall_summary || '-'}\n\n`;
+    PROFILE_SECTIONS.forEach(section => {
+        md += renderSection(e, section, t, urls);
+    });
+    md += '---\n\n';
+    return md;
+}
+
+/**
+ * @param {object[]} employees
+ * @param {'ja'|'en'} [locale]
+ * @param {object} [options]
+ * @param {object} [options.urls] ワークスペースごとのURL (workspaceUrls() の値)
+ * @param {number} [options.weeks] この週数以上新しい発言のないプロフィールを古いものとして表示する
+ * @param {number} [options.now] 古さを判定する基準の時刻 (ミリ秒)
+ * @returns {string} Markdown
+ */
+function renderTeamDoc(employees, locale = 'ja', { urls = workspaceUrls(), weeks = staleWeeks(), now = Date.now() } = {}) {
+    const staleness = { weeks, now };
+    const t = LOCALES[locale];
+    if (!t) throw new Error(`Unknown locale: ${locale}`);
+
+    const activeEmployees = employees.filter(e => e.isActive !== false);
+    const archivedEmployees = employees.filter(e => e.isActive === false);
+
+    let md = renderHeader(t);
+    md += renderOrgMap(activeEmployees, t);
+    md += renderSummaryTable(activeEmployees, t, staleness);
+    md += `\n---\n\n## ${t.details}\n\n${t.detailsIntro}\n\n`;
+    activeEmployees.forEach(e => {
+        md += renderProfile(e, t, urls, staleness);
+    });
+
+    if (archivedEmployees.length > 0) {
+        md += `## ${t.alumni}\n\n| ${t.alumniColumns.join(' | ')} |\n| --- | --- | --- |\n`;
+        archivedEmployees.forEach(e => {
+            md += `| ${e.name} | ${t.jobs[e.job] || e.job} | ${cell(e.archivedReason)} |\n`;
+        });
+    }
+    return md;
+}
+
+/**
+ * 全言語の TEAM ドキュメントを書き出す
+ * @returns {string[]} 書き出したファイルのパス
+ */
+function writeTeamDocs(employees, { docsDir = DOCS_DIR } = {}) {
+    if (!fs.existsSync(docsDir)) fs.mkdirSync(docsDir, { recursive: true });
+    return Object.keys(LOCALES).map(locale => {
+        const file = path.join(docsDir, LOCALES[locale].file);
+        fs.writeFileSync(file, renderTeamDoc(employees, locale));
+        console.log(`Regenerated ${file} with detailed profiles.`);
+        return file;
+    });
+}
+
+module.exports = {
+    LOCALES,
+    renderTeamDoc,
+    writeTeamDocs,
+};
@@ -0,0 +1,103 @@
+/**
+ * trait-smoothing.js
+ *
+ * Big Five スコア (personality_traits) の平滑化と信頼区間
+ * 性格傾向は長期的な特性なので、分析のたびに置き換えず、過去の分析結果と混ぜて保存する
+ *
+ * - 分析ごとのスコアを観測 (observations) として各項目に残す (新しい順に OBSERVATION_LIMIT 件まで)
+ *   { "score": 6, "messages": 42, "from": "...", "to": "..." }  messages はその分析に使った発言の件数、from / to は発言の期間
+ * - 保存するスコアは、観測を発言の件数で重み付けした平均 (古い観測ほど HALF_LIFE_DAYS で重みが半減する)
+ * - range は [下限, 上限]。観測どうしのばらつきと、発言の件数が少ないことによる不確かさから求める
+ * - 以前の観測の期間をすべて含む分析 (--full やアーカイブからの再分析) は、同じ発言を二重に数えないよう以前の観測を置き換える
+ * - 観測の記録がない既存のスコアは、PRIOR_MESSAGES 件分の観測として扱う
+ */
+
+const TRAITS = ['openness', 'conscientiousness', 'extraversion', 'agreeableness', 'neuroticism'];
+
+const OBSERVATION_LIMIT = 12;
+const HALF_LIFE_DAYS = 180;
+const PRIOR_MESSAGES = 50;
+// 発言が少ないときの信頼区間の幅 (±)。発言が PRIOR_MESSAGES 件で約 1/√2 になる
+const BASE_SPREAD = 2;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const clamp = (value) => Math.min(10, Math.max(1, value));
+const round1 = (value) => Math.round(value * 10) / 10;
+
+/**
+ * 保存済みの項目の観測 (観測の記録がない既存のスコアは1件の観測とみなす)
+ * @param {string} [fallbackAt] 既存のスコアを分析した日時 (slack_synced_at など)
+ */
+function observationsOf(trait, fallbackAt) {
+    if (!trait || typeof trait !== 'object') return [];
+    if (Array.isArray(trait.observations)) return trait.observations;
+    if (!Number.isFinite(trait.score)) return [];
+    return [{ score: trait.score, messages: PRIOR_MESSAGES, ...(fallbackAt ? { to: fallbackAt } : {}) }];
+}
+
+/**
+ * 観測からスコアと信頼区間を求める
+ * @param {object[]} observations 新しい順
+ * @returns {{ score: number, range: number[] }}
+ */
+function summarize(observations) {
+    const latest = Math.max(...observations.map(o => (o.to ? Date.parse(o.to) : -Infinity)));
+    const weights = observations.map(o => {
+        const ageDays = o.to && Number.isFinite(latest) ? Math.max(0, (latest - Date.parse(o.to)) / DAY_MS) : 0;
+        return Math.max(o.messages, 1) * Math.pow(0.5, ageDays / HALF_LIFE_DAYS);
+    });
+    const total = weights.reduce((sum, w) => sum + w, 0);
+    const mean = observations.reduce((sum, o, i) => sum + weights[i] * o.score, 0) / total;
+    const variance = observations.reduce((sum, o, i) => sum + weights[i] * (o.score - mean) ** 2, 0) / total;
+    const halfWidth = Math.sqrt(variance + BASE_SPREAD ** 2 * PRIOR_MESSAGES / (PRIOR_MESSAGES + total));
+    return {
+        score: Math.round(clamp(mean)),
+        range: [round1(clamp(mean - halfWidth)), round1(clamp(mean + halfWidth))],
+    };
+}
+
+/**
+ * 1項目分: 新しい分析結果のスコアを過去の観測と混ぜる (根拠は新しい分析結果のものを使う)
+ * @param {object} previous 保存済みの項目
+ * @param {object} next 新しい分析結果の項目
+ * @param {{ messages: number, from?: string, to?: string }} run 今回の分析に使った発言
+ */
+function smoothTrait(previous, next, run, fallbackAt) {
+    if (!next || typeof next !== 'object' || !Number.isFinite(next.score)) return previous;
+
+    const observation = { score: next.score, messages: run.messages };
+    if (run.from) observation.from = run.from;
+    if (run.to) observation.to = run.to;
+    const superseded = (o) => run.from && run.to && o.from && o.to && o.from >= run.from && o.to <= run.to;
+    const observations = [observation, ...observationsOf(previous, fallbackAt).filter(o => !superseded(o))].slice(0, OBSERVATION_LIMIT);
+
+    const { score, range } = summarize(observations);
+    return { ...next, score, range, observations };
+}
+
+/**
+ * personality_traits 全体を平滑化する (summary など Big Five 以外は新しい分析結果のまま。新しい分析結果にない項目は保存済みの値を残す)
+ * @param {object} previousTraits 保存済みの personality_traits
+ * @param {object} nextTraits 新しい分析結果の personality_traits
+ * @param {{ messages: number, from?: string, to?: string }} run 今回の分析に使った発言の件数と期間
+ * @param {string} [fallbackAt] 観測の記録がない既存のスコアを分析した日時
+ */
+function smoothTraits(previousTraits, nextTraits, run, fallbackAt) {
+    if (!nextTraits || typeof nextTraits !== 'object') return nextTraits;
+    const smoothed = { ...nextTraits };
+    TRAITS.forEach(trait => {
+        const value = smoothTrait(previousTraits?.[trait], nextTraits[trait], run, fallbackAt);
+        if (value !== undefined) smoothed[trait] = value;
+    });
+    return smoothed;
+}
+
+module.exports = {
+    OBSERVATION_LIMIT,
+    HALF_LIFE_DAYS,
+    PRIOR_MESSAGES,
+    summarize,
+    smoothTrait,
+    smoothTraits,
+};
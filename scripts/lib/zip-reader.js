@@ -0,0 +1,81 @@
+/**
+ * zip-reader.js
+ *
+ * ZIP ファイルの読み込み (Slack のエクスポート用。依存パッケージを増やさないよう zlib だけで実装する)
+ * 中央ディレクトリからファイルの一覧を読み、無圧縮 (stored) と deflate のエントリに対応する
+ * ZIP64 (4GB を超えるファイルや、4GB より後ろに置かれたエントリ)・暗号化・分割アーカイブには対応しない。ファイル全体をメモリに読み込む
+ */
+
+const fs = require('fs');
+const zlib = require('zlib');
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+function findEndOfCentralDirectory(buffer) {
+    // 末尾のコメントは最大 65535 バイト
+    const min = Math.max(0, buffer.length - 22 - 0xffff);
+    for (let offset = buffer.length - 22; offset >= min; offset--) {
+        if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) return offset;
+    }
+    throw new Error('Not a zip file (end of central directory not found)');
+}
+
+/**
+ * ZIP ファイルを開く
+ * @returns {{ names: string[], read: (name: string) => Buffer }} names はディレクトリを除くエントリ名
+ */
+function openZip(file) {
+    const buffer = fs.readFileSync(file);
+    const end = findEndOfCentralDirectory(buffer);
+    const count = buffer.readUInt16LE(end + 10);
+    let offset = buffer.readUInt32LE(end + 16);
+    if (offset === 0xffffffff || count === 0xffff) {
+        throw new Error(`ZIP64 archives are not supported: ${file}`);
+    }
+
+    const entries = new Map();
+    for (let i = 0; i < count; i++) {
+        if (buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_ENTRY) {
+            throw new Error(`Corrupt zip file (bad central directory entry ${i}): ${file}`);
+        }
+        const flags = buffer.readUInt16LE(offset + 8);
+        const method = buffer.readUInt16LE(offset + 10);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const size = buffer.readUInt32LE(offset + 24);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const localOffset = buffer.readUInt32LE(offset + 42);
+        // bit 11: ファイル名が UTF-8 (日本語のチャンネル名など)。それ以外も UTF-8 として読む
+        const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+        // 0xffffffff は本当の値が ZIP64 の拡張フィールドにあることを示す
+        if ([compressedSize, size, localOffset].includes(0xffffffff)) {
+            throw new Error(`ZIP64 archives are not supported (${name} is larger than 4 GB or stored beyond 4 GB): ${file}`);
+        }
+        if (!name.endsWith('/')) entries.set(name, { flags, method, compressedSize, localOffset });
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    function read(name) {
+        const entry = entries.get(name);
+        if (!entry) throw new Error(`${name} not found in ${file}`);
+        if (entry.flags & 0x1) throw new Error(`Encrypted zip entries are not supported: ${name}`);
+        if (buffer.readUInt32LE(entry.localOffset) !== LOCAL_FILE_HEADER) {
+            throw new Error(`Corrupt zip file (bad local header for ${name}): ${file}`);
+        }
+        // ローカルヘッダーの拡張フィールドの長さは中央ディレクトリと異なることがある
+        const start = entry.localOffset + 30 + buffer.readUInt16LE(entry.localOffset + 26) + buffer.readUInt16LE(entry.localOffset + 28);
+        const data = buffer.subarray(start, start + entry.compressedSize);
+        if (entry.method === 0) return data;
+        if (entry.method === 8) return zlib.inflateRawSync(data);
+        throw new Error(`Unsupported compression method ${entry.method} for ${name}`);
+    }
+
+    return { names: [...entries.keys()], read };
+}
+
+module.exports = {
+    openZip,
+};
@@ -0,0 +1,65 @@
+/**
+ * migrate-employee-ids.js
+ *
+ * 名前ベースの参照から社員ID (`id`) ベースへの移行スクリプト
+ * 1. data/employees.json の id を持たないレコードに id を採番
+ * 2. data/knowledge-graph.json の `person:<名前>` を `person:<id>` に置き換え
+ *    (AI推論エッジを再生成せずに済むよう、既存のグラフをそのまま書き換える)
+ *
+ * 何度実行しても結果は変わらない (冪等)
+ * 実行: node scripts/migrate-employee-ids.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadEmployees, saveEmployees } = require('./lib/employee-store');
+const { ensureEmployeeIds, findEmployeeByName } = require('./lib/employee-identity');
+const { GRAPH_FILE } = require('./lib/paths');
+
+function migrateGraph(employees) {
+    if (!fs.existsSync(GRAPH_FILE)) return 0;
+
+    const graph = JSON.parse(fs.readFileSync(GRAPH_FILE, 'utf8'));
+    const ids = new Set(employees.map(e => e.id));
+    let rewritten = 0;
+
+    const toId = (value) => {
+        if (ids.has(value)) return value;
+        const employee = findEmployeeByName(employees, value);
+        if (!employee) return value;
+        rewritten++;
+        return employee.id;
+    };
+    const toNodeId = (nodeId) => nodeId.startsWith('person:') ? `person:${toId(nodeId.slice('person:'.length))}` : nodeId;
+
+    graph.nodes.forEach(node => {
+        node.id = toNodeId(node.id);
+        if (node.connectedPeople) node.connectedPeople = node.connectedPeople.map(toId);
+    });
+    graph.edges.forEach(edge => {
+        edge.source = toNodeId(edge.source);
+        edge.target = toNodeId(edge.target);
+    });
+
+    fs.writeFileSync(GRAPH_FILE, JSON.stringify(graph, null, 2));
+    return rewritten;
+}
+
+function main() {
+    const loaded = loadEmployees();
+    const assigned = ensureEmployeeIds(loaded);
+    // id をレコードの先頭に置く
+    const employees = loaded.map(({ id, ...rest }) => ({ id, ...rest }));
+    const result = saveEmployees(employees, { source: { type: 'migration' } });
+    if (result.quarantined.length > 0) {
+        console.error('Some records failed validation. Fix them and re-run the migration.');
+        process.exit(1);
+    }
+    console.log(`employees.json: assigned ${assigned} new id(s).`);
+
+    const rewritten = migrateGraph(employees);
+    console.log(`knowledge-graph.json: rewrote ${rewritten} person reference(s).`);
+    console.log('Run `node scripts/saiteki.js docs` to refresh the generated docs.');
+}
+
+main();
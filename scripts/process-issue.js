@@ -1,86 +1,181 @@
 const fs = require('fs');
-const path = require('path');
-require('dotenv').config();
-
-const DATA_FILE = path.join(__dirname, '../data/employees.json');
-const TEAM_DOC_FILE = path.join(__dirname, '../docs/TEAM.md');
+const { DATA_FILE, loadEmployees, saveEmployees } = require('./lib/employee-store');
+const { findEmployee, findEmployeeByName, addAlias, generateEmployeeId } = require('./lib/employee-identity');
+const { JOBS, AI_CONSENT_VALUES, SLACK_ID_PATTERN } = require('./lib/employee-schema');
+const { createAIClient, parseJSON } = require('./lib/ai-client');
+const { loadPrompt, recordPrompt } = require('./lib/prompt-templates');
+const { writeTeamDocs } = require('./lib/team-doc');
+const { createReport, isSuccess, formatReport } = require('./lib/issue-report');
+const { UsageError, runMain, setOutput } = require('./lib/cli');
+
+// GitHub Actions から環境変数で渡される Issue 情報
+function issueFromEnv(env = process.env) {
+  return {
+    body: env.ISSUE_BODY,
+    title: env.ISSUE_TITLE,
+    labels: JSON.parse(env.ISSUE_LABELS || '[]').map(l => (typeof l === 'string' ? l : l.name)),
+    number: env.ISSUE_NUMBER ? Number(env.ISSUE_NUMBER) : undefined,
+    author: env.ISSUE_AUTHOR || undefined,
+  };
+}
 
-// メイン処理
-async function main() {
-  const issueBody = process.env.ISSUE_BODY;
-  const issueTitle = process.env.ISSUE_TITLE;
-  const issueLabels = JSON.parse(process.env.ISSUE_LABELS || '[]');
-
-  if (!issueBody) {
-    if (process.argv.includes('--sync')) {
-      console.log('Manual sync triggered. Regenerating TEAM.md and enriching data with AI...');
-      if (fs.existsSync(DATA_FILE)) {
-        let currentEmployees = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
-
-        // 未構造化のデータをバッチ処理
-        let updated = false;
-        for (let e of currentEmployees) {
-          if (e.isActive !== false && e.self_intro && (!e.skills || e.skills.length === 0)) {
-            console.log(`Enriching data for ${e.name} using AI...`);
-            const structured = await extractDataWithAI({ self_intro: e.self_intro });
-            if (structured && !structured.ai_error) {
-              Object.assign(e, structured);
-              e.updatedAt = new Date().toISOString();
-              updated = true;
-            }
-          }
-        }
-        if (updated) {
-          fs.writeFileSync(DATA_FILE, JSON.stringify(currentEmployees, null, 2));
-        }
-
-        generateTeamDoc(currentEmployees);
-        console.log('TEAM.md regenerated and data enriched.');
-        return;
-      } else {
-        console.error('Data file not found. Cannot sync.');
-        process.exit(1);
+// 未構造化の自己紹介をAIで補完し、TEAM.md を再生成する (Issue なしの手動実行)
+async function enrichExisting() {
+  console.log('Manual sync triggered. Regenerating TEAM.md and enriching data with AI...');
+  if (!fs.existsSync(DATA_FILE)) {
+    throw new Error('Data file not found. Cannot sync.');
+  }
+  let currentEmployees = loadEmployees();
+
+  // 未構造化のデータをバッチ処理
+  let updated = false;
+  for (let e of currentEmployees) {
+    if (e.isActive !== false && e.self_intro && (!e.skills || e.skills.length === 0)) {
+      console.log(`Enriching data for ${e.name} using AI...`);
+      const structured = await extractDataWithAI({ self_intro: e.self_intro });
+      if (structured && !structured.ai_error) {
+        Object.assign(e, structured);
+        recordExtraction(e, structured);
+        e.updatedAt = new Date().toISOString();
+        updated = true;
       }
     }
-    console.error('No issue body found. Provide ISSUE_BODY or use --sync flag.');
-    process.exit(1);
+  }
+  if (updated) {
+    saveEmployees(currentEmployees, { source: { type: 'ai-enrichment' } });
   }
 
-  let employees = [];
-  if (fs.existsSync(DATA_FILE)) {
-    employees = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+  writeTeamDocs(loadEmployees());
+  console.log('TEAM.md regenerated and data enriched.');
+}
+
+// メイン処理
+async function run({ sync = false, issue = issueFromEnv(), reportFile } = {}) {
+  if (sync) return enrichExisting();
+  if (!issue.body) {
+    throw new UsageError('No issue body found. Provide ISSUE_BODY or use --sync flag.');
   }
 
+  const report = createReport(issue);
+  try {
+    await processIssue(issue, report);
+  } catch (error) {
+    report.errors.push(error.message);
+    throw error;
+  } finally {
+    finishReport(report, reportFile);
+  }
+}
+
+async function processIssue(issue, report) {
+  const issueBody = issue.body;
+  const issueLabels = issue.labels || [];
+
+  const previous = loadEmployees();
+  let employees = loadEmployees();
+  let target = null;
+
   // ラベルによって処理を分岐
-  const isUpdate = issueLabels.some(l => l.name === 'employee-update');
-  const isDelete = issueLabels.some(l => l.name === 'employee-delete');
+  const isUpdate = issueLabels.includes('employee-update');
+  const isDelete = issueLabels.includes('employee-delete');
+  const isCareer = issueLabels.includes('employee-career');
+  const isEdit = issueLabels.includes('employee-edit');
 
   if (isUpdate) {
+    report.action = 'update';
     const rawData = parseIssueBody(issueBody);
+    report.parsed = rawData;
     console.log('Raw data from issue:', rawData);
 
     // AIによる構造化処理
     const structuredData = await extractDataWithAI(rawData);
+    report.extracted = rawData.self_intro ? structuredData : null;
     console.log('Structured data from AI:', structuredData);
+    if (structuredData.ai_error) {
+      report.warnings.push('AIによる補完ができなかったため、入力された項目のみ登録しました。');
+    }
 
-    // マージして更新
-    const finalData = { ...rawData, ...structuredData };
-    updateEmployee(employees, finalData);
+    // マージして更新 (AIの失敗フラグはスキーマで保存が禁止されているので持ち込まない)
+    const { ai_error, ai_error_msg, ...aiData } = structuredData;
+    const finalData = { ...rawData, ...aiData };
+    target = updateEmployee(employees, finalData);
+    recordExtraction(target, structuredData);
+
+  } else if (isCareer) {
+    report.action = 'career';
+    const declared = parseCareerIssueBody(issueBody);
+    report.parsed = declared;
+    console.log('Parsed career data:', declared);
+
+    // 自己紹介文からAIで補完 (本人が明示的に入力した項目が優先)
+    const structuredData = await extractDataWithAI(declared);
+    report.extracted = declared.self_intro ? structuredData : null;
+    console.log('Structured data from AI:', structuredData);
+    if (structuredData.ai_error) {
+      report.warnings.push('AIによる補完ができなかったため、入力された項目のみ登録しました。');
+    }
+    target = mergeCareerProfile(employees, declared, structuredData);
+    recordExtraction(target, structuredData);
+    if (!target) report.errors.push(`社員が見つかりませんでした: ${declared.name || '(名前なし)'}`);
+
+  } else if (isEdit) {
+    report.action = 'edit';
+    const edit = parseEditIssueBody(issueBody);
+    report.parsed = edit;
+    console.log('Parsed edit data:', edit);
+    target = findEmployeeByName(employees, edit.name);
+    if (!target) {
+      report.errors.push(`社員が見つかりませんでした: ${edit.name || '(名前なし)'}`);
+    } else {
+      const problems = validateEdit(employees, target, edit);
+      if (problems.length > 0) {
+        report.errors.push(...problems);
+        target = null;
+      } else {
+        editEmployee(target, edit);
+      }
+    }
 
   } else if (isDelete) {
+    report.action = 'delete';
     const data = parseDeleteIssueBody(issueBody);
+    report.parsed = data;
     console.log('Parsed delete data:', data);
-    deleteEmployee(employees, data);
+    target = deleteEmployee(employees, data);
+    if (!target) report.errors.push(`社員が見つかりませんでした: ${data.name || '(名前なし)'}`);
   } else {
     console.log('No relevant labels found. Skipping.');
+    report.errors.push('処理対象のラベル (employee-update / employee-career / employee-edit / employee-delete) がありません。');
     return;
   }
+  if (!target) return;
+
+  // JSON保存 (スキーマ検証に通らないレコードは保存されない)
+  const result = saveEmployees(employees, { source: { type: 'issue', issue: issue.number, author: issue.author } });
+  result.quarantined.forEach(({ name, errors }) => {
+    const details = errors.map(e => `\`${e.path || '(record)'}\` ${e.message}`).join(', ');
+    report.errors.push(`${name} のデータがスキーマ検証に通らなかったため保存しませんでした: ${details}`);
+  });
 
-  // JSON保存
-  fs.writeFileSync(DATA_FILE, JSON.stringify(employees, null, 2));
+  report.before = previous.find(e => e.id === target.id) || null;
+  report.after = loadEmployees().find(e => e.id === target.id) || null;
 
   // ドキュメント生成
-  generateTeamDoc(employees);
+  writeTeamDocs(loadEmployees());
+}
+
+// レポートの書き出しと GitHub Actions への結果の受け渡し
+function finishReport(report, reportFile) {
+  const success = isSuccess(report);
+  if (reportFile) {
+    fs.writeFileSync(reportFile, formatReport(report));
+    console.log(`Wrote processing report to ${reportFile}`);
+  }
+  setOutput('success', success);
+  if (!success) {
+    report.errors.forEach(message => console.error(message));
+    process.exitCode = 1;
+  }
 }
 
 // Issue本文のパース
@@ -108,126 +203,41 @@ function parseIssueBody(body) {
   return data;
 }
 
-// Vertex AI REST API を使用して構造化データを抽出
+// 共通AIクライアントで自己紹介文から構造化データを抽出
 async function extractDataWithAI(rawData) {
   if (!rawData.self_intro) return {};
 
-  const apiKey = process.env.GEMINI_API_KEY;
-  if (!apiKey) {
-    console.error('GEMINI_API_KEY missing');
-    return { ai_error: true, ai_error_msg: 'GEMINI_API_KEY missing' };
-  }
-
-  const projectId = process.env.GCP_PROJECT_ID;
-  const location = process.env.GCP_LOCATION || 'us-central1';
-  const modelId = process.env.GCP_MODEL_ID;
-  const endpointId = process.env.GCP_ENDPOINT_ID;
-
-  if (!projectId) {
-    console.error('GCP_PROJECT_ID missing');
-    return { ai_error: true, ai_error_msg: 'GCP_PROJECT_ID missing' };
-  }
-
-  // Vertex AI API Endpoint Construction
-  let url = "";
-  if (endpointId) {
-    // ユーザー提供の参考プロジェクトに合わせ、エンドポイント使用時は v1beta1 を採用
-    console.log(`Using Vertex AI Endpoint: ${endpointId} (v1beta1)`);
-    url = `https://${location}-aiplatform.googleapis.com/v1beta1/projects/${projectId}/locations/${location}/endpoints/${endpointId}:streamGenerateContent?key=${apiKey}`;
-  } else {
-    // 従来のモデル指定パターン (v1)
-    let modelPath = "";
-    const targetModel = modelId || "gemini-1.5-flash-002";
-    if (targetModel.startsWith("gemini-")) {
-      modelPath = `publishers/google/models/${targetModel}`;
-    } else {
-      modelPath = `models/${targetModel}`;
-    }
-    console.log(`Using Vertex AI Model Path: ${modelPath} (v1)`);
-    url = `https://${location}-aiplatform.googleapis.com/v1/projects/${projectId}/locations/${location}/${modelPath}:streamGenerateContent?key=${apiKey}`;
+  const ai = createAIClient();
+  if (!ai.isConfigured()) {
+    const msg = `AI provider ${ai.provider} is not configured`;
+    console.error(msg);
+    return { ai_error: true, ai_error_msg: msg };
   }
+  console.log(`Using ${ai.describe()}`);
 
   try {
-    const prompt = `
-    あなたは人事データの分析官です。社員の自己紹介文から特定の情報を抽出し、JSON形式で出力してください。
-
-    Input Text:
-    """
-    ${rawData.self_intro}
-    """
-    
-    Output JSON format:
-    {
-      "skills": ["スキル1", "スキル2"],
-      "interests": ["興味1", "興味2"],
-      "goal": "キャリア目標（要約）",
-      "personality": ["人柄キーワード1", "人柄キーワード2"],
-      "job_guess": "Engineer"
-    }
+    const prompt = loadPrompt('extraction');
+    console.log(`Prompt: ${prompt.ref}`);
 
-    Respond ONLY with valid JSON. Do not include markdown blocks. Do not add trailing commas.
-    `;
-
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        contents: [{ role: 'user', parts: [{ text: prompt }] }]
-      })
-    });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('API Error:', errorText);
-      throw new Error(`API ${response.status}: ${errorText}`);
-    }
-
-    const resDataArr = await response.json();
-    let text = "";
-    if (Array.isArray(resDataArr)) {
-      text = resDataArr.map(chunk => chunk.candidates[0].content.parts[0].text).join('');
-    } else {
-      text = resDataArr.candidates[0].content.parts[0].text;
-    }
+    const text = await ai.generate(prompt.render('prompt', { self_intro: rawData.self_intro }), { json: true, label: 'issue extraction' });
 
     console.log('--- Raw AI Response ---');
     console.log(text);
     console.log('-----------------------');
 
-    // 堅牢なJSON抽出処理
-    const extractJSON = (str) => {
-      const start = str.indexOf('{');
-      const end = str.lastIndexOf('}');
-      if (start === -1 || end === -1) return {};
-
-      let jsonPart = str.substring(start, end + 1);
-      // 文字列内のリテラル改行をスペースに置換
-      jsonPart = jsonPart.replace(/\r?\n/g, ' ');
-      // 末尾カンマの削除
-      jsonPart = jsonPart.replace(/,(\s*[\]\}])/g, '$1');
-      // 連続カンマの削除
-      jsonPart = jsonPart.replace(/,\s*,/g, ',');
-
-      try {
-        return JSON.parse(jsonPart);
-      } catch (e) {
-        console.warn(`Initial parse failed: ${e.message}. Retrying with aggressive cleanup.`);
-        try {
-          const aggressive = jsonPart.replace(/[\n\r\t]/g, ' ').trim();
-          return JSON.parse(aggressive);
-        } catch (e2) {
-          throw new Error(`AI JSON parse failed: ${e2.message}\nContent snippet: ${jsonPart.substring(0, 100)}`);
-        }
-      }
-    };
-
-    return extractJSON(text);
+    return parseJSON(text);
   } catch (error) {
     console.error('AI extraction error:', error);
     return { ai_error: true, ai_error_msg: error.message };
   }
 }
 
+// AIで抽出した項目を反映した社員に、抽出に使ったプロンプトのバージョンを記録する (ai_prompts.extraction)
+function recordExtraction(target, structured) {
+  if (!target || !structured || structured.ai_error || Object.keys(structured).length === 0) return;
+  recordPrompt(target, loadPrompt('extraction'));
+}
+
 function parseDeleteIssueBody(body) {
   const lines = body.split('\n');
   const data = {};
@@ -244,135 +254,173 @@ function parseDeleteIssueBody(body) {
   return data;
 }
 
-function updateEmployee(employees, newData) {
-  const index = employees.findIndex(e => e.name === newData.name);
-  const now = new Date().toISOString();
-  if (index !== -1) {
-    employees[index] = { ...employees[index], ...newData, updatedAt: now, isActive: true };
-  } else {
-    employees.push({
-      ...newData,
-      createdAt: now,
-      updatedAt: now,
-      isActive: true,
-      job: newData.job || newData.job_guess || 'Other'
-    });
-  }
+// カンマ・読点・改行区切りのリストを配列にする
+function splitList(text) {
+  return (text || '')
+    .split(/[\n,、]/)
+    .map(item => item.replace(/^[-*・]\s*/, '').trim())
+    .filter(Boolean);
 }
 
-function deleteEmployee(employees, data) {
-  const index = employees.findIndex(e => e.name === data.name);
-  if (index === -1) return;
-  if (data.action_type.includes('Delete')) {
-    employees.splice(index, 1);
-  } else {
-    employees[index].isActive = false;
-    employees[index].archivedReason = data.reason;
-    employees[index].archivedAt = new Date().toISOString();
+function parseCareerIssueBody(body) {
+  const lines = body.split('\n');
+  const data = {};
+  let currentKey = null;
+  const keyMap = {
+    'お名前': 'name',
+    '自己紹介 / キャリア詳細': 'self_intro',
+    'キャリア目標': 'goal',
+    'スキル': 'skills',
+    '興味・関心': 'interests'
+  };
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (line.startsWith('### ')) {
+      currentKey = keyMap[line.replace('### ', '').trim()];
+    } else if (currentKey && line !== '' && line !== '_No response_') {
+      data[currentKey] = (data[currentKey] ? data[currentKey] + '\n' : '') + line;
+    }
   }
+  if (data.skills !== undefined) data.skills = splitList(data.skills);
+  if (data.interests !== undefined) data.interests = splitList(data.interests);
+  return data;
 }
 
-function generateTeamDoc(employees) {
-  const activeEmployees = employees.filter(e => e.isActive !== false);
-  const archivedEmployees = employees.filter(e => e.isActive === false);
-  const jobs = [...new Set(activeEmployees.map(e => e.job))];
-
-  let md = '# チーム構成図\n\n自動生成された組織図です。Issueによる更新が反映されます。\n\n';
-  md += '```mermaid\n%%{init: {\'theme\': \'base\', \'themeVariables\': {\'primaryColor\': \'#F2EBE3\', \'primaryTextColor\': \'#5D574F\', \'primaryBorderColor\': \'#D9CFC1\', \'lineColor\': \'#BEB3A5\', \'secondaryColor\': \'#FAF9F6\', \'tertiaryColor\': \'#FDFCFB\', \'nodeBorder\': \'1px\'}}}%%\nmindmap\n  root((株式会社Saiteki))\n';
+// 本人申告のキャリア情報をマージする
+// Slack分析由来のフィールド (overall_summary, personality_traits など) には触れない
+function mergeCareerProfile(employees, declared, structured = {}) {
+  const target = findEmployeeByName(employees, declared.name);
+  if (!target) {
+    console.warn(`Employee not found: ${declared.name}`);
+    return null;
+  }
 
-  const jobMap = { 'Engineer': 'Engineer', 'Designer': 'Designer', 'Sales': 'Sales', 'PM': 'PM', 'Corporate': 'Corporate', 'EM': 'Engineer', 'QA': 'QA', 'HR': 'HR', '経営': '経営', 'Executive': '経営', 'Other': 'Other' };
+  const now = new Date().toISOString();
+  const aiData = structured.ai_error ? {} : structured;
+  const pick = (key) => {
+    const value = declared[key] !== undefined ? declared[key] : aiData[key];
+    return Array.isArray(value) ? value.filter(v => typeof v === 'string' && v.trim()) : value;
+  };
 
-  jobs.forEach(job => {
-    md += `    ${jobMap[job] || job || 'Other'}\n`;
-    activeEmployees.filter(e => e.job === job).forEach(m => {
-      md += `      ${m.name.replace(/[()"']/g, '')}\n`;
-    });
-  });
-  md += '```\n\n';
-  // 2. Summary Table
-  md += '## 社員一覧サマリー\n\n| 名前 | 職種 | 性格傾向 (概略) | 現在の状態 |\n| --- | --- | --- | --- |\n';
-  activeEmployees.forEach(e => {
-    const personality = e.personality_traits?.summary || (e.personality || '-');
-    const current = e.current_state?.summary || '-';
-    md += `| [${e.name}](#${encodeURIComponent(e.name)}) | ${e.job} | ${personality} | ${current} |\n`;
-  });
-  md += '\n---\n\n## 詳細プロフィール\n\n各社員の詳細な分析結果です。クリックして展開できます。\n\n';
-
-  // 3. Detailed Profiles
-  activeEmployees.forEach(e => {
-    md += `<div id="${e.name}"></div>\n\n`;
-    md += `### ${e.name} (${e.job})\n\n`;
-    md += `> **総合サマリー**: ${e.overall_summary || '-'}\n\n`;
-
-    md += '<details>\n<summary><b>🛠 性格傾向 (Personality Traits)</b></summary>\n\n';
-    if (e.personality_traits) {
-      md += `**要約**: ${e.personality_traits.summary}\n\n`;
-      md += '| 項目 | スコア | 根拠・エピソード |\n| --- | --- | --- |\n';
-      const traits = {
-        openness: '開放性 (Openness)',
-        conscientiousness: '誠実性 (Conscientiousness)',
-        extraversion: '外向性 (Extraversion)',
-        agreeableness: '協調性 (Agreeableness)',
-        neuroticism: '神経症的傾向 (Neuroticism)'
-      };
-      Object.keys(traits).forEach(t => {
-        const data = e.personality_traits[t];
-        if (data) {
-          const safeEvidence = (data.evidence || '').replace(/\n/g, '<br>');
-          md += `| ${traits[t]} | ${data.score}/10 | ${safeEvidence} |\n`;
-        }
-      });
-    } else {
-      md += `※Slack連携後に詳細な性格分析結果が表示されます。 (暫定性格: ${e.personality || '-'})\n`;
-    }
-    md += '\n</details>\n\n';
-
-    md += '<details>\n<summary><b>💪 仕事スタイルと強み (Work Styles & Strengths)</b></summary>\n\n';
-    if (e.work_styles_and_strengths) {
-      md += `**要約**: ${e.work_styles_and_strengths.summary}\n\n`;
-      md += `**問題解決スタイル**: ${e.work_styles_and_strengths.problem_solving_style || '-'}\n\n`;
-      md += `**主要な強み**: ${e.work_styles_and_strengths.dominant_strengths?.join(', ') || '-'}\n\n`;
-      md += '**証拠エピソード**:\n';
-      e.work_styles_and_strengths.evidence_episodes?.forEach(ep => md += `- ${ep}\n`);
-    } else {
-      md += `※Slack連携後に詳細な強み分析が表示されます。 (既存スキル: ${e.skills?.join(', ') || '-'})\n`;
+  ['self_intro', 'goal', 'skills', 'interests'].forEach(key => {
+    const value = pick(key);
+    if (value !== undefined && !(Array.isArray(value) && value.length === 0)) {
+      target[key] = value;
     }
-    md += '\n</details>\n\n';
-
-    md += '<details>\n<summary><b>💎 価値観とモチベーター (Values & Motivators)</b></summary>\n\n';
-    if (e.values_and_motivators) {
-      md += `**要約**: ${e.values_and_motivators.summary}\n\n`;
-      md += `**コアバリュー**: ${e.values_and_motivators.core_values?.join(', ') || '-'}\n\n`;
-      md += `**モチベーショントリガー**: ${e.values_and_motivators.motivation_triggers?.join(', ') || '-'}\n\n`;
-      md += '**証拠エピソード**:\n';
-      e.values_and_motivators.evidence_episodes?.forEach(ep => md += `- ${ep}\n`);
-    } else {
-      md += '※Slack連携後に詳細分析が表示されます。\n';
+  });
+  target.career_updated_at = now;
+  target.updatedAt = now;
+  return target;
+}
+
+function parseEditIssueBody(body) {
+  const lines = body.split('\n');
+  const data = {};
+  let currentKey = null;
+  const keyMap = {
+    '対象社員名': 'name',
+    '新しいお名前': 'new_name',
+    '職種': 'job',
+    'Slack ID': 'slack_id',
+    'Slack ID (幹部用ワークスペース)': 'slack_id_2',
+    'AI分析への同意': 'ai_consent',
+    '修正理由': 'reason'
+  };
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (line.startsWith('### ')) {
+      currentKey = keyMap[line.replace('### ', '').trim()];
+    } else if (currentKey && line !== '' && line !== '_No response_') {
+      data[currentKey] = (data[currentKey] ? data[currentKey] + '\n' : '') + line;
     }
-    md += '\n</details>\n\n';
-
-    md += '<details>\n<summary><b>📈 現在の状態 (Current State)</b></summary>\n\n';
-    if (e.current_state) {
-      md += `**要約**: ${e.current_state.summary}\n\n`;
-      md += `- **感情レベル**: ${e.current_state.sentiment_level || '-'}\n`;
-      md += `- **業務負荷状況**: ${e.current_state.workload_status || '-'}\n`;
-      md += `- **最近の関心トピック**: ${e.current_state.recent_topics_of_interest?.join(', ') || '-'}\n`;
-    } else {
-      md += '※Slack連携後に表示されます。\n';
+  }
+  // ドロップダウンの表示 (「primary-only: ...」) から値だけを取り出す
+  if (data.ai_consent) data.ai_consent = data.ai_consent.split(':')[0].trim();
+  return data;
+}
+
+// 修正Issueの入力値を検証する (問題があればエラーメッセージを返し、1件も反映しない)
+function validateEdit(employees, target, edit) {
+  const errors = [];
+  if (!['new_name', 'job', 'slack_id', 'slack_id_2', 'ai_consent'].some(key => edit[key] !== undefined)) {
+    errors.push('修正する項目が入力されていません。');
+  }
+  if (edit.job !== undefined && !JOBS.includes(edit.job)) {
+    errors.push(`職種が不正です: ${edit.job} (${JOBS.join(' / ')} のいずれかを指定してください)`);
+  }
+  if (edit.ai_consent !== undefined && !AI_CONSENT_VALUES.includes(edit.ai_consent)) {
+    errors.push(`AI分析への同意が不正です: ${edit.ai_consent} (${AI_CONSENT_VALUES.join(' / ')} のいずれかを指定してください)`);
+  }
+  ['slack_id', 'slack_id_2'].forEach(key => {
+    const value = edit[key];
+    if (value === undefined) return;
+    if (!SLACK_ID_PATTERN.test(value)) {
+      errors.push(`Slack ID の形式が不正です: ${value} (例: U12345678)`);
+      return;
     }
-    md += '\n</details>\n\n';
+    const owner = employees.find(e => e !== target && (e.slack_id === value || e.slack_id_2 === value));
+    if (owner) errors.push(`Slack ID ${value} は ${owner.name} に登録済みです。`);
+  });
+  if (edit.new_name) {
+    const owner = findEmployeeByName(employees, edit.new_name);
+    if (owner && owner !== target) errors.push(`「${edit.new_name}」は ${owner.name} の名前または別名として登録済みです。`);
+  }
+  return errors;
+}
 
-    md += '---\n\n';
+// 入力された項目だけを反映する。名前を変えた場合、以前の名前は別名として残す
+function editEmployee(target, edit) {
+  if (edit.new_name && edit.new_name !== target.name) {
+    const previousName = target.name;
+    target.name = edit.new_name;
+    addAlias(target, previousName);
+  }
+  ['job', 'slack_id', 'slack_id_2', 'ai_consent'].forEach(key => {
+    if (edit[key] !== undefined) target[key] = edit[key];
   });
+  target.updatedAt = new Date().toISOString();
+}
+
+function updateEmployee(employees, newData) {
+  const existing = findEmployee(employees, newData);
+  const now = new Date().toISOString();
+  if (existing) {
+    // 名前の表記が異なる場合は別名として残し、正式名は上書きしない
+    const { name, ...rest } = newData;
+    addAlias(existing, name);
+    Object.assign(existing, rest, { updatedAt: now, isActive: true });
+    return existing;
+  }
+  const created = {
+    id: generateEmployeeId(employees),
+    ...newData,
+    createdAt: now,
+    updatedAt: now,
+    isActive: true,
+    job: newData.job || newData.job_guess || 'Other'
+  };
+  employees.push(created);
+  return created;
+}
 
-  if (archivedEmployees.length > 0) {
-    md += '\n## Alumni (OB/OG)\n\n| 名前 | 在籍時の職種 | 理由 |\n| --- | --- | --- |\n';
-    archivedEmployees.forEach(e => md += `| ${e.name} | ${e.job} | ${e.archivedReason || '-'} |\n`);
+function deleteEmployee(employees, data) {
+  const target = findEmployeeByName(employees, data.name);
+  if (!target) return null;
+  if ((data.action_type || '').includes('Delete')) {
+    employees.splice(employees.indexOf(target), 1);
+  } else {
+    target.isActive = false;
+    target.archivedReason = data.reason;
+    target.archivedAt = new Date().toISOString();
   }
+  return target;
+}
 
-  const docDir = path.dirname(TEAM_DOC_FILE);
-  if (!fs.existsSync(docDir)) fs.mkdirSync(docDir, { recursive: true });
-  fs.writeFileSync(TEAM_DOC_FILE, md);
+if (require.main === module) {
+  runMain(() => run({ sync: process.argv.includes('--sync') }));
 }
 
-main().catch(console.error);
+module.exports = {
+  run,
+  issueFromEnv,
+};
@@ -0,0 +1,109 @@
+/**
+ * profile-history.js
+ *
+ * 社員プロフィールの変更履歴を表示する
+ *
+ * 実行:
+ *   node scripts/saiteki.js profile show <社員名|ID>
+ *   node scripts/saiteki.js profile diff <社員名|ID> <リビジョンA> [リビジョンB (省略時は最新)]
+ */
+
+const { loadEmployees } = require('./lib/employee-store');
+const { findEmployee } = require('./lib/employee-identity');
+const { readHistory, revisionsOf, snapshotAt, diffSnapshots, formatSource } = require('./lib/profile-history');
+const { UsageError, runMain } = require('./lib/cli');
+
+function resolveEmployeeId(query) {
+    const employees = loadEmployees();
+    const employee = /^emp-/.test(query) ? findEmployee(employees, { id: query }) : findEmployee(employees, { name: query });
+    if (employee) return { id: employee.id, name: employee.name };
+    // 削除済みの社員は ID 指定でのみ参照できる
+    if (/^emp-/.test(query)) return { id: query, name: query };
+    return null;
+}
+
+function formatValue(value) {
+    if (value === undefined) return '(none)';
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return text.length > 120 ? `${text.substring(0, 117)}...` : text;
+}
+
+function show(history, target) {
+    const revisions = revisionsOf(history, target.id);
+    if (revisions.length === 0) {
+        console.log(`No history recorded for ${target.name}.`);
+        return;
+    }
+
+    console.log(`History of ${target.name} (${target.id}): ${revisions.length} revision(s)\n`);
+    revisions.forEach(entry => {
+        const fields = [...Object.keys(entry.changes || {}), ...(entry.removed || []).map(f => `-${f}`)];
+        const summary = entry.deleted ? '(deleted)' : fields.join(', ') || '(no field changes)';
+        console.log(`  r${entry.revision}  ${entry.at}  ${formatSource(entry.source).padEnd(14)}  ${summary}`);
+    });
+}
+
+function diff(history, target, revA, revB) {
+    const revisions = revisionsOf(history, target.id);
+    if (revisions.length === 0) {
+        throw new Error(`No history recorded for ${target.name}.`);
+    }
+    const latest = revisions[revisions.length - 1].revision;
+    const from = Number(revA);
+    const to = revB === undefined ? latest : Number(revB);
+    [from, to].forEach(rev => {
+        if (!Number.isInteger(rev) || rev < 1 || rev > latest) {
+            throw new UsageError(`Revision must be between 1 and ${latest} (got ${rev}).`);
+        }
+    });
+
+    const changes = diffSnapshots(snapshotAt(history, target.id, from), snapshotAt(history, target.id, to));
+    console.log(`Diff of ${target.name} (${target.id}): r${from} → r${to}\n`);
+    if (changes.length === 0) {
+        console.log('  No differences.');
+        return;
+    }
+    changes.forEach(c => {
+        console.log(`  ${c.path}`);
+        console.log(`    - ${formatValue(c.before)}`);
+        console.log(`    + ${formatValue(c.after)}`);
+    });
+}
+
+/**
+ * @param {'show'|'diff'} command
+ * @param {string} query 社員名または ID
+ * @param {string} [revA] diff の比較元リビジョン
+ * @param {string} [revB] diff の比較先リビジョン (省略時は最新)
+ */
+function run({ command, query, revA, revB }) {
+    if (!['show', 'diff'].includes(command) || !query) {
+        throw new UsageError('Usage: profile show <name|id> | profile diff <name|id> <revA> [revB]');
+    }
+
+    const target = resolveEmployeeId(query);
+    if (!target) {
+        throw new Error(`Employee not found: ${query}`);
+    }
+
+    const history = readHistory();
+    if (command === 'show') {
+        show(history, target);
+    } else {
+        if (revA === undefined) {
+            throw new UsageError('Usage: profile diff <name|id> <revA> [revB]');
+        }
+        diff(history, target, revA, revB);
+    }
+}
+
+if (require.main === module) {
+    runMain(() => {
+        const [command, query, revA, revB] = process.argv.slice(2);
+        run({ command, query, revA, revB });
+    });
+}
+
+module.exports = {
+    run,
+};
@@ -0,0 +1,266 @@
+#!/usr/bin/env node
+/**
+ * saiteki.js
+ *
+ * 社員データ管理のコマンドラインツール (各スクリプトの共通エントリーポイント)
+ *
+ * 実行: node scripts/saiteki.js <command> [options]
+ *       node scripts/saiteki.js help
+ *
+ * 設定は環境変数と設定ファイル (saiteki.config.json) から読み込む (scripts/lib/config.js)
+ * 終了コードは scripts/lib/cli.js を参照
+ */
+
+const { UsageError, parseArgs, runMain } = require('./lib/cli');
+
+const COMMANDS = [
+    {
+        name: 'sync',
+        summary: 'Slackの新しい発言を取得し、社員プロフィールをAIで分析・更新する',
+        usage: 'sync [--full] [--channel <id>] [--since <date>] [--resume]\n       sync --from-archive [--channel <id>] [--since <date>] [--employee <name|id>] [--resume]',
+        options: [
+            ['--full', '保存済みの取得位置を使わず、全期間の履歴を同期する'],
+            ['--channel <id>', '指定したチャンネルだけを同期する (バックフィル用)'],
+            ['--since <date>', '保存済みの取得位置の代わりに指定日 (YYYY-MM-DD) 以降を取得する'],
+            ['--from-archive', 'Slackから取得せず、ローカルのアーカイブ (data/archive/) の発言で分析し直す。取得位置は変更しない'],
+            ['--employee <name|id>', '指定した社員だけを分析する (--from-archive と併用)'],
+            ['--resume', '途中で止まった実行を同じオプションで再開し、分析済みの社員 (data/sync-checkpoint.json) を飛ばす'],
+        ],
+        run: ({ options }) => require('./sync-slack').run({
+            full: !!options.full,
+            channel: options.channel,
+            since: options.since,
+            fromArchive: !!options['from-archive'],
+            employee: options.employee,
+            resume: !!options.resume,
+        }),
+    },
+    {
+        name: 'sync status',
+        summary: 'チャンネルごとの取得済み位置 (data/slack-sync-state.json) とアーカイブ済みの発言数を表示する',
+        usage: 'sync status',
+        run: () => require('./sync-slack').status(),
+    },
+    {
+        name: 'sync reset',
+        summary: 'チャンネルの取得済み位置を巻き戻す (次回の sync で再取得される)',
+        usage: 'sync reset <channel> [--to <date>]',
+        options: [['--to <date>', '指定日 (YYYY-MM-DD) まで巻き戻す。省略時は記録を削除し、次回は直近14日分から取得する']],
+        minArgs: 1,
+        maxArgs: 1,
+        run: ({ positional, options }) => require('./sync-slack').reset({ channel: positional[0], to: options.to }),
+    },
+    {
+        name: 'sync import',
+        summary: 'Slackのエクスポート (ディレクトリまたはZIP) の発言をアーカイブに取り込み、ユーザーを社員と照合する',
+        usage: 'sync import <dir|zip> [--workspace primary|secondary] [--channel <id|name>] [--dry-run] [--verified-only] [--analyze]',
+        options: [
+            ['--workspace <name>', 'エクスポート元のワークスペース (primary / secondary、既定 primary)'],
+            ['--channel <id|name>', '指定したチャンネルだけを取り込む'],
+            ['--dry-run', '読み込んだ内容を表示するだけで保存しない'],
+            ['--verified-only', 'Slack ID かメールアドレスで照合した社員だけを更新する (名前だけの照合は一覧に出すだけ)'],
+            ['--analyze', '取り込みに続けて、アーカイブの発言で社員プロフィールを分析する (sync --from-archive と同じ)'],
+        ],
+        minArgs: 1,
+        maxArgs: 1,
+        run: ({ positional, options }) => require('./import-slack-export').run({
+            source: positional[0],
+            workspace: options.workspace,
+            channel: options.channel,
+            dryRun: !!options['dry-run'],
+            verifiedOnly: !!options['verified-only'],
+            analyze: !!options.analyze,
+        }),
+    },
+    {
+        name: 'users import',
+        summary: 'Slackのユーザー一覧と社員を照合し、未登録のSlack ID・役職・タイムゾーン・アイコンを反映する',
+        usage: 'users import [--dry-run] [--verified-only]',
+        options: [
+            ['--dry-run', '照合結果を表示するだけで保存しない'],
+            ['--verified-only', 'Slack ID かメールアドレスで照合した社員だけを更新する (名前だけの照合は一覧に出すだけ)'],
+        ],
+        run: ({ options }) => require('./import-slack-users').run({ dryRun: !!options['dry-run'], verifiedOnly: !!options['verified-only'] }),
+    },
+    {
+        name: 'graph build',
+        summary: 'employees.json からナレッジグラフ (data/knowledge-graph.json) を構築する',
+        usage: 'graph build [--skip-ai]',
+        options: [['--skip-ai', 'AIによる社員間の関係分析を行わない']],
+        run: ({ options }) => require('./build-knowledge-graph').run({ skipAi: !!options['skip-ai'] }),
+    },
+    {
+        name: 'docs',
+        summary: 'TEAM.md / TEAM_en.md / KNOWLEDGE_GRAPH.md / index.html を再生成する',
+        usage: 'docs',
+        run: () => {
+            const { loadEmployees } = require('./lib/employee-store');
+            require('./lib/team-doc').writeTeamDocs(loadEmployees());
+            require('./generate-graph-doc').run();
+        },
+    },
+    {
+        name: 'issue process',
+        summary: 'Issue (新規登録・キャリア登録・修正・削除) の内容を社員データに反映する',
+        usage: 'issue process [--body-file <file>] [--label <name>] [--number <n>] [--author <login>] [--report <file>]\n       issue process --sync',
+        options: [
+            ['--body-file <file>', 'Issue本文のファイル (既定: 環境変数 ISSUE_BODY)'],
+            ['--label <name>', 'Issueのラベル。カンマ区切りで複数指定可 (既定: ISSUE_LABELS)'],
+            ['--number <n>', 'Issue番号 (既定: ISSUE_NUMBER)'],
+            ['--author <login>', 'Issueの作成者 (既定: ISSUE_AUTHOR)。変更履歴に記録される'],
+            ['--report <file>', '処理結果のレポート (Markdown) の出力先'],
+            ['--sync', 'Issueを処理せず、既存の自己紹介のAI補完と TEAM.md の再生成を行う'],
+        ],
+        run: ({ options }) => {
+            const { run, issueFromEnv } = require('./process-issue');
+            const issue = issueFromEnv();
+            if (options['body-file']) issue.body = require('fs').readFileSync(options['body-file'], 'utf8');
+            if (options.label) issue.labels = options.label.split(',').map(l => l.trim());
+            if (options.number) issue.number = Number(options.number);
+            if (options.author) issue.author = options.author;
+            return run({ sync: !!options.sync, issue, reportFile: options.report });
+        },
+    },
+    {
+        name: 'templates sync',
+        summary: 'Issueテンプレートの社員名ドロップダウンを employees.json に合わせて更新する',
+        usage: 'templates sync',
+        run: () => require('./sync-templates').run(),
+    },
+    {
+        name: 'validate',
+        summary: 'employees.json をスキーマ検証する (不正なレコードがあれば終了コード 1)',
+        usage: 'validate [file]',
+        maxArgs: 1,
+        run: ({ positional }) => require('./validate').run({ file: positional[0] }),
+    },
+    {
+        name: 'profile show',
+        summary: '社員プロフィールの変更履歴を一覧表示する',
+        usage: 'profile show <name|id>',
+        minArgs: 1,
+        maxArgs: 1,
+        run: ({ positional }) => require('./profile-history').run({ command: 'show', query: positional[0] }),
+    },
+    {
+        name: 'profile diff',
+        summary: '社員プロフィールの2つのリビジョンを比較する (revB 省略時は最新)',
+        usage: 'profile diff <name|id> <revA> [revB]',
+        minArgs: 2,
+        maxArgs: 3,
+        run: ({ positional }) => {
+            const [query, revA, revB] = positional;
+            return require('./profile-history').run({ command: 'diff', query, revA, revB });
+        },
+    },
+    {
+        name: 'prompts list',
+        summary: 'AIのプロンプトのテンプレート (prompts/) とバージョンを一覧表示する',
+        usage: 'prompts list',
+        run: () => require('./compare-prompts').list(),
+    },
+    {
+        name: 'prompts compare',
+        summary: '同じ入力を2つのバージョンのプロンプトで分析し、出力の差分を左右に並べて表示する (社員データは変更しない)',
+        usage: 'prompts compare <profile|extraction> <versionA> <versionB> --employee <name|id> [--channel <id>] [--since <date>]',
+        options: [
+            ['--employee <name|id>', '入力にする社員 (profile はアーカイブの発言、extraction は保存済みの自己紹介)'],
+            ['--channel <id>', 'profile: 指定したチャンネルの発言だけを使う'],
+            ['--since <date>', 'profile: 指定日 (YYYY-MM-DD) 以降の発言だけを使う'],
+        ],
+        minArgs: 3,
+        maxArgs: 3,
+        run: ({ positional, options }) => {
+            const [id, versionA, versionB] = positional;
+            return require('./compare-prompts').compare({ id, versionA, versionB, employee: options.employee, channel: options.channel, since: options.since });
+        },
+    },
+];
+
+const GLOBAL_OPTIONS = [
+    ['--config <file>', '設定ファイル (既定: saiteki.config.json、環境変数 SAITEKI_CONFIG)'],
+    ['-h, --help', 'ヘルプを表示する'],
+];
+
+function formatOptions(options) {
+    const width = Math.max(...options.map(([flag]) => flag.length));
+    return options.map(([flag, description]) => `  ${flag.padEnd(width)}  ${description}`).join('\n');
+}
+
+function generalHelp() {
+    const width = Math.max(...COMMANDS.map(c => c.name.length));
+    return [
+        'Usage: saiteki <command> [options]',
+        '',
+        'Commands:',
+        ...COMMANDS.map(c => `  ${c.name.padEnd(width)}  ${c.summary}`),
+        '',
+        'Global options:',
+        formatOptions(GLOBAL_OPTIONS),
+        '',
+        'Run `saiteki <command> --help` for command options.',
+    ].join('\n');
+}
+
+function commandHelp(command) {
+    const lines = [`Usage: saiteki ${command.usage}`, '', command.summary];
+    if (command.options) lines.push('', 'Options:', formatOptions(command.options));
+    lines.push('', 'Global options:', formatOptions(GLOBAL_OPTIONS));
+    return lines.join('\n');
+}
+
+// `graph build` のような複数語のコマンドは、位置引数の先頭から最長一致で探す
+function findCommand(positional) {
+    return COMMANDS
+        .filter(c => {
+            const words = c.name.split(' ');
+            return words.every((word, i) => positional[i] === word);
+        })
+        .sort((a, b) => b.name.length - a.name.length)[0];
+}
+
+function optionName(flag) {
+    return flag.split(' ')[0].slice(2);
+}
+
+// `--label <name>` のように値を取るオプション名 (全コマンド共通で解析する)
+const VALUE_OPTIONS = [...GLOBAL_OPTIONS, ...COMMANDS.flatMap(c => c.options || [])]
+    .filter(([flag]) => flag.includes('<'))
+    .map(([flag]) => optionName(flag));
+
+function main() {
+    const argv = process.argv.slice(2).map(arg => (arg === '-h' ? '--help' : arg));
+    const { positional, options } = parseArgs(argv, VALUE_OPTIONS);
+    const command = findCommand(positional);
+
+    if (!command) {
+        if (positional.length === 0 || positional[0] === 'help' || options.help) {
+            console.log(generalHelp());
+            return;
+        }
+        throw new UsageError(`Unknown command: ${positional.join(' ')}\n\n${generalHelp()}`);
+    }
+    if (options.help) {
+        console.log(commandHelp(command));
+        return;
+    }
+
+    const known = ['config', ...(command.options || []).map(([flag]) => optionName(flag))];
+    const unknown = Object.keys(options).filter(key => !known.includes(key));
+    if (unknown.length > 0) {
+        throw new UsageError(`Unknown option: --${unknown[0]}\n\n${commandHelp(command)}`);
+    }
+
+    const args = positional.slice(command.name.split(' ').length);
+    if (args.length < (command.minArgs || 0) || args.length > (command.maxArgs || 0)) {
+        throw new UsageError(`Wrong number of arguments\n\n${commandHelp(command)}`);
+    }
+
+    // 設定ファイルは各モジュールの読み込み前に反映する
+    if (options.config) process.env.SAITEKI_CONFIG = options.config;
+    require('./lib/config').loadConfig();
+
+    return command.run({ positional: args, options });
+}
+
+runMain(main);
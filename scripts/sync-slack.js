@@ -1,123 +1,460 @@
 const fs = require('fs');
 const path = require('path');
-require('dotenv').config();
-
-const DATA_FILE = path.join(__dirname, '../data/employees.json');
-const BACKUP_FILE = path.join(__dirname, '../data/employees.backup.json');
+const { DATA_FILE, loadEmployees, saveEmployees } = require('./lib/employee-store');
+const { findEmployee } = require('./lib/employee-identity');
+const { createAIClient } = require('./lib/ai-client');
+const { formatMessage, createProfileAnalyzer } = require('./lib/profile-analysis');
+const { DATA_DIR } = require('./lib/paths');
+const { writeTeamDocs } = require('./lib/team-doc');
+const { STATE_FILE, loadSyncState, saveSyncState, getCursor, advanceCursor, resetCursor, compareTs, getThreads, followThreads, markForRetry, getRetrySince, clearRetry } = require('./lib/slack-sync-state');
+const { createSlackClient } = require('./lib/slack-client');
+const { discoveryConfig, resolveChannels } = require('./lib/slack-channels');
+const { normalizeOptions, normalizeMessages, employeeNames } = require('./lib/message-normalizer');
+const { ARCHIVE_DIR, archiveMessages, listArchive, readArchive } = require('./lib/message-archive');
+const { privacyOptions, consentOf, canShareProfile, otherNames, redactMessages } = require('./lib/privacy');
+const { appendAudit, describeSent } = require('./lib/ai-audit');
+const { smoothTraits } = require('./lib/trait-smoothing');
+const { updateBasis } = require('./lib/analysis-basis');
+const { runPool } = require('./lib/pool');
+const { CHECKPOINT_FILE, loadCheckpoint, createCheckpoint, isSameRun, markDone, clearCheckpoint } = require('./lib/sync-checkpoint');
+const { INTERACTIONS_FILE, loadInteractions, saveInteractions, extractInteractions, mergeInteractions } = require('./lib/interactions');
+const { UsageError, runMain, appendStepSummary } = require('./lib/cli');
+
+const BACKUP_FILE = path.join(DATA_DIR, 'employees.backup.json');
 
 // Configuration - Primary Workspace
 const SLACK_TOKEN = process.env.SLACK_BOT_TOKEN || process.env.SLACK_APP_TOKEN;
-// Support multiple channels (comma-separated in SLACK_CHANNEL_ID)
+// Support multiple channels (comma-separated in SLACK_CHANNEL_ID); more can be discovered via slack.discovery in the config file
 const CHANNEL_IDS = process.env.SLACK_CHANNEL_ID ? process.env.SLACK_CHANNEL_ID.split(',').map(id => id.trim()) : [];
 
 // Configuration - Secondary Workspace (optional)
 const SLACK_TOKEN_2 = process.env.SLACK_BOT_TOKEN_2;
 const CHANNEL_IDS_2 = process.env.SLACK_CHANNEL_ID_2 ? process.env.SLACK_CHANNEL_ID_2.split(',').map(id => id.trim()) : [];
 
-const PROJECT_ID = process.env.GCP_PROJECT_ID;
-const LOCATION = process.env.GCP_LOCATION || 'us-central1';
-const API_KEY = process.env.GEMINI_API_KEY;
-const ENDPOINT_ID = process.env.GCP_ENDPOINT_ID;
+const ai = createAIClient();
+// Long histories are analyzed per period and merged (map-reduce) instead of being truncated
+const analyzer = createProfileAnalyzer(ai);
 
-// Parse command line arguments
-const args = process.argv.slice(2);
-const IS_FULL_SYNC = args.includes('--full');
+// How far back the first sync of a channel looks (later runs continue from the saved cursor)
+const INITIAL_LOOKBACK_DAYS = 14;
 
+// How many employees are analyzed at the same time (AI_CONCURRENCY)
+const DEFAULT_CONCURRENCY = 3;
 
-async function main() {
-    if (!SLACK_TOKEN || CHANNEL_IDS.length === 0 || !API_KEY || !PROJECT_ID) {
-        console.error('Missing required environment variables: SLACK_BOT_TOKEN, SLACK_CHANNEL_ID, GEMINI_API_KEY, GCP_PROJECT_ID');
-        process.exit(1);
-    }
+// How long a thread is checked for new replies after its last reply (SLACK_THREAD_FOLLOW_DAYS)
+const DEFAULT_THREAD_FOLLOW_DAYS = 30;
 
-    if (!fs.existsSync(DATA_FILE)) {
-        console.error('Data file not found:', DATA_FILE);
-        process.exit(1);
+/**
+ * Parse a --since / --to date (YYYY-MM-DD or ISO 8601) into a Slack ts.
+ */
+function dateToTs(value, option) {
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) {
+        throw new UsageError(`Invalid date for --${option}: ${value} (expected YYYY-MM-DD)`);
     }
+    return (time / 1000).toFixed(6);
+}
 
-    // Backup existing data
-    fs.copyFileSync(DATA_FILE, BACKUP_FILE);
-    console.log(`Backed up data to ${BACKUP_FILE}`);
+function tsToDate(ts) {
+    return ts ? new Date(Number(ts) * 1000).toISOString() : 'beginning';
+}
 
-    const employees = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
-    const targetEmployees = employees.filter(e => e.isActive !== false && (e.slack_id || e.slack_id_2));
+/**
+ * Decide where to start reading a channel.
+ * --since and --full override the saved cursor; a channel without a cursor starts INITIAL_LOOKBACK_DAYS ago.
+ */
+function resolveOldest(state, workspace, channelId, { full, since }) {
+    if (since) return since;
+    if (full) return '0';
+    return getCursor(state, workspace, channelId)
+        || (Date.now() / 1000 - INITIAL_LOOKBACK_DAYS * 24 * 60 * 60).toFixed(6);
+}
 
-    if (targetEmployees.length === 0) {
-        console.log('No active employees with Slack ID found.');
-        return;
+// What to do about Slack errors that will not go away by retrying
+const ERROR_HINTS = {
+    not_in_channel: 'invite the bot to the channel',
+    channel_not_found: 'check the channel ID',
+    missing_scope: 'add the missing OAuth scope to the Slack app',
+    invalid_auth: 'check the bot token',
+    not_authed: 'check the bot token',
+    token_revoked: 'reinstall the Slack app and update the bot token',
+    account_inactive: 'reinstall the Slack app and update the bot token',
+};
+
+/**
+ * Resolve the channels to sync in one workspace: the configured IDs plus, when discovery is enabled
+ * in the config file, every non-archived channel the bot is a member of that passes the name patterns.
+ * A failed discovery is recorded as a failed "(discovery)" result and the configured IDs are still synced,
+ * unless the error is workspace-level (e.g. invalid_auth).
+ * @returns {Promise<{ workspace: string, slack: object, channelIds: string[], results: object[], error: Error|null }>}
+ */
+async function resolveWorkspace(workspace, token, channelIds) {
+    const slack = createSlackClient({ token });
+    const discovery = discoveryConfig(workspace);
+    const resolved = { workspace, slack, channelIds, results: [], error: null };
+    try {
+        const { channels, skipped } = await resolveChannels(slack, channelIds, discovery);
+        resolved.channelIds = channels.map(c => c.id);
+        const label = (c) => (c.name ? `${c.id} (#${c.name})` : c.id);
+        console.log(`Resolved ${channels.length} channel(s) for ${workspace}${discovery ? ' (discovery enabled)' : ''}: ${channels.map(label).join(', ') || '(none)'}`);
+        skipped.forEach(({ channel, reason }) => console.log(`  Skipped ${label(channel)}: ${reason}`));
+    } catch (e) {
+        console.error(`Channel discovery failed for ${workspace}: ${e.message}`);
+        resolved.results.push({ workspace, channel: '(discovery)', status: 'failed', messages: 0, threads: 0, error: e.code || e.message, latestTs: null });
+        if (e.scope === 'workspace') resolved.error = e;
     }
+    return resolved;
+}
 
-    console.log(`Starting sync... Full Mode: ${IS_FULL_SYNC}`);
-    console.log(`Target Channels: ${CHANNEL_IDS.join(', ')}`);
+/**
+ * Fetch every resolved channel of one workspace.
+ * Each channel gets a result entry: complete (everything read), partial (some threads failed) or failed.
+ * A workspace-level error such as invalid_auth marks the remaining channels as failed without calling Slack again.
+ */
+async function fetchWorkspace({ workspace, slack, results: discoveryResults, error }, channelIds, state, { until, ...options }) {
+    let messages = [];
+    const results = [...discoveryResults];
+    let workspaceError = error;
+
+    for (const channelId of channelIds) {
+        const result = { workspace, channel: channelId, status: 'complete', messages: 0, threads: 0, error: null, latestTs: null, oldest: null, threadActivity: {} };
+        results.push(result);
+        if (workspaceError) {
+            Object.assign(result, { status: 'failed', error: workspaceError.code });
+            continue;
+        }
 
-    // Fetch messages from ALL channels (Primary Workspace)
-    let allMessages = [];
-    console.log('--- Primary Workspace ---');
-    for (const channelId of CHANNEL_IDS) {
-        const cid = channelId.trim();
-        if (!cid) continue;
-        console.log(`Fetching messages from channel: ${cid}...`);
+        const oldest = resolveOldest(state, workspace, channelId, options);
+        result.oldest = oldest;
+        console.log(`Fetching messages from channel: ${channelId} (since ${tsToDate(Number(oldest) > 0 ? oldest : null)})...`);
         try {
-            const channelMessages = await fetchSlackMessages(cid, IS_FULL_SYNC, SLACK_TOKEN);
-            console.log(`  Fetched ${channelMessages.length} messages from ${cid}`);
-            allMessages = allMessages.concat(channelMessages);
+            const fetched = await fetchSlackMessages(slack, channelId, oldest, getThreads(state, workspace, channelId), until);
+            console.log(`  Fetched ${fetched.messages.length} messages from ${channelId}`);
+            // History and replies do not carry the channel; it is needed to tell messages with the same ts apart
+            messages = messages.concat(fetched.messages.map(m => ({ ...m, channel: channelId })));
+            Object.assign(result, { messages: fetched.messages.length, threads: fetched.threads, latestTs: fetched.latestTs, threadActivity: fetched.threadActivity });
+            if (fetched.failedThreads.length > 0) {
+                result.status = 'partial';
+                result.error = `${fetched.failedThreads.length} thread(s) could not be fetched (${fetched.failedThreads[0].error})`;
+            }
         } catch (e) {
-            console.error(`  Failed to fetch from ${cid}: ${e.message}`);
+            console.error(`  Failed to fetch from ${channelId}: ${e.message}`);
+            Object.assign(result, { status: 'failed', error: e.code || e.message });
+            if (e.scope === 'workspace') workspaceError = e;
         }
     }
-    console.log(`Primary workspace messages: ${allMessages.length}`);
+    return { messages, results };
+}
 
-    // Fetch messages from Secondary Workspace (if configured)
-    let allMessages2 = [];
-    if (SLACK_TOKEN_2 && CHANNEL_IDS_2.length > 0) {
+/**
+ * Store who replied to, mentioned and reacted to whom (data/interactions.json) for the knowledge graph.
+ * Interactions are keyed by message, so they are recorded even when the AI analysis fails and a retry does not double-count them.
+ * @param {Object<string, object[]>} messagesByWorkspace raw (not normalized) messages per workspace
+ */
+function recordInteractions(employees, messagesByWorkspace) {
+    const store = loadInteractions();
+    let changed = 0;
+    Object.entries(messagesByWorkspace).forEach(([workspace, messages]) => {
+        const field = workspace === 'primary' ? 'slack_id' : 'slack_id_2';
+        const employeeIds = new Map(employees.filter(e => e[field]).map(e => [e[field], e.id]));
+        changed += mergeInteractions(store, extractInteractions(messages, workspace, employeeIds));
+    });
+    if (changed === 0) return;
+    saveInteractions(store);
+    console.log(`Recorded interactions from ${changed} message(s) in ${INTERACTIONS_FILE}.`);
+}
+
+/**
+ * Print how completely each channel was read, and add it to the GitHub Actions job summary.
+ * @returns {boolean} true when every channel was read completely
+ */
+function reportCompleteness(results) {
+    console.log('--- Sync summary ---');
+    results.forEach(r => {
+        const hint = ERROR_HINTS[r.error] ? ` (${ERROR_HINTS[r.error]})` : '';
+        const detail = r.status === 'failed' ? `${r.error}${hint}` : `${r.messages} messages, ${r.threads} threads${r.error ? `; ${r.error}` : ''}`;
+        const line = `  ${r.workspace}:${r.channel}\t${r.status}\t${detail}`;
+        if (r.status === 'complete') console.log(line);
+        else console.error(line);
+    });
+
+    appendStepSummary([
+        '### Slack sync',
+        '',
+        '| Workspace | Channel | Status | Messages | Threads | Error |',
+        '| --- | --- | --- | --- | --- | --- |',
+        ...results.map(r => `| ${r.workspace} | ${r.channel} | ${r.status} | ${r.messages} | ${r.threads} | ${r.error ? `${r.error}${ERROR_HINTS[r.error] ? ` (${ERROR_HINTS[r.error]})` : ''}` : ''} |`),
+    ].join('\n'));
 
+    return results.every(r => r.status === 'complete');
+}
+
+/**
+ * Warn when channels that already have a cursor have nothing in the local archive (e.g. the cache holding it was evicted).
+ * Their messages before the cursor are then gone: --from-archive and the retries of failed employees analyze them without it.
+ * @returns {string[]} the channels missing from the archive, as workspace:channel
+ */
+function checkArchive(state, { channel } = {}) {
+    const archived = new Set(listArchive().map(entry => `${entry.workspace}:${entry.channel}`));
+    const missing = Object.values(state.channels)
+        .filter(entry => !channel || entry.channel === channel)
+        .map(entry => `${entry.workspace}:${entry.channel}`)
+        .filter(key => !archived.has(key));
+    if (missing.length === 0) return missing;
+
+    const message = `The message archive (${ARCHIVE_DIR}) has nothing for ${missing.length} channel(s) that were already synced: ${missing.join(', ')}. `
+        + 'Messages before their cursors are missing from --from-archive runs and from retries. '
+        + 'Restore the archive from a backup, or rebuild it with `sync --full` or `sync import`.';
+    console.error(`WARNING: ${message}`);
+    appendStepSummary(['### Slack message archive', '', `> [!WARNING]`, `> ${message}`].join('\n'));
+    return missing;
+}
+
+/**
+ * Fetch the new messages of every resolved channel, add them to the local archive and record interactions.
+ * @returns {Promise<{ messages: Object<string, object[]>, results: object[], state: object }>} raw messages per workspace, per-channel results and the sync state
+ */
+async function fetchAll(employees, { channel, ...fetchOptions }) {
+    const selectChannels = (ids) => ids.filter(id => !channel || id === channel);
+    const secondaryEnabled = SLACK_TOKEN_2 && (CHANNEL_IDS_2.length > 0 || discoveryConfig('secondary'));
+    const primaryWorkspace = await resolveWorkspace('primary', SLACK_TOKEN, CHANNEL_IDS);
+    const secondaryWorkspace = secondaryEnabled ? await resolveWorkspace('secondary', SLACK_TOKEN_2, CHANNEL_IDS_2) : null;
+    if (channel && !primaryWorkspace.channelIds.includes(channel) && !secondaryWorkspace?.channelIds.includes(channel)) {
+        throw new UsageError(`Channel ${channel} is not configured or discovered (see SLACK_CHANNEL_ID / SLACK_CHANNEL_ID_2 / slack.discovery)`);
+    }
+
+    const state = loadSyncState();
+    console.log(`Target Channels: ${selectChannels(primaryWorkspace.channelIds).join(', ') || '(none)'}`);
+
+    // Fetch messages from ALL channels (Primary Workspace)
+    console.log('--- Primary Workspace ---');
+    const primary = await fetchWorkspace(primaryWorkspace, selectChannels(primaryWorkspace.channelIds), state, fetchOptions);
+    const messages = { primary: primary.messages };
+    let results = primary.results;
+    if (secondaryWorkspace) {
         console.log('--- Secondary Workspace ---');
-        for (const channelId of CHANNEL_IDS_2) {
-            const cid = channelId.trim();
-            if (!cid) continue;
-            console.log(`Fetching messages from channel: ${cid}...`);
-            try {
-                const channelMessages = await fetchSlackMessages(cid, IS_FULL_SYNC, SLACK_TOKEN_2);
-                console.log(`  Fetched ${channelMessages.length} messages from ${cid}`);
-                allMessages2 = allMessages2.concat(channelMessages);
-            } catch (e) {
-                console.error(`  Failed to fetch from ${cid}: ${e.message}`);
-            }
-        }
-        console.log(`Secondary workspace messages: ${allMessages2.length}`);
+        const secondary = await fetchWorkspace(secondaryWorkspace, selectChannels(secondaryWorkspace.channelIds), state, fetchOptions);
+        messages.secondary = secondary.messages;
+        results = [...results, ...secondary.results];
     } else {
         console.log('Secondary workspace not configured. Skipping.');
     }
-    console.log(`Total messages fetched: ${allMessages.length + allMessages2.length}`);
 
+    // Archive before analyzing, so the messages can be re-analyzed even if the analysis fails
+    Object.entries(messages).forEach(([workspace, fetched]) => {
+        const { added, updated } = archiveMessages(workspace, fetched);
+        if (added + updated > 0) console.log(`Archived ${workspace} messages: ${added} new, ${updated} updated (${ARCHIVE_DIR}).`);
+    });
+    recordInteractions(employees, messages);
+    return { messages, results, state };
+}
+
+/**
+ * Read the messages to analyze from the local archive instead of Slack.
+ * @param {object} [options.scope] Only these channels of one workspace, from `from` to `to` (inclusive ts)
+ * @returns {Object<string, object[]>} raw messages per workspace
+ */
+function readAll({ channel, since, scope = null }) {
+    const archived = listArchive()
+        .filter(entry => !channel || entry.channel === channel)
+        .filter(entry => !scope || (entry.workspace === scope.workspace && scope.channels.includes(entry.channel)));
+    if (archived.length === 0) {
+        throw new Error(channel
+            ? `Channel ${channel} is not in the message archive (${ARCHIVE_DIR})`
+            : `The message archive is empty (${ARCHIVE_DIR}). Run a sync first.`);
+    }
+    const messages = {};
+    [...new Set(archived.map(entry => entry.workspace))].forEach(workspace => {
+        const channels = archived.filter(entry => entry.workspace === workspace).map(entry => entry.channel);
+        console.log(`Archived channels for ${workspace}: ${channels.join(', ')}`);
+        messages[workspace] = readArchive(workspace, { channels, oldest: since })
+            .filter(m => !scope || (compareTs(m.ts, scope.from) >= 0 && compareTs(m.ts, scope.to) <= 0));
+    });
+    return messages;
+}
+
+/**
+ * Normalize raw messages per workspace before analysis.
+ * Mentions are resolved against every employee, not only the ones being analyzed.
+ */
+function normalizeAll(rawMessages, employees) {
+    const normalizeContext = { names: employeeNames(employees), options: normalizeOptions() };
+    const normalized = {};
+    Object.entries(rawMessages).forEach(([workspace, messages]) => {
+        normalized[workspace] = normalizeMessages(messages, normalizeContext);
+        console.log(`${workspace === 'primary' ? 'Primary' : 'Secondary'} workspace messages: ${normalized[workspace].length} (${messages.length} before normalization)`);
+    });
+    return normalized;
+}
+
+/**
+ * Pick one employee's messages from both workspaces as they may be sent to the AI:
+ * secondary-workspace messages are left out for primary-only consent, and the texts are redacted (privacy.redact).
+ * @param {object[]} employees every employee (for redacting other people's names)
+ * @param {Object<string, object[]>} messagesByWorkspace normalized messages per workspace
+ * @param {string} consent consentOf() of the employee
+ * @returns {{ messages: object[], redactions: Object<string, number> }} messages are tagged with their workspace
+ */
+function messagesFor(employee, employees, messagesByWorkspace, consent, privacy = privacyOptions()) {
+    const primaryMessages = (messagesByWorkspace.primary || [])
+        .filter(m => m.user === employee.slack_id && m.text)
+        .map(m => ({ ...m, workspace: 'primary' }));
+    const secondaryMessages = consent === 'primary-only' ? [] : (messagesByWorkspace.secondary || [])
+        .filter(m => employee.slack_id_2 && m.user === employee.slack_id_2 && m.text)
+        .map(m => ({ ...m, workspace: 'secondary' }));
+    const { messages, counts } = redactMessages([...primaryMessages, ...secondaryMessages], {
+        redact: privacy.redact,
+        names: privacy.redact.otherNames ? otherNames(employees, employee) : [],
+    });
+    return { messages, redactions: counts };
+}
+
+function messagesSince(messagesByWorkspace, sinceTs) {
+    return Object.fromEntries(Object.entries(messagesByWorkspace)
+        .map(([workspace, messages]) => [workspace, messages.filter(m => compareTs(m.ts, sinceTs) > 0)]));
+}
+
+/**
+ * Read the archived messages for employees whose analysis failed in an earlier sync (state.retry),
+ * and for primary-only employees whose stored profile is not sent back (see canShareProfile), so it is rebuilt from all their messages.
+ * The archive already holds this run's messages too, so it replaces the fetched messages for those employees.
+ * @returns {{ since: Object<string, string>, messagesByWorkspace: Object<string, object[]> }|null} null when nobody is retried
+ */
+function readRetryMessages(state, targetEmployees, employees) {
+    const privacy = privacyOptions();
+    const rebuild = targetEmployees.filter(e => consentOf(e, privacy) === 'primary-only' && !canShareProfile(e, 'primary-only'));
+    const since = Object.fromEntries([
+        ...targetEmployees.map(e => [e.id, getRetrySince(state, e.id)]).filter(([, ts]) => ts),
+        ...rebuild.map(e => [e.id, '0']),
+    ]);
+    if (Object.keys(since).length === 0) return null;
+
+    const oldest = Object.values(since).reduce((a, b) => (compareTs(a, b) <= 0 ? a : b));
+    let raw;
+    try {
+        raw = readAll({ since: oldest });
+    } catch (e) {
+        console.error(`Cannot retry the employees whose last analysis failed: ${e.message}. They stay in ${STATE_FILE}.`);
+        return null;
+    }
+    const failedCount = Object.keys(since).length - rebuild.length;
+    if (failedCount > 0) {
+        console.log(`Retrying ${failedCount} employee(s) whose last analysis failed, with archived messages since ${tsToDate(Number(oldest) > 0 ? oldest : null)}.`);
+    }
+    if (rebuild.length > 0) {
+        console.log(`Rebuilding the profile of ${rebuild.length} employee(s) with all their archived messages (ai_consent: primary-only).`);
+    }
+    return { since, messagesByWorkspace: normalizeAll(raw, employees) };
+}
+
+// Fields from the old profile format that are removed when a profile is re-analyzed
+// (self_intro / skills / interests / goal are self-declared via the career template and are kept)
+const LEGACY_FIELDS = [
+    'personality', 'job_guess', 'like_tech', 'smart_goal',
+    'profile_v2' // Remove the nested one
+];
+
+/**
+ * Build the fields an analysis writes to the employee record.
+ * Kept separate from applying them so the same updates can be checkpointed and replayed by --resume.
+ * With rebuild, the analysis did not see the stored profile, so it replaces the earlier traits and basis instead of adding to them.
+ */
+function buildProfileUpdate(employee, enrichedData, sent, { rebuild = false } = {}) {
+    const analyzedAt = new Date().toISOString();
+    const previous = rebuild ? {} : employee;
+    return {
+        last_updated: analyzedAt,
+        overall_summary: enrichedData.overall_summary,
+        // Big Five scores are long-term traits: blend them with earlier runs, weighted by message counts
+        personality_traits: smoothTraits(
+            previous.personality_traits,
+            enrichedData.personality_traits,
+            { messages: sent.messages, from: sent.from, to: sent.to },
+            previous.slack_synced_at || previous.last_updated,
+        ),
+        work_styles_and_strengths: enrichedData.work_styles_and_strengths,
+        communication_patterns: enrichedData.communication_patterns,
+        values_and_motivators: enrichedData.values_and_motivators,
+        current_state: enrichedData.current_state,
+        // Record how much data the profile rests on (messages, period, workspaces, channels, model)
+        analysis_basis: updateBasis(previous.analysis_basis, sent, ai),
+        // Which prompt template version produced the profile (prompts/profile/<version>/)
+        ai_prompts: { ...employee.ai_prompts, [analyzer.prompt.id]: analyzer.prompt.version },
+        updatedAt: analyzedAt,
+        slack_synced_at: analyzedAt,
+    };
+}
+
+function applyProfileUpdate(employee, updates) {
+    LEGACY_FIELDS.forEach(field => delete employee[field]);
+    Object.assign(employee, updates);
+}
+
+function analysisConcurrency(env = process.env) {
+    return Math.max(1, Number(env.AI_CONCURRENCY) || DEFAULT_CONCURRENCY);
+}
+
+function threadFollowDays(env = process.env) {
+    return Number(env.SLACK_THREAD_FOLLOW_DAYS) || DEFAULT_THREAD_FOLLOW_DAYS;
+}
+
+/**
+ * Update each employee's profile with AI analysis of their messages.
+ * Up to AI_CONCURRENCY employees are analyzed at a time, and each finished profile is written to the checkpoint right away.
+ * Employees who opted out (ai_consent) are skipped, and secondary-workspace messages are left out for primary-only consent
+ * (as is a stored profile that may include them: the profile is rebuilt instead).
+ * Message texts are redacted per employee (privacy.redact), and what is sent is recorded in the audit log without the text.
+ * @param {object[]} employees every employee (for redacting other people's names)
+ * @param {Object<string, object[]>} messagesByWorkspace normalized messages per workspace
+ * @param {string} mode 'sync' or 'archive' (recorded in the audit log)
+ * @param {object} checkpoint the current run's checkpoint (sync-checkpoint.js)
+ * @param {object} [retry] readRetryMessages(): employees in retry.since are analyzed with the archived messages since then
+ * @returns {Promise<{ updatedCount: number, failed: string[] }>} failed lists the IDs of employees whose analysis failed
+ */
+async function analyzeEmployees(employees, targetEmployees, messagesByWorkspace, mode, checkpoint, retry = null) {
+    const privacy = privacyOptions();
     let updatedCount = 0;
+    const failed = [];
+
+    const concurrency = analysisConcurrency();
+    if (concurrency > 1 && targetEmployees.length > 1) {
+        console.log(`Analyzing up to ${concurrency} employees at a time.`);
+    }
 
-    for (const employee of targetEmployees) {
+    await runPool(targetEmployees, concurrency, async (employee) => {
         const ids = [employee.slack_id, employee.slack_id_2].filter(Boolean);
+        const consent = consentOf(employee, privacy);
+        if (consent === 'none') {
+            console.log(`Skipping ${employee.name}: not consented to AI analysis (ai_consent: ${employee.ai_consent || 'unset'}).`);
+            return;
+        }
         console.log(`Analyzing messages for ${employee.name} (IDs: ${ids.join(', ')})...`);
 
-        // Filter messages by this user from both workspaces
-        const primaryMessages = allMessages
-            .filter(m => m.user === employee.slack_id && m.text);
-        const secondaryMessages = allMessages2
-            .filter(m => employee.slack_id_2 && m.user === employee.slack_id_2 && m.text);
-        const combinedMessages = [...primaryMessages, ...secondaryMessages];
+        const retrySince = retry?.since[employee.id];
+        const source = retrySince ? messagesSince(retry.messagesByWorkspace, retrySince) : messagesByWorkspace;
+        const { messages: combinedMessages, redactions } = messagesFor(employee, employees, source, consent, privacy);
 
-        const userMessages = combinedMessages
-            .map(m => `[${new Date(m.ts * 1000).toISOString()}] ${m.text}`)
-            .join('\n');
+        const userMessages = combinedMessages.map(formatMessage).join('\n');
 
         const msgCount = combinedMessages.length;
 
         if (!userMessages || userMessages.length < 100) {
             console.log(`  Skipping: Not enough message data for ${employee.name} (${msgCount} messages).`);
-            continue;
+            return;
         }
 
-        console.log(`  Processing ${msgCount} messages for AI analysis...`);
+        console.log(`  Processing ${msgCount} messages for ${employee.name}...`);
+        if (Object.keys(redactions).length > 0) {
+            console.log(`  Redacted for ${employee.name}: ${Object.entries(redactions).map(([kind, count]) => `${kind} ${count}`).join(', ')}`);
+        }
 
-        // Build existing profile context for integration
-        const existingProfile = employee.overall_summary ? {
+        // Build existing profile context for integration. A primary-only employee's profile that may rest on
+        // secondary-workspace messages is not sent back; the profile is rebuilt from the messages they consented to.
+        const rebuild = !canShareProfile(employee, consent);
+        if (rebuild) {
+            console.log(`  Not sending the stored profile of ${employee.name}: it may include secondary-workspace messages (ai_consent: primary-only). Rebuilding it without the stored profile.`);
+        }
+        const existingProfile = employee.overall_summary && !rebuild ? {
             overall_summary: employee.overall_summary,
             personality_traits: employee.personality_traits,
             work_styles_and_strengths: employee.work_styles_and_strengths,
@@ -127,361 +464,300 @@ async function main() {
         } : null;
 
         // AI Enrichment with Advanced Profile Structure
-        const enrichedData = await analyzeSlackActivityAdvanced(employee.name, userMessages, existingProfile);
+        const enrichedData = await analyzer.analyze(employee.name, combinedMessages, existingProfile);
+        const sent = describeSent(combinedMessages);
+        appendAudit({
+            employee_id: employee.id,
+            mode,
+            consent,
+            ...sent,
+            redactions,
+            provider: ai.provider,
+            prompt: analyzer.prompt.ref,
+            existing_profile: Boolean(existingProfile),
+            status: enrichedData && !enrichedData.ai_error ? 'ok' : 'failed',
+        });
 
         if (enrichedData && !enrichedData.ai_error) {
-            // Remove legacy fields as requested by user
-            const legacyFields = [
-                'self_intro', 'skills', 'interests', 'goal',
-                'personality', 'job_guess', 'like_tech', 'smart_goal',
-                'profile_v2' // Remove the nested one
-            ];
-            legacyFields.forEach(field => delete employee[field]);
-
-            // Map new structure directly to employee object based on the guide
-            employee.last_updated = new Date().toISOString();
-            employee.overall_summary = enrichedData.overall_summary;
-            employee.personality_traits = enrichedData.personality_traits;
-            employee.work_styles_and_strengths = enrichedData.work_styles_and_strengths;
-            employee.communication_patterns = enrichedData.communication_patterns;
-            employee.values_and_motivators = enrichedData.values_and_motivators;
-            employee.current_state = enrichedData.current_state;
-
-            employee.updatedAt = employee.last_updated;
-            employee.slack_synced_at = employee.last_updated;
+            const updates = buildProfileUpdate(employee, enrichedData, sent, { rebuild });
+            applyProfileUpdate(employee, updates);
+            markDone(checkpoint, employee.id, updates);
             updatedCount++;
             console.log(`  Success: Updated professional profile for ${employee.name}.`);
+        } else {
+            failed.push(employee.id);
         }
-    }
-
-    if (updatedCount > 0) {
-        fs.writeFileSync(DATA_FILE, JSON.stringify(employees, null, 2));
-        console.log(`Saved ${updatedCount} profiles to ${DATA_FILE}.`);
-
-        // Regenerate TEAM.md with the new data format
-        generateTeamDoc(employees);
-    } else {
-        console.log('No updates performed.');
-    }
+    });
+    return { updatedCount, failed };
 }
 
-async function fetchSlackMessages(channelId, isFullSync, token = SLACK_TOKEN) {
-    const messages = [];
-    let hasMore = true;
-    let cursor = undefined;
-
-    // Safety limit: if full sync, allow more pages, otherwise just 1-2 pages
-    const MAX_PAGES = isFullSync ? 50 : 3;
-    let page = 0;
-
-    // For full sync, we go back much further or indefinite execution (be careful of limits)
-    // If not full sync, default to 7 days
-    const oldest = isFullSync ? 0 : (Date.now() / 1000 - 14 * 24 * 60 * 60).toFixed(0); // Increased to 14 days for better context
-
-    while (hasMore && page < MAX_PAGES) {
-        const baseUrl = `https://slack.com/api/conversations.history?channel=${channelId}&limit=200${cursor ? `&cursor=${cursor}` : ''}${oldest ? `&oldest=${oldest}` : ''}`;
-
-        const response = await fetch(baseUrl, {
-            headers: {
-                'Authorization': `Bearer ${token}`,
-                'Content-Type': 'application/json'
-            }
-        });
-
-        const data = await response.json();
-        if (!data.ok) {
-            console.error(`Slack API Error (Page ${page}): ${data.error}`);
-            break;
-        }
-
-        const msgs = data.messages || [];
-        messages.push(...msgs);
-
-        if (data.response_metadata && data.response_metadata.next_cursor) {
-            cursor = data.response_metadata.next_cursor;
-            page++;
-        } else {
-            hasMore = false;
+/**
+ * Fetch Slack messages and update each employee's profile with AI analysis.
+ * Only messages newer than the saved per-channel cursor are fetched (data/slack-sync-state.json).
+ * Fetched messages are kept in the local archive (data/archive/), so fromArchive can re-run the analysis without calling Slack.
+ * @param {boolean} [options.full] Sync the whole history, ignoring the saved cursors
+ * @param {string} [options.channel] Only sync this channel (e.g. to backfill it)
+ * @param {string} [options.since] Fetch from this date instead of the saved cursor (YYYY-MM-DD)
+ * @param {boolean} [options.fromArchive] Analyze the archived messages instead of fetching; the cursors are not touched
+ * @param {string} [options.employee] Only analyze this employee (name or ID, fromArchive only)
+ * @param {boolean} [options.resume] Continue an interrupted run with the same options: employees in its checkpoint are not analyzed again
+ * @param {object} [options.scope] fromArchive only: analyze just the messages of one import
+ *   ({ workspace, channels, from, to }, with from/to as inclusive ts; used by sync import --analyze)
+ */
+async function run({ full = false, channel, since, fromArchive = false, employee, resume = false, scope = null } = {}) {
+    if (fromArchive && full) {
+        throw new UsageError('--full cannot be combined with --from-archive (the archive is always read in full unless --since is given)');
+    }
+    if (employee && !fromArchive) {
+        throw new UsageError('--employee requires --from-archive (a partial sync would skip the other employees\' new messages)');
+    }
+    if (!fromArchive && (!SLACK_TOKEN || (CHANNEL_IDS.length === 0 && !discoveryConfig('primary')))) {
+        throw new Error('Missing required environment variables: SLACK_BOT_TOKEN, SLACK_CHANNEL_ID (or enable slack.discovery in the config file)');
+    }
+    if (!ai.isConfigured()) {
+        throw new Error(`AI provider ${ai.provider} is not configured (see AI_PROVIDER / GEMINI_API_KEY / GCP_PROJECT_ID)`);
+    }
+    const sinceTs = since ? dateToTs(since, 'since') : null;
+    const startedAt = new Date();
+
+    // A checkpoint can only be resumed by a run with the same options
+    const runOptions = { mode: fromArchive ? 'archive' : 'sync', full, channel: channel || null, since: since || null, employee: employee || null, ...(scope && { scope }) };
+    const previousCheckpoint = loadCheckpoint();
+    if (resume) {
+        if (!previousCheckpoint) throw new UsageError(`No interrupted run to resume (${CHECKPOINT_FILE} not found)`);
+        if (!isSameRun(previousCheckpoint, runOptions)) {
+            throw new UsageError(`The checkpoint is from a run with different options (${JSON.stringify(previousCheckpoint.run)}); resume it with the same options`);
         }
+    } else if (previousCheckpoint) {
+        console.log(`Discarding the checkpoint of an unfinished run started at ${previousCheckpoint.started_at} (${Object.keys(previousCheckpoint.done).length} employee(s) done). Use --resume to continue it instead.`);
+    }
 
-        // Rate limit protection
-        await new Promise(r => setTimeout(r, 1200));
+    if (!fs.existsSync(DATA_FILE)) {
+        throw new Error(`Data file not found: ${DATA_FILE}`);
     }
 
-    // Now fetch threads
-    // To avoid hitting API limits too hard, we recursively fetch threads but with concurrency limits
-    // For 'full' mode this could be heavy.
+    const employees = loadEmployees();
+    let targetEmployees = employees.filter(e => e.isActive !== false && (e.slack_id || e.slack_id_2));
+    if (employee) {
+        const target = /^emp-/.test(employee) ? findEmployee(employees, { id: employee }) : findEmployee(employees, { name: employee });
+        if (!target) throw new UsageError(`Employee not found: ${employee}`);
+        targetEmployees = targetEmployees.filter(e => e === target);
+    }
 
-    // Flatten messages to get only those with threads
-    const threadParents = messages.filter(m => m.thread_ts && m.reply_count > 0);
-    console.log(`    Found ${threadParents.length} threads in fetched messages.`);
+    if (targetEmployees.length === 0) {
+        console.log('No active employees with Slack ID found.');
+        return;
+    }
 
-    const allMessages = [...messages];
+    // Backup existing data
+    fs.copyFileSync(DATA_FILE, BACKUP_FILE);
+    console.log(`Backed up data to ${BACKUP_FILE}`);
 
-    // Batch thread fetching
-    const CHUNK_SIZE = 5;
-    for (let i = 0; i < threadParents.length; i += CHUNK_SIZE) {
-        const chunk = threadParents.slice(i, i + CHUNK_SIZE);
-        await Promise.all(chunk.map(async (parent) => {
-            const replies = await fetchThreadReplies(channelId, parent.thread_ts, token);
-            // replies[0] is usually the parent message itself
-            allMessages.push(...replies.slice(1));
-        }));
-        // Small delay between chunks
-        await new Promise(r => setTimeout(r, 1000));
+    console.log(`Starting sync... ${fromArchive ? 'From Archive' : `Full Mode: ${full}`}${channel ? `, Channel: ${channel}` : ''}${since ? `, Since: ${since}` : ''}${employee ? `, Employee: ${employee}` : ''}${scope ? `, Imported: ${scope.channels.join(', ')} (${tsToDate(scope.from)} - ${tsToDate(scope.to)})` : ''}`);
+    console.log(`AI: ${ai.describe()}`);
+    // A full sync fetches everything again, so it also rebuilds a lost archive.
+    // Otherwise the run goes on but fails, because the loss is not visible once new messages are archived.
+    if (!full && checkArchive(loadSyncState(), { channel }).length > 0) process.exitCode = 1;
+
+    // A resumed run fetches up to where the interrupted run stopped: messages posted since then are left to the next sync,
+    // so the employees replayed from the checkpoint do not miss them once the cursor moves past them
+    const until = resume ? previousCheckpoint.until : (startedAt.getTime() / 1000).toFixed(6);
+    if (resume && !fromArchive) {
+        console.log(until
+            ? `Fetching messages up to ${tsToDate(until)}, where the interrupted run stopped.`
+            : 'The checkpoint does not record where the interrupted run stopped; fetching up to now.');
+    }
+    const fetched = fromArchive ? null : await fetchAll(employees, { channel, full, since: sinceTs, until });
+    const rawMessages = fromArchive ? readAll({ channel, since: sinceTs, scope }) : fetched.messages;
+
+    const normalized = normalizeAll(rawMessages, employees);
+    console.log(`Total messages for analysis: ${Object.values(normalized).reduce((sum, messages) => sum + messages.length, 0)}`);
+
+    // Employees whose analysis failed in an earlier sync are analyzed again from where that run started
+    const retry = fromArchive ? null : readRetryMessages(fetched.state, targetEmployees, employees);
+
+    // Profiles finished before the interruption are taken from the checkpoint instead of being analyzed again
+    const checkpoint = resume ? previousCheckpoint : createCheckpoint(runOptions, { at: startedAt.toISOString(), until: fromArchive ? null : until });
+    const resumed = [];
+    if (resume) {
+        targetEmployees = targetEmployees.filter(e => {
+            const done = checkpoint.done[e.id];
+            if (!done) return true;
+            applyProfileUpdate(e, done.updates);
+            resumed.push(e.id);
+            return false;
+        });
+        console.log(`Resuming the run started at ${checkpoint.started_at}: ${resumed.length} employee(s) already analyzed, ${targetEmployees.length} left.`);
     }
 
-    return allMessages;
-}
-
-async function fetchThreadReplies(channelId, threadTs, token = SLACK_TOKEN) {
-    let allReplies = [];
-    let hasMore = true;
-    let cursor = undefined;
-    let page = 0;
+    const analysis = await analyzeEmployees(employees, targetEmployees, normalized, fromArchive ? 'archive' : 'sync', checkpoint, retry);
+    const updatedCount = analysis.updatedCount + resumed.length;
+    const failed = new Set(analysis.failed);
 
-    while (hasMore && page < 10) { // Limit thread pagination depth
-        const url = `https://slack.com/api/conversations.replies?channel=${channelId}&ts=${threadTs}&limit=200${cursor ? `&cursor=${cursor}` : ''}`;
-        try {
-            const response = await fetch(url, {
-                headers: { 'Authorization': `Bearer ${token}` }
-            });
-            const data = await response.json();
-            if (!data.ok) break;
-
-            allReplies.push(...(data.messages || []));
-
-            if (data.response_metadata && data.response_metadata.next_cursor) {
-                cursor = data.response_metadata.next_cursor;
-                page++;
-            } else {
-                hasMore = false;
-            }
-        } catch (e) {
-            console.error(`Thread fetch error: ${e.message}`);
-            break;
+    if (updatedCount > 0) {
+        const result = saveEmployees(employees, { source: { type: 'slack-sync', full, ...(fromArchive && { archive: true }), ...(resume && { resumed: true }) } });
+        console.log(`Saved ${updatedCount - result.quarantined.length} profiles to ${DATA_FILE}.`);
+        if (result.quarantined.length > 0) {
+            console.error(`${result.quarantined.length} profile(s) were rejected by schema validation and kept at their previous version.`);
+            result.quarantined.forEach(q => failed.add(q.id));
+            process.exitCode = 1;
         }
-    }
-    return allReplies;
-}
 
-async function analyzeSlackActivityAdvanced(name, messages, existingProfile = null) {
-    let url = "";
-    if (ENDPOINT_ID) {
-        url = `https://${LOCATION}-aiplatform.googleapis.com/v1beta1/projects/${PROJECT_ID}/locations/${LOCATION}/endpoints/${ENDPOINT_ID}:streamGenerateContent?key=${API_KEY}`;
+        // Regenerate TEAM.md / TEAM_en.md with the new data format
+        writeTeamDocs(loadEmployees());
     } else {
-        url = `https://${LOCATION}-aiplatform.googleapis.com/v1/projects/${PROJECT_ID}/locations/${LOCATION}/publishers/google/models/gemini-1.5-pro-002:streamGenerateContent?key=${API_KEY}`;
+        console.log('No updates performed.');
     }
 
-    // Build existing profile context section
-    let existingProfileSection = '';
-    if (existingProfile) {
-        existingProfileSection = `
-    ## 参考：既存の分析結果
-    以下はこの社員の過去の分析結果です。今回の発言ログは全ワークスペースのデータではなく、一部のワークスペースのみの可能性があります。
-    既存の分析結果の洞察を尊重しつつ、新しい発言ログの内容と統合して総合的なプロファイルを更新してください。
-    既存の分析と新しいデータで矛盾がある場合は、新しいデータを優先しつつ、既存の洞察も考慮してバランスの取れた分析を行ってください。
-    """
-    ${JSON.stringify(existingProfile, null, 2).substring(0, 10000)}
-    """
-`;
+    if (fromArchive) {
+        // Failed employees are not in the checkpoint, so --resume retries only them
+        if (failed.size > 0) {
+            console.error(`Keeping ${CHECKPOINT_FILE}: run again with the same options and --resume to retry only the employees that failed.`);
+            console.error(`${failed.size} profile(s) could not be updated.`);
+            process.exitCode = 1;
+        } else {
+            clearCheckpoint();
+        }
+        return;
     }
 
-    // Advanced Profiling Prompt based on User Guide
-    const prompt = `
-    あなたは組織心理学者兼ベテラン人事分析官です。
-    提供されたSlackの発言ログ（タイムスタンプ付き）を徹底的に分析し、対象社員の「人物プロファイル」を作成してください。
-    ${existingProfileSection}
-    ## 分析対象
-    名前: ${name}
-    ログ:
-    """
-    ${messages.substring(0, 50000)} 
-    """
-    (※ログが非常に長い場合は最新または重要度の高いものを優先して分析してください)
-
-    ## 出力フォーマット (JSON)
-    以下のJSON構造に厳密に従って出力してください。Markdownブロック(\`\`\`json)は不要です。
-
-    {
-      "overall_summary": "人物像の総合サマリー（100文字程度）",
-      "personality_traits": {
-        "summary": "性格傾向の要約",
-        "openness": { "score": 1-10, "evidence": "根拠となる発言や行動" },
-        "conscientiousness": { "score": 1-10, "evidence": "..." },
-        "extraversion": { "score": 1-10, "evidence": "..." },
-        "agreeableness": { "score": 1-10, "evidence": "..." },
-        "neuroticism": { "score": 1-10, "evidence": "..." }
-      },
-      "work_styles_and_strengths": {
-        "summary": "仕事の進め方や強みの要約",
-        "problem_solving_style": "問題解決時のアプローチ",
-        "dominant_strengths": ["強み1", "強み2", "強み3"],
-        "evidence_episodes": ["エピソード1", "エピソード2"]
-      },
-      "communication_patterns": {
-        "summary": "コミュニケーション傾向の要約",
-        "communication_style": "発言の特徴（論理的、感情的、簡潔など）"
-      },
-      "values_and_motivators": {
-         "summary": "価値観とモチベーションの源泉の要約",
-         "core_values": ["大切にしている価値観1", "価値観2"],
-         "motivation_triggers": ["やる気が出るきっかけ1", "きっかけ2"],
-         "evidence_episodes": ["エピソード1", "エピソード2"]
-      },
-      "current_state": {
-        "summary": "現在の全体的な状況要約",
-        "sentiment_level": "positive" | "neutral" | "negative",
-        "workload_status": "直近の会話から推測される業務負荷",
-        "recent_topics_of_interest": ["最近関心のあるトピック1", "トピック2"]
-      }
+    const { results: channelResults, state } = fetched;
+    if (!reportCompleteness(channelResults)) {
+        console.error('Some channels were not read completely. Their cursors are kept so the next run fetches them again.');
+        process.exitCode = 1;
     }
-    
-    注意:
-    - 配列やオブジェクトの構造を崩さないこと。
-    - "current_state"以外は、一時的な感情ではなく、長期的な特性を分析すること。
-    - "current_state"は直近（ログの後半）の日付の発言を重視すること。
-    - **【重要】根拠(evidence)やエピソード(evidence_episodes)には、[2025-11-13...]のようなタイムスタンプや、<@U...>のようなユーザーIDを直接含めないでください。発言内容のエッセンスのみを自然な文章で記述してください。**
-    `;
 
-    try {
-        const response = await fetch(url, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                contents: [{ role: 'user', parts: [{ text: prompt }] }],
-                generation_config: {
-                    response_mime_type: "application/json"
-                }
-            })
+    // The cursors of completely read channels move forward even when some profiles failed, so one failing
+    // employee does not hold back the whole team. Failed employees are recorded in the sync state instead,
+    // and the next sync analyzes them with the archived messages from where this run started.
+    const windowStart = channelResults
+        .map(r => r.oldest)
+        .filter(Boolean)
+        .reduce((a, b) => (a === null || compareTs(b, a) < 0 ? b : a), null);
+    failed.forEach(id => markForRetry(state, id, windowStart));
+    [...resumed, ...targetEmployees.map(e => e.id)]
+        .filter(id => !failed.has(id) && retry?.since[id])
+        .forEach(id => clearRetry(state, id));
+    const followCutoff = (Date.now() / 1000 - threadFollowDays() * 24 * 60 * 60).toFixed(6);
+    channelResults
+        .filter(r => r.status === 'complete')
+        .forEach(({ workspace, channel: channelId, latestTs, threadActivity }) => {
+            advanceCursor(state, workspace, channelId, latestTs);
+            followThreads(state, workspace, channelId, threadActivity, followCutoff);
         });
-
-        if (!response.ok) throw new Error(`AI API Error: ${response.status}`);
-
-        const resDataArr = await response.json();
-        let text = "";
-        if (Array.isArray(resDataArr)) {
-            text = resDataArr.map(chunk => chunk?.candidates?.[0]?.content?.parts?.[0]?.text || "").join('');
-        } else {
-            text = resDataArr?.candidates?.[0]?.content?.parts?.[0]?.text || "";
-        }
-
-        return JSON.parse(text);
-    } catch (error) {
-        console.error(`AI analysis failed for ${name}:`, error.message);
-        return { ai_error: true };
+    saveSyncState(state);
+    console.log(`Updated sync cursors in ${STATE_FILE}.`);
+    if (failed.size > 0) {
+        console.error(`${failed.size} profile(s) could not be updated. The next sync analyzes them again with the archived messages (${STATE_FILE}).`);
+        process.exitCode = 1;
     }
+    // Failures are retried through the sync state, so the checkpoint is only needed while the run is unfinished
+    clearCheckpoint();
 }
 
-const TEAM_DOC_FILE = path.join(__dirname, '../docs/TEAM.md');
-
-function generateTeamDoc(employees) {
-    const activeEmployees = employees.filter(e => e.isActive !== false);
-    const archivedEmployees = employees.filter(e => e.isActive === false);
-    const jobs = [...new Set(activeEmployees.map(e => e.job))];
-
-    let md = '# チーム構成図\n\n自動生成された組織図です。IssueおよびSlack連携による高度なAI分析結果が反映されます。\n\n';
-    md += '### 📊 関連リソース\n';
-    md += '- [🌐 インタラクティブ・ナレッジグラフ (Web版)](https://saitekiinc-com.github.io/saiteki-employee-management/)\n';
-    md += '- [📝 ナレッジグラフ分析レポート (Markdown)](./KNOWLEDGE_GRAPH.md)\n\n';
-
-    // 1. Mermaid Map
-    md += '### 組織マップ\n';
-    md += '```mermaid\n%%{init: {\'theme\': \'base\', \'themeVariables\': {\'primaryColor\': \'#F2EBE3\', \'primaryTextColor\': \'#5D574F\', \'primaryBorderColor\': \'#D9CFC1\', \'lineColor\': \'#BEB3A5\', \'secondaryColor\': \'#FAF9F6\', \'tertiaryColor\': \'#FDFCFB\', \'nodeBorder\': \'1px\'}}}%%\nmindmap\n  root((株式会社Saiteki))\n';
-    const jobMap = { 'Engineer': 'Engineer', 'Designer': 'Designer', 'Sales': 'Sales', 'PM': 'PM', 'Corporate': 'Corporate', 'EM': 'Engineer', 'QA': 'QA', 'HR': 'HR', '経営': '経営', 'Executive': '経営', 'Other': 'Other' };
-    jobs.forEach(job => {
-        md += `    ${jobMap[job] || job || 'Other'}\n`;
-        activeEmployees.filter(e => e.job === job).forEach(m => {
-            md += `      ${m.name.replace(/[()"']/g, '')}\n`;
-        });
+/**
+ * Print the saved cursor of every channel, and what the local message archive holds.
+ */
+function status() {
+    const state = loadSyncState();
+    const entries = Object.values(state.channels);
+    if (entries.length === 0) {
+        console.log(`No channels have been synced yet (${STATE_FILE}).`);
+    }
+    entries.forEach(entry => {
+        console.log(`${entry.workspace}\t${entry.channel}\t${tsToDate(entry.last_ts)}\t(last_ts ${entry.last_ts}, synced ${entry.synced_at})`);
     });
-    md += '```\n\n';
-
-    // 2. Summary Table
-    md += '## 社員一覧サマリー\n\n| 名前 | 職種 | 性格傾向 (概略) | 現在の状態 |\n| --- | --- | --- | --- |\n';
-    activeEmployees.forEach(e => {
-        const personality = e.personality_traits?.summary || '-';
-        const current = e.current_state?.summary || '-';
-        md += `| [${e.name}](#${encodeURIComponent(e.name)}) | ${e.job} | ${personality} | ${current} |\n`;
+
+    checkArchive(state);
+    const archived = listArchive();
+    if (archived.length === 0) return;
+    console.log(`Message archive (${ARCHIVE_DIR}):`);
+    archived.forEach(({ workspace, channel, months, messages }) => {
+        console.log(`${workspace}\t${channel}\t${months[0]} - ${months[months.length - 1]}\t${messages} messages`);
     });
-    md += '\n---\n\n## 詳細プロフィール\n\n各社員の詳細な分析結果です。クリックして展開できます。\n\n';
-
-    // 3. Detailed Profiles
-    activeEmployees.forEach(e => {
-        md += `<div id="${e.name}"></div>\n\n`;
-        md += `### ${e.name} (${e.job})\n\n`;
-        md += `> **総合サマリー**: ${e.overall_summary || '-'}\n\n`;
-
-        md += '<details>\n<summary><b>🛠 性格傾向</b></summary>\n\n';
-        if (e.personality_traits) {
-            md += `**要約**: ${e.personality_traits.summary}\n\n`;
-            md += '| 項目 | スコア | 根拠・エピソード |\n| --- | --- | --- |\n';
-            const traits = {
-                openness: '開放性',
-                conscientiousness: '誠実性',
-                extraversion: '外向性',
-                agreeableness: '協調性',
-                neuroticism: '神経症的傾向'
-            };
-            Object.keys(traits).forEach(t => {
-                const data = e.personality_traits[t];
-                if (data) {
-                    const safeEvidence = (data.evidence || '').replace(/\n/g, '<br>');
-                    md += `| ${traits[t]} | ${data.score}/10 | ${safeEvidence} |\n`;
-                }
-            });
-        } else {
-            md += 'データなし\n';
-        }
-        md += '\n</details>\n\n';
-
-        md += '<details>\n<summary><b>💪 仕事スタイルと強み</b></summary>\n\n';
-        if (e.work_styles_and_strengths) {
-            md += `**要約**: ${e.work_styles_and_strengths.summary}\n\n`;
-            md += `**問題解決スタイル**: ${e.work_styles_and_strengths.problem_solving_style || '-'}\n\n`;
-            md += `**主要な強み**: ${e.work_styles_and_strengths.dominant_strengths?.join(', ') || '-'}\n\n`;
-            md += '**証拠エピソード**:\n';
-            e.work_styles_and_strengths.evidence_episodes?.forEach(ep => md += `- ${ep}\n`);
-        } else {
-            md += 'データなし\n';
-        }
-        md += '\n</details>\n\n';
-
-        md += '<details>\n<summary><b>💎 価値観とモチベーター</b></summary>\n\n';
-        if (e.values_and_motivators) {
-            md += `**要約**: ${e.values_and_motivators.summary}\n\n`;
-            md += `**コアバリュー**: ${e.values_and_motivators.core_values?.join(', ') || '-'}\n\n`;
-            md += `**モチベーショントリガー**: ${e.values_and_motivators.motivation_triggers?.join(', ') || '-'}\n\n`;
-            md += '**証拠エピソード**:\n';
-            e.values_and_motivators.evidence_episodes?.forEach(ep => md += `- ${ep}\n`);
-        } else {
-            md += 'データなし\n';
-        }
-        md += '\n</details>\n\n';
-
-        md += '<details>\n<summary><b>📈 現在の状態</b></summary>\n\n';
-        if (e.current_state) {
-            md += `**要約**: ${e.current_state.summary}\n\n`;
-            md += `- **感情レベル**: ${e.current_state.sentiment_level || '-'}\n`;
-            md += `- **業務負荷状況**: ${e.current_state.workload_status || '-'}\n`;
-            md += `- **最近の関心トピック**: ${e.current_state.recent_topics_of_interest?.join(', ') || '-'}\n`;
-        } else {
-            md += 'データなし\n';
-        }
-        md += '\n</details>\n\n';
+}
 
-        md += '---\n\n';
+/**
+ * Rewind one channel's cursor so the next sync fetches from an earlier point.
+ * Without `to`, the cursor is removed and the next sync starts INITIAL_LOOKBACK_DAYS back.
+ */
+function reset({ channel, to } = {}) {
+    const toTs = to ? dateToTs(to, 'to') : null;
+    const state = loadSyncState();
+    const changed = resetCursor(state, channel, toTs);
+    if (changed.length === 0) {
+        console.log(`No saved cursor for channel ${channel}. Nothing to reset.`);
+        return;
+    }
+    saveSyncState(state);
+    changed.forEach(({ workspace, before, after }) => {
+        console.log(`Reset ${workspace}:${channel}: ${tsToDate(before)} -> ${after ? tsToDate(after) : `(none, next sync reads the last ${INITIAL_LOOKBACK_DAYS} days)`}`);
     });
+}
 
-    if (archivedEmployees.length > 0) {
-        md += '## Alumni (OB/OG)\n\n| 名前 | 在籍時の職種 | 理由 |\n| --- | --- | --- |\n';
-        archivedEmployees.forEach(e => md += `| ${e.name} | ${e.job} | ${e.archivedReason || '-'} |\n`);
+/**
+ * Fetch every message newer than `oldest` (exclusive) plus their thread replies.
+ * Replies posted after `oldest` to threads whose parent is older than `oldest` do not show up in the history,
+ * so the threads in `followed` (recently active threads from the sync state) are fetched again for them.
+ * There is no page limit. History errors throw (after the client's retries), so the caller never
+ * advances its cursor past messages it did not see. Thread errors are collected in failedThreads,
+ * except workspace-level ones (e.g. invalid_auth), which also throw.
+ * @param {Object<string, string>} [followed] thread ts -> latest reply ts of threads to check for new replies
+ * @param {string} [latest] only read messages older than this ts (the end of a resumed run's range)
+ * @returns {Promise<{ messages: object[], latestTs: string|null, threads: number, threadActivity: Object<string, string>, failedThreads: { ts: string, error: string }[] }>}
+ *   latestTs is the newest top-level message; threadActivity maps every thread read to its latest reply
+ */
+async function fetchSlackMessages(slack, channelId, oldest, followed = {}, latest = null) {
+    const messages = await slack.paginate('conversations.history', {
+        channel: channelId,
+        limit: 200,
+        oldest: Number(oldest) > 0 ? oldest : undefined,
+        latest: latest || undefined,
+    }, 'messages');
+    const inRange = (m) => !latest || compareTs(m.ts, latest) < 0;
+
+    const threadParents = messages.filter(m => m.thread_ts && m.reply_count > 0);
+    console.log(`    Found ${threadParents.length} threads in fetched messages.`);
+    const parentTs = new Set(threadParents.map(m => m.thread_ts));
+    const earlierThreads = Object.keys(followed).filter(ts => !parentTs.has(ts) && compareTs(ts, oldest) <= 0);
+    if (earlierThreads.length > 0) {
+        console.log(`    Checking ${earlierThreads.length} earlier thread(s) for new replies.`);
     }
 
-    const docDir = path.dirname(TEAM_DOC_FILE);
-    if (!fs.existsSync(docDir)) fs.mkdirSync(docDir, { recursive: true });
-    fs.writeFileSync(TEAM_DOC_FILE, md);
-    console.log(`Regenerated ${TEAM_DOC_FILE} with detailed profiles.`);
+    // Threads are fetched one at a time; the client spaces the calls to stay within the method's rate-limit tier
+    const allMessages = [...messages];
+    const threadActivity = {};
+    const failedThreads = [];
+    for (const threadTs of [...parentTs, ...earlierThreads]) {
+        try {
+            const replies = await slack.paginate('conversations.replies', { channel: channelId, ts: threadTs, limit: 200 }, 'messages');
+            // The parent message itself is returned too; replies to earlier threads are kept only when they are new
+            const threadReplies = replies.filter(m => m.ts !== threadTs && inRange(m));
+            allMessages.push(...threadReplies.filter(m => parentTs.has(threadTs) || compareTs(m.ts, oldest) > 0));
+            // A thread without replies in range is still followed from its parent, so replies after `latest` are read later
+            threadActivity[threadTs] = threadReplies.reduce((newest, m) => (compareTs(m.ts, newest) > 0 ? m.ts : newest), followed[threadTs] || threadTs);
+        } catch (e) {
+            if (e.scope === 'workspace') throw e;
+            console.error(`    Thread ${threadTs} fetch error: ${e.message}`);
+            failedThreads.push({ ts: threadTs, error: e.code || e.message });
+        }
+    }
+
+    const latestTs = messages.reduce((latest, m) => (!latest || compareTs(m.ts, latest) > 0 ? m.ts : latest), null);
+    return { messages: allMessages, latestTs, threads: threadParents.length + earlierThreads.length, threadActivity, failedThreads };
+}
+
+if (require.main === module) {
+    runMain(() => run({ full: process.argv.includes('--full') }));
 }
 
-main().catch(console.error);
+module.exports = {
+    run,
+    status,
+    reset,
+    recordInteractions,
+    dateToTs,
+    readAll,
+    normalizeAll,
+    messagesFor,
+};
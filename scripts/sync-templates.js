@@ -1,9 +1,13 @@
 const fs = require('fs');
 const path = require('path');
+const { DATA_FILE, loadEmployees } = require('./lib/employee-store');
+const { TEMPLATE_DIR } = require('./lib/paths');
+const { runMain } = require('./lib/cli');
 
-const DATA_FILE = path.join(__dirname, '../data/employees.json');
 const TEMPLATE_FILES = [
-    path.join(__dirname, '../.github/ISSUE_TEMPLATE/2_delete_employee.yml')
+    path.join(TEMPLATE_DIR, '2_delete_employee.yml'),
+    path.join(TEMPLATE_DIR, '3_career_profile.yml'),
+    path.join(TEMPLATE_DIR, '4_edit_employee.yml')
 ];
 
 function sync() {
@@ -14,11 +18,9 @@ function sync() {
 
     let employees;
     try {
-        employees = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+        employees = loadEmployees();
     } catch (e) {
-        console.error(`Error parsing ${DATA_FILE}:`, e.message);
-        console.error('The JSON file might be corrupted (e.g., trailing comma).');
-        return;
+        throw new Error(`Error parsing ${DATA_FILE}: ${e.message}\nThe JSON file might be corrupted (e.g., trailing comma).`);
     }
     const activeNames = employees
         .filter(e => e.isActive !== false)
@@ -77,4 +79,10 @@ function sync() {
     });
 }
 
-sync();
+if (require.main === module) {
+    runMain(sync);
+}
+
+module.exports = {
+    run: sync,
+};
@@ -0,0 +1,45 @@
+/**
+ * validate.js
+ *
+ * data/employees.json 全体をスキーマ検証する
+ * 不正なレコードがあればフィールド単位のエラーを表示して exit 1
+ *
+ * 実行: node scripts/saiteki.js validate [path/to/employees.json]
+ */
+
+const path = require('path');
+const { DATA_FILE, loadEmployees } = require('./lib/employee-store');
+const { validateEmployees, formatErrors } = require('./lib/employee-schema');
+const { runMain } = require('./lib/cli');
+
+function run({ file = DATA_FILE } = {}) {
+    file = path.resolve(file);
+
+    let employees;
+    try {
+        employees = loadEmployees(file);
+    } catch (e) {
+        throw new Error(`Error parsing ${file}: ${e.message}`);
+    }
+
+    const problems = validateEmployees(employees);
+    if (problems.length === 0) {
+        console.log(`OK: ${employees.length} records in ${path.relative(process.cwd(), file)} are valid.`);
+        return;
+    }
+
+    console.error(`${problems.length} invalid record(s) in ${path.relative(process.cwd(), file)}:`);
+    problems.forEach(p => {
+        console.error(`\n  [#${p.index}] ${p.name}`);
+        console.error(formatErrors(p.errors));
+    });
+    process.exitCode = 1;
+}
+
+if (require.main === module) {
+    runMain(() => run({ file: process.argv[2] }));
+}
+
+module.exports = {
+    run,
+};
@@ -0,0 +1,55 @@
+/**
+ * ai-client.test.js
+ *
+ * AIクライアント: 5xx のリトライ、応答の本文が途中で止まったときのタイムアウト
+ */
+
+const { test } = require('node:test');
+const assert = require('assert');
+const { createAIClient } = require('../scripts/lib/ai-client');
+const { startScriptedServer } = require('./helpers/stub-servers');
+
+const answer = text => ({ json: { choices: [{ message: { content: text } }] } });
+
+function client(server, overrides = {}) {
+    return createAIClient({ provider: 'openai-compatible', baseUrl: server.url, model: 'test-model', timeoutMs: 500, maxRetries: 2, ...overrides });
+}
+
+test('a 5xx response is retried and the next answer is returned', async () => {
+    const server = await startScriptedServer([{ status: 503, json: { error: 'unavailable' } }, answer('{"ok": true}')]);
+    try {
+        assert.deepStrictEqual(await client(server).generateJSON('prompt'), { ok: true });
+        assert.strictEqual(server.requests.length, 2);
+    } finally {
+        await server.close();
+    }
+});
+
+test('a 4xx response is not retried, and retries stop at maxRetries', async () => {
+    const badRequest = await startScriptedServer([{ status: 400, json: { error: 'bad request' } }]);
+    const down = await startScriptedServer([{ status: 500, json: { error: 'down' } }]);
+    try {
+        await assert.rejects(client(badRequest).generate('prompt'), { name: 'AIError', status: 400 });
+        assert.strictEqual(badRequest.requests.length, 1);
+
+        await assert.rejects(client(down, { maxRetries: 1 }).generate('prompt'), { name: 'AIError', status: 500 });
+        assert.strictEqual(down.requests.length, 2);
+    } finally {
+        await badRequest.close();
+        await down.close();
+    }
+});
+
+test('a response body that stalls times out and is retried', async () => {
+    const recovers = await startScriptedServer([{ stall: true }, answer('done')]);
+    const stalled = await startScriptedServer([{ stall: true }]);
+    try {
+        assert.strictEqual(await client(recovers, { timeoutMs: 200 }).generate('prompt'), 'done');
+        assert.strictEqual(recovers.requests.length, 2);
+
+        await assert.rejects(client(stalled, { timeoutMs: 200, maxRetries: 0 }).generate('prompt'), { name: 'AIError', message: /Request timed out after 200ms/ });
+    } finally {
+        await recovers.close();
+        await stalled.close();
+    }
+});
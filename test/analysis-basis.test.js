@@ -0,0 +1,77 @@
+/**
+ * analysis-basis.test.js
+ *
+ * 分析の根拠: 差分の同期での積み上げ、再分析での置き換え、古いプロフィールの表示
+ */
+
+const { test } = require('node:test');
+const assert = require('assert');
+const { updateBasis, isStale } = require('../scripts/lib/analysis-basis');
+const { renderTeamDoc } = require('../scripts/lib/team-doc');
+
+const ai = { provider: 'vertex-publisher', model: 'gemini-2.5-flash' };
+
+const sent = (from, to, messages, extra = {}) => ({
+    workspaces: ['primary'],
+    channels: ['primary:C0TESTGEN'],
+    from: `${from}T00:00:00.000Z`,
+    to: `${to}T00:00:00.000Z`,
+    messages,
+    characters: messages * 50,
+    ...extra,
+});
+
+test('incremental runs add up, and a run covering the whole period replaces the totals', () => {
+    const first = updateBasis(undefined, sent('2025-01-06', '2025-01-12', 40), ai);
+    assert.deepStrictEqual(first, {
+        messages: 40,
+        characters: 2000,
+        from: '2025-01-06T00:00:00.000Z',
+        to: '2025-01-12T00:00:00.000Z',
+        workspaces: ['primary'],
+        channels: ['primary:C0TESTGEN'],
+        runs: 1,
+        last_run: { messages: 40, characters: 2000, from: '2025-01-06T00:00:00.000Z', to: '2025-01-12T00:00:00.000Z' },
+        provider: 'vertex-publisher',
+        model: 'gemini-2.5-flash',
+    });
+
+    const second = updateBasis(first, sent('2025-01-13', '2025-01-19', 10, { workspaces: ['secondary'], channels: ['secondary:C0EXEC'] }), ai);
+    assert.strictEqual(second.messages, 50);
+    assert.strictEqual(second.runs, 2);
+    assert.strictEqual(second.from, '2025-01-06T00:00:00.000Z');
+    assert.strictEqual(second.to, '2025-01-19T00:00:00.000Z');
+    assert.deepStrictEqual(second.workspaces, ['primary', 'secondary'], 'the executive workspace shows up once used');
+    assert.strictEqual(second.last_run.messages, 10);
+
+    const full = updateBasis(second, sent('2024-12-01', '2025-01-19', 120), ai);
+    assert.strictEqual(full.messages, 120);
+    assert.strictEqual(full.runs, 1);
+    assert.deepStrictEqual(full.workspaces, ['primary']);
+});
+
+test('a profile is stale when its last message is older than the given weeks', () => {
+    const basis = { messages: 10, runs: 1, to: '2025-01-01T00:00:00.000Z' };
+    const now = Date.parse('2025-02-26T00:00:00.000Z');
+    assert.strictEqual(isStale(basis, { weeks: 8, now }), true);
+    assert.strictEqual(isStale(basis, { weeks: 9, now }), false);
+    assert.strictEqual(isStale(undefined, { weeks: 8, now }), false);
+});
+
+test('TEAM.md shows the basis badge and marks stale profiles', () => {
+    const employee = {
+        id: 'emp-0000a001',
+        name: '山田 太郎',
+        job: 'Engineer',
+        overall_summary: '堅実なエンジニア',
+        analysis_basis: updateBasis(undefined, sent('2025-01-06', '2025-01-12', 1234, { workspaces: ['primary', 'secondary'], channels: ['primary:C0TESTGEN', 'secondary:C0EXEC'] }), ai),
+    };
+    const fresh = renderTeamDoc([employee], 'ja', { urls: {}, weeks: 8, now: Date.parse('2025-02-01T00:00:00Z') });
+    assert.match(fresh, /> 📊 \*\*分析の根拠\*\*: 発言 1,234件・61,700文字（2025-01-06〜2025-01-12、メイン \+ 幹部用・2チャンネル、分析 1回）\/ vertex-publisher gemini-2.5-flash/);
+    assert.doesNotMatch(fresh, /⚠️/);
+
+    const stale = renderTeamDoc([employee], 'en', { urls: {}, weeks: 8, now: Date.parse('2025-06-01T00:00:00Z') });
+    assert.match(stale, /📊 \*\*Basis\*\*: 1,234 messages, 61,700 characters \(2025-01-06 – 2025-01-12, primary \+ executive, 2 channel\(s\), 1 run\(s\)\)/);
+    assert.match(stale, /> ⚠️ No new messages for 8\+ weeks \(last message: 2025-01-12\)/);
+    assert.match(stale, /\| \[山田 太郎\]\(#emp-0000a001\) ⚠️ stale \|/);
+});
@@ -0,0 +1,93 @@
+/**
+ * citations.test.js
+ *
+ * 根拠と元の発言の対応付け: プロンプトの参照ID、応答の refs から citations への置き換え、TEAM.md のパーマリンク
+ */
+
+const { test } = require('node:test');
+const assert = require('assert');
+const { assignRefs, resolveCitations, stripCitations, permalink } = require('../scripts/lib/citations');
+const { createProfileAnalyzer } = require('../scripts/lib/profile-analysis');
+const { renderTeamDoc } = require('../scripts/lib/team-doc');
+
+const quietLog = { log() {}, error() {} };
+
+const messages = [
+    { workspace: 'secondary', channel: 'C0EXEC', ts: '1680500000.000200', text: '採用計画を見直しましょう。' },
+    { workspace: 'primary', channel: 'C0TESTGEN', ts: '1680490000.000100', text: '監視の閾値を見直します。' },
+];
+
+test('messages get reference IDs in time order, and the prompt shows them', async () => {
+    const { messages: referenced, refs } = assignRefs(messages);
+    assert.deepStrictEqual(referenced.map(m => m.ref), ['m1', 'm2']);
+    assert.deepStrictEqual(refs.get('m2'), { workspace: 'secondary', channel: 'C0EXEC', ts: '1680500000.000200' });
+
+    const prompts = [];
+    const ai = { generateJSON: async (prompt) => (prompts.push(prompt), { overall_summary: 'ok' }) };
+    await createProfileAnalyzer(ai, { chunkTokens: 10000, windowDays: 7 }, quietLog).analyze('山田 太郎', messages, null);
+    assert.match(prompts[0], /\[m1\] \[2023-04-03T02:46:40.000Z\] 監視の閾値を見直します。/);
+    assert.match(prompts[0], /\[m2\] \[2023-04-03T05:33:20.000Z\] 採用計画/);
+});
+
+test('refs in the response become citations, and unknown refs are dropped', async () => {
+    const ai = {
+        generateJSON: async () => ({
+            personality_traits: {
+                summary: '計画的',
+                openness: { score: 6, evidence: '閾値の見直しを提案した。', refs: ['m1', 'm1', 'm9'] },
+                conscientiousness: { score: 8, evidence: '根拠なし', refs: ['m9'] },
+            },
+            work_styles_and_strengths: {
+                summary: '堅実',
+                evidence_episodes: [{ text: '採用計画を見直した。', refs: ['[m2]'] }, { text: '引用なし', refs: [] }, '文字列のまま'],
+            },
+        }),
+    };
+    const profile = await createProfileAnalyzer(ai, { chunkTokens: 10000, windowDays: 7 }, quietLog).analyze('山田 太郎', messages, null);
+
+    assert.deepStrictEqual(profile.personality_traits.openness, {
+        score: 6,
+        evidence: '閾値の見直しを提案した。',
+        citations: [{ workspace: 'primary', channel: 'C0TESTGEN', ts: '1680490000.000100' }],
+    });
+    assert.deepStrictEqual(profile.personality_traits.conscientiousness, { score: 8, evidence: '根拠なし' });
+    assert.deepStrictEqual(profile.work_styles_and_strengths.evidence_episodes, [
+        { text: '採用計画を見直した。', citations: [{ workspace: 'secondary', channel: 'C0EXEC', ts: '1680500000.000200' }] },
+        '引用なし',
+        '文字列のまま',
+    ]);
+    assert.deepStrictEqual(resolveCitations({ ai_error: true }, new Map()), { ai_error: true });
+});
+
+test('citations of the existing profile are left out of the prompt', () => {
+    const existing = {
+        personality_traits: { openness: { score: 6, evidence: '提案した。', citations: [{ workspace: 'primary', channel: 'C0TESTGEN', ts: '1.2' }] } },
+        values_and_motivators: { evidence_episodes: [{ text: '改善した。', citations: [] }, '文字列'] },
+    };
+    assert.deepStrictEqual(stripCitations(existing), {
+        personality_traits: { openness: { score: 6, evidence: '提案した。' } },
+        values_and_motivators: { evidence_episodes: ['改善した。', '文字列'] },
+    });
+});
+
+test('TEAM.md links citations to Slack, or names the channel and date without a workspace URL', () => {
+    const employee = {
+        id: 'emp-0000a001',
+        name: '山田 太郎',
+        job: 'Engineer',
+        personality_traits: {
+            summary: '計画的',
+            openness: { score: 6, evidence: '提案した。', citations: [{ workspace: 'primary', channel: 'C0TESTGEN', ts: '1680490000.000100' }] },
+        },
+        work_styles_and_strengths: {
+            summary: '堅実',
+            evidence_episodes: [{ text: '採用計画を見直した。', citations: [{ workspace: 'secondary', channel: 'C0EXEC', ts: '1680500000.000200' }] }],
+        },
+    };
+    const urls = { primary: 'https://saiteki.slack.com', secondary: null };
+    assert.strictEqual(permalink(employee.personality_traits.openness.citations[0], urls), 'https://saiteki.slack.com/archives/C0TESTGEN/p1680490000000100');
+
+    const md = renderTeamDoc([employee], 'ja', { urls });
+    assert.match(md, /\| 開放性 \| 6\/10 \| 提案した。 \[\[1\]\]\(https:\/\/saiteki.slack.com\/archives\/C0TESTGEN\/p1680490000000100\) \|/);
+    assert.match(md, /- 採用計画を見直した。 \[1: C0EXEC 2023-04-03\]/);
+});
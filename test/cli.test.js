@@ -0,0 +1,66 @@
+/**
+ * cli.test.js
+ *
+ * saiteki コマンドのヘルプ表示と終了コード
+ */
+
+const { test } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const CLI = path.join(__dirname, '../scripts/saiteki.js');
+
+function runCli(args, env = {}) {
+    return spawnSync(process.execPath, [CLI, ...args], {
+        cwd: os.tmpdir(),
+        env: { PATH: process.env.PATH, ...env },
+        encoding: 'utf8',
+        timeout: 30000,
+    });
+}
+
+test('help lists every command and exits 0', () => {
+    const result = runCli(['--help']);
+    assert.strictEqual(result.status, 0);
+    ['sync', 'graph build', 'docs', 'issue process', 'templates sync', 'validate', 'profile show'].forEach(name => {
+        assert.match(result.stdout, new RegExp(`^  ${name} `, 'm'));
+    });
+});
+
+test('command help shows its options', () => {
+    const result = runCli(['graph', 'build', '--help']);
+    assert.strictEqual(result.status, 0);
+    assert.match(result.stdout, /Usage: saiteki graph build \[--skip-ai\]/);
+});
+
+test('usage errors exit 2', () => {
+    assert.strictEqual(runCli(['nope']).status, 2);
+    assert.strictEqual(runCli(['validate', '--bogus']).status, 2);
+    assert.strictEqual(runCli(['profile', 'diff', 'someone']).status, 2);
+});
+
+test('validate exits 1 on invalid data and 0 on valid data', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'saiteki-cli-'));
+    try {
+        const invalid = path.join(dir, 'invalid.json');
+        fs.writeFileSync(invalid, JSON.stringify([{ id: 'emp-0000a001', name: '山田 太郎', job: 'Wizard' }]));
+        const bad = runCli(['validate', invalid]);
+        assert.strictEqual(bad.status, 1);
+        assert.match(bad.stderr, /job/);
+
+        const valid = path.join(dir, 'valid.json');
+        fs.writeFileSync(valid, JSON.stringify([{ id: 'emp-0000a001', name: '山田 太郎', job: 'Engineer' }]));
+        assert.strictEqual(runCli(['validate', valid]).status, 0);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('a missing config file is an error', () => {
+    const result = runCli(['validate'], { SAITEKI_CONFIG: path.join(os.tmpdir(), 'no-such-saiteki.config.json') });
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stderr, /Config file not found/);
+});
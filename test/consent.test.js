@@ -0,0 +1,141 @@
+/**
+ * consent.test.js
+ *
+ * AI分析に同意していない内容を、ほかの分析でAIに送らないこと:
+ * ナレッジグラフのペア分析 (graph build) と、同期で統合のために渡す既存のプロフィール
+ */
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { SLACK_TOKEN, startSlackStub, startVertexStub } = require('./helpers/stub-servers');
+const { canShareProfile } = require('../scripts/lib/privacy');
+
+const CLI = path.join(__dirname, '../scripts/saiteki.js');
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const EXECUTIVE_SUMMARY = '幹部チャンネルでの経営会議の議論をまとめる役割を担っている。';
+
+const EXTRA_EMPLOYEES = [
+    { id: 'emp-0000c003', name: '鈴木 一郎', job: 'Sales', isActive: true, ai_consent: 'none', overall_summary: '分析を断った社員のプロフィール。' },
+    { id: 'emp-0000d004', name: '田中 次郎', job: 'Executive', isActive: true, ai_consent: 'primary-only', slack_id_2: 'U0EXEC0004', overall_summary: EXECUTIVE_SUMMARY },
+    { id: 'emp-0000e005', name: '高橋 三郎', job: 'PM', isActive: true },
+];
+
+let workDir;
+let slack;
+let vertex;
+
+before(async () => {
+    slack = await startSlackStub(path.join(FIXTURES_DIR, 'slack'));
+    vertex = await startVertexStub(JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, 'ai-responses.json'), 'utf8')));
+});
+
+after(async () => {
+    await slack?.close();
+    await vertex?.close();
+    if (workDir) fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+    if (workDir) fs.rmSync(workDir, { recursive: true, force: true });
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'saiteki-consent-'));
+    fs.mkdirSync(path.join(workDir, 'data'));
+    fs.mkdirSync(path.join(workDir, 'docs'));
+    const employees = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, 'employees.json'), 'utf8'));
+    fs.writeFileSync(path.join(workDir, 'data/employees.json'), JSON.stringify([...employees, ...EXTRA_EMPLOYEES], null, 2));
+});
+
+function cli(args) {
+    return new Promise((resolve, reject) => {
+        execFile(process.execPath, [CLI, ...args], {
+            cwd: workDir,
+            env: {
+                PATH: process.env.PATH,
+                SAITEKI_CONFIG: path.join(FIXTURES_DIR, 'saiteki.config.json'),
+                SAITEKI_DATA_DIR: path.join(workDir, 'data'),
+                SAITEKI_DOCS_DIR: path.join(workDir, 'docs'),
+                GEMINI_API_KEY: 'test-key',
+                VERTEX_API_BASE_URL: vertex.url,
+                SLACK_BOT_TOKEN: SLACK_TOKEN,
+                SLACK_API_BASE_URL: `${slack.url}/api`,
+            },
+            timeout: 30000,
+        }, (error, stdout, stderr) => (error ? reject(Object.assign(error, { stdout, stderr })) : resolve({ stdout, stderr })));
+    });
+}
+
+const sentPrompts = (from) => vertex.requests.slice(from).map(r => JSON.parse(r.body).contents[0].parts[0].text);
+const readAudit = () => fs.readFileSync(path.join(workDir, 'data/ai-audit.jsonl'), 'utf8').trim().split('\n').map(JSON.parse);
+
+function updateEmployee(id, update) {
+    const file = path.join(workDir, 'data/employees.json');
+    const employees = JSON.parse(fs.readFileSync(file, 'utf8'));
+    update(employees.find(e => e.id === id));
+    fs.writeFileSync(file, JSON.stringify(employees, null, 2));
+}
+
+function readEmployee(id) {
+    return JSON.parse(fs.readFileSync(path.join(workDir, 'data/employees.json'), 'utf8')).find(e => e.id === id);
+}
+
+test('a primary-only profile is shared only when it rests on primary-workspace messages', () => {
+    const executive = { slack_id_2: 'U0EXEC0004', overall_summary: '要約' };
+    assert.strictEqual(canShareProfile(executive, 'all'), true);
+    assert.strictEqual(canShareProfile(executive, 'none'), false);
+    assert.strictEqual(canShareProfile(executive, 'primary-only'), false, 'a profile without a recorded basis may include the secondary workspace');
+    assert.strictEqual(canShareProfile({ ...executive, analysis_basis: { workspaces: ['primary', 'secondary'] } }, 'primary-only'), false);
+    assert.strictEqual(canShareProfile({ ...executive, analysis_basis: { workspaces: ['primary'] } }, 'primary-only'), true);
+    assert.strictEqual(canShareProfile({ overall_summary: '要約' }, 'primary-only'), true, 'employees outside the secondary workspace have nothing to hold back');
+});
+
+test('graph build leaves non-consenting employees out of the AI pair analysis and audits what it sent', async () => {
+    const requestCount = vertex.requests.length;
+    const { stdout } = await cli(['graph', 'build']);
+
+    assert.match(stdout, /AI分析の同意がないため除外: 2名/);
+    const prompts = sentPrompts(requestCount);
+    assert.ok(prompts.length > 0);
+    const pairs = prompts.flatMap(p => [...p.matchAll(/【ペア: (.+?) × (.+?)】/g)].map(([, a, b]) => `${a} × ${b}`));
+    assert.deepStrictEqual(pairs.sort(), ['佐藤 花子 × 高橋 三郎', '山田 太郎 × 佐藤 花子', '山田 太郎 × 高橋 三郎'].sort());
+    assert.ok(!prompts.some(p => p.includes('鈴木 一郎') || p.includes(EXECUTIVE_SUMMARY)));
+
+    const audit = readAudit();
+    assert.deepStrictEqual(audit.map(e => e.employee_id).sort(), ['emp-0000a001', 'emp-0000b002', 'emp-0000e005']);
+    audit.forEach(entry => {
+        assert.strictEqual(entry.mode, 'graph');
+        assert.strictEqual(entry.pairs, 2);
+        assert.strictEqual(entry.status, 'ok');
+        assert.ok(entry.fields.includes('summary'));
+    });
+});
+
+test('sync rebuilds a primary-only profile from the archive instead of sending the stored one back', async () => {
+    updateEmployee('emp-0000a001', e => {
+        e.ai_consent = 'primary-only';
+        e.slack_id_2 = 'U0EXEC0001';
+        e.overall_summary = EXECUTIVE_SUMMARY;
+    });
+
+    const requestCount = vertex.requests.length;
+    const { stdout } = await cli(['sync', '--full']);
+    // 田中さん (発言なし) も対象になる
+    assert.match(stdout, /Rebuilding the profile of 2 employee\(s\) with all their archived messages \(ai_consent: primary-only\)/);
+    assert.match(stdout, /Not sending the stored profile of 山田 太郎/);
+    const yamada = sentPrompts(requestCount).find(p => p.includes('名前: 山田 太郎'));
+    assert.ok(yamada);
+    assert.ok(!yamada.includes(EXECUTIVE_SUMMARY), 'the stored profile is not sent');
+    assert.strictEqual(readAudit().find(e => e.employee_id === 'emp-0000a001').existing_profile, false);
+
+    const rebuilt = readEmployee('emp-0000a001');
+    assert.notStrictEqual(rebuilt.overall_summary, EXECUTIVE_SUMMARY);
+    assert.deepStrictEqual(rebuilt.analysis_basis.workspaces, ['primary']);
+    assert.strictEqual(rebuilt.analysis_basis.runs, 1, 'the rebuilt profile does not add to the earlier basis');
+
+    // 作り直したプロフィールは主ワークスペースの発言だけに基づくので、次からは統合に使う
+    const again = await cli(['sync']);
+    assert.match(again.stdout, /Rebuilding the profile of 1 employee\(s\)/);
+    assert.doesNotMatch(again.stdout, /Not sending the stored profile of 山田 太郎/);
+});
@@ -0,0 +1,83 @@
+/**
+ * employee-store.test.js
+ *
+ * 社員データの保存: スキーマ検証に通らないレコードの退避 (quarantine) と、直前の有効なバージョンの維持
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadEmployees, saveEmployees } = require('../scripts/lib/employee-store');
+
+const yamada = { id: 'emp-0000a001', name: '山田 太郎', job: 'Engineer', skills: ['Go'] };
+const sato = { id: 'emp-0000b002', name: '佐藤 花子', job: 'Designer' };
+
+let workDir;
+let options;
+
+beforeEach(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'saiteki-store-'));
+    options = {
+        file: path.join(workDir, 'employees.json'),
+        quarantineDir: path.join(workDir, 'quarantine'),
+        historyFile: path.join(workDir, 'profile-history.jsonl'),
+    };
+    fs.writeFileSync(options.file, JSON.stringify([yamada, sato]));
+});
+
+afterEach(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+function quarantined() {
+    const files = fs.readdirSync(options.quarantineDir);
+    assert.strictEqual(files.length, 1);
+    return JSON.parse(fs.readFileSync(path.join(options.quarantineDir, files[0]), 'utf8'));
+}
+
+test('valid records are saved as given and nothing is quarantined', () => {
+    const result = saveEmployees([{ ...yamada, skills: ['Go', 'Rust'] }, sato], options);
+    assert.strictEqual(result.saved, 2);
+    assert.deepStrictEqual(result.quarantined, []);
+    assert.strictEqual(result.quarantineFile, null);
+    assert.deepStrictEqual(loadEmployees(options.file)[0].skills, ['Go', 'Rust']);
+    assert.ok(!fs.existsSync(options.quarantineDir));
+});
+
+test('an invalid new record is quarantined and not saved', () => {
+    const stranger = { id: 'emp-0000c003', name: '鈴木 一郎', job: 'Wizard' };
+    const result = saveEmployees([yamada, sato, stranger], options);
+
+    assert.strictEqual(result.saved, 2);
+    assert.deepStrictEqual(result.quarantined.map(q => q.name), ['鈴木 一郎']);
+    assert.deepStrictEqual(loadEmployees(options.file).map(e => e.id), [yamada.id, sato.id]);
+
+    const [entry] = quarantined();
+    assert.strictEqual(result.quarantineFile, path.join(options.quarantineDir, fs.readdirSync(options.quarantineDir)[0]));
+    assert.deepStrictEqual(entry.record, stranger);
+    assert.ok(entry.errors.some(e => /job/.test(e.path || e.message)), JSON.stringify(entry.errors));
+    assert.match(entry.quarantinedAt, /^\d{4}-\d{2}-\d{2}T/);
+});
+
+test('an invalid update keeps the previous valid version of the record by id', () => {
+    const broken = { ...yamada, skills: ['Go', 'Rust'], ai_error: true, ai_error_msg: 'timeout' };
+    const result = saveEmployees([broken, { ...sato, job: 'PM' }], options);
+
+    assert.strictEqual(result.saved, 2);
+    const saved = loadEmployees(options.file);
+    assert.deepStrictEqual(saved.find(e => e.id === yamada.id), yamada, 'the previous version is kept');
+    assert.strictEqual(saved.find(e => e.id === sato.id).job, 'PM', 'valid records are still updated');
+    assert.deepStrictEqual(quarantined()[0].record, broken);
+
+    const history = fs.readFileSync(options.historyFile, 'utf8').trim().split('\n').map(JSON.parse);
+    assert.ok(history.every(entry => !entry.changes.ai_error), 'the quarantined change is not recorded in the history');
+});
+
+test('a broken employee list is refused without writing anything', () => {
+    const before = fs.readFileSync(options.file, 'utf8');
+    assert.throws(() => saveEmployees({ not: 'an array' }, options), /Refusing to save employees/);
+    assert.strictEqual(fs.readFileSync(options.file, 'utf8'), before);
+    assert.ok(!fs.existsSync(options.quarantineDir));
+});
@@ -0,0 +1,50 @@
+/**
+ * snapshot.js
+ *
+ * 生成物のスナップショット比較
+ * test/__snapshots__/<名前> と一致するかを検証する。ファイルがない場合、
+ * または UPDATE_SNAPSHOTS=1 のときはスナップショットを書き出す (CI では書き出さずに失敗させる)
+ *
+ * 実行ごとに変わる値 (ISO日時・新規採番された社員ID) は比較前に置き換える
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+const SNAPSHOT_DIR = path.join(__dirname, '../__snapshots__');
+
+/**
+ * @param {string} content
+ * @param {Set<string>} [knownIds] 置き換えない社員ID (フィクスチャで固定しているもの)
+ */
+function normalize(content, knownIds = new Set()) {
+    const newIds = new Map();
+    return content
+        .replace(/\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?Z/g, '<timestamp>')
+        .replace(/emp-[0-9a-f]{8}/g, id => {
+            if (knownIds.has(id)) return id;
+            if (!newIds.has(id)) newIds.set(id, `<new-emp-${newIds.size + 1}>`);
+            return newIds.get(id);
+        });
+}
+
+function matchSnapshot(name, content, { knownIds } = {}) {
+    const actual = normalize(content, knownIds);
+    const file = path.join(SNAPSHOT_DIR, name);
+
+    if (!fs.existsSync(file) && process.env.CI && process.env.UPDATE_SNAPSHOTS !== '1') {
+        assert.fail(`Missing snapshot: ${name} (run with UPDATE_SNAPSHOTS=1 to create)`);
+    }
+    if (process.env.UPDATE_SNAPSHOTS === '1' || !fs.existsSync(file)) {
+        fs.mkdirSync(SNAPSHOT_DIR, { recursive: true });
+        fs.writeFileSync(file, actual);
+        return;
+    }
+    assert.strictEqual(actual, fs.readFileSync(file, 'utf8'), `Snapshot mismatch: ${name} (run with UPDATE_SNAPSHOTS=1 to update)`);
+}
+
+module.exports = {
+    normalize,
+    matchSnapshot,
+};
@@ -0,0 +1,245 @@
+/**
+ * import-slack-export.test.js
+ *
+ * Slackのエクスポートの取り込み (sync import): ディレクトリ・ZIPの読み込み、ユーザーの照合 (名前だけの照合を反映しない --verified-only を含む)、
+ * アーカイブ経由の分析 (取り込んだチャンネル・期間だけ)、ZIP64 の検出
+ */
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { execFile } = require('child_process');
+const { startVertexStub } = require('./helpers/stub-servers');
+
+const CLI = path.join(__dirname, '../scripts/saiteki.js');
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const EXPORT_DIR = path.join(FIXTURES_DIR, 'slack-export');
+
+let workDir;
+let vertex;
+
+before(async () => {
+    vertex = await startVertexStub(JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, 'ai-responses.json'), 'utf8')));
+});
+
+after(async () => {
+    await vertex?.close();
+    if (workDir) fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+    if (workDir) fs.rmSync(workDir, { recursive: true, force: true });
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'saiteki-export-'));
+    fs.mkdirSync(path.join(workDir, 'data'));
+    fs.mkdirSync(path.join(workDir, 'docs'));
+    const employees = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, 'employees.json'), 'utf8'));
+    const tanaka = { id: 'emp-0000d004', name: '田中 次郎', job: 'Engineer', isActive: true };
+    fs.writeFileSync(path.join(workDir, 'data/employees.json'), JSON.stringify([...employees, tanaka], null, 2));
+});
+
+// Slack のトークンは渡さない (エクスポートの取り込みと分析は Slack API を使わない)
+function importExport(args) {
+    return new Promise((resolve, reject) => {
+        execFile(process.execPath, [CLI, 'sync', 'import', ...args], {
+            cwd: workDir,
+            env: {
+                PATH: process.env.PATH,
+                SAITEKI_CONFIG: path.join(FIXTURES_DIR, 'saiteki.config.json'),
+                SAITEKI_DATA_DIR: path.join(workDir, 'data'),
+                SAITEKI_DOCS_DIR: path.join(workDir, 'docs'),
+                GEMINI_API_KEY: 'test-key',
+                VERTEX_API_BASE_URL: vertex.url,
+            },
+            timeout: 30000,
+        }, (error, stdout, stderr) => (error ? reject(Object.assign(error, { stdout, stderr })) : resolve({ stdout, stderr })));
+    });
+}
+
+// テスト用に ZIP を作る (deflate、ファイル名は UTF-8)
+function writeZip(file, dir, prefix = '') {
+    const files = [];
+    const walk = (relative) => fs.readdirSync(path.join(dir, relative), { withFileTypes: true }).forEach(entry => {
+        const name = path.posix.join(relative, entry.name);
+        if (entry.isDirectory()) walk(name);
+        else files.push(name);
+    });
+    walk('');
+
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+    files.sort().forEach(name => {
+        const data = fs.readFileSync(path.join(dir, name));
+        const compressed = zlib.deflateRawSync(data);
+        const fileName = Buffer.from(prefix + name);
+        const header = Buffer.alloc(30);
+        header.writeUInt32LE(0x04034b50, 0);
+        header.writeUInt16LE(20, 4);
+        header.writeUInt16LE(0x0800, 6);
+        header.writeUInt16LE(8, 8);
+        header.writeUInt32LE(zlib.crc32(data), 14);
+        header.writeUInt32LE(compressed.length, 18);
+        header.writeUInt32LE(data.length, 22);
+        header.writeUInt16LE(fileName.length, 26);
+        locals.push(header, fileName, compressed);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt16LE(8, 10);
+        central.writeUInt32LE(zlib.crc32(data), 16);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(fileName.length, 28);
+        central.writeUInt32LE(offset, 42);
+        centrals.push(central, fileName);
+        offset += header.length + fileName.length + compressed.length;
+    });
+
+    const centralDirectory = Buffer.concat(centrals);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    fs.writeFileSync(file, Buffer.concat([...locals, centralDirectory, end]));
+}
+
+function readArchived(channel, month) {
+    const file = path.join(workDir, 'data/archive/primary', channel, `${month}.jsonl`);
+    return fs.readFileSync(file, 'utf8').trim().split('\n').map(JSON.parse);
+}
+
+function readEmployee(id) {
+    return JSON.parse(fs.readFileSync(path.join(workDir, 'data/employees.json'), 'utf8')).find(e => e.id === id);
+}
+
+test('an export directory is archived with threads, and its users are matched to employees', async () => {
+    const { stdout } = await importExport([EXPORT_DIR]);
+
+    assert.match(stdout, /C0EXPGEN \(#general\): 4 messages over 2 day\(s\)/);
+    assert.match(stdout, /G0EXPLEAD \(#leads\): 1 messages over 1 day\(s\)/);
+    assert.strictEqual(readEmployee('emp-0000d004').slack_id, 'U0TEST0004', 'matched by name');
+
+    const general = readArchived('C0EXPGEN', '2023-04');
+    assert.deepStrictEqual(general.map(m => m.ts), ['1680490000.000100', '1680500000.000100', '1680500600.000200', '1680580000.000100']);
+    assert.ok(general.every(m => m.channel === 'C0EXPGEN'));
+    assert.strictEqual(general[2].thread_ts, '1680500000.000100', 'thread replies are kept');
+    assert.strictEqual(readArchived('G0EXPLEAD', '2023-05').length, 1);
+    // DM は取り込まない
+    assert.ok(!fs.existsSync(path.join(workDir, 'data/archive/primary/D0EXPDM01')));
+
+    // 返信・メンション・リアクションはやり取りとして記録する
+    const interactions = JSON.parse(fs.readFileSync(path.join(workDir, 'data/interactions.json'), 'utf8'));
+    assert.deepStrictEqual(interactions.messages['primary:C0EXPGEN:1680500600.000200'].replied_to, 'emp-0000a001');
+    assert.deepStrictEqual(interactions.messages['primary:C0EXPGEN:1680580000.000100'].mentioned, ['emp-0000d004']);
+
+    // 取り込み直しても重複しない
+    const again = await importExport([EXPORT_DIR]);
+    assert.match(again.stdout, /Archived primary messages: 0 new, 0 updated/);
+});
+
+test('--verified-only does not link employees matched only by name in the export', async () => {
+    const { stdout } = await importExport([EXPORT_DIR, '--verified-only']);
+    assert.strictEqual(readEmployee('emp-0000d004').slack_id, undefined);
+    assert.match(stdout, /Matched by name only \(not applied.*\):\n(  .*\n)*  田中 次郎: U0TEST0004 /);
+    assert.ok(fs.existsSync(path.join(workDir, 'data/archive/primary/C0EXPGEN')), 'the messages are still imported');
+});
+
+test('a zip export, with or without a top-level folder, reads the same as the directory', async () => {
+    const flat = path.join(workDir, 'flat.zip');
+    const nested = path.join(workDir, 'nested.zip');
+    writeZip(flat, EXPORT_DIR);
+    writeZip(nested, EXPORT_DIR, 'Saiteki Slack export Apr 1 2023 - May 31 2023/');
+
+    await importExport([flat, '--dry-run']);
+    assert.ok(!fs.existsSync(path.join(workDir, 'data/archive')), 'a dry run saves nothing');
+
+    await importExport([nested]);
+    const fromZip = readArchived('C0EXPGEN', '2023-04');
+    fs.rmSync(path.join(workDir, 'data/archive'), { recursive: true });
+    await importExport([EXPORT_DIR]);
+    assert.deepStrictEqual(fromZip, readArchived('C0EXPGEN', '2023-04'));
+});
+
+test('--analyze runs the profile analysis on the imported messages', async () => {
+    const requestCount = vertex.requests.length;
+    const { stdout } = await importExport([EXPORT_DIR, '--channel', 'general', '--analyze']);
+
+    assert.ok(!fs.existsSync(path.join(workDir, 'data/archive/primary/G0EXPLEAD')), 'only the given channel is imported');
+    const prompts = vertex.requests.slice(requestCount).map(r => JSON.parse(r.body).contents[0].parts[0].text);
+    const yamada = prompts.find(p => p.includes('名前: 山田 太郎'));
+    assert.match(yamada, /\[2023-04-03T05:33:20.000Z\] 2023年度のロードマップ/);
+    assert.match(yamada, /@田中 次郎 負債返済の見積もり/);
+    assert.match(stdout, /Success: Updated professional profile for 山田 太郎/);
+    assert.ok(readEmployee('emp-0000a001').slack_synced_at);
+
+    // 送った内容は本文なしで監査ログに残る
+    const audit = fs.readFileSync(path.join(workDir, 'data/ai-audit.jsonl'), 'utf8').trim().split('\n').map(JSON.parse);
+    const entry = audit.find(e => e.employee_id === 'emp-0000a001');
+    assert.strictEqual(entry.mode, 'archive');
+    assert.strictEqual(entry.consent, 'all');
+    assert.deepStrictEqual(entry.channels, ['primary:C0EXPGEN']);
+    assert.strictEqual(entry.status, 'ok');
+    assert.ok(!JSON.stringify(audit).includes('ロードマップ'));
+});
+
+test('--analyze only analyzes the imported channels and period, not the rest of the archive', async () => {
+    // 同期で取得済みの、エクスポートにないチャンネルの発言
+    const synced = path.join(workDir, 'data/archive/primary/C0SYNCED');
+    fs.mkdirSync(synced, { recursive: true });
+    fs.writeFileSync(path.join(synced, '2025-10.jsonl'), `${JSON.stringify({ type: 'message', user: 'U0TEST0001', text: '同期で取得済みの発言は、エクスポートの分析では送りません。', ts: '1760000000.000100' })}\n`);
+
+    const requestCount = vertex.requests.length;
+    const { stdout } = await importExport([EXPORT_DIR, '--analyze']);
+    assert.match(stdout, /Imported: C0EXPGEN, G0EXPLEAD \(2023-04-03T02:46:40\.000Z - /);
+    const prompts = vertex.requests.slice(requestCount).map(r => JSON.parse(r.body).contents[0].parts[0].text);
+    const yamada = prompts.find(p => p.includes('名前: 山田 太郎'));
+    assert.match(yamada, /2023年度のロードマップ/);
+    assert.ok(!yamada.includes('同期で取得済みの発言'), 'archived messages outside the import are not analyzed');
+});
+
+test('employees who opted out of AI analysis are not sent to the AI', async () => {
+    const file = path.join(workDir, 'data/employees.json');
+    const employees = JSON.parse(fs.readFileSync(file, 'utf8'));
+    employees.find(e => e.id === 'emp-0000a001').ai_consent = 'none';
+    fs.writeFileSync(file, JSON.stringify(employees, null, 2));
+
+    const requestCount = vertex.requests.length;
+    const { stdout } = await importExport([EXPORT_DIR, '--channel', 'general', '--analyze']);
+
+    assert.match(stdout, /Skipping 山田 太郎: not consented to AI analysis \(ai_consent: none\)/);
+    const prompts = vertex.requests.slice(requestCount).map(r => JSON.parse(r.body).contents[0].parts[0].text);
+    assert.ok(!prompts.some(p => p.includes('名前: 山田 太郎')));
+    assert.ok(!readEmployee('emp-0000a001').slack_synced_at);
+});
+
+test('an unknown channel or a path that is not an export is an error', async () => {
+    const unknown = await importExport([EXPORT_DIR, '--channel', 'nope']).catch(e => e);
+    assert.strictEqual(unknown.code, 1);
+    assert.match(unknown.stderr, /Channel nope not found/);
+
+    const notExport = await importExport([path.join(FIXTURES_DIR, 'issues')]).catch(e => e);
+    assert.strictEqual(notExport.code, 1);
+    assert.match(notExport.stderr, /users.json not found/);
+});
+
+test('a zip64 entry is reported instead of being read from the wrong offset', async () => {
+    const file = path.join(workDir, 'zip64.zip');
+    writeZip(file, EXPORT_DIR);
+    const buffer = fs.readFileSync(file);
+    // 最初の中央ディレクトリエントリのローカルヘッダーの位置を ZIP64 の印にする
+    const central = buffer.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02]));
+    buffer.writeUInt32LE(0xffffffff, central + 42);
+    fs.writeFileSync(file, buffer);
+
+    const failed = await importExport([file]).catch(e => e);
+    assert.strictEqual(failed.code, 1);
+    assert.match(failed.stderr, /ZIP64 archives are not supported \(\S+ is larger than 4 GB or stored beyond 4 GB\)/);
+});
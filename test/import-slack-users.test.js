@@ -0,0 +1,112 @@
+/**
+ * import-slack-users.test.js
+ *
+ * Slackのユーザー一覧の取り込み (users import): メール・名前での照合と、照合できない人の報告、
+ * 名前だけの照合を反映しない実行 (--verified-only)
+ */
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { SLACK_TOKEN, startSlackStub } = require('./helpers/stub-servers');
+
+const CLI = path.join(__dirname, '../scripts/saiteki.js');
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+const EXTRA_EMPLOYEES = [
+    { id: 'emp-0000c003', name: '鈴木 一郎', job: 'Sales', isActive: true, email: 'ichiro.suzuki@example.com' },
+    { id: 'emp-0000d004', name: '田中 次郎', job: 'Engineer', isActive: true },
+    { id: 'emp-0000e005', name: '高橋 三郎', job: 'PM', isActive: true },
+    { id: 'emp-0000f006', name: '伊藤 四郎', job: 'QA', isActive: true },
+];
+
+let workDir;
+let slack;
+
+before(async () => {
+    slack = await startSlackStub(path.join(FIXTURES_DIR, 'slack'));
+});
+
+after(async () => {
+    await slack?.close();
+    if (workDir) fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+    if (workDir) fs.rmSync(workDir, { recursive: true, force: true });
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'saiteki-users-'));
+    fs.mkdirSync(path.join(workDir, 'data'));
+    const employees = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, 'employees.json'), 'utf8'));
+    fs.writeFileSync(path.join(workDir, 'data/employees.json'), JSON.stringify([...employees, ...EXTRA_EMPLOYEES], null, 2));
+});
+
+function importUsers(args = [], env = {}) {
+    return new Promise((resolve, reject) => {
+        execFile(process.execPath, [CLI, 'users', 'import', ...args], {
+            cwd: workDir,
+            env: {
+                PATH: process.env.PATH,
+                SAITEKI_CONFIG: path.join(FIXTURES_DIR, 'saiteki.config.json'),
+                SAITEKI_DATA_DIR: path.join(workDir, 'data'),
+                SLACK_API_BASE_URL: `${slack.url}/api`,
+                SLACK_BOT_TOKEN: SLACK_TOKEN,
+                ...env,
+            },
+            timeout: 30000,
+        }, (error, stdout, stderr) => (error ? reject(Object.assign(error, { stdout, stderr })) : resolve({ stdout, stderr })));
+    });
+}
+
+function readEmployee(id) {
+    return JSON.parse(fs.readFileSync(path.join(workDir, 'data/employees.json'), 'utf8')).find(e => e.id === id);
+}
+
+test('users import fills missing Slack IDs by email and name and stores the Slack profile', async () => {
+    const { stdout } = await importUsers();
+
+    const yamada = readEmployee('emp-0000a001');
+    assert.strictEqual(yamada.slack_id, 'U0TEST0001');
+    assert.strictEqual(yamada.email, 'taro.yamada@example.com');
+    assert.deepStrictEqual(yamada.slack_profile, {
+        title: 'Tech Lead',
+        timezone: 'Asia/Tokyo',
+        avatar_url: 'https://avatars.example.com/U0TEST0001_192.png',
+    });
+
+    assert.strictEqual(readEmployee('emp-0000c003').slack_id, 'U0TEST0003', 'matched by email, case-insensitively');
+    assert.strictEqual(readEmployee('emp-0000c003').email, 'ichiro.suzuki@example.com', 'an existing email is kept');
+    assert.strictEqual(readEmployee('emp-0000d004').slack_id, 'U0TEST0004', 'matched by name regardless of spacing');
+    assert.strictEqual(readEmployee('emp-0000e005').slack_id, undefined, 'ambiguous matches are not applied');
+    assert.strictEqual(readEmployee('emp-0000f006').slack_id, undefined, 'deleted Slack users are ignored');
+
+    assert.match(stdout, /Ambiguous.*:\n  高橋 三郎: U0TEST0005 \(高橋 三郎\) \/ U0TEST0006 \(高橋三郎\) \[by name\]/);
+    assert.match(stdout, /Employees not found in Slack:\n  佐藤 花子\n  伊藤 四郎/);
+    assert.match(stdout, /Slack members without an employee record:\n  U0TEST0007 \(New Person\)\n(?!  )/);
+
+    const history = fs.readFileSync(path.join(workDir, 'data/profile-history.jsonl'), 'utf8').trim().split('\n').map(JSON.parse);
+    assert.ok(history.some(entry => entry.employee_id === 'emp-0000d004' && entry.source.type === 'slack-users'));
+});
+
+test('users import --verified-only applies email matches and only lists the employees matched by name', async () => {
+    const summaryFile = path.join(workDir, 'summary.md');
+    const { stdout } = await importUsers(['--verified-only'], { GITHUB_STEP_SUMMARY: summaryFile });
+
+    assert.strictEqual(readEmployee('emp-0000c003').slack_id, 'U0TEST0003', 'an email match is applied');
+    assert.strictEqual(readEmployee('emp-0000d004').slack_id, undefined, 'a name match is not applied');
+    assert.match(stdout, /Matched by name only \(not applied.*\):\n(  .*\n)*  田中 次郎: U0TEST0004 /);
+    assert.match(fs.readFileSync(summaryFile, 'utf8'), /\| Name only \(not applied\) \|/);
+});
+
+test('users import --dry-run reports without saving, and a second run has nothing to do', async () => {
+    const original = fs.readFileSync(path.join(workDir, 'data/employees.json'), 'utf8');
+    const dryRun = await importUsers(['--dry-run']);
+    assert.match(dryRun.stdout, /Dry run: 3 employee update\(s\) were not saved/);
+    assert.strictEqual(fs.readFileSync(path.join(workDir, 'data/employees.json'), 'utf8'), original);
+
+    await importUsers();
+    const again = await importUsers();
+    assert.match(again.stdout, /No updates performed/);
+});
@@ -0,0 +1,104 @@
+/**
+ * issue-edit.test.js
+ *
+ * 社員情報の修正Issue (employee-edit): 入力された項目だけの反映と、不正な値の拒否
+ * 登録Issue (employee-update): AIが使えないときも入力された項目だけで登録する
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const CLI = path.join(__dirname, '../scripts/saiteki.js');
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+let workDir;
+
+beforeEach(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'saiteki-edit-'));
+    fs.mkdirSync(path.join(workDir, 'data'));
+    fs.copyFileSync(path.join(FIXTURES_DIR, 'employees.json'), path.join(workDir, 'data/employees.json'));
+});
+
+afterEach(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+function processEdit(bodyFile, label = 'employee-edit') {
+    return spawnSync(process.execPath, [
+        CLI, 'issue', 'process',
+        '--body-file', path.join(FIXTURES_DIR, 'issues', bodyFile),
+        '--label', label,
+        '--number', '10',
+        '--author', 'octocat',
+        '--report', path.join(workDir, 'report.md'),
+    ], {
+        cwd: workDir,
+        env: {
+            PATH: process.env.PATH,
+            SAITEKI_DATA_DIR: path.join(workDir, 'data'),
+            SAITEKI_DOCS_DIR: path.join(workDir, 'docs'),
+        },
+        encoding: 'utf8',
+        timeout: 30000,
+    });
+}
+
+function readEmployees() {
+    return JSON.parse(fs.readFileSync(path.join(workDir, 'data/employees.json'), 'utf8'));
+}
+
+test('edit patches only the given fields and keeps the old name as an alias', () => {
+    const result = processEdit('edit.md');
+    assert.strictEqual(result.status, 0, result.stderr);
+
+    const before = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, 'employees.json'), 'utf8')).find(e => e.id === 'emp-0000b002');
+    const after = readEmployees().find(e => e.id === 'emp-0000b002');
+    assert.strictEqual(after.name, '佐藤 華子');
+    assert.deepStrictEqual(after.aliases, ['佐藤 花子']);
+    assert.strictEqual(after.job, 'PM');
+    assert.strictEqual(after.slack_id, before.slack_id, 'blank fields are left unchanged');
+    assert.strictEqual(after.slack_id_2, 'U0TEST1002');
+    assert.strictEqual(after.ai_consent, 'primary-only', 'the dropdown label is reduced to its value');
+
+    const history = fs.readFileSync(path.join(workDir, 'data/profile-history.jsonl'), 'utf8').trim().split('\n').map(JSON.parse);
+    const revision = history.filter(entry => entry.employee_id === 'emp-0000b002').pop();
+    assert.deepStrictEqual(revision.source, { type: 'issue', issue: 10, author: 'octocat' });
+
+    const report = fs.readFileSync(path.join(workDir, 'report.md'), 'utf8');
+    assert.match(report, /\*\*申請者\*\*: @octocat/);
+    assert.match(report, /\| `job` \| Designer \| PM \|/);
+});
+
+test('edit with invalid values is rejected without changing anything', () => {
+    const original = fs.readFileSync(path.join(workDir, 'data/employees.json'), 'utf8');
+    const result = processEdit('edit-invalid.md');
+    assert.strictEqual(result.status, 1);
+    assert.strictEqual(fs.readFileSync(path.join(workDir, 'data/employees.json'), 'utf8'), original);
+
+    const report = fs.readFileSync(path.join(workDir, 'report.md'), 'utf8');
+    assert.match(report, /職種が不正です: Wizard/);
+    assert.match(report, /AI分析への同意が不正です: maybe/);
+    assert.match(report, /Slack ID の形式が不正です: 12345/);
+    assert.match(report, /Slack ID U0TEST0001 は 山田 太郎 に登録済みです/);
+    assert.match(report, /「山田 太郎」は 山田 太郎 の名前または別名として登録済みです/);
+});
+
+test('an onboarding issue is registered without the AI fields when the AI is not configured', () => {
+    const result = processEdit('onboarding.md', 'employee-update');
+    assert.strictEqual(result.status, 0, result.stderr);
+
+    const employee = readEmployees().find(e => e.name === '鈴木 一郎');
+    assert.ok(employee, 'the new employee is saved, not quarantined');
+    assert.strictEqual(employee.ai_error, undefined);
+    assert.strictEqual(employee.ai_error_msg, undefined);
+    assert.strictEqual(employee.slack_id, 'U0TEST0003');
+    assert.ok(!fs.existsSync(path.join(workDir, 'data/quarantine')));
+
+    const report = fs.readFileSync(path.join(workDir, 'report.md'), 'utf8');
+    assert.match(report, /AIによる補完ができなかったため、入力された項目のみ登録しました。/);
+    assert.match(report, /AIによる抽出に失敗しました: AI provider [\w-]+ is not configured/);
+});
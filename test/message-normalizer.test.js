@@ -0,0 +1,90 @@
+/**
+ * message-normalizer.test.js
+ *
+ * AI分析前のメッセージ整形: 各ステップの単体テストと、設定による無効化
+ */
+
+const { test } = require('node:test');
+const assert = require('assert');
+const {
+    DEFAULT_OPTIONS,
+    normalizeOptions,
+    dedupeEdits,
+    collapseCode,
+    collapseLogs,
+    resolveMentions,
+    unwrapLinks,
+    normalizeText,
+    normalizeMessages,
+    employeeNames,
+} = require('../scripts/lib/message-normalizer');
+
+const names = employeeNames([
+    { name: '山田 太郎', slack_id: 'U0TEST0001', slack_id_2: 'U0EXEC0001' },
+    { name: '佐藤 花子', slack_id: 'U0TEST0002' },
+]);
+
+test('mentions resolve to employee names in either workspace', () => {
+    assert.strictEqual(
+        resolveMentions('<@U0TEST0001> と <@U0EXEC0001> と <@U0OTHER99|guest> と <@U0OTHER98>', names),
+        '@山田 太郎 と @山田 太郎 と @guest と @unknown',
+    );
+    assert.strictEqual(resolveMentions('<!here> <#C0TESTGEN|general> <!subteam^S123|@design>', names), '@here #general @design');
+});
+
+test('links are unwrapped to their label or URL', () => {
+    assert.strictEqual(
+        unwrapLinks('<https://example.com/a|仕様書> と <https://example.com/b> と <mailto:a@example.com|a@example.com>'),
+        '仕様書 と https://example.com/b と a@example.com',
+    );
+});
+
+test('long code blocks collapse to a placeholder, short ones are kept', () => {
+    const long = '```\n' + Array.from({ length: 6 }, (_, i) => `line ${i}`).join('\n') + '\n```';
+    assert.strictEqual(collapseCode(`見てください\n${long}`, { maxLines: 5 }), '見てください\n[code: 6 lines]');
+    assert.strictEqual(collapseCode('```npm test```', { maxLines: 5 }), '```npm test```');
+});
+
+test('pasted logs and stack traces collapse to a placeholder', () => {
+    const text = [
+        'デプロイで落ちました',
+        'TypeError: Cannot read properties of undefined',
+        '    at run (/app/index.js:10:5)',
+        '    at main (/app/index.js:20:3)',
+        '    at node:internal/main:1:1',
+        '原因を調べます',
+    ].join('\n');
+    assert.strictEqual(collapseLogs(text, { minLines: 4 }), 'デプロイで落ちました\n[log: 4 lines]\n原因を調べます');
+    assert.strictEqual(collapseLogs(text, { minLines: 5 }), text);
+});
+
+test('edited and duplicated messages keep only the latest version', () => {
+    const messages = dedupeEdits([
+        { channel: 'C1', ts: '1.0', text: '初版' },
+        { channel: 'C2', ts: '1.0', text: '別チャンネル' },
+        { channel: 'C1', ts: '2.0', text: 'スレッドへのブロードキャスト', subtype: 'thread_broadcast' },
+        { channel: 'C1', subtype: 'message_changed', ts: '3.0', message: { ts: '1.0', text: '修正版', edited: { ts: '3.0' } } },
+        { channel: 'C1', ts: '2.0', text: 'スレッドへのブロードキャスト', subtype: 'thread_broadcast' },
+    ]);
+    assert.deepStrictEqual(messages.map(m => `${m.channel}:${m.text}`), ['C1:修正版', 'C2:別チャンネル', 'C1:スレッドへのブロードキャスト']);
+});
+
+test('system and bot messages are dropped and empty results removed', () => {
+    const messages = normalizeMessages([
+        { user: 'U0TEST0001', ts: '1.0', text: 'こんにちは &lt;b&gt; &amp; <@U0TEST0002>' },
+        { user: 'U0TEST0002', ts: '2.0', subtype: 'channel_join', text: '<@U0TEST0002> さんが参加しました' },
+        { bot_id: 'B1', ts: '3.0', subtype: 'bot_message', text: 'デプロイ完了' },
+        { user: 'U0TEST0001', ts: '4.0', text: '   ' },
+    ], { names });
+    assert.deepStrictEqual(messages.map(m => m.text), ['こんにちは <b> & @佐藤 花子']);
+});
+
+test('steps can be disabled or tuned from the config', () => {
+    const options = normalizeOptions({ dropBots: false, resolveMentions: false, collapseCode: { maxLines: 10 } });
+    assert.deepStrictEqual(options.collapseCode, { maxLines: 10 });
+    assert.deepStrictEqual(options.dropSubtypes, DEFAULT_OPTIONS.dropSubtypes);
+
+    const messages = normalizeMessages([{ bot_id: 'B1', ts: '1.0', text: '<@U0TEST0001> 完了' }], { names, options });
+    assert.deepStrictEqual(messages.map(m => m.text), ['<@U0TEST0001> 完了']);
+    assert.strictEqual(normalizeText('<https://example.com|x>', { options: { ...options, unwrapLinks: false } }), '<https://example.com|x>');
+});
@@ -0,0 +1,298 @@
+/**
+ * pipeline.test.js
+ *
+ * Issue処理 → Slack同期 → ナレッジグラフ構築 → ドキュメント生成 を
+ * スタブサーバーに対してオフラインで通しで実行し、生成物をスナップショットと比較する
+ *
+ * 実行: npm test  (スナップショット更新: UPDATE_SNAPSHOTS=1 npm test)
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { SLACK_TOKEN, startSlackStub, startVertexStub } = require('./helpers/stub-servers');
+const { matchSnapshot } = require('./helpers/snapshot');
+
+const CLI = path.join(__dirname, '../scripts/saiteki.js');
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+const fixtureEmployees = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, 'employees.json'), 'utf8'));
+const knownIds = new Set(fixtureEmployees.map(e => e.id));
+
+let workDir;
+let slack;
+let vertex;
+
+before(async () => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'saiteki-test-'));
+    fs.mkdirSync(path.join(workDir, 'data'));
+    fs.mkdirSync(path.join(workDir, 'docs'));
+    fs.copyFileSync(path.join(FIXTURES_DIR, 'employees.json'), path.join(workDir, 'data/employees.json'));
+
+    slack = await startSlackStub(path.join(FIXTURES_DIR, 'slack'));
+    vertex = await startVertexStub(JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, 'ai-responses.json'), 'utf8')));
+});
+
+after(async () => {
+    await slack?.close();
+    await vertex?.close();
+    if (workDir) fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+// 実行環境の認証情報や .env を拾わないよう、必要な環境変数だけを渡す
+// (cwd を作業ディレクトリにするので、リポジトリの .env も読まれない)
+// 固定の設定は test/fixtures/saiteki.config.json、実行ごとに変わるURL・パスは環境変数で渡す
+function runCli(args, env = {}) {
+    const baseEnv = {
+        PATH: process.env.PATH,
+        SAITEKI_CONFIG: path.join(FIXTURES_DIR, 'saiteki.config.json'),
+        SAITEKI_DATA_DIR: path.join(workDir, 'data'),
+        SAITEKI_DOCS_DIR: path.join(workDir, 'docs'),
+        GEMINI_API_KEY: 'test-key',
+        VERTEX_API_BASE_URL: vertex.url,
+        SLACK_API_BASE_URL: `${slack.url}/api`,
+    };
+    return new Promise((resolve, reject) => {
+        execFile(process.execPath, [CLI, ...args], {
+            cwd: workDir,
+            env: { ...baseEnv, ...env },
+            timeout: 60000,
+        }, (error, stdout, stderr) => {
+            if (error) {
+                error.message += `\n--- stdout ---\n${stdout}\n--- stderr ---\n${stderr}`;
+                reject(error);
+            } else {
+                resolve({ stdout, stderr });
+            }
+        });
+    });
+}
+
+function readData(file) {
+    return JSON.parse(fs.readFileSync(path.join(workDir, 'data', file), 'utf8'));
+}
+
+function readDoc(file) {
+    return fs.readFileSync(path.join(workDir, 'docs', file), 'utf8');
+}
+
+// GitHub Actions と同じく Issue の内容は環境変数で渡す
+function issueEnv(number, label, bodyFile) {
+    return {
+        ISSUE_NUMBER: String(number),
+        ISSUE_TITLE: `Issue ${number}`,
+        ISSUE_LABELS: JSON.stringify([{ name: label }]),
+        ISSUE_BODY: fs.readFileSync(path.join(FIXTURES_DIR, 'issues', bodyFile), 'utf8'),
+    };
+}
+
+test('offline pipeline', async (t) => {
+    await t.test('onboarding issue registers a new employee with AI-extracted fields', async () => {
+        const outputFile = path.join(workDir, 'github-output');
+        await runCli(['issue', 'process', '--report', path.join(workDir, 'report-1.md')], {
+            ...issueEnv(1, 'employee-update', 'onboarding.md'),
+            GITHUB_OUTPUT: outputFile,
+        });
+
+        const employee = readData('employees.json').find(e => e.name === '鈴木 一郎');
+        assert.ok(employee, 'new employee should be saved');
+        assert.match(employee.id, /^emp-[0-9a-f]{8}$/);
+        assert.strictEqual(employee.slack_id, 'U0TEST0003');
+        assert.deepStrictEqual(employee.skills, ['Python', 'SQL', 'データ分析']);
+
+        assert.strictEqual(fs.readFileSync(outputFile, 'utf8'), 'success=true\n');
+        const report = fs.readFileSync(path.join(workDir, 'report-1.md'), 'utf8');
+        assert.match(report, /^## ✅/);
+        assert.match(report, /\| Slack ID \| U0TEST0003 \|/, 'parsed fields are listed');
+        assert.match(report, /### AIが抽出した項目[\s\S]*\| スキル \| Python, SQL, データ分析 \|/);
+        assert.match(report, new RegExp(`新しいレコード \`${employee.id}\` を作成しました`));
+    });
+
+    await t.test('career issue merges self-declared data by alias-insensitive name', async () => {
+        await runCli(['issue', 'process', '--body-file', path.join(FIXTURES_DIR, 'issues/career.md'), '--label', 'employee-career', '--number', '2']);
+
+        const employee = readData('employees.json').find(e => e.id === 'emp-0000b002');
+        assert.strictEqual(employee.goal, 'デザインシステムを立ち上げ、プロダクト全体の体験を統一したい');
+        assert.deepStrictEqual(employee.skills, ['Figma', 'ユーザーリサーチ']);
+        assert.deepStrictEqual(employee.interests, ['アクセシビリティ', 'デザインシステム']);
+    });
+
+    await t.test('an issue naming an unknown employee fails and reports why', async () => {
+        const outputFile = path.join(workDir, 'github-output-fail');
+        const before = fs.readFileSync(path.join(workDir, 'data/employees.json'), 'utf8');
+        await assert.rejects(
+            runCli(['issue', 'process', '--report', path.join(workDir, 'report-3.md')], {
+                ...issueEnv(3, 'employee-delete', 'delete-unknown.md'),
+                GITHUB_OUTPUT: outputFile,
+            }),
+            error => error.code === 1,
+        );
+
+        assert.strictEqual(fs.readFileSync(outputFile, 'utf8'), 'success=false\n');
+        const report = fs.readFileSync(path.join(workDir, 'report-3.md'), 'utf8');
+        assert.match(report, /^## ❌/);
+        assert.match(report, /社員が見つかりませんでした: 存在しない 社員/);
+        assert.match(report, /オープンのまま/);
+        assert.strictEqual(fs.readFileSync(path.join(workDir, 'data/employees.json'), 'utf8'), before);
+    });
+
+    await t.test('Slack sync analyzes every employee with enough messages', async () => {
+        const { stdout, stderr } = await runCli(['sync', '--full'], { SLACK_BOT_TOKEN: SLACK_TOKEN });
+
+        // 最初の history 呼び出しは 429 を返すので、Retry-After に従ってリトライされる
+        assert.match(stderr, /rate limited \(HTTP 429\)\. Retrying/);
+        assert.match(stdout, /primary:C0TESTGEN\tcomplete/);
+
+        const employees = readData('employees.json');
+        employees.forEach(e => assert.ok(e.slack_synced_at, `${e.name} should be synced`));
+        // 本人申告のフィールドは Slack 同期で消えない
+        assert.ok(employees.find(e => e.id === 'emp-0000b002').goal);
+
+        // メンション・リンクは整形してからAIに渡し、参加メッセージは除外する
+        const prompts = vertex.requests.map(r => JSON.parse(r.body).contents[0].parts[0].text);
+        const yamadaPrompt = prompts.find(p => p.includes('名前: 山田 太郎'));
+        assert.match(yamadaPrompt, /@佐藤 花子 デザイン案見ました。デザインレビュー にコメントを残したので、API & 画面の実装に入ります。/);
+        assert.ok(!prompts.some(p => p.includes('<@U0TEST') || p.includes('チャンネルに参加しました')));
+
+        const historyPages = slack.requests.filter(r => r.path === '/api/conversations.history');
+        assert.ok(historyPages.length > 1, 'history should be paginated');
+        assert.ok(slack.requests.some(r => r.path === '/api/conversations.replies'), 'thread replies should be fetched');
+    });
+
+    await t.test('the next sync only asks for messages newer than the saved cursor', async () => {
+        const fixture = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, 'slack/C0TESTGEN.json'), 'utf8'));
+        const newest = fixture.messages.map(m => m.ts).sort((a, b) => Number(b) - Number(a))[0];
+        assert.strictEqual(readData('slack-sync-state.json').channels['primary:C0TESTGEN'].last_ts, newest);
+
+        const before = fs.readFileSync(path.join(workDir, 'data/employees.json'), 'utf8');
+        const requestCount = slack.requests.length;
+        const { stdout } = await runCli(['sync'], { SLACK_BOT_TOKEN: SLACK_TOKEN });
+
+        const history = slack.requests.slice(requestCount).filter(r => r.path === '/api/conversations.history');
+        assert.deepStrictEqual(history.map(r => r.query.oldest), [newest]);
+        assert.match(stdout, /Fetched 0 messages from C0TESTGEN/);
+        assert.strictEqual(fs.readFileSync(path.join(workDir, 'data/employees.json'), 'utf8'), before);
+    });
+
+    await t.test('fetched messages are archived and one employee can be re-analyzed from the archive', async () => {
+        const channelDir = path.join(workDir, 'data/archive/primary/C0TESTGEN');
+        const archived = fs.readdirSync(channelDir).flatMap(file => fs.readFileSync(path.join(channelDir, file), 'utf8').trim().split('\n').map(JSON.parse));
+        const fixture = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, 'slack/C0TESTGEN.json'), 'utf8'));
+        // 2回同期しても同じ ts のメッセージは1件だけ。スレッドの返信も保存される
+        assert.strictEqual(new Set(archived.map(m => m.ts)).size, archived.length);
+        fixture.messages.forEach(m => assert.ok(archived.some(a => a.ts === m.ts), `${m.ts} should be archived`));
+        assert.ok(archived.some(m => m.thread_ts && m.thread_ts !== m.ts), 'thread replies should be archived');
+
+        const before = readData('employees.json');
+        const cursors = readData('slack-sync-state.json');
+        const slackCount = slack.requests.length;
+        const vertexCount = vertex.requests.length;
+        // Slack のトークンなしで動く
+        const { stdout } = await runCli(['sync', '--from-archive', '--employee', '山田 太郎']);
+
+        assert.strictEqual(slack.requests.length, slackCount);
+        const prompts = vertex.requests.slice(vertexCount).map(r => JSON.parse(r.body).contents[0].parts[0].text);
+        assert.strictEqual(prompts.length, 1);
+        assert.match(prompts[0], /名前: 山田 太郎/);
+        assert.match(stdout, /Archived channels for primary: C0TESTGEN/);
+
+        const after = readData('employees.json');
+        after.forEach(e => {
+            const previous = before.find(b => b.id === e.id);
+            if (e.name === '山田 太郎') assert.notStrictEqual(e.slack_synced_at, previous.slack_synced_at);
+            else assert.deepStrictEqual(e, previous);
+        });
+        // 取得位置は変わらない
+        assert.deepStrictEqual(readData('slack-sync-state.json'), cursors);
+        const { stdout: status } = await runCli(['sync', 'status']);
+        assert.match(status, /primary\tC0TESTGEN\t\d{4}-\d{2} - \d{4}-\d{2}\t\d+ messages/);
+
+        const error = await runCli(['sync', '--employee', '山田 太郎']).catch(e => e);
+        assert.strictEqual(error.code, 2);
+    });
+
+    await t.test('a channel the bot cannot read is reported and keeps no cursor', async () => {
+        const cursor = readData('slack-sync-state.json').channels['primary:C0TESTGEN'].last_ts;
+        const error = await runCli(['sync'], { SLACK_BOT_TOKEN: SLACK_TOKEN, SLACK_CHANNEL_ID: 'C0TESTGEN,C0NOTIN' }).catch(e => e);
+
+        assert.strictEqual(error.code, 1);
+        assert.match(error.message, /primary:C0NOTIN\tfailed\tnot_in_channel \(invite the bot to the channel\)/);
+        assert.match(error.message, /primary:C0TESTGEN\tcomplete/);
+        const state = readData('slack-sync-state.json');
+        assert.strictEqual(state.channels['primary:C0TESTGEN'].last_ts, cursor);
+        assert.strictEqual(state.channels['primary:C0NOTIN'], undefined);
+    });
+
+    await t.test('an invalid token fails the whole workspace after one call', async () => {
+        const requestCount = slack.requests.length;
+        const error = await runCli(['sync'], { SLACK_BOT_TOKEN: 'xoxb-wrong', SLACK_CHANNEL_ID: 'C0TESTGEN,C0NOTIN' }).catch(e => e);
+
+        assert.strictEqual(error.code, 1);
+        assert.strictEqual(slack.requests.length - requestCount, 1);
+        assert.match(error.message, /primary:C0TESTGEN\tfailed\tinvalid_auth/);
+        assert.match(error.message, /primary:C0NOTIN\tfailed\tinvalid_auth/);
+    });
+
+    await t.test('channels are discovered from the bot memberships and filtered by name', async () => {
+        const config = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, 'saiteki.config.json'), 'utf8'));
+        config.slack = { requestDelayMs: 0, discovery: { include: ['general', 'random', 'dev-*'], exclude: ['random'] } };
+        const configFile = path.join(workDir, 'saiteki.discovery.json');
+        fs.writeFileSync(configFile, JSON.stringify(config));
+
+        const requestCount = slack.requests.length;
+        const { stdout } = await runCli(['sync'], { SLACK_BOT_TOKEN: SLACK_TOKEN, SAITEKI_CONFIG: configFile });
+
+        assert.match(stdout, /Resolved 1 channel\(s\) for primary \(discovery enabled\): C0TESTGEN \(#general\)/);
+        assert.match(stdout, /Skipped C0TESTRND \(#random\): excluded by "random"/);
+        assert.match(stdout, /Skipped C0TESTOLD \(#dev-legacy\): archived/);
+        const requests = slack.requests.slice(requestCount);
+        assert.deepStrictEqual(requests.filter(r => r.path === '/api/users.conversations').map(r => r.query.types), ['public_channel', 'public_channel']);
+        assert.deepStrictEqual([...new Set(requests.filter(r => r.path === '/api/conversations.history').map(r => r.query.channel))], ['C0TESTGEN']);
+    });
+
+    await t.test('sync reset rewinds one channel', async () => {
+        await runCli(['sync', 'reset', 'C0TESTGEN', '--to', '2025-10-01']);
+        const entry = readData('slack-sync-state.json').channels['primary:C0TESTGEN'];
+        assert.strictEqual(entry.last_ts, (Date.parse('2025-10-01') / 1000).toFixed(6));
+
+        const { stdout } = await runCli(['sync', 'status']);
+        assert.match(stdout, /primary\tC0TESTGEN\t2025-10-01T00:00:00.000Z/);
+    });
+
+    await t.test('graph build adds AI edges for every pair', async () => {
+        await runCli(['graph', 'build']);
+
+        const graph = readData('knowledge-graph.json');
+        assert.strictEqual(graph.metadata.employee_count, 3);
+        assert.strictEqual(graph.metadata.ai_enhanced, true);
+        assert.strictEqual(graph.edges.filter(e => e.type === 'TEAM_SYNERGY').length, 3);
+
+        // Slack の返信・メンション・リアクションは有向エッジになる (自分自身へのものは除く)
+        const suzuki = readData('employees.json').find(e => e.name === '鈴木 一郎');
+        const interactions = graph.edges
+            .filter(e => ['REPLIED_TO', 'MENTIONED', 'REACTED_TO'].includes(e.type))
+            .map(e => `${e.type} ${e.source} -> ${e.target} x${e.weight}`);
+        assert.deepStrictEqual(interactions.sort(), [
+            'MENTIONED person:emp-0000a001 -> person:emp-0000b002 x1',
+            `REACTED_TO person:${suzuki.id} -> person:emp-0000a001 x1`,
+            'REACTED_TO person:emp-0000b002 -> person:emp-0000a001 x1',
+            'REPLIED_TO person:emp-0000a001 -> person:emp-0000b002 x1',
+        ].sort());
+    });
+
+    await t.test('docs are regenerated', async () => {
+        await runCli(['docs']);
+        assert.ok(fs.existsSync(path.join(workDir, 'docs/index.html')));
+    });
+
+    await t.test('outputs match snapshots', () => {
+        matchSnapshot('employees.json', fs.readFileSync(path.join(workDir, 'data/employees.json'), 'utf8'), { knownIds });
+        matchSnapshot('knowledge-graph.json', fs.readFileSync(path.join(workDir, 'data/knowledge-graph.json'), 'utf8'), { knownIds });
+        matchSnapshot('TEAM.md', readDoc('TEAM.md'), { knownIds });
+        matchSnapshot('TEAM_en.md', readDoc('TEAM_en.md'), { knownIds });
+        matchSnapshot('KNOWLEDGE_GRAPH.md', readDoc('KNOWLEDGE_GRAPH.md'), { knownIds });
+    });
+});
@@ -0,0 +1,82 @@
+/**
+ * privacy.test.js
+ *
+ * AI分析に渡す発言の同意と伏せ字、監査ログの項目
+ */
+
+const { test } = require('node:test');
+const assert = require('assert');
+const { privacyOptions, consentOf, otherNames, redactText, redactMessages } = require('../scripts/lib/privacy');
+const { describeSent } = require('../scripts/lib/ai-audit');
+
+const employees = [
+    { name: '山田 太郎', aliases: ['やまちゃん'] },
+    { name: '佐藤 花子' },
+    { name: '田中 次郎' },
+];
+
+test('consent defaults to all unless consent is required, and unknown values opt out', () => {
+    assert.strictEqual(consentOf({}), 'all');
+    assert.strictEqual(consentOf({}, { requireConsent: true }), 'none');
+    assert.strictEqual(consentOf({ ai_consent: 'primary-only' }, { requireConsent: true }), 'primary-only');
+    assert.strictEqual(consentOf({ ai_consent: 'yes' }), 'none');
+});
+
+test('redaction options merge over the defaults, and false turns everything off', () => {
+    assert.deepStrictEqual(privacyOptions({ redact: { otherNames: true, phones: false } }).redact, {
+        emails: true, phones: false, tokenUrls: true, otherNames: true,
+    });
+    assert.ok(Object.values(privacyOptions({ redact: false }).redact).every(value => value === false));
+    assert.strictEqual(privacyOptions({}).requireConsent, false);
+});
+
+test('emails, phone numbers and URLs with secrets are redacted, but dates and plain URLs are not', () => {
+    const counts = {};
+    const text = [
+        '連絡は taro.yamada@example.co.jp か 03-1234-5678 / 090-1234-5678 / 09012345678 / +81 90-1234-5678 まで',
+        '資料 https://example.com/docs/roadmap と https://example.com/share?id=1&token=abc123',
+        'Webhook https://hooks.slack.com/services/T000/B000/XXXXXXXXXXXXXXXXXXXXXXXX1a',
+        '締め切りは 2024-04-01、予算は 1,200,000 円',
+    ].join('\n');
+    const redacted = redactText(text, { counts });
+
+    assert.strictEqual(redacted, [
+        '連絡は [email] か [phone] / [phone] / [phone] / [phone] まで',
+        '資料 https://example.com/docs/roadmap と [url with token]',
+        'Webhook [url with token]',
+        '締め切りは 2024-04-01、予算は 1,200,000 円',
+    ].join('\n'));
+    assert.deepStrictEqual(counts, { emails: 1, phones: 4, tokenUrls: 2 });
+});
+
+test('other employees\' names and aliases are redacted only when enabled, without the target\'s own name', () => {
+    const names = otherNames(employees, employees[1]);
+    assert.ok(!names.includes('佐藤 花子'));
+    assert.ok(names.includes('山田太郎'), 'the variant without a space is included');
+
+    const text = '@山田 太郎 と山田太郎さん、やまちゃん、田中 次郎 にレビューを依頼 (佐藤 花子)';
+    assert.strictEqual(redactText(text, { names }), text, 'disabled by default');
+    assert.strictEqual(
+        redactText(text, { redact: { otherNames: true }, names }),
+        '@[person] と[person]さん、[person]、[person] にレビューを依頼 (佐藤 花子)',
+    );
+});
+
+test('the audit entry describes what was sent without the text', () => {
+    const { messages, counts } = redactMessages([
+        { workspace: 'primary', channel: 'C0TESTGEN', ts: '1680500000.000100', text: 'mail: a@example.com' },
+        { workspace: 'secondary', channel: 'C0EXEC', ts: '1680490000.000100', text: 'ok' },
+    ]);
+    assert.deepStrictEqual(counts, { emails: 1 });
+
+    const entry = describeSent(messages);
+    assert.deepStrictEqual(entry, {
+        workspaces: ['primary', 'secondary'],
+        channels: ['primary:C0TESTGEN', 'secondary:C0EXEC'],
+        from: '2023-04-03T02:46:40.000Z',
+        to: '2023-04-03T05:33:20.000Z',
+        messages: 2,
+        characters: 'mail: [email]'.length + 2,
+    });
+    assert.ok(!JSON.stringify(entry).includes('example.com'));
+});
@@ -0,0 +1,153 @@
+/**
+ * profile-analysis.test.js
+ *
+ * 長い発言履歴の分析: 期間ごとのチャンク分割と、map-reduce でのプロンプトの流れ
+ */
+
+const { test } = require('node:test');
+const assert = require('assert');
+const {
+    estimateTokens,
+    chunkMessages,
+    compactProfile,
+    createProfileAnalyzer,
+} = require('../scripts/lib/profile-analysis');
+
+const DAY = 24 * 60 * 60;
+const START = Date.parse('2025-01-06T00:00:00Z') / 1000;
+
+// 1日1件、days 日分の発言
+function dailyMessages(days, text = '進捗を共有します。レビューお願いします。') {
+    return Array.from({ length: days }, (_, i) => ({ ts: String(START + i * DAY), text: `${text} (${i + 1}日目)` }));
+}
+
+const quietLog = { log() {}, error() {} };
+
+function fakeAI() {
+    const prompts = [];
+    return {
+        prompts,
+        generateJSON: async (prompt, { label }) => {
+            prompts.push({ prompt, label });
+            return { overall_summary: label, current_state: { summary: label } };
+        },
+    };
+}
+
+test('token estimates count Japanese per character and other text per four characters', () => {
+    assert.strictEqual(estimateTokens('こんにちは'), 5);
+    assert.strictEqual(estimateTokens('abcdefgh'), 2);
+    assert.strictEqual(estimateTokens(''), 0);
+});
+
+test('messages within the budget stay in one chunk, sorted by time', () => {
+    const messages = dailyMessages(3).reverse();
+    const chunks = chunkMessages(messages, { maxTokens: 10000, windowDays: 7 });
+    assert.strictEqual(chunks.length, 1);
+    assert.strictEqual(chunks[0].count, 3);
+    assert.match(chunks[0].log, /^\[2025-01-06T00:00:00.000Z\].*1日目/);
+    assert.strictEqual(chunks[0].to, '2025-01-08T00:00:00.000Z');
+});
+
+test('long histories split on window boundaries and never lose a message', () => {
+    const messages = dailyMessages(28);
+    const perDay = estimateTokens(`[2025-01-06T00:00:00.000Z] ${messages[0].text}`) + 1;
+    const chunks = chunkMessages(messages, { maxTokens: perDay * 10, windowDays: 7 });
+
+    assert.strictEqual(chunks.reduce((sum, c) => sum + c.count, 0), 28);
+    chunks.forEach(c => assert.ok(c.tokens <= perDay * 10));
+    // 7日分の期間が1つずつ収まるので、期間の途中では分けない
+    assert.deepStrictEqual(chunks.map(c => c.count), [7, 7, 7, 7]);
+    assert.ok(chunks.every((c, i) => i === 0 || c.from > chunks[i - 1].to));
+});
+
+test('a single window larger than the budget is split between messages', () => {
+    const messages = dailyMessages(7);
+    const perDay = estimateTokens(`[2025-01-06T00:00:00.000Z] ${messages[0].text}`) + 1;
+    const chunks = chunkMessages(messages, { maxTokens: perDay * 3, windowDays: 7 });
+    assert.deepStrictEqual(chunks.map(c => c.count), [3, 3, 1]);
+});
+
+test('an oversized existing profile drops evidence before falling back to summaries', () => {
+    const profile = {
+        overall_summary: '概要',
+        personality_traits: { summary: '性格', openness: { score: 7, evidence: '根拠'.repeat(200) } },
+        current_state: { summary: '状況', recent_topics_of_interest: ['採用'] },
+    };
+    assert.deepStrictEqual(JSON.parse(compactProfile(profile, 10000)), profile);
+
+    const withoutEvidence = JSON.parse(compactProfile(profile, 200));
+    assert.deepStrictEqual(withoutEvidence.personality_traits, { summary: '性格', openness: { score: 7 } });
+
+    assert.deepStrictEqual(JSON.parse(compactProfile(profile, 10)), { overall_summary: '概要', personality_traits: '性格', current_state: '状況' });
+});
+
+test('a short history is analyzed with a single prompt', async () => {
+    const ai = fakeAI();
+    const analyzer = createProfileAnalyzer(ai, { chunkTokens: 10000, windowDays: 7 }, quietLog);
+    const result = await analyzer.analyze('山田 太郎', dailyMessages(5), null);
+
+    assert.strictEqual(ai.prompts.length, 1);
+    assert.strictEqual(result.overall_summary, '山田 太郎');
+    assert.match(ai.prompts[0].prompt, /5日目/);
+});
+
+test('a long history is analyzed per period and merged with the newest period marked', async () => {
+    const ai = fakeAI();
+    const messages = dailyMessages(28);
+    const perDay = estimateTokens(`[m28] [2025-01-06T00:00:00.000Z] ${messages[0].text}`) + 1;
+    const analyzer = createProfileAnalyzer(ai, { chunkTokens: perDay * 10, windowDays: 7 }, quietLog);
+    const existing = { overall_summary: '既存の分析' };
+    const result = await analyzer.analyze('山田 太郎', messages, existing);
+
+    assert.deepStrictEqual(ai.prompts.map(p => p.label), [
+        '山田 太郎 (1/4)', '山田 太郎 (2/4)', '山田 太郎 (3/4)', '山田 太郎 (4/4)', '山田 太郎 (merge)',
+    ]);
+    // map のプロンプトには自分の期間の発言だけが入る
+    assert.match(ai.prompts[0].prompt, /1日目/);
+    assert.doesNotMatch(ai.prompts[0].prompt, /8日目/);
+    assert.match(ai.prompts[3].prompt, /28日目/);
+
+    const merge = ai.prompts[4].prompt;
+    assert.match(merge, /期間4: 2025-01-27T00:00:00.000Z 〜 2025-02-02T00:00:00.000Z \(7件\) 【最新】/);
+    assert.match(merge, /既存の分析/);
+    assert.doesNotMatch(merge, /日目\)/);
+    assert.strictEqual(result.overall_summary, '山田 太郎 (merge)');
+});
+
+test('partial profiles that exceed the budget are merged in stages', async () => {
+    const messages = dailyMessages(28);
+    const perDay = estimateTokens(`[m28] [2025-01-06T00:00:00.000Z] ${messages[0].text}`) + 1;
+    const budget = perDay * 7;
+    // 中間プロファイルが上限の4割ほどあるので、2つずつしか統合できない
+    const labels = [];
+    const ai = {
+        generateJSON: async (prompt, { label }) => {
+            labels.push(label);
+            return { overall_summary: label, detail: '分'.repeat(Math.floor(budget * 0.4)) };
+        },
+    };
+    const analyzer = createProfileAnalyzer(ai, { chunkTokens: budget, windowDays: 7 }, quietLog);
+    await analyzer.analyze('山田 太郎', messages, null);
+
+    assert.deepStrictEqual(labels, [
+        '山田 太郎 (1/4)', '山田 太郎 (2/4)', '山田 太郎 (3/4)', '山田 太郎 (4/4)',
+        '山田 太郎 (merge 2025-01-06〜)', '山田 太郎 (merge 2025-01-20〜)', '山田 太郎 (merge)',
+    ]);
+});
+
+test('a failed period fails the whole analysis', async () => {
+    let calls = 0;
+    const ai = {
+        generateJSON: async () => {
+            calls++;
+            if (calls === 2) throw new Error('boom');
+            return {};
+        },
+    };
+    const messages = dailyMessages(28);
+    const perDay = estimateTokens(`[m28] [2025-01-06T00:00:00.000Z] ${messages[0].text}`) + 1;
+    const analyzer = createProfileAnalyzer(ai, { chunkTokens: perDay * 10, windowDays: 7 }, quietLog);
+    assert.deepStrictEqual(await analyzer.analyze('山田 太郎', messages, null), { ai_error: true });
+    assert.strictEqual(calls, 2);
+});
@@ -0,0 +1,133 @@
+/**
+ * prompt-templates.test.js
+ *
+ * プロンプトのテンプレート: 変数と埋め込み、使うバージョンの選択、2つのバージョンの比較 (prompts compare)
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { startVertexStub } = require('./helpers/stub-servers');
+
+const CLI = path.join(__dirname, '../scripts/saiteki.js');
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const EXPORT_DIR = path.join(FIXTURES_DIR, 'slack-export');
+const REPO_PROMPTS_DIR = path.join(__dirname, '../prompts');
+
+// リポジトリの prompts/ をコピーし、profile に文言を変えた v2 を足したものを使う
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'saiteki-prompts-'));
+const promptsDir = path.join(workDir, 'prompts');
+fs.cpSync(REPO_PROMPTS_DIR, promptsDir, { recursive: true });
+fs.cpSync(path.join(promptsDir, 'profile/v1'), path.join(promptsDir, 'profile/v2'), { recursive: true });
+const single = path.join(promptsDir, 'profile/v2/single.md');
+fs.writeFileSync(single, fs.readFileSync(single, 'utf8').replace('徹底的に分析し', '簡潔に分析し'));
+process.env.SAITEKI_PROMPTS_DIR = promptsDir;
+
+const { loadPrompt, versionsOf, activeVersion, renderTemplate, recordPrompt } = require('../scripts/lib/prompt-templates');
+const { buildProfilePrompt } = require('../scripts/lib/profile-analysis');
+const { renderSideBySide } = require('../scripts/lib/side-by-side');
+
+let vertex;
+
+before(async () => {
+    vertex = await startVertexStub(JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, 'ai-responses.json'), 'utf8')));
+});
+
+after(async () => {
+    await vertex?.close();
+    fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+function cli(args) {
+    return new Promise((resolve, reject) => {
+        execFile(process.execPath, [CLI, ...args], {
+            cwd: workDir,
+            env: {
+                PATH: process.env.PATH,
+                SAITEKI_CONFIG: path.join(FIXTURES_DIR, 'saiteki.config.json'),
+                SAITEKI_DATA_DIR: path.join(workDir, 'data'),
+                SAITEKI_DOCS_DIR: path.join(workDir, 'docs'),
+                SAITEKI_PROMPTS_DIR: promptsDir,
+                GEMINI_API_KEY: 'test-key',
+                VERTEX_API_BASE_URL: vertex.url,
+            },
+            timeout: 30000,
+        }, (error, stdout, stderr) => (error ? reject(Object.assign(error, { stdout, stderr })) : resolve({ stdout, stderr })));
+    });
+}
+
+test('templates fill in variables and includes, and a missing variable is an error', () => {
+    assert.strictEqual(renderTemplate('名前: {{ name }} / {{count}}件', { name: '山田 太郎', count: 3 }, 't'), '名前: 山田 太郎 / 3件');
+    assert.strictEqual(renderTemplate('{{log}}', { log: '発言に {{name}} と書いた' }, 't'), '発言に {{name}} と書いた', 'values are not expanded again');
+    assert.throws(() => renderTemplate('{{name}} {{log}}', { name: 'x' }, 'profile@v1/single'), /profile@v1\/single: variable "log" is not given/);
+
+    const text = buildProfilePrompt('山田 太郎', '[m1] [2025-01-06T00:00:00.000Z] 発言', { overall_summary: '堅実' }, { prompt: loadPrompt('profile', 'v2') });
+    assert.match(text, /簡潔に分析し/);
+    assert.match(text, /名前: 山田 太郎\nログ:\n"""\n\[m1\] \[2025-01-06T00:00:00.000Z\] 発言\n"""/);
+    assert.match(text, /## 参考：既存の分析結果[\s\S]*"overall_summary": "堅実"/);
+    assert.match(text, /"refs" に挙げてください/, 'the evidence note is included');
+    assert.doesNotMatch(text, /\{\{/);
+});
+
+test('the active version comes from prompts.json, and versions are listed in numeric order', () => {
+    fs.mkdirSync(path.join(promptsDir, 'profile/v10'));
+    try {
+        assert.deepStrictEqual(versionsOf('profile'), ['v1', 'v2', 'v10']);
+    } finally {
+        fs.rmSync(path.join(promptsDir, 'profile/v10'), { recursive: true });
+    }
+    assert.strictEqual(activeVersion('profile'), 'v1');
+    assert.strictEqual(loadPrompt('extraction').ref, 'extraction@v1');
+    assert.throws(() => loadPrompt('profile', 'v9'), /Unknown version of prompt profile: v9 \(available: v1, v2\)/);
+    assert.throws(() => loadPrompt('nope'), /Unknown prompt: nope/);
+
+    const employee = { ai_prompts: { extraction: 'v1' } };
+    recordPrompt(employee, loadPrompt('profile', 'v2'));
+    assert.deepStrictEqual(employee.ai_prompts, { extraction: 'v1', profile: 'v2' });
+});
+
+test('the side-by-side diff marks changed, removed and added lines and wraps wide text', () => {
+    const { text, changes } = renderSideBySide('{\n  "a": 1,\n  "b": "堅実なエンジニア",\n  "c": 3\n}', '{\n  "a": 1,\n  "b": "計画的なエンジニア",\n  "d": 4,\n  "e": 5\n}', { width: 43 });
+    assert.strictEqual(changes, 3);
+    assert.deepStrictEqual(text.split('\n'), [
+        '{                      {',
+        '  "a": 1,                "a": 1,',
+        '  "b": "堅実なエンジ |   "b": "計画的なエン',
+        'ニア",                 ジニア",',
+        '  "c": 3             |   "d": 4,',
+        '                     >   "e": 5',
+        '}                      }',
+    ]);
+});
+
+test('prompts compare runs both versions over the archived messages without changing the profile', async () => {
+    fs.mkdirSync(path.join(workDir, 'data'), { recursive: true });
+    fs.mkdirSync(path.join(workDir, 'docs'), { recursive: true });
+    fs.copyFileSync(path.join(FIXTURES_DIR, 'employees.json'), path.join(workDir, 'data/employees.json'));
+    await cli(['sync', 'import', EXPORT_DIR]);
+    const before = fs.readFileSync(path.join(workDir, 'data/employees.json'), 'utf8');
+
+    const { stdout: list } = await cli(['prompts', 'list']);
+    assert.match(list, /^profile\tv1 \(active\), v2$/m);
+
+    const requestCount = vertex.requests.length;
+    const { stdout } = await cli(['prompts', 'compare', 'profile', 'v1', 'v2', '--employee', '山田 太郎']);
+    const prompts = vertex.requests.slice(requestCount).map(r => JSON.parse(r.body).contents[0].parts[0].text);
+    assert.strictEqual(prompts.length, 2);
+    assert.match(prompts[0], /徹底的に分析し/);
+    assert.match(prompts[1], /簡潔に分析し/);
+    assert.match(stdout, /Comparing profile@v1 \(left\) with profile@v2 \(right\) for 山田 太郎/);
+    assert.match(stdout, /"overall_summary": .* {2}"overall_summary"/);
+    assert.match(stdout, /No differences\./);
+    assert.strictEqual(fs.readFileSync(path.join(workDir, 'data/employees.json'), 'utf8'), before, 'the employee data is not changed');
+
+    const audit = fs.readFileSync(path.join(workDir, 'data/ai-audit.jsonl'), 'utf8').trim().split('\n').map(JSON.parse);
+    assert.deepStrictEqual(audit.map(e => [e.mode, e.prompt]), [['compare', 'profile@v1'], ['compare', 'profile@v2']]);
+
+    const unknown = await cli(['prompts', 'compare', 'profile', 'v1', 'v3', '--employee', '山田 太郎']).catch(e => e);
+    assert.strictEqual(unknown.code, 2);
+    assert.match(unknown.stderr, /Unknown version of prompt profile: v3 \(available: v1, v2\)/);
+});
@@ -0,0 +1,34 @@
+/**
+ * slack-client.test.js
+ *
+ * Slack クライアント: 応答の本文が途中で止まったときのタイムアウトとリトライ
+ */
+
+const { test } = require('node:test');
+const assert = require('assert');
+const { createSlackClient } = require('../scripts/lib/slack-client');
+const { startScriptedServer } = require('./helpers/stub-servers');
+
+function client(server, overrides = {}) {
+    return createSlackClient({ token: 'xoxb-test', baseUrl: server.url, requestDelayMs: 0, timeoutMs: 200, maxRetries: 0, ...overrides });
+}
+
+test('a response body that stalls times out', async () => {
+    const server = await startScriptedServer([{ stall: true }]);
+    try {
+        await assert.rejects(client(server).call('conversations.history', { channel: 'C1' }), { name: 'SlackError', message: /request timed out after 200ms/ });
+    } finally {
+        await server.close();
+    }
+});
+
+test('a timed-out body is retried like a network error', async () => {
+    const server = await startScriptedServer([{ stall: true }, { json: { ok: true, messages: [] } }]);
+    try {
+        const slack = client(server, { maxRetries: 1 });
+        assert.deepStrictEqual(await slack.call('conversations.history', { channel: 'C1' }), { ok: true, messages: [] });
+        assert.strictEqual(slack.stats.retries, 1);
+    } finally {
+        await server.close();
+    }
+});
@@ -0,0 +1,153 @@
+/**
+ * slack-sync.test.js
+ *
+ * Slack同期の取得範囲: 取得位置より古い親メッセージのスレッドに後から付いた返信の取得、
+ * 途中で止まった同期を再開したときの取得範囲の終わり、取得済みのチャンネルがアーカイブにないときの警告
+ * (フィクスチャを書き換えるので、test/fixtures/slack/ をコピーしたものをスタブに読ませる)
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { SLACK_TOKEN, startSlackStub, startVertexStub } = require('./helpers/stub-servers');
+
+const CLI = path.join(__dirname, '../scripts/saiteki.js');
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const THREAD_TS = '1760000100.000100';
+
+let workDir;
+let slackDir;
+let slack;
+let vertex;
+
+before(async () => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'saiteki-slack-sync-'));
+    slackDir = path.join(workDir, 'slack');
+    fs.cpSync(path.join(FIXTURES_DIR, 'slack'), slackDir, { recursive: true });
+    fs.mkdirSync(path.join(workDir, 'data'));
+    fs.mkdirSync(path.join(workDir, 'docs'));
+    fs.copyFileSync(path.join(FIXTURES_DIR, 'employees.json'), path.join(workDir, 'data/employees.json'));
+
+    slack = await startSlackStub(slackDir);
+    vertex = await startVertexStub(JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, 'ai-responses.json'), 'utf8')));
+});
+
+after(async () => {
+    await slack?.close();
+    await vertex?.close();
+    if (workDir) fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+function cli(args, env = {}) {
+    return new Promise((resolve, reject) => {
+        execFile(process.execPath, [CLI, ...args], {
+            cwd: workDir,
+            env: {
+                PATH: process.env.PATH,
+                SAITEKI_CONFIG: path.join(FIXTURES_DIR, 'saiteki.config.json'),
+                SAITEKI_DATA_DIR: path.join(workDir, 'data'),
+                SAITEKI_DOCS_DIR: path.join(workDir, 'docs'),
+                GEMINI_API_KEY: 'test-key',
+                VERTEX_API_BASE_URL: vertex.url,
+                SLACK_BOT_TOKEN: SLACK_TOKEN,
+                SLACK_API_BASE_URL: `${slack.url}/api`,
+                // フィクスチャの発言は古いので、スレッドを追う期間を十分に長くする
+                SLACK_THREAD_FOLLOW_DAYS: '36500',
+                ...env,
+            },
+            timeout: 30000,
+        }, (error, stdout, stderr) => (error ? reject(Object.assign(error, { stdout, stderr })) : resolve({ stdout, stderr })));
+    });
+}
+
+function updateFixture(update) {
+    const file = path.join(slackDir, 'C0TESTGEN.json');
+    const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+    update(fixture);
+    fs.writeFileSync(file, JSON.stringify(fixture));
+}
+
+function readState() {
+    return JSON.parse(fs.readFileSync(path.join(workDir, 'data/slack-sync-state.json'), 'utf8'));
+}
+
+function readArchived() {
+    const channelDir = path.join(workDir, 'data/archive/primary/C0TESTGEN');
+    return fs.readdirSync(channelDir).flatMap(file => fs.readFileSync(path.join(channelDir, file), 'utf8').trim().split('\n').map(JSON.parse));
+}
+
+test('a late reply to a thread older than the cursor is fetched by the next sync', async () => {
+    await cli(['sync', '--full']);
+    const cursor = readState().channels['primary:C0TESTGEN'].last_ts;
+    assert.deepStrictEqual(readState().threads, { 'primary:C0TESTGEN': { [THREAD_TS]: '1760000180.000100' } });
+
+    // 親メッセージ (取得位置より古い) のスレッドに返信が付く。チャンネルには新しい発言はない
+    const lateReply = { type: 'message', user: 'U0TEST0001', text: 'あとから: 監視のアラートも同じ閾値にそろえました。', ts: '1760000900.000100', thread_ts: THREAD_TS };
+    updateFixture(fixture => fixture.replies[THREAD_TS].push(lateReply));
+
+    const requestCount = slack.requests.length;
+    const { stdout } = await cli(['sync']);
+    assert.match(stdout, /Checking 1 earlier thread\(s\) for new replies/);
+    const requests = slack.requests.slice(requestCount);
+    assert.deepStrictEqual(requests.filter(r => r.path === '/api/conversations.history').map(r => r.query.oldest), [cursor]);
+    assert.deepStrictEqual([...new Set(requests.filter(r => r.path === '/api/conversations.replies').map(r => r.query.ts))], [THREAD_TS]);
+
+    assert.ok(readArchived().some(m => m.ts === lateReply.ts && m.text === lateReply.text), 'the late reply is archived');
+    const state = readState();
+    assert.strictEqual(state.channels['primary:C0TESTGEN'].last_ts, cursor, 'replies do not move the cursor');
+    assert.strictEqual(state.threads['primary:C0TESTGEN'][THREAD_TS], lateReply.ts);
+
+    // 最後の返信から SLACK_THREAD_FOLLOW_DAYS を過ぎたスレッドは追わなくなる
+    await cli(['sync'], { SLACK_THREAD_FOLLOW_DAYS: '30' });
+    assert.strictEqual(readState().threads, undefined);
+});
+
+test('a resumed sync reads only up to where the interrupted run stopped', async () => {
+    const cursor = readState().channels['primary:C0TESTGEN'].last_ts;
+    // 中断した実行は 1760001000 までを取得していて、山田さんの分析が済んでいた
+    const until = '1760001000.000000';
+    fs.writeFileSync(path.join(workDir, 'data/sync-checkpoint.json'), JSON.stringify({
+        version: 1,
+        run: { mode: 'sync', full: false, channel: null, since: null, employee: null },
+        started_at: '2025-10-09T09:10:00.000Z',
+        until,
+        done: { 'emp-0000a001': { at: '2025-10-09T09:20:00.000Z', updates: { overall_summary: 'チェックポイントの分析結果' } } },
+    }));
+    // 中断のあとに投稿された発言
+    const later = { type: 'message', user: 'U0TEST0001', text: '中断のあとに投稿した発言です。', ts: '1760002000.000100' };
+    updateFixture(fixture => fixture.messages.push(later));
+
+    const requestCount = slack.requests.length;
+    const { stdout } = await cli(['sync', '--resume']);
+    assert.match(stdout, /Fetching messages up to 2025-10-09T09:10:00\.000Z, where the interrupted run stopped/);
+    const history = slack.requests.slice(requestCount).filter(r => r.path === '/api/conversations.history');
+    assert.deepStrictEqual(history.map(r => [r.query.oldest, r.query.latest]), [[cursor, until]]);
+    assert.ok(!readArchived().some(m => m.ts === later.ts), 'messages after the interrupted run are not read');
+    assert.strictEqual(readState().channels['primary:C0TESTGEN'].last_ts, cursor);
+
+    // 次の同期で取得される
+    await cli(['sync']);
+    assert.ok(readArchived().some(m => m.ts === later.ts));
+    assert.strictEqual(readState().channels['primary:C0TESTGEN'].last_ts, later.ts);
+});
+
+test('a sync fails loudly when channels with a cursor are missing from the archive', async () => {
+    fs.rmSync(path.join(workDir, 'data/archive'), { recursive: true });
+    const summaryFile = path.join(workDir, 'summary.md');
+
+    const failed = await cli(['sync'], { GITHUB_STEP_SUMMARY: summaryFile }).catch(e => e);
+    assert.strictEqual(failed.code, 1);
+    assert.match(failed.stderr, /WARNING: The message archive .* has nothing for 1 channel\(s\) that were already synced: primary:C0TESTGEN/);
+    assert.match(fs.readFileSync(summaryFile, 'utf8'), /### Slack message archive[\s\S]*\[!WARNING\][\s\S]*primary:C0TESTGEN/);
+    assert.ok(readState().channels['primary:C0TESTGEN'], 'the sync itself still runs');
+
+    const status = await cli(['sync', 'status']);
+    assert.match(status.stderr, /WARNING: The message archive .* primary:C0TESTGEN/);
+
+    const rebuilt = await cli(['sync', '--full']);
+    assert.doesNotMatch(rebuilt.stderr, /WARNING: The message archive/, 'a full sync rebuilds the archive');
+    assert.ok(readArchived().length > 0);
+});
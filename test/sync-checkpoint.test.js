@@ -0,0 +1,171 @@
+/**
+ * sync-checkpoint.test.js
+ *
+ * 社員ごとの分析の並列実行と、途中で止まった同期の再開 (sync --resume)
+ * Slack からの同期で分析に失敗した社員の、次回の同期での分析し直し
+ */
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { SLACK_TOKEN, startSlackStub, startVertexStub } = require('./helpers/stub-servers');
+const { runPool } = require('../scripts/lib/pool');
+const { loadCheckpoint, createCheckpoint, isSameRun, markDone, clearCheckpoint } = require('../scripts/lib/sync-checkpoint');
+
+const CLI = path.join(__dirname, '../scripts/saiteki.js');
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const EXPORT_DIR = path.join(FIXTURES_DIR, 'slack-export');
+
+let workDir;
+let slack;
+let vertex;
+
+before(async () => {
+    slack = await startSlackStub(path.join(FIXTURES_DIR, 'slack'));
+    vertex = await startVertexStub(JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, 'ai-responses.json'), 'utf8')));
+});
+
+after(async () => {
+    await slack?.close();
+    await vertex?.close();
+    if (workDir) fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+    if (workDir) fs.rmSync(workDir, { recursive: true, force: true });
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'saiteki-checkpoint-'));
+    fs.mkdirSync(path.join(workDir, 'data'));
+    fs.mkdirSync(path.join(workDir, 'docs'));
+    fs.copyFileSync(path.join(FIXTURES_DIR, 'employees.json'), path.join(workDir, 'data/employees.json'));
+});
+
+function cli(args) {
+    return new Promise((resolve, reject) => {
+        execFile(process.execPath, [CLI, ...args], {
+            cwd: workDir,
+            env: {
+                PATH: process.env.PATH,
+                SAITEKI_CONFIG: path.join(FIXTURES_DIR, 'saiteki.config.json'),
+                SAITEKI_DATA_DIR: path.join(workDir, 'data'),
+                SAITEKI_DOCS_DIR: path.join(workDir, 'docs'),
+                GEMINI_API_KEY: 'test-key',
+                VERTEX_API_BASE_URL: vertex.url,
+                SLACK_BOT_TOKEN: SLACK_TOKEN,
+                SLACK_API_BASE_URL: `${slack.url}/api`,
+            },
+            timeout: 30000,
+        }, (error, stdout, stderr) => (error ? reject(Object.assign(error, { stdout, stderr })) : resolve({ stdout, stderr })));
+    });
+}
+
+const checkpointFile = () => path.join(workDir, 'data/sync-checkpoint.json');
+const readState = () => JSON.parse(fs.readFileSync(path.join(workDir, 'data/slack-sync-state.json'), 'utf8'));
+const sentPrompts = (from) => vertex.requests.slice(from).map(r => JSON.parse(r.body).contents[0].parts[0].text);
+
+function readEmployee(id) {
+    return JSON.parse(fs.readFileSync(path.join(workDir, 'data/employees.json'), 'utf8')).find(e => e.id === id);
+}
+
+function renameEmployee(id, name) {
+    const file = path.join(workDir, 'data/employees.json');
+    const employees = JSON.parse(fs.readFileSync(file, 'utf8'));
+    employees.find(e => e.id === id).name = name;
+    fs.writeFileSync(file, JSON.stringify(employees, null, 2));
+}
+
+test('runPool keeps the item order and never runs more than the limit at once', async () => {
+    let running = 0;
+    let peak = 0;
+    const results = await runPool([30, 10, 20, 0, 5], 2, async (delay, index) => {
+        running++;
+        peak = Math.max(peak, running);
+        await new Promise(resolve => setTimeout(resolve, delay));
+        running--;
+        return index;
+    });
+    assert.deepStrictEqual(results, [0, 1, 2, 3, 4]);
+    assert.strictEqual(peak, 2);
+    assert.deepStrictEqual(await runPool([], 3, async () => 1), []);
+});
+
+test('the checkpoint records finished employees and is matched by the run options', () => {
+    const file = path.join(workDir, 'data/checkpoint.json');
+    const run = { mode: 'sync', full: false, channel: null, since: null, employee: null };
+    const checkpoint = createCheckpoint(run, { file, at: '2025-01-06T00:00:00.000Z' });
+    markDone(checkpoint, 'emp-0000a001', { overall_summary: '分析済み' }, { file, at: '2025-01-06T00:10:00.000Z' });
+
+    const loaded = loadCheckpoint(file);
+    assert.deepStrictEqual(loaded.done, { 'emp-0000a001': { at: '2025-01-06T00:10:00.000Z', updates: { overall_summary: '分析済み' } } });
+    assert.ok(isSameRun(loaded, { ...run }));
+    assert.ok(!isSameRun(loaded, { ...run, full: true }));
+    assert.ok(!fs.existsSync(`${file}.tmp`), 'no temporary file is left behind');
+
+    clearCheckpoint(file);
+    assert.strictEqual(loadCheckpoint(file), null);
+});
+
+test('a failed run keeps the checkpoint, and --resume skips the employees already analyzed', async () => {
+    await cli(['sync', 'import', EXPORT_DIR]);
+
+    // スタブが知らない名前にして分析を失敗させる
+    renameEmployee('emp-0000a001', '山田 太郎 (休職中)');
+    const failed = await cli(['sync', '--from-archive']).catch(e => e);
+    assert.strictEqual(failed.code, 1);
+    assert.match(failed.stderr, /--resume to retry only the employees that failed/);
+    const kept = JSON.parse(fs.readFileSync(checkpointFile(), 'utf8'));
+    assert.strictEqual(kept.run.mode, 'archive');
+    assert.deepStrictEqual(kept.done, {});
+
+    // 山田さんの分析が済んだところで止まったことにする
+    renameEmployee('emp-0000a001', '山田 太郎');
+    kept.done['emp-0000a001'] = { at: '2025-01-06T00:10:00.000Z', updates: { overall_summary: 'チェックポイントの分析結果', slack_synced_at: '2025-01-06T00:10:00.000Z' } };
+    fs.writeFileSync(checkpointFile(), JSON.stringify(kept));
+
+    const mismatch = await cli(['sync', '--from-archive', '--resume', '--channel', 'C0EXPGEN']).catch(e => e);
+    assert.strictEqual(mismatch.code, 2);
+    assert.match(mismatch.stderr, /different options/);
+
+    const requestCount = vertex.requests.length;
+    const { stdout } = await cli(['sync', '--from-archive', '--resume']);
+    assert.match(stdout, /1 employee\(s\) already analyzed, 1 left/);
+    const prompts = vertex.requests.slice(requestCount).map(r => JSON.parse(r.body).contents[0].parts[0].text);
+    assert.ok(!prompts.some(p => p.includes('名前: 山田 太郎')), 'the finished employee is not sent to the AI again');
+    assert.strictEqual(readEmployee('emp-0000a001').overall_summary, 'チェックポイントの分析結果');
+    assert.ok(!fs.existsSync(checkpointFile()), 'the checkpoint is removed after a clean run');
+
+    const noCheckpoint = await cli(['sync', '--from-archive', '--resume']).catch(e => e);
+    assert.strictEqual(noCheckpoint.code, 2);
+    assert.match(noCheckpoint.stderr, /No interrupted run to resume/);
+});
+
+test('a failed profile does not hold back the cursors, and the next sync retries it from the archive', async () => {
+    renameEmployee('emp-0000a001', '山田 太郎 (休職中)');
+    const failed = await cli(['sync', '--full']).catch(e => e);
+    assert.strictEqual(failed.code, 1);
+    assert.match(failed.stderr, /1 profile\(s\) could not be updated\. The next sync analyzes them again/);
+    assert.ok(!fs.existsSync(checkpointFile()), 'a finished sync leaves no checkpoint');
+
+    const fixture = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, 'slack/C0TESTGEN.json'), 'utf8'));
+    const newest = fixture.messages.map(m => m.ts).sort((a, b) => Number(b) - Number(a))[0];
+    const state = readState();
+    assert.strictEqual(state.channels['primary:C0TESTGEN'].last_ts, newest, 'the cursor moves past the analyzed messages');
+    assert.deepStrictEqual(Object.keys(state.retry), ['emp-0000a001']);
+    assert.strictEqual(state.retry['emp-0000a001'].since, '0');
+    assert.ok(readEmployee('emp-0000b002').slack_synced_at, 'the other employees are saved');
+
+    // 次の同期では新しい発言がなくても、失敗した社員だけをアーカイブの発言で分析し直す
+    renameEmployee('emp-0000a001', '山田 太郎');
+    const requestCount = vertex.requests.length;
+    const { stdout } = await cli(['sync']);
+    assert.match(stdout, /Fetched 0 messages from C0TESTGEN/);
+    assert.match(stdout, /Retrying 1 employee\(s\) whose last analysis failed/);
+    const prompts = sentPrompts(requestCount);
+    assert.strictEqual(prompts.length, 1);
+    assert.match(prompts[0], /名前: 山田 太郎/);
+    assert.match(prompts[0], /本番の監視ダッシュボードを更新しました/);
+    assert.ok(readEmployee('emp-0000a001').slack_synced_at);
+    assert.strictEqual(readState().retry, undefined, 'the retry is cleared once the analysis succeeds');
+});
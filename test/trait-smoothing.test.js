@@ -0,0 +1,66 @@
+/**
+ * trait-smoothing.test.js
+ *
+ * Big Five スコアの平滑化: 発言の件数による重み付け、信頼区間、再分析での置き換え
+ */
+
+const { test } = require('node:test');
+const assert = require('assert');
+const { PRIOR_MESSAGES, OBSERVATION_LIMIT, smoothTrait, smoothTraits } = require('../scripts/lib/trait-smoothing');
+
+const week = (n) => ({ from: `2025-01-${String(7 * n - 6).padStart(2, '0')}T00:00:00.000Z`, to: `2025-01-${String(7 * n).padStart(2, '0')}T00:00:00.000Z` });
+
+test('a quiet run barely moves a score backed by many messages', () => {
+    const busy = smoothTrait(undefined, { score: 9, evidence: '多い' }, { messages: 400, ...week(1) });
+    assert.strictEqual(busy.score, 9);
+
+    const quiet = smoothTrait(busy, { score: 6, evidence: '少ない' }, { messages: 10, ...week(2) });
+    assert.strictEqual(quiet.score, 9);
+    assert.strictEqual(quiet.evidence, '少ない', 'the evidence comes from the latest run');
+    assert.deepStrictEqual(quiet.observations.map(o => [o.score, o.messages]), [[6, 10], [9, 400]]);
+
+    // 件数の多い分析が続けば、新しい傾向に寄っていく
+    const shifted = smoothTrait(quiet, { score: 6 }, { messages: 800, ...week(3) });
+    assert.strictEqual(shifted.score, 7);
+});
+
+test('the range is wide with few messages and narrows as messages and agreement grow', () => {
+    const few = smoothTrait(undefined, { score: 6 }, { messages: 5, ...week(1) });
+    const many = smoothTrait(undefined, { score: 6 }, { messages: 1000, ...week(1) });
+    const width = (trait) => trait.range[1] - trait.range[0];
+    assert.ok(width(few) > 3, `few: ${few.range}`);
+    assert.ok(width(many) < 1.2, `many: ${many.range}`);
+    assert.ok(many.range[0] <= 6 && 6 <= many.range[1]);
+
+    const disagreeing = smoothTrait(smoothTrait(undefined, { score: 2 }, { messages: 1000, ...week(1) }), { score: 9 }, { messages: 1000, ...week(2) });
+    assert.ok(width(disagreeing) > 6, `disagreeing: ${disagreeing.range}`);
+
+    const edge = smoothTrait(undefined, { score: 10 }, { messages: 5, ...week(1) });
+    assert.strictEqual(edge.range[1], 10, 'the range stays within 1-10');
+});
+
+test('an existing score without observations counts as a prior run, and a covering re-analysis replaces earlier runs', () => {
+    const legacy = { score: 8, evidence: '以前の分析' };
+    const blended = smoothTrait(legacy, { score: 4 }, { messages: PRIOR_MESSAGES, ...week(2) }, '2025-01-07T00:00:00.000Z');
+    assert.strictEqual(blended.score, 6);
+    assert.deepStrictEqual(blended.observations[1], { score: 8, messages: PRIOR_MESSAGES, to: '2025-01-07T00:00:00.000Z' });
+
+    const weekly = [1, 2, 3].reduce((trait, n) => smoothTrait(trait, { score: 5 }, { messages: 100, ...week(n) }), undefined);
+    const full = smoothTrait(weekly, { score: 7 }, { messages: 300, from: week(1).from, to: week(3).to });
+    assert.deepStrictEqual(full.observations.map(o => o.score), [7]);
+    assert.strictEqual(full.score, 7);
+});
+
+test('observations are capped, the summary is replaced, and a trait missing from the new analysis is kept', () => {
+    let trait;
+    for (let n = 1; n <= OBSERVATION_LIMIT + 3; n++) {
+        trait = smoothTrait(trait, { score: 5 }, { messages: 10, from: `2025-02-${String(n).padStart(2, '0')}T00:00:00.000Z`, to: `2025-02-${String(n).padStart(2, '0')}T12:00:00.000Z` });
+    }
+    assert.strictEqual(trait.observations.length, OBSERVATION_LIMIT);
+
+    const previous = { summary: '以前', openness: { score: 7 }, neuroticism: { score: 3 } };
+    const smoothed = smoothTraits(previous, { summary: '今回', openness: { score: 7 } }, { messages: 20, ...week(1) });
+    assert.strictEqual(smoothed.summary, '今回');
+    assert.deepStrictEqual(smoothed.neuroticism, { score: 3 }, 'a trait missing from the new analysis keeps its stored value');
+    assert.ok(Array.isArray(smoothed.openness.range));
+});